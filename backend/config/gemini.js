@@ -1,11 +1,65 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
 const logger = require('../utils/logger');
+const { isNullable, hasAllowedValues, describeConstraints } = require('../utils/columnConstraints');
+const { getJsonSchema } = require('../utils/datatypes');
+
+/**
+ * Model used when a request doesn't name one
+ */
+const DEFAULT_MODEL = process.env.GEMINI_MODEL || 'gemini-3-flash-preview';
+
+/**
+ * Base generation settings shared by every request
+ */
+const GENERATION_CONFIG = {
+    temperature: 0.7,
+    topP: 0.95,
+    topK: 40,
+    maxOutputTokens: 8192,
+};
+
+/**
+ * Structured output (responseSchema) can be turned off for models that don't support it
+ */
+const STRUCTURED_OUTPUT_ENABLED = process.env.GEMINI_STRUCTURED_OUTPUT !== 'false';
+
+/**
+ * Convert a JSON Schema to the subset Gemini's responseSchema understands
+ * (SchemaType values are the JSON Schema type names; formats, patterns and bounds are dropped)
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Gemini Schema
+ */
+const toGeminiSchema = (schema) => {
+    // An OBJECT schema needs fixed properties, so free-form objects travel as JSON text
+    if (schema.type === SchemaType.OBJECT && !schema.properties) {
+        return { type: SchemaType.STRING, description: 'JSON object serialized as a string' };
+    }
+
+    const result = { type: schema.type };
+    if (schema.description) result.description = schema.description;
+    if (schema.items) result.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [key, toGeminiSchema(property)]));
+        result.required = schema.required;
+    }
+    return result;
+};
+
+/**
+ * Response schema of a datatype, from the registry's JSON Schema
+ * @param {string} datatype - Column datatype
+ * @returns {Object} Gemini Schema
+ */
+const buildDatatypeSchema = (datatype) => {
+    return toGeminiSchema(getJsonSchema(datatype) || getJsonSchema('string'));
+};
 
 /**
  * Initialize Gemini API client
  */
 let genAI = null;
 let model = null;
+const models = new Map();
 
 const initializeGemini = () => {
     try {
@@ -15,16 +69,11 @@ const initializeGemini = () => {
 
         genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-        // Using Gemini 3 Pro Preview model
         model = genAI.getGenerativeModel({
-            model: 'gemini-3-flash-preview',
-            generationConfig: {
-                temperature: 0.7,
-                topP: 0.95,
-                topK: 40,
-                maxOutputTokens: 8192,
-            }
+            model: DEFAULT_MODEL,
+            generationConfig: GENERATION_CONFIG
         });
+        models.set(DEFAULT_MODEL, model);
 
         logger.info('Gemini API initialized successfully');
         return model;
@@ -36,16 +85,117 @@ const initializeGemini = () => {
 
 /**
  * Get Gemini model instance
+ * @param {string} modelName - Optional model name (defaults to GEMINI_MODEL)
  * @returns {Object} Gemini model instance
  */
-const getGeminiModel = () => {
+const getGeminiModel = (modelName = DEFAULT_MODEL) => {
     if (!model) {
-        return initializeGemini();
+        initializeGemini();
+    }
+
+    if (!models.has(modelName)) {
+        models.set(modelName, genAI.getGenerativeModel({
+            model: modelName,
+            generationConfig: GENERATION_CONFIG
+        }));
+    }
+
+    return models.get(modelName);
+};
+
+/**
+ * Build the response schema for one column
+ * @param {Object} column - Column definition
+ * @returns {Object} Gemini Schema
+ */
+const buildColumnSchema = (column) => {
+    const base = buildDatatypeSchema(column.datatype);
+    const schema = { ...base };
+
+    if (hasAllowedValues(column) && base.type === SchemaType.STRING) {
+        schema.format = 'enum';
+        schema.enum = column.allowedValues.map(String);
+    }
+
+    // The schema has no range or pattern keywords, so constraints travel in the description
+    const constraints = describeConstraints(column);
+    if (constraints.length > 0) {
+        schema.description = [base.description, ...constraints].filter(Boolean).join('; ');
+    }
+
+    if (isNullable(column)) {
+        schema.nullable = true;
+    }
+
+    return schema;
+};
+
+/**
+ * Build a JSON response schema (array of row objects) from the column spec
+ * @param {Array} columns - Column definitions
+ * @returns {Object} Gemini Schema
+ */
+const buildResponseSchema = (columns) => {
+    const properties = {};
+
+    columns.forEach(col => {
+        properties[col.name] = buildColumnSchema(col);
+    });
+
+    return {
+        type: SchemaType.ARRAY,
+        items: {
+            type: SchemaType.OBJECT,
+            properties,
+            required: columns.map(col => col.name)
+        }
+    };
+};
+
+/**
+ * Merge per-request sampling overrides (temperature, topP, topK, seed) into the base config
+ * @param {Object} overrides - Optional overrides
+ * @returns {Object} Sampling config
+ */
+const buildSamplingConfig = (overrides = {}) => {
+    const config = { ...GENERATION_CONFIG };
+
+    ['temperature', 'topP', 'topK', 'seed'].forEach(key => {
+        if (overrides[key] !== undefined && overrides[key] !== null) {
+            config[key] = overrides[key];
+        }
+    });
+
+    return config;
+};
+
+/**
+ * Build the generation config for a request, with structured output when enabled
+ * @param {Array} columns - Column definitions
+ * @param {Object} overrides - Optional sampling overrides ({ temperature, topP, topK, seed })
+ * @returns {Object} Gemini generation config
+ */
+const buildGenerationConfig = (columns, overrides = {}) => {
+    const config = buildSamplingConfig(overrides);
+
+    if (!STRUCTURED_OUTPUT_ENABLED) {
+        return config;
     }
-    return model;
+
+    return {
+        ...config,
+        responseMimeType: 'application/json',
+        responseSchema: buildResponseSchema(columns)
+    };
 };
 
 module.exports = {
+    DEFAULT_MODEL,
+    GENERATION_CONFIG,
+    STRUCTURED_OUTPUT_ENABLED,
     initializeGemini,
-    getGeminiModel
+    getGeminiModel,
+    buildResponseSchema,
+    buildSamplingConfig,
+    buildGenerationConfig
 };
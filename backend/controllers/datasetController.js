@@ -1,9 +1,46 @@
 const Dataset = require('../models/Dataset');
-const geminiService = require('../services/geminiService');
+const { runGenerationPipeline, pickGenerationSettings } = require('../services/generationPipeline');
 const { validationResult } = require('express-validator');
-const { parseSampleFile, extractSampleData, getFileExtension } = require('../services/fileService');
+const { parseSampleFile, extractSampleData, getFileExtension, formatCSVRow } = require('../services/fileService');
+const { streamRows } = require('../services/statisticalService');
+const { loadDataset, deleteDatasetParts } = require('../services/datasetStore');
 const logger = require('../utils/logger');
 const { APIError } = require('../middleware/errorHandler');
+const { getDrivingForeignKey } = require('../utils/relationalSchema');
+
+// Rows drawn per write when streaming from a synthesizer
+const STREAM_BATCH_SIZE = 5000;
+
+/**
+ * Build the generation response shared by /generate and /regenerate
+ * Bundles return generatedData and validationReport keyed by table name.
+ * @param {Object} dataset - Saved dataset
+ * @param {Object|null} referenceContext - Reference context used for the run
+ * @returns {Object} Response body
+ */
+const buildGenerationResponse = (dataset, referenceContext) => ({
+    success: true,
+    datasetId: dataset._id,
+    generatedData: dataset.isBundle
+        ? Object.fromEntries(dataset.tables.map(table => [table.name, table.generatedData]))
+        : dataset.generatedData,
+    validationReport: dataset.isBundle
+        ? Object.fromEntries(dataset.tables.map(table => [table.name, table.validationReport]))
+        : dataset.validationReport,
+    groundTruth: dataset.groundTruth,
+    run: {
+        provider: dataset.run.provider,
+        model: dataset.run.model,
+        seed: dataset.run.seed,
+        generationConfig: dataset.run.generationConfig
+    },
+    regeneratedFrom: dataset.regeneratedFrom,
+    createdAt: dataset.createdAt,
+    referenceContext: {
+        used: Boolean(referenceContext && referenceContext.referenceSources.length > 0),
+        sources: referenceContext ? referenceContext.referenceSources : []
+    }
+});
 
 /**
  * Generate dataset using Gemini API with optional Kaggle reference
@@ -11,7 +48,7 @@ const { APIError } = require('../middleware/errorHandler');
  */
 const generateDatasetController = async (req, res, next) => {
     try {
-        const { topic, description, columns, rowCount } = req.body;
+        const { topic, description, columns, rowCount, rules, correlations, tables, timeSeries, imperfections, locale, mode, fillText, provider } = req.body;
 
         // Validation
         const errors = validationResult(req);
@@ -21,64 +58,176 @@ const generateDatasetController = async (req, res, next) => {
 
         logger.info(`Received generation request for topic: ${topic}`);
 
-        // 1. Build Reference Context (Kaggle Metadata + Public APIs)
-        // This won't fail the request if it errors (graceful degradation)
-        let referenceContext = null;
-        let formattedContext = null;
-
-        try {
-            const { buildReferenceContext, formatContextForPrompt } = require('../services/referenceContextBuilder');
-
-            logger.info('Building reference context...');
-            referenceContext = await buildReferenceContext(topic, description);
-            formattedContext = formatContextForPrompt(referenceContext);
-
-            if (referenceContext && referenceContext.referenceSources.length > 0) {
-                logger.success(`Reference context built with ${referenceContext.referenceSources.length} sources`);
-            } else {
-                logger.info('No reference sources found, proceeding with Gemini-only generation');
-            }
-        } catch (refError) {
-            logger.warn(`Failed to build reference context: ${refError.message}`);
-            // Continue without reference
-        }
-
-        // 2. Generate Dataset using Gemini with Reference Context
-        const generatedData = await geminiService.generateDataset(
+        // Reference context, chunked Gemini generation and save
+        const { dataset, referenceContext } = await runGenerationPipeline({
             topic,
             description,
             columns,
             rowCount,
-            formattedContext
-        );
+            rules,
+            correlations,
+            tables,
+            timeSeries,
+            imperfections,
+            locale,
+            sample: req.sample,
+            mode,
+            fillText,
+            provider,
+            settings: pickGenerationSettings(req.body)
+        });
 
-        // 3. Save to Database
-        const dataset = new Dataset({
-            topic,
-            description,
-            columns,
-            rowCount,
-            generatedData,
-            referenceSources: referenceContext ? referenceContext.referenceSources : []
+        // Send Response
+        res.status(201).json(buildGenerationResponse(dataset, referenceContext));
+
+    } catch (error) {
+        logger.error(`Error in generateDataset: ${error.message}`);
+        next(new APIError(error.message, 500));
+    }
+};
+
+/**
+ * Replay a stored generation run, optionally with tweaked parameters
+ * The recorded prompt inputs, model, sampling settings and reference context are reused;
+ * seed, temperature, topP, topK, model, provider and rowCount can be overridden.
+ * POST /api/datasets/:id/regenerate
+ */
+const regenerateDatasetController = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const source = await Dataset.findById(id);
+
+        if (!source) {
+            throw new APIError('Dataset not found', 404);
+        }
+
+        const run = source.run || {};
+        const provider = req.body.provider || run.provider || source.provider;
+
+        // The recorded model only applies while the provider stays the same
+        const settings = {
+            ...(run.settings || {}),
+            ...(run.model && provider === run.provider ? { model: run.model } : {}),
+            ...pickGenerationSettings(req.body)
+        };
+
+        logger.info(`Regenerating dataset ${id} (provider: ${provider}, seed: ${settings.seed !== undefined ? settings.seed : 'none'})`);
+
+        // Bundles replay their table definitions; rowCount overrides only apply to single tables
+        // (time series take their size from the timestamp grid)
+        const tables = source.isBundle
+            ? source.tables.map(table => {
+                const { generatedData, validationReport, rowCount, ...definition } = table.toObject();
+                return getDrivingForeignKey(definition) ? definition : { ...definition, rowCount };
+            })
+            : undefined;
+
+        const { dataset, referenceContext } = await runGenerationPipeline({
+            topic: source.topic,
+            description: source.description,
+            columns: source.columns.map(col => col.toObject()),
+            rowCount: req.body.rowCount ?? source.rowCount,
+            rules: source.rules.map(rule => rule.toObject()),
+            correlations: source.correlations.map(correlation => correlation.toObject()),
+            tables,
+            timeSeries: source.timeSeries || undefined,
+            imperfections: source.imperfections || undefined,
+            locale: source.locale || undefined,
+            sample: source.sample || undefined,
+            mode: source.mode,
+            fillText: source.synthesizer ? source.synthesizer.fillText : undefined,
+            provider,
+            settings
+        }, {}, {
+            chunkSize: run.chunkSize,
+            referenceContext: source.run ? run.referenceContext : undefined,
+            regeneratedFrom: source._id
         });
 
-        await dataset.save();
-        logger.success(`Dataset saved with ID: ${dataset._id}`);
+        res.status(201).json(buildGenerationResponse(dataset, referenceContext));
 
-        // 4. Send Response
-        res.status(201).json({
-            success: true,
-            generatedData: dataset.generatedData,
-            createdAt: dataset.createdAt,
-            referenceContext: {
-                used: referenceContext && referenceContext.referenceSources.length > 0,
-                sources: referenceContext ? referenceContext.referenceSources : []
+    } catch (error) {
+        logger.error(`Error in regenerateDataset: ${error.message}`);
+        next(new APIError(error.message, error.statusCode || 500));
+    }
+};
+
+/**
+ * Stream further rows drawn from a statistical or hybrid dataset's synthesizer, without storing them
+ * Rows are written as NDJSON (default) or CSV in batches, waiting whenever the client falls
+ * behind. The same seed (by default, the same dataset and row count) gives the same rows.
+ * GET /api/datasets/:id/synthesize?rows=&format=&seed=
+ */
+const synthesizeRowsController = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const dataset = await Dataset.findById(id).select('-generatedData -groundTruth -run');
+
+        if (!dataset) {
+            throw new APIError('Dataset not found', 404);
+        }
+        if (!dataset.synthesizer) {
+            throw new APIError('Dataset has no synthesizer; generate it with mode statistical or hybrid', 400);
+        }
+
+        const rowCount = req.query.rows || dataset.rowCount;
+        const format = req.query.format || 'ndjson';
+        const columns = dataset.columns.map(col => col.toObject());
+        const names = columns.map(col => col.name);
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+
+        logger.info(`Streaming ${rowCount} synthesized rows of dataset ${id} as ${format}`);
+
+        res.status(200);
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${id}.${format}"`);
+        if (format === 'csv') {
+            res.write(`${formatCSVRow(names)}\n`);
+        }
+
+        const written = await streamRows({
+            _id: dataset._id,
+            columns,
+            rules: dataset.rules.map(rule => rule.toObject()),
+            locale: dataset.locale,
+            synthesizer: dataset.synthesizer
+        }, rowCount, {
+            seed: req.query.seed,
+            batchSize: STREAM_BATCH_SIZE,
+            signal: controller.signal,
+            onBatch: async (rows) => {
+                if (rows.length === 0) return;
+
+                const lines = rows.map(row => (format === 'csv' ? formatCSVRow(names.map(name => row[name])) : JSON.stringify(row)));
+                if (!res.write(`${lines.join('\n')}\n`)) {
+                    await new Promise(resolve => {
+                        const resume = () => {
+                            res.off('drain', resume);
+                            res.off('close', resume);
+                            resolve();
+                        };
+                        res.on('drain', resume);
+                        res.on('close', resume);
+                    });
+                }
             }
         });
 
+        logger.info(`Streamed ${written} synthesized rows of dataset ${id}${controller.signal.aborted ? ' before the client disconnected' : ''}`);
+        res.end();
+
     } catch (error) {
-        logger.error(`Error in generateDataset: ${error.message}`);
-        next(new APIError(error.message, 500));
+        logger.error(`Error in synthesizeRows: ${error.message}`);
+
+        // Once rows are on the way, the only way to signal failure is to cut the stream
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+        next(new APIError(error.message, error.statusCode || 500));
     }
 };
 
@@ -106,6 +255,8 @@ const uploadSampleController = async (req, res, next) => {
             success: true,
             message: 'File uploaded successfully',
             data: {
+                // Pass as sampleId to /api/generate to generate from this sample
+                sampleId: filename,
                 filename,
                 filePath,
                 fileType: fileExt,
@@ -137,9 +288,9 @@ const getDatasetsController = async (req, res, next) => {
         // Get total count
         const total = await Dataset.countDocuments();
 
-        // Get datasets (exclude large generatedData field)
+        // Get datasets (exclude large generatedData, the imperfection manifest, the synthesizer and recorded run fields)
         const datasets = await Dataset.find()
-            .select('-generatedData')
+            .select('-generatedData -tables.generatedData -groundTruth -synthesizer -run.prompt -run.referenceContext')
             .sort({ [sortBy]: sortOrder })
             .skip(skip)
             .limit(limit);
@@ -179,6 +330,9 @@ const getDatasetByIdController = async (req, res, next) => {
             throw new APIError('Dataset not found', 404);
         }
 
+        // Rows and the imperfection manifest are stored outside the dataset document
+        await loadDataset(dataset);
+
         logger.info(`Retrieved dataset: ${id}`);
 
         res.status(200).json({
@@ -206,6 +360,8 @@ const deleteDatasetController = async (req, res, next) => {
             throw new APIError('Dataset not found', 404);
         }
 
+        await deleteDatasetParts(id);
+
         logger.info(`Deleted dataset: ${id}`);
 
         res.status(200).json({
@@ -221,6 +377,8 @@ const deleteDatasetController = async (req, res, next) => {
 
 module.exports = {
     generateDatasetController,
+    regenerateDatasetController,
+    synthesizeRowsController,
     uploadSampleController,
     getDatasetsController,
     getDatasetByIdController,
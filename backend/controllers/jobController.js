@@ -0,0 +1,219 @@
+const jobService = require('../services/jobService');
+const { pickGenerationSettings } = require('../services/generationPipeline');
+const logger = require('../utils/logger');
+const { APIError } = require('../middleware/errorHandler');
+
+// Keep-alive comment interval for idle SSE connections
+const SSE_HEARTBEAT_MS = 15000;
+
+// Events after which the SSE stream is closed
+const FINAL_EVENTS = ['saved', 'failed', 'cancelled'];
+
+/**
+ * Build the final event payload for a finished job
+ * @param {Object} job - Finished job
+ * @returns {Object} Event payload
+ */
+const getFinalEvent = (job) => {
+    if (job.status === 'saved') {
+        return { status: 'saved', datasetId: job.dataset, rows: job.rowsCompleted };
+    }
+
+    if (job.status === 'cancelled') {
+        return { status: 'cancelled', rowsCompleted: job.rowsCompleted };
+    }
+
+    const lastError = job.errorLog.length > 0 ? job.errorLog[job.errorLog.length - 1].message : null;
+    return { status: 'failed', error: lastError };
+};
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} type - Event name
+ * @param {Object} data - Event payload
+ */
+const writeEvent = (res, type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Queue an asynchronous dataset generation job
+ * POST /api/jobs
+ */
+const createJobController = async (req, res, next) => {
+    try {
+        const { topic, description, columns, rowCount, rules, correlations, tables, timeSeries, imperfections, locale, mode, fillText, provider } = req.body;
+
+        const job = await jobService.createJob({
+            topic,
+            description,
+            columns,
+            rowCount,
+            rules,
+            correlations,
+            tables,
+            timeSeries,
+            imperfections,
+            locale,
+            sample: req.sample,
+            mode,
+            fillText,
+            provider,
+            settings: pickGenerationSettings(req.body)
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Generation job queued',
+            data: job.getStatus()
+        });
+
+    } catch (error) {
+        logger.error(`Error in createJob: ${error.message}`);
+        next(new APIError(error.message, 500));
+    }
+};
+
+/**
+ * Get generation job status
+ * GET /api/jobs/:id
+ */
+const getJobController = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const job = await jobService.getJob(id);
+
+        if (!job) {
+            throw new APIError('Job not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: job.getStatus()
+        });
+
+    } catch (error) {
+        logger.error(`Error in getJob: ${error.message}`);
+        next(new APIError(error.message, error.statusCode || 500));
+    }
+};
+
+/**
+ * Stream generation job progress as Server-Sent Events
+ * Events are subscribed to before the job is loaded and held until the snapshot is sent,
+ * so an event emitted meanwhile (even the final one) still reaches the client.
+ * GET /api/jobs/:id/events
+ */
+const streamJobEventsController = async (req, res, next) => {
+    let unsubscribe = null;
+
+    try {
+        const { id } = req.params;
+
+        const buffered = [];
+        let deliver = (event) => buffered.push(event);
+        unsubscribe = jobService.subscribeToJob(id, (event) => deliver(event));
+
+        const job = await jobService.getJob(id);
+
+        if (!job) {
+            throw new APIError('Job not found', 404);
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Current state first, so late subscribers catch up
+        writeEvent(res, 'snapshot', job.getStatus());
+
+        if (job.isFinished) {
+            unsubscribe();
+            writeEvent(res, job.status, getFinalEvent(job));
+            return res.end();
+        }
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+        const close = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+
+        deliver = ({ type, data }) => {
+            if (res.writableEnded) return;
+            writeEvent(res, type, data);
+
+            if (FINAL_EVENTS.includes(type)) {
+                close();
+                res.end();
+            }
+        };
+        buffered.forEach(deliver);
+
+        req.on('close', close);
+
+    } catch (error) {
+        if (unsubscribe) unsubscribe();
+        logger.error(`Error in streamJobEvents: ${error.message}`);
+        next(new APIError(error.message, error.statusCode || 500));
+    }
+};
+
+/**
+ * Cancel a queued or running generation job
+ * POST /api/jobs/:id/cancel
+ */
+const cancelJobController = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const job = await jobService.cancelJob(id);
+
+        res.status(202).json({
+            success: true,
+            message: 'Cancellation requested',
+            data: job.getStatus()
+        });
+
+    } catch (error) {
+        logger.error(`Error in cancelJob: ${error.message}`);
+        next(new APIError(error.message, error.statusCode || 500));
+    }
+};
+
+/**
+ * Resume a failed or cancelled generation job from its last finished chunk
+ * POST /api/jobs/:id/resume
+ */
+const resumeJobController = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const job = await jobService.resumeJob(id);
+
+        res.status(202).json({
+            success: true,
+            message: 'Generation job resumed',
+            data: job.getStatus()
+        });
+
+    } catch (error) {
+        logger.error(`Error in resumeJob: ${error.message}`);
+        next(new APIError(error.message, error.statusCode || 500));
+    }
+};
+
+module.exports = {
+    createJobController,
+    getJobController,
+    streamJobEventsController,
+    cancelJobController,
+    resumeJobController
+};
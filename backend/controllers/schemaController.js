@@ -0,0 +1,45 @@
+const logger = require('../utils/logger');
+const { APIError } = require('../middleware/errorHandler');
+const { parseSampleFile, getFileExtension } = require('../services/fileService');
+const { normalizeRows, inferSchema } = require('../services/sampleService');
+
+/**
+ * Propose a column list for an uploaded CSV/JSON file
+ * The upload is kept, so the returned sampleId can be passed to /api/generate.
+ * POST /api/schema/infer
+ */
+const inferSchemaController = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            throw new APIError('No file uploaded', 400);
+        }
+
+        const { filename, path: filePath } = req.file;
+        const rows = normalizeRows(await parseSampleFile(filePath, getFileExtension(filename)));
+
+        if (rows.length === 0) {
+            throw new APIError('The file has no rows', 400);
+        }
+
+        const columns = inferSchema(rows);
+        logger.info(`Inferred ${columns.length} columns from ${filename} (${rows.length} rows)`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sampleId: filename,
+                filename,
+                totalRows: rows.length,
+                columns
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in inferSchema: ${error.message}`);
+        next(new APIError(error.message, error.statusCode || 500));
+    }
+};
+
+module.exports = {
+    inferSchemaController
+};
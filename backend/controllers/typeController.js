@@ -0,0 +1,30 @@
+const logger = require('../utils/logger');
+const { APIError } = require('../middleware/errorHandler');
+const { listDatatypes } = require('../utils/datatypes');
+
+/**
+ * List the supported column datatypes with their labels, hints, JSON Schemas and export types
+ * GET /api/types
+ */
+const getTypesController = (req, res, next) => {
+    try {
+        const types = listDatatypes();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                types,
+                // array<T> accepts these item types
+                arrayItemTypes: types.filter(type => type.arrayItem).map(type => type.name)
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in getTypes: ${error.message}`);
+        next(new APIError(error.message, error.statusCode || 500));
+    }
+};
+
+module.exports = {
+    getTypesController
+};
@@ -1,5 +1,16 @@
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
-const { validateColumns, validateRowCount } = require('../utils/validators');
+const Dataset = require('../models/Dataset');
+const { MAX_ROW_COUNT, MAX_SYNTHESIZED_ROWS, GENERATION_MODES, validateColumns, validateRowCount } = require('../utils/validators');
+const { validateFeasibility } = require('../utils/columnConstraints');
+const { validateTables } = require('../utils/relationalSchema');
+const { validateRules } = require('../utils/businessRules');
+const { validateCorrelations } = require('../utils/distributions');
+const { isSeriesColumn, validateTimeSeries, countTimeSeriesRows } = require('../utils/timeSeries');
+const { validateImperfections } = require('../utils/imperfections');
+const { validateLocale } = require('../utils/locales');
+const { PROVIDER_NAMES } = require('../services/providers');
+const { resolveSample } = require('../services/sampleService');
 
 /**
  * Middleware to handle validation errors
@@ -18,6 +29,40 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+/**
+ * Optional sampling settings shared by generation and regeneration
+ */
+const generationSettingsRules = [
+    body('seed')
+        .optional()
+        .isInt({ min: 0, max: 2147483647 }).withMessage('Seed must be a non-negative integer')
+        .toInt(),
+
+    body('temperature')
+        .optional()
+        .isFloat({ min: 0, max: 2 }).withMessage('Temperature must be between 0 and 2')
+        .toFloat(),
+
+    body('topP')
+        .optional()
+        .isFloat({ min: 0, max: 1 }).withMessage('topP must be between 0 and 1')
+        .toFloat(),
+
+    body('topK')
+        .optional()
+        .isInt({ min: 1, max: 500 }).withMessage('topK must be an integer between 1 and 500')
+        .toInt(),
+
+    body('model')
+        .optional()
+        .trim()
+        .matches(/^[\w.:/-]{1,100}$/).withMessage('Model must be a model name such as gemini-3-flash-preview'),
+
+    body('provider')
+        .optional()
+        .isIn(PROVIDER_NAMES).withMessage(`Provider must be one of: ${PROVIDER_NAMES.join(', ')}`)
+];
+
 /**
  * Validation rules for dataset generation
  */
@@ -32,26 +77,266 @@ const validateGenerateDataset = [
         .notEmpty().withMessage('Description is required')
         .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
 
+    // A stored upload: its profile stands in for omitted columns and its rows become few-shot examples.
+    // Runs first so the checks below see the inferred columns.
+    body('sampleId')
+        .optional()
+        .isString().withMessage('sampleId must be the id returned by /api/uploadSample')
+        .bail()
+        .custom(async (sampleId, { req }) => {
+            if (req.body.tables !== undefined || req.body.timeSeries !== undefined) {
+                throw new Error('sampleId is only supported for single-table datasets');
+            }
+
+            // Malformed columns are reported by the columns check
+            if (req.body.columns !== undefined && !Array.isArray(req.body.columns)) {
+                return true;
+            }
+
+            const resolved = await resolveSample(sampleId, req.body.columns);
+            req.body.columns = resolved.columns;
+            req.sample = resolved.sample;
+            return true;
+        }),
+
+    // Augmentation grows the uploaded sample, so it needs one; the statistical and hybrid synthesizers model a single table
+    body('mode')
+        .optional()
+        .isIn(GENERATION_MODES).withMessage(`Mode must be one of: ${GENERATION_MODES.join(', ')}`)
+        .bail()
+        .custom((mode, { req }) => {
+            if (mode === 'augment' && req.body.sampleId === undefined) {
+                throw new Error('mode augment needs a sampleId from /api/uploadSample or /api/schema/infer');
+            }
+            if ((mode === 'statistical' || mode === 'hybrid') && (req.body.tables !== undefined || req.body.timeSeries !== undefined)) {
+                throw new Error(`mode ${mode} is only supported for single-table datasets`);
+            }
+            return true;
+        }),
+
+    // Only free text is left to the model, and only when asked
+    body('fillText')
+        .optional()
+        .isBoolean().withMessage('fillText must be true or false')
+        .bail()
+        .custom((fillText, { req }) => {
+            if (req.body.mode !== 'statistical') {
+                throw new Error('fillText is only supported with mode statistical');
+            }
+            return true;
+        })
+        .toBoolean(),
+
+    // Single table: columns + rowCount. Relational bundle: tables (each with its own columns)
+    body('tables')
+        .optional()
+        .custom((tables, { req }) => {
+            if (req.body.columns !== undefined || req.body.rowCount !== undefined) {
+                throw new Error('Provide either columns and rowCount, or tables');
+            }
+
+            const validation = validateTables(tables);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('; '));
+            }
+            return true;
+        }),
+
     body('columns')
+        .if(body('tables').not().exists())
         .isArray({ min: 1 }).withMessage('At least one column is required')
-        .custom((columns) => {
+        .custom((columns, { req }) => {
             const validation = validateColumns(columns);
             if (!validation.isValid) {
                 throw new Error(validation.errors.join('; '));
             }
+
+            if (req.body.timeSeries === undefined && columns.some(isSeriesColumn)) {
+                throw new Error('Columns with a series definition require timeSeries');
+            }
+
+            // Constraints that are valid on their own may still be impossible to meet together
+            if (Number.isInteger(req.body.rowCount)) {
+                const feasibilityErrors = validateFeasibility(columns, req.body.rowCount);
+                if (feasibilityErrors.length > 0) {
+                    throw new Error(feasibilityErrors.join('; '));
+                }
+            }
+            return true;
+        }),
+
+    body('rowCount')
+        .if(body('tables').not().exists())
+        .if(body('timeSeries').not().exists())
+        .isInt().withMessage('Row count must be an integer')
+        .custom((rowCount) => {
+            const validation = validateRowCount(rowCount);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('; '));
+            }
+            return true;
+        }),
+
+    // Time series: columns plus a timestamp grid; the row count follows from the grid and the series count
+    body('timeSeries')
+        .optional()
+        .custom((timeSeries, { req }) => {
+            if (req.body.tables !== undefined) {
+                throw new Error('Provide either tables or timeSeries');
+            }
+            if (req.body.rowCount !== undefined) {
+                throw new Error('rowCount is derived from the timestamps and entities and must be omitted');
+            }
+
+            // Invalid columns are reported by the columns check
+            if (!validateColumns(req.body.columns).isValid) {
+                return true;
+            }
+
+            const errors = validateTimeSeries(timeSeries, req.body.columns);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+
+            const rows = countTimeSeriesRows(timeSeries);
+            if (rows > MAX_ROW_COUNT) {
+                throw new Error(`timeSeries produces ${rows} rows; the maximum is ${MAX_ROW_COUNT}`);
+            }
+            return true;
+        }),
+
+    // Bundles declare rules per table, next to the columns they read
+    body('rules')
+        .optional()
+        .custom((rules, { req }) => {
+            if (req.body.tables !== undefined) {
+                throw new Error('Rules of a bundle belong on its tables');
+            }
+            if (req.body.timeSeries !== undefined) {
+                throw new Error('Rules are not supported for time series');
+            }
+
+            // Invalid columns are reported by the columns check
+            if (!validateColumns(req.body.columns).isValid) {
+                return true;
+            }
+
+            const errors = validateRules(rules, req.body.columns);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
             return true;
         }),
 
+    body('correlations')
+        .optional()
+        .custom((correlations, { req }) => {
+            if (req.body.tables !== undefined) {
+                throw new Error('Correlations of a bundle belong on its tables');
+            }
+            if (req.body.timeSeries !== undefined) {
+                throw new Error('Correlations are not supported for time series');
+            }
+
+            if (!validateColumns(req.body.columns).isValid) {
+                return true;
+            }
+
+            const errors = validateCorrelations(correlations, req.body.columns);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+            return true;
+        }),
+
+    body('imperfections')
+        .optional()
+        .custom((imperfections, { req }) => {
+            if (req.body.tables !== undefined) {
+                throw new Error('Imperfections are not supported for bundles');
+            }
+
+            if (!validateColumns(req.body.columns).isValid) {
+                return true;
+            }
+
+            const errors = validateImperfections(imperfections, req.body.columns);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+            return true;
+        }),
+
+    body('locale')
+        .optional()
+        .custom((locale) => {
+            const errors = validateLocale(locale);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+            return true;
+        }),
+
+    ...generationSettingsRules,
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for regenerating a stored dataset (every field is an optional override)
+ */
+const validateRegenerateDataset = [
     body('rowCount')
+        .optional()
         .isInt().withMessage('Row count must be an integer')
+        .bail()
+        .toInt()
         .custom((rowCount) => {
             const validation = validateRowCount(rowCount);
             if (!validation.isValid) {
                 throw new Error(validation.errors.join('; '));
             }
             return true;
+        })
+        .bail()
+        // The new size must still fit the source dataset's unique columns, as for /generate
+        // (bundles and time series take their sizes from elsewhere; a missing dataset is the controller's 404)
+        .custom(async (rowCount, { req }) => {
+            if (!mongoose.isValidObjectId(req.params.id)) return true;
+
+            const source = await Dataset.findById(req.params.id).select('columns timeSeries');
+            if (!source || source.timeSeries) return true;
+
+            const feasibilityErrors = validateFeasibility(source.columns.map(col => col.toObject()), rowCount);
+            if (feasibilityErrors.length > 0) {
+                throw new Error(feasibilityErrors.join('; '));
+            }
+            return true;
         }),
 
+    ...generationSettingsRules,
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for streaming rows from a stored synthesizer
+ */
+const validateSynthesizeRows = [
+    query('rows')
+        .optional()
+        .isInt({ min: 1, max: MAX_SYNTHESIZED_ROWS }).withMessage(`rows must be between 1 and ${MAX_SYNTHESIZED_ROWS}`)
+        .toInt(),
+
+    query('format')
+        .optional()
+        .isIn(['ndjson', 'csv']).withMessage('format must be ndjson or csv'),
+
+    query('seed')
+        .optional()
+        .isInt({ min: 0, max: 2147483647 }).withMessage('Seed must be a non-negative integer')
+        .toInt(),
+
     handleValidationErrors
 ];
 
@@ -91,6 +376,8 @@ const sanitizeInput = (req, res, next) => {
 
 module.exports = {
     validateGenerateDataset,
+    validateRegenerateDataset,
+    validateSynthesizeRows,
     validatePagination,
     sanitizeInput,
     handleValidationErrors
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MAX_ROW_COUNT, GENERATION_MODES, isValidDatatype } = require('../utils/validators');
 
 /**
  * Column Schema - Defines structure for dataset columns
@@ -12,8 +13,231 @@ const columnSchema = new mongoose.Schema({
     datatype: {
         type: String,
         required: [true, 'Column datatype is required'],
-        enum: ['string', 'number', 'boolean', 'date', 'email', 'phone', 'url', 'address', 'name', 'integer', 'float', 'percentage', 'currency'],
-        lowercase: true
+        lowercase: true,
+        validate: {
+            validator: isValidDatatype,
+            message: props => `${props.value} is not a supported datatype`
+        }
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    examples: {
+        type: String,
+        trim: true
+    },
+    kind: {
+        type: String,
+        enum: ['generated', 'derived'],
+        default: 'generated'
+    },
+    expression: {
+        type: String,
+        trim: true
+    },
+    min: Number,
+    max: Number,
+    allowedValues: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined
+    },
+    pattern: String,
+    unique: Boolean,
+    nullable: Boolean,
+    nullPercentage: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    precision: {
+        type: Number,
+        min: 0
+    },
+    dateRange: {
+        type: new mongoose.Schema({
+            start: String,
+            end: String
+        }, { _id: false }),
+        default: undefined
+    },
+    // Target distribution ({ type, ...parameters }); values are reshaped to it after generation
+    distribution: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    // Class label of a classification dataset; classWeights maps each class to its share
+    label: Boolean,
+    classWeights: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    // Behaviour of a time-series value column ({ level, trend, seasonality, noise })
+    series: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    // Locale of name, address, phone, currency and string values; overrides the dataset locale
+    locale: String
+}, { _id: false });
+
+/**
+ * Foreign Key Schema - Reference from a table column to another table's primary key
+ */
+const foreignKeySchema = new mongoose.Schema({
+    column: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    references: {
+        table: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        column: {
+            type: String,
+            trim: true
+        }
+    },
+    cardinality: {
+        type: new mongoose.Schema({
+            min: Number,
+            max: Number
+        }, { _id: false }),
+        default: undefined
+    }
+}, { _id: false });
+
+/**
+ * Business Rule Schema - Cross-column condition every row must satisfy
+ */
+const ruleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    expression: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    repair: {
+        type: new mongoose.Schema({
+            column: String,
+            expression: String
+        }, { _id: false }),
+        default: undefined
+    }
+}, { _id: false });
+
+/**
+ * Correlation Schema - Target Pearson correlation between two numeric columns
+ */
+const correlationSchema = new mongoose.Schema({
+    columns: {
+        type: [String],
+        required: true
+    },
+    coefficient: {
+        type: Number,
+        required: true,
+        min: -1,
+        max: 1
+    }
+}, { _id: false });
+
+/**
+ * Table Schema - One table of a relational dataset bundle
+ */
+const tableSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Table name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    columns: {
+        type: [columnSchema],
+        required: [true, 'At least one column is required']
+    },
+    primaryKey: {
+        type: String,
+        trim: true
+    },
+    foreignKeys: {
+        type: [foreignKeySchema],
+        default: []
+    },
+    rules: {
+        type: [ruleSchema],
+        default: []
+    },
+    correlations: {
+        type: [correlationSchema],
+        default: []
+    },
+    rowCount: {
+        type: Number,
+        default: 0
+    },
+    // Stored as DatasetPart documents (see datasetStore); only the in-memory document holds the rows
+    generatedData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: []
+    },
+    validationReport: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * Run Schema - Everything needed to replay a generation run
+ */
+const runSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        trim: true
+    },
+    model: {
+        type: String,
+        trim: true
+    },
+    generationConfig: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    seed: {
+        type: Number,
+        default: null
+    },
+    settings: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    prompt: {
+        type: String,
+        default: null
+    },
+    referenceContext: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    responseMetadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    chunkSize: {
+        type: Number
     }
 }, { _id: false });
 
@@ -35,25 +259,59 @@ const datasetSchema = new mongoose.Schema({
     },
     columns: {
         type: [columnSchema],
-        required: [true, 'At least one column is required'],
         validate: {
             validator: function (columns) {
+                // Bundles keep their columns on each table
+                if (this.tables && this.tables.length > 0) return columns.length === 0;
                 return columns && columns.length > 0 && columns.length <= 50;
             },
             message: 'Dataset must have between 1 and 50 columns'
         }
     },
+    rules: {
+        type: [ruleSchema],
+        default: []
+    },
+    correlations: {
+        type: [correlationSchema],
+        default: []
+    },
+    tables: {
+        type: [tableSchema],
+        default: []
+    },
+    // Timestamp grid, entity keys and gaps of a time-series dataset
+    timeSeries: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
     rowCount: {
         type: Number,
         required: [true, 'Row count is required'],
         min: [1, 'Row count must be at least 1'],
-        max: [1000, 'Row count cannot exceed 1000']
+        max: [MAX_ROW_COUNT, `Row count cannot exceed ${MAX_ROW_COUNT}`]
     },
     sampleFileUrl: {
         type: String,
         default: null,
         trim: true
     },
+    // Uploaded sample the dataset was generated from ({ sampleId, rowCount, columns, inferredColumns, examples })
+    sample: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // How the rows were made (see GENERATION_MODES)
+    mode: {
+        type: String,
+        enum: GENERATION_MODES,
+        default: 'topic'
+    },
+    // Fitted synthesizer of a statistical or hybrid dataset ({ source, fillText, columns, copula }); draws more rows
+    synthesizer: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
     referenceSources: [{
         sourceType: {
             type: String,
@@ -80,11 +338,46 @@ const datasetSchema = new mongoose.Schema({
             default: Date.now
         }
     }],
+    // Stored as DatasetPart documents (see datasetStore), since large datasets exceed MongoDB's
+    // 16 MB document limit; only the in-memory document holds the rows
     generatedData: {
         type: mongoose.Schema.Types.Mixed,
         required: true,
         default: []
     },
+    // Locale code, or a mix of locale codes to weights ({ "en-US": 60, "fr-FR": 40 })
+    locale: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Imperfection profile; the manifest of every corrupted cell and duplicated row is in groundTruth
+    // (its cells and duplicates are stored as DatasetPart documents, like the rows)
+    imperfections: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    groundTruth: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    validationReport: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    provider: {
+        type: String,
+        default: 'gemini',
+        trim: true
+    },
+    run: {
+        type: runSchema,
+        default: null
+    },
+    regeneratedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset',
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -99,8 +392,16 @@ const datasetSchema = new mongoose.Schema({
 datasetSchema.index({ createdAt: -1 });
 datasetSchema.index({ topic: 'text', description: 'text' });
 
-// Virtual for dataset size
+// Whether the dataset is a bundle of related tables
+datasetSchema.virtual('isBundle').get(function () {
+    return Array.isArray(this.tables) && this.tables.length > 0;
+});
+
+// Virtual for dataset size (rows across all tables for bundles)
 datasetSchema.virtual('datasetSize').get(function () {
+    if (this.isBundle) {
+        return this.tables.reduce((sum, table) => sum + (Array.isArray(table.generatedData) ? table.generatedData.length : 0), 0);
+    }
     return Array.isArray(this.generatedData) ? this.generatedData.length : 0;
 });
 
@@ -111,9 +412,32 @@ datasetSchema.methods.getMetadata = function () {
         topic: this.topic,
         description: this.description,
         columns: this.columns,
+        rules: this.rules,
+        correlations: this.correlations,
+        timeSeries: this.timeSeries,
+        locale: this.locale,
+        imperfections: this.imperfections,
+        imperfectionSummary: this.groundTruth ? this.groundTruth.summary : undefined,
+        tables: this.tables.map(table => ({
+            name: table.name,
+            primaryKey: table.primaryKey,
+            foreignKeys: table.foreignKeys,
+            rules: table.rules,
+            correlations: table.correlations,
+            rowCount: table.rowCount,
+            classHistogram: table.validationReport && table.validationReport.classes ? table.validationReport.classes.achieved : undefined
+        })),
         rowCount: this.rowCount,
+        classHistogram: this.validationReport && this.validationReport.classes ? this.validationReport.classes.achieved : undefined,
         sampleFileUrl: this.sampleFileUrl,
+        sample: this.sample ? { sampleId: this.sample.sampleId, rowCount: this.sample.rowCount, inferredColumns: this.sample.inferredColumns } : null,
+        mode: this.mode,
+        synthesizer: this.synthesizer ? { source: this.synthesizer.source, fillText: this.synthesizer.fillText } : null,
         datasetSize: this.datasetSize,
+        validationReport: this.validationReport,
+        provider: this.provider,
+        run: this.run,
+        regeneratedFrom: this.regeneratedFrom,
         createdAt: this.createdAt,
         updatedAt: this.updatedAt
     };
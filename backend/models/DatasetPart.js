@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Dataset Part Schema - A slice of a dataset's rows or imperfection manifest
+ * MongoDB caps a document at 16 MB, which a large dataset's rows exceed, so they are
+ * split over several part documents and put back together when the dataset is read.
+ */
+const datasetPartSchema = new mongoose.Schema({
+    dataset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset',
+        required: true
+    },
+    // Dataset field the items belong to: generatedData, tables.<index>.generatedData,
+    // groundTruth.cells or groundTruth.duplicates
+    path: {
+        type: String,
+        required: true
+    },
+    index: {
+        type: Number,
+        required: true
+    },
+    items: {
+        type: mongoose.Schema.Types.Mixed,
+        default: []
+    }
+});
+
+datasetPartSchema.index({ dataset: 1, path: 1, index: 1 }, { unique: true });
+
+const DatasetPart = mongoose.model('DatasetPart', datasetPartSchema);
+
+module.exports = DatasetPart;
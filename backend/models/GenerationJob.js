@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job lifecycle states, in pipeline order
+ */
+const JOB_STATUSES = ['queued', 'building-context', 'generating', 'validating', 'saved', 'failed', 'cancelled'];
+
+/**
+ * States a job never leaves
+ */
+const TERMINAL_STATUSES = ['saved', 'failed', 'cancelled'];
+
+/**
+ * States from which a job can be resumed
+ */
+const RESUMABLE_STATUSES = ['failed', 'cancelled'];
+
+/**
+ * Job Error Schema - Errors recorded while a job runs
+ */
+const jobErrorSchema = new mongoose.Schema({
+    message: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: JOB_STATUSES
+    },
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * Generation Attempt Schema - One Gemini request, including JSON repair follow-ups
+ */
+const generationAttemptSchema = new mongoose.Schema({
+    chunkIndex: {
+        type: Number,
+        default: 0
+    },
+    attempt: {
+        type: Number,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['initial', 'continue', 'fix'],
+        required: true
+    },
+    outcome: {
+        type: String,
+        enum: ['ok', 'repaired', 'truncated', 'unparseable'],
+        required: true
+    },
+    rows: {
+        type: Number,
+        default: 0
+    },
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * Generation Job Schema - Tracks an asynchronous dataset generation
+ */
+const generationJobSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'queued'
+    },
+    request: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Generation request is required']
+    },
+    rowCount: {
+        type: Number,
+        required: [true, 'Row count is required']
+    },
+    rowsCompleted: {
+        type: Number,
+        default: 0
+    },
+    errorLog: {
+        type: [jobErrorSchema],
+        default: []
+    },
+    warnings: {
+        type: [String],
+        default: []
+    },
+    chunkSize: {
+        type: Number,
+        default: null
+    },
+    // Rows of finished chunks are stored as JobChunk documents
+    chunksCompleted: {
+        type: Number,
+        default: 0
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    attemptLog: {
+        type: [generationAttemptSchema],
+        default: []
+    },
+    dataset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset',
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+generationJobSchema.index({ status: 1, createdAt: 1 });
+
+// Whether the job has finished (successfully or not)
+generationJobSchema.virtual('isFinished').get(function () {
+    return TERMINAL_STATUSES.includes(this.status);
+});
+
+// Whether the job can be resumed from its finished chunks
+generationJobSchema.virtual('isResumable').get(function () {
+    return RESUMABLE_STATUSES.includes(this.status);
+});
+
+// Method to get the job status payload returned by the API
+generationJobSchema.methods.getStatus = function () {
+    return {
+        id: this._id,
+        status: this.status,
+        rowCount: this.rowCount,
+        rowsCompleted: this.rowsCompleted,
+        chunksCompleted: this.chunksCompleted,
+        attempts: this.attempts,
+        generationAttempts: this.attemptLog,
+        resumable: this.isResumable,
+        errors: this.errorLog,
+        warnings: this.warnings,
+        datasetId: this.dataset,
+        datasetUrl: this.dataset ? `/api/datasets/${this.dataset}` : null,
+        startedAt: this.startedAt,
+        finishedAt: this.finishedAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+const GenerationJob = mongoose.model('GenerationJob', generationJobSchema);
+
+module.exports = GenerationJob;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.TERMINAL_STATUSES = TERMINAL_STATUSES;
+module.exports.RESUMABLE_STATUSES = RESUMABLE_STATUSES;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Chunk Schema - Rows of a finished chunk, kept so a job can resume
+ * Stored apart from the job document, which MongoDB caps at 16 MB, so a large job can
+ * keep every chunk it has generated.
+ */
+const jobChunkSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GenerationJob',
+        required: true
+    },
+    // Table of a relational bundle (null for single tables)
+    table: {
+        type: String,
+        default: null
+    },
+    index: {
+        type: Number,
+        required: true
+    },
+    startRow: {
+        type: Number,
+        required: true
+    },
+    rows: {
+        type: mongoose.Schema.Types.Mixed,
+        default: []
+    },
+    report: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+});
+
+jobChunkSchema.index({ job: 1, table: 1, index: 1 }, { unique: true });
+
+const JobChunk = mongoose.model('JobChunk', jobChunkSchema);
+
+module.exports = JobChunk;
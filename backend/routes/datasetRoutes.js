@@ -2,12 +2,14 @@ const express = require('express');
 const router = express.Router();
 const {
     generateDatasetController,
+    regenerateDatasetController,
+    synthesizeRowsController,
     uploadSampleController,
     getDatasetsController,
     getDatasetByIdController,
     deleteDatasetController
 } = require('../controllers/datasetController');
-const { validateGenerateDataset, validatePagination, sanitizeInput } = require('../middleware/validation');
+const { validateGenerateDataset, validateRegenerateDataset, validateSynthesizeRows, validatePagination, sanitizeInput } = require('../middleware/validation');
 const { handleUpload } = require('../middleware/upload');
 
 /**
@@ -38,6 +40,20 @@ router.get('/datasets', validatePagination, getDatasetsController);
  */
 router.get('/datasets/:id', getDatasetByIdController);
 
+/**
+ * @route   POST /api/datasets/:id/regenerate
+ * @desc    Replay a stored generation run with the same or tweaked parameters
+ * @access  Public
+ */
+router.post('/datasets/:id/regenerate', sanitizeInput, validateRegenerateDataset, regenerateDatasetController);
+
+/**
+ * @route   GET /api/datasets/:id/synthesize
+ * @desc    Stream more rows (NDJSON or CSV) from a statistical or hybrid dataset's synthesizer
+ * @access  Public
+ */
+router.get('/datasets/:id/synthesize', validateSynthesizeRows, synthesizeRowsController);
+
 /**
  * @route   DELETE /api/datasets/:id
  * @desc    Delete dataset by ID
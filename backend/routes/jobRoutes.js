@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createJobController,
+    getJobController,
+    streamJobEventsController,
+    cancelJobController,
+    resumeJobController
+} = require('../controllers/jobController');
+const { validateGenerateDataset, sanitizeInput } = require('../middleware/validation');
+
+/**
+ * @route   POST /api/jobs
+ * @desc    Queue an asynchronous dataset generation job
+ * @access  Public
+ */
+router.post('/', sanitizeInput, validateGenerateDataset, createJobController);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get generation job status and progress
+ * @access  Public
+ */
+router.get('/:id', getJobController);
+
+/**
+ * @route   GET /api/jobs/:id/events
+ * @desc    Stream generation job progress as Server-Sent Events
+ * @access  Public
+ */
+router.get('/:id/events', streamJobEventsController);
+
+/**
+ * @route   POST /api/jobs/:id/cancel
+ * @desc    Cancel a queued or running generation job
+ * @access  Public
+ */
+router.post('/:id/cancel', cancelJobController);
+
+/**
+ * @route   POST /api/jobs/:id/resume
+ * @desc    Resume a failed or cancelled job from its last finished chunk
+ * @access  Public
+ */
+router.post('/:id/resume', resumeJobController);
+
+module.exports = router;
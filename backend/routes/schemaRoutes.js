@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { inferSchemaController } = require('../controllers/schemaController');
+const { handleUpload } = require('../middleware/upload');
+
+/**
+ * @route   POST /api/schema/infer
+ * @desc    Upload a sample CSV/JSON file and propose a column list for it
+ * @access  Public
+ */
+router.post('/infer', handleUpload, inferSchemaController);
+
+module.exports = router;
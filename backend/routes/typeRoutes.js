@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getTypesController } = require('../controllers/typeController');
+
+/**
+ * @route   GET /api/types
+ * @desc    Get the column datatype registry
+ * @access  Public
+ */
+router.get('/', getTypesController);
+
+module.exports = router;
@@ -7,14 +7,18 @@ const connectDB = require('./config/database');
 const { initializeGemini } = require('./config/gemini');
 const { initializeKaggle, validateKaggleConfig } = require('./config/kaggle');
 const datasetRoutes = require('./routes/datasetRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const typeRoutes = require('./routes/typeRoutes');
+const schemaRoutes = require('./routes/schemaRoutes');
+const { recoverJobs } = require('./services/jobService');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 
 // Initialize Express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then resume generation jobs interrupted by a restart
+connectDB().then(recoverJobs);
 
 // Initialize Gemini API
 try {
@@ -84,6 +88,9 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/jobs', jobRoutes);
+app.use('/api/types', typeRoutes);
+app.use('/api/schema', schemaRoutes);
 app.use('/api', datasetRoutes);
 
 app.get('/', (req, res) => {
@@ -0,0 +1,477 @@
+const logger = require('../utils/logger');
+const batchGenerationService = require('./batchGenerationService');
+const { extractColumnPatterns } = require('./openDatasetService');
+const { loadSampleRows, profileColumn } = require('./sampleService');
+const { coerceValue, mergeReports, createUniqueIndex, indexUniqueValues } = require('./rowValidator');
+const { fitToColumn } = require('./distributionService');
+const { getGeneratedColumns } = require('./derivedColumnService');
+const { NUMERIC_DATATYPES, DATE_DATATYPES, MAX_PRECISION, isNullable, hasAllowedValues, roundTo } = require('../utils/columnConstraints');
+const { summarize, ksStatistic, pearson, empiricalQuantile, empiricalCdf } = require('../utils/distributions');
+const { parseNumeric } = require('../utils/datatypes');
+const { createRandom, hashSeed } = require('../utils/random');
+
+// Extra rows requested so near-duplicates of real rows can be dropped without a top-up
+const OVERSAMPLE_RATE = 0.2;
+const MAX_TOP_UP_ROUNDS = 2;
+const ROUND_SEED_STEP = 1000003; // Top-up rounds of a seeded run get their own seeds
+const MAX_SEED = 2147483648;
+const ROW_COUNT_KEYS = ['totalRows', 'validRows', 'droppedRows', 'reRequestedRows', 'extraKeysRemoved'];
+
+// A synthetic row is a near-duplicate of a real row when at least this share of its compared cells match;
+// numbers match within NUMERIC_TOLERANCE of the real column's range
+const NEAR_DUPLICATE_SIMILARITY = 0.9;
+const NUMERIC_TOLERANCE = 0.01;
+
+const MAX_REPORTED_CATEGORIES = 20;
+const STAT_PRECISION = 4;
+
+/**
+ * How a column is modelled from the sample
+ * @param {Object} column - Column definition
+ * @param {Object} profile - Column profile (sampleService.profileColumn)
+ * @returns {string} numeric, categorical, date or text
+ */
+const getColumnKind = (column, profile) => {
+    const datatype = String(column.datatype).toLowerCase();
+
+    if (NUMERIC_DATATYPES.includes(datatype)) return 'numeric';
+    if (DATE_DATATYPES.includes(datatype)) return 'date';
+    if (datatype === 'boolean' || hasAllowedValues(column) || (datatype === 'string' && profile.enumCandidates)) return 'categorical';
+    return 'text';
+};
+
+/**
+ * Coerce the sample's text cells to the column datatypes so real and synthetic values compare alike
+ * Cells that don't fit their datatype are kept as they are.
+ * @param {Array} rows - Normalized sample rows
+ * @param {Array} columns - Columns found in the sample
+ * @returns {Array} Typed rows holding only those columns
+ */
+const typeSampleRows = (rows, columns) => {
+    return rows.map(row => Object.fromEntries(columns.map(col => {
+        const raw = row[col.name];
+        if (raw === null || raw === undefined) return [col.name, null];
+        return [col.name, coerceValue(raw, col.datatype).value];
+    })));
+};
+
+/**
+ * Decimal places of the most precise number in a list
+ * @param {Array<number>} numbers - Numbers
+ * @returns {number} Decimal places (at most MAX_PRECISION)
+ */
+const countDecimals = (numbers) => {
+    return numbers.reduce((most, number) => {
+        const [, fraction = ''] = String(number).split('.');
+        return Math.min(MAX_PRECISION, Math.max(most, fraction.length));
+    }, 0);
+};
+
+/**
+ * Share of each value among non-null values, in percent
+ * @param {Array} values - Non-null values
+ * @returns {Object} Percentage keyed by value, most frequent first
+ */
+const frequencies = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+
+    return Object.fromEntries([...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([value, count]) => [value, roundTo(count / values.length * 100, 2)]));
+};
+
+/**
+ * Give the columns the sample's ranges, categories, category frequencies and null rates
+ * Only settings the column leaves open are filled in, so explicit constraints win and
+ * fitting a column twice changes nothing. Numeric columns keep the sorted real values,
+ * which the synthetic values are mapped onto after generation.
+ * @param {Array} columns - Column definitions
+ * @param {Array} rows - Normalized sample rows
+ * @returns {Object} { columns, fitted: [{ column, kind, values }], realRows (typed, fitted columns only) }
+ */
+const fitColumnsToSample = (columns, rows) => {
+    const identifier = batchGenerationService.findIdentifierColumn(columns);
+    const fitted = [];
+
+    const fittedColumns = columns.map(col => {
+        if (col.kind === 'derived' || !rows.some(row => row[col.name] !== null && row[col.name] !== undefined)) {
+            return col;
+        }
+
+        const profile = profileColumn(col.name, rows.map(row => (row[col.name] === undefined ? null : row[col.name])));
+        const kind = getColumnKind(col, profile);
+
+        // Identifiers continue after the sample's (see continueIdentifiers), so they keep no range
+        if (col === identifier) {
+            fitted.push({ column: col, kind, values: null });
+            return col;
+        }
+
+        const values = rows.map(row => row[col.name])
+            .filter(value => value !== null && value !== undefined)
+            .map(value => coerceValue(value, col.datatype))
+            .filter(coerced => coerced.valid)
+            .map(coerced => coerced.value);
+        const next = { ...col };
+
+        if (typeof next.nullPercentage !== 'number' && profile.nullRate > 0 && isNullable(next)) {
+            next.nullPercentage = profile.nullRate;
+        }
+
+        let quantiles = null;
+
+        if (kind === 'numeric') {
+            const numbers = values.map(parseNumeric).filter(number => number !== null).sort((a, b) => a - b);
+            if (numbers.length > 0 && typeof next.min !== 'number' && typeof next.max !== 'number') {
+                next.min = numbers[0];
+                next.max = numbers[numbers.length - 1];
+            }
+            if (numbers.length > 0 && typeof next.precision !== 'number' && next.datatype !== 'integer') {
+                next.precision = countDecimals(numbers);
+            }
+            // Declared distributions are shaped by the batch generator; unique columns must not repeat values
+            if (numbers.length > 0 && !next.distribution && !next.unique) {
+                quantiles = numbers;
+            }
+        } else if (kind === 'categorical') {
+            // Categories outside declared allowedValues can't be generated, so they get no weight
+            const weights = Object.fromEntries(Object.entries(frequencies(values))
+                .filter(([value]) => !hasAllowedValues(col) || col.allowedValues.some(option => String(option) === value)));
+            if (!hasAllowedValues(next) && next.datatype !== 'boolean' && Object.keys(weights).length > 0) {
+                next.allowedValues = Object.keys(weights);
+            }
+            if (!next.distribution && !next.unique && Object.keys(weights).length > 0) {
+                next.distribution = { type: 'categorical', weights };
+            }
+        } else if (kind === 'date' && profile.min && profile.max && !next.dateRange) {
+            next.dateRange = { start: profile.min, end: profile.max };
+        }
+
+        fitted.push({ column: next, kind, values: quantiles });
+        return next;
+    });
+
+    return {
+        columns: fittedColumns,
+        fitted,
+        realRows: typeSampleRows(rows, fitted.map(({ column }) => column))
+    };
+};
+
+/**
+ * Map each numeric column onto the real values by quantile, keeping the generated rank order
+ * Rank order carries the relationships between columns that the model produced, while the
+ * values themselves follow the sample's distribution.
+ * @param {Array} rows - Synthetic rows, updated in place
+ * @param {Array} fitted - Fitted columns from fitColumnsToSample
+ * @param {Object} random - Seeded random helpers
+ */
+const matchNumericMarginals = (rows, fitted, random) => {
+    fitted.filter(({ values }) => values).forEach(({ column, values }) => {
+        const indices = rows.map((_, index) => index).filter(index => typeof rows[index][column.name] === 'number');
+        const ranked = [...indices].sort((a, b) => rows[a][column.name] - rows[b][column.name]);
+
+        ranked.forEach((rowIndex, rank) => {
+            const u = Math.min(1, Math.max(0, (rank + random.next()) / ranked.length));
+            rows[rowIndex][column.name] = fitToColumn(empiricalQuantile(values, u), column).value;
+        });
+    });
+};
+
+/**
+ * Comparable form of a cell: numbers and timestamps stay numeric, everything else becomes normalized text
+ * @param {*} value - Cell value
+ * @param {string} kind - Column kind
+ * @returns {number|string|null} Comparable value
+ */
+const toComparable = (value, kind) => {
+    if (value === null || value === undefined) return null;
+    if (kind === 'numeric') {
+        const number = parseNumeric(value);
+        if (number !== null) return number;
+    }
+    if (kind === 'date' && !isNaN(Date.parse(value))) return Date.parse(value);
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Build the check that flags synthetic rows copying a real row
+ * Identifiers, uuids and unique columns are left out: they differ by construction, and
+ * a row that only differs there is still a copy.
+ * @param {Array} realRows - Typed real rows
+ * @param {Array} fitted - Fitted columns from fitColumnsToSample
+ * @returns {Object} { columns (compared column names), match(row) -> 'exact' | 'near' | null }
+ */
+const createDuplicateCheck = (realRows, fitted) => {
+    const identifier = batchGenerationService.findIdentifierColumn(fitted.map(({ column }) => column));
+    const compared = fitted
+        .filter(({ column }) => column !== identifier && column.datatype !== 'uuid' && !column.unique)
+        .map(({ column, kind }) => {
+            const numbers = kind === 'numeric'
+                ? realRows.map(row => parseNumeric(row[column.name])).filter(number => number !== null)
+                : [];
+            const spread = numbers.length > 0 ? numbers.reduce((a, b) => Math.max(a, b)) - numbers.reduce((a, b) => Math.min(a, b)) : 0;
+            return { name: column.name, kind, tolerance: spread * NUMERIC_TOLERANCE };
+        });
+
+    const real = realRows.map(row => compared.map(({ name, kind }) => toComparable(row[name], kind)));
+    const allowedMismatches = Math.floor(compared.length * (1 - NEAR_DUPLICATE_SIMILARITY) + 1e-9);
+
+    const cellsMatch = (a, b, tolerance) => {
+        if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) <= tolerance;
+        return a === b;
+    };
+
+    const match = (row) => {
+        if (compared.length === 0) return null;
+        const cells = compared.map(({ name, kind }) => toComparable(row[name], kind));
+        let near = false;
+
+        for (const realCells of real) {
+            let mismatches = 0;
+            let exact = true;
+
+            for (let i = 0; i < cells.length && mismatches <= allowedMismatches; i++) {
+                if (!cellsMatch(cells[i], realCells[i], compared[i].tolerance)) mismatches++;
+                else if (cells[i] !== realCells[i]) exact = false;
+            }
+
+            if (mismatches === 0 && exact) return 'exact';
+            if (mismatches <= allowedMismatches) near = true;
+        }
+
+        return near ? 'near' : null;
+    };
+
+    return { columns: compared.map(({ name }) => name), match };
+};
+
+/**
+ * Compare one column of the real and synthetic rows
+ * @param {Object} entry - Fitted column ({ column, kind })
+ * @param {Array} realRows - Typed real rows
+ * @param {Array} rows - Synthetic rows
+ * @param {Object} patterns - extractColumnPatterns of the real and synthetic rows ({ real, synthetic })
+ * @returns {Object} Column statistics ({ kind, datatype, nullRate, distinct, real, synthetic, ks | totalVariation })
+ */
+const compareColumn = ({ column, kind }, realRows, rows, patterns) => {
+    const { name } = column;
+    const present = (list) => list.map(row => row[name]).filter(value => value !== null && value !== undefined);
+    const nullRate = (list) => (list.length > 0 ? roundTo((list.length - present(list).length) / list.length * 100, 2) : 0);
+    const realPattern = patterns.real[name] || {};
+    const syntheticPattern = patterns.synthetic[name] || {};
+
+    const stats = {
+        kind,
+        datatype: { real: realPattern.datatype || null, synthetic: syntheticPattern.datatype || null },
+        nullRate: { real: nullRate(realRows), synthetic: nullRate(rows) },
+        distinct: { real: realPattern.uniqueCount || 0, synthetic: syntheticPattern.uniqueCount || 0 }
+    };
+
+    const round = (summary) => Object.fromEntries(Object.entries(summary).map(([key, value]) => [key, typeof value === 'number' ? roundTo(value, STAT_PRECISION) : value]));
+
+    if (kind === 'numeric' || kind === 'date') {
+        const toNumber = kind === 'numeric' ? parseNumeric : (value => (isNaN(Date.parse(value)) ? null : Date.parse(value)));
+        const realValues = present(realRows).map(toNumber).filter(value => value !== null).sort((a, b) => a - b);
+        const values = present(rows).map(toNumber).filter(value => value !== null);
+        const ks = realValues.length > 0 ? ksStatistic(values, empiricalCdf(realValues), column.datatype === 'integer') : null;
+
+        if (kind === 'numeric') {
+            return { ...stats, real: round(summarize(realValues)), synthetic: round(summarize(values)), ks: ks === null ? null : roundTo(ks, STAT_PRECISION) };
+        }
+
+        const range = (list) => (list.length > 0
+            ? { min: new Date(list.reduce((a, b) => Math.min(a, b))).toISOString(), max: new Date(list.reduce((a, b) => Math.max(a, b))).toISOString() }
+            : { min: null, max: null });
+        return { ...stats, real: range(realValues), synthetic: range(values), ks: ks === null ? null : roundTo(ks, STAT_PRECISION) };
+    }
+
+    if (kind === 'categorical') {
+        const real = frequencies(present(realRows));
+        const synthetic = frequencies(present(rows));
+        const categories = new Set([...Object.keys(real), ...Object.keys(synthetic)]);
+        const totalVariation = [...categories].reduce((sum, value) => sum + Math.abs((real[value] || 0) - (synthetic[value] || 0)), 0) / 200;
+        const top = (shares) => Object.fromEntries(Object.entries(shares).slice(0, MAX_REPORTED_CATEGORIES));
+
+        return { ...stats, real: top(real), synthetic: top(synthetic), totalVariation: roundTo(totalVariation, STAT_PRECISION) };
+    }
+
+    const meanLength = (values) => (values.length > 0 ? roundTo(values.reduce((sum, value) => sum + String(value).length, 0) / values.length, 2) : null);
+    return { ...stats, real: { meanLength: meanLength(present(realRows)) }, synthetic: { meanLength: meanLength(present(rows)) } };
+};
+
+/**
+ * Pearson correlation of every numeric column pair, in the real and the synthetic rows
+ * @param {Array} numericNames - Numeric column names
+ * @param {Array} realRows - Typed real rows
+ * @param {Array} rows - Synthetic rows
+ * @returns {Object} { pairs: [{ columns, real, synthetic, difference }], meanAbsoluteDifference }
+ */
+const compareCorrelations = (numericNames, realRows, rows) => {
+    const correlate = (list, a, b) => {
+        const pairs = list
+            .map(row => [parseNumeric(row[a]), parseNumeric(row[b])])
+            .filter(([x, y]) => x !== null && y !== null);
+        return pearson(pairs.map(([x]) => x), pairs.map(([, y]) => y));
+    };
+
+    const pairs = [];
+    numericNames.forEach((a, index) => {
+        numericNames.slice(index + 1).forEach(b => {
+            const real = correlate(realRows, a, b);
+            const synthetic = correlate(rows, a, b);
+            if (real === null || synthetic === null) return;
+            pairs.push({
+                columns: [a, b],
+                real: roundTo(real, STAT_PRECISION),
+                synthetic: roundTo(synthetic, STAT_PRECISION),
+                difference: roundTo(Math.abs(real - synthetic), STAT_PRECISION)
+            });
+        });
+    });
+
+    return {
+        pairs,
+        meanAbsoluteDifference: pairs.length > 0 ? roundTo(pairs.reduce((sum, pair) => sum + pair.difference, 0) / pairs.length, STAT_PRECISION) : null
+    };
+};
+
+/**
+ * Compare the synthetic rows with the real sample column by column and pair by pair
+ * @param {Array} fitted - Fitted columns from fitColumnsToSample
+ * @param {Array} realRows - Typed real rows
+ * @param {Array} rows - Synthetic rows
+ * @returns {Object} { realRows, syntheticRows, columns, correlations }
+ */
+const buildFidelityReport = (fitted, realRows, rows) => {
+    const patterns = { real: extractColumnPatterns(realRows), synthetic: extractColumnPatterns(rows) };
+    const identifier = batchGenerationService.findIdentifierColumn(fitted.map(({ column }) => column));
+    const reported = fitted.filter(({ column }) => column !== identifier);
+
+    return {
+        realRows: realRows.length,
+        syntheticRows: rows.length,
+        columns: Object.fromEntries(reported.map(entry => [entry.column.name, compareColumn(entry, realRows, rows, patterns)])),
+        correlations: compareCorrelations(reported.filter(({ kind }) => kind === 'numeric').map(({ column }) => column.name), realRows, rows)
+    };
+};
+
+/**
+ * Number the identifier column on from the largest real identifier, so the synthetic rows
+ * can be appended to the sample
+ * @param {Array} rows - Synthetic rows
+ * @param {Array} columns - Column definitions
+ * @param {Array} sampleRows - Normalized sample rows
+ * @returns {Array} Rows with continued identifiers
+ */
+const continueIdentifiers = (rows, columns, sampleRows) => {
+    const identifier = batchGenerationService.findIdentifierColumn(columns);
+    if (!identifier) return rows;
+
+    const last = sampleRows.map(row => parseNumeric(row[identifier.name])).filter(Number.isInteger).reduce((a, b) => Math.max(a, b), 0);
+    return rows.map((row, index) => ({ ...row, [identifier.name]: last + index + 1 }));
+};
+
+/**
+ * Grow an uploaded sample into `rowCount` new rows that follow its distributions
+ * The columns are fitted to the sample (ranges, categories with their frequencies, null
+ * rates, date ranges) and generated with the sample's few-shot rows. Numeric columns are then
+ * mapped onto the real values by quantile, and rows that duplicate or nearly duplicate a real
+ * row are dropped; shortfalls are topped up with further rounds. The validation report gets
+ * a `fidelity` section comparing real and synthetic statistics and the novelty counts.
+ * Chunk progress (options.onChunk, options.completedChunks) only covers the first round.
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Array} columns - Column definitions
+ * @param {number} rowCount - Synthetic rows wanted
+ * @param {Object} sample - Resolved sample ({ sampleId, examples })
+ * @param {string|null} referenceContext - Reference context for improved generation
+ * @param {Object} options - batchGenerationService.generateDataset options
+ * @returns {Promise<Object>} { rows, columns (fitted), validationReport, responseMetadata, prompt }
+ */
+const augmentSample = async (topic, description, columns, rowCount, sample, referenceContext = null, options = {}) => {
+    const sampleRows = await loadSampleRows(sample.sampleId);
+    const { columns: fittedColumns, fitted, realRows } = fitColumnsToSample(columns, sampleRows);
+    const generatedColumns = getGeneratedColumns(fittedColumns);
+    const settings = options.settings || {};
+    const random = createRandom(settings.seed !== undefined ? `${settings.seed}:augment` : hashSeed(`${topic}:${sample.sampleId}:${rowCount}`));
+    const duplicates = createDuplicateCheck(realRows, fitted);
+    const novelty = { exactDuplicates: 0, nearDuplicates: 0, similarity: NEAR_DUPLICATE_SIMILARITY, comparedColumns: duplicates.columns };
+
+    // Unique columns are only unique within one generation call; keep them unique across rounds
+    const identifier = batchGenerationService.findIdentifierColumn(generatedColumns);
+    const uniqueIndex = createUniqueIndex(generatedColumns, identifier ? [identifier.name] : []);
+    const isTaken = (row) => [...uniqueIndex].some(([name, used]) => row[name] !== null && row[name] !== undefined && used.has(String(row[name])));
+
+    logger.info(`Augmenting sample ${sample.sampleId} (${sampleRows.length} real rows) to ${rowCount} synthetic rows`);
+
+    const rounds = [];
+    let rows = [];
+
+    for (let round = 0; round <= MAX_TOP_UP_ROUNDS && rows.length < rowCount; round++) {
+        const missing = rowCount - rows.length;
+        const requested = Math.ceil(missing * (1 + OVERSAMPLE_RATE));
+
+        if (round > 0) {
+            logger.warn(`Augmentation: ${missing} rows short after dropping copies of real rows, requesting ${requested} more`);
+        }
+
+        const generated = await batchGenerationService.generateDataset(topic, description, fittedColumns, requested, referenceContext, {
+            ...options,
+            examples: sample.examples,
+            settings: round > 0 && settings.seed !== undefined ? { ...settings, seed: (settings.seed + round * ROUND_SEED_STEP) % MAX_SEED } : settings,
+            onChunk: round === 0 ? options.onChunk : undefined,
+            completedChunks: round === 0 ? options.completedChunks : undefined
+        });
+        rounds.push(generated);
+
+        // Rows are checked as generated too: a copied row is still a copy after its numbers are remapped
+        const copied = generated.rows.map(duplicates.match);
+        matchNumericMarginals(generated.rows, fitted, random);
+
+        generated.rows.forEach((row, index) => {
+            if (rows.length >= rowCount) return;
+
+            const copy = copied[index] || duplicates.match(row);
+            if (copy === 'exact') novelty.exactDuplicates++;
+            else if (copy === 'near') novelty.nearDuplicates++;
+            else if (!isTaken(row)) {
+                indexUniqueValues(uniqueIndex, row);
+                rows.push(row);
+            }
+        });
+    }
+
+    rows = continueIdentifiers(rows, generatedColumns, sampleRows);
+
+    // The first round's report carries the column targets; row counts cover every round
+    const validationReport = { ...rounds[0].validationReport };
+    if (rounds.length > 1) {
+        const merged = mergeReports(rounds.map(round => round.validationReport), generatedColumns);
+        ROW_COUNT_KEYS.forEach(key => {
+            validationReport[key] = merged[key];
+        });
+    }
+    validationReport.fidelity = { ...buildFidelityReport(fitted, realRows, rows), novelty: { ...novelty, rounds: rounds.length } };
+
+    logger.success(`Augmentation finished with ${rows.length} rows (${novelty.exactDuplicates} exact and ${novelty.nearDuplicates} near copies of real rows dropped)`);
+
+    return {
+        rows,
+        columns: fittedColumns,
+        validationReport,
+        responseMetadata: batchGenerationService.mergeResponseMetadata(rounds.map(round => round.responseMetadata)),
+        prompt: rounds[0].prompt
+    };
+};
+
+module.exports = {
+    fitColumnsToSample,
+    matchNumericMarginals,
+    createDuplicateCheck,
+    buildFidelityReport,
+    augmentSample
+};
@@ -0,0 +1,528 @@
+const logger = require('../utils/logger');
+const geminiService = require('./geminiService');
+const { extractColumnPatterns } = require('./openDatasetService');
+const { validateRows, mergeReports, createUniqueIndex, indexUniqueValues, releaseUniqueValues } = require('./rowValidator');
+const { applyNullRates } = require('../utils/columnConstraints');
+const { getGeneratedColumns, applyDerivedColumns } = require('./derivedColumnService');
+const { createRandom, hashSeed } = require('../utils/random');
+const { compileRules } = require('../utils/businessRules');
+const { enforceRules, countViolations } = require('./ruleEnforcer');
+const { applyDistributions, applyCorrelations } = require('./distributionService');
+const { findLabelColumn, planClassCounts } = require('../utils/labelColumns');
+const { isLocaleAware, planLocaleCounts } = require('../utils/locales');
+const { isStructuredDatatype } = require('../utils/datatypes');
+
+// Batching defaults (rows per Gemini call stay well inside maxOutputTokens)
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.GENERATION_CHUNK_SIZE) || 50;
+const DEFAULT_CONCURRENCY = parseInt(process.env.GENERATION_CONCURRENCY) || 3;
+const MAX_PROFILE_CATEGORIES = 15;
+const MAX_REREQUESTS = 2; // Extra Gemini calls per chunk to replace dropped rows
+
+/**
+ * Split a row count into sequential chunks
+ * @param {number} rowCount - Total number of rows
+ * @param {number} chunkSize - Maximum rows per chunk
+ * @returns {Array} Chunk descriptors ({ index, startRow, size })
+ */
+const planChunks = (rowCount, chunkSize = DEFAULT_CHUNK_SIZE) => {
+    const chunks = [];
+
+    for (let startRow = 0; startRow < rowCount; startRow += chunkSize) {
+        chunks.push({
+            index: chunks.length,
+            startRow,
+            size: Math.min(chunkSize, rowCount - startRow)
+        });
+    }
+
+    return chunks;
+};
+
+/**
+ * Split the rows into strata (class x locale) with exact counts
+ * Each class's rows are split across the locales by weight, so every class gets its
+ * share of each locale.
+ * @param {Array|null} classes - [{ value, count }] of the label column, or null
+ * @param {string|Object|undefined} locale - Dataset locale (a code or a weighted mix)
+ * @param {number} rowCount - Total number of rows
+ * @returns {Array} [{ classValue, locale, count }]
+ */
+const planStrata = (classes, locale, rowCount) => {
+    const groups = classes || [{ value: undefined, count: rowCount }];
+
+    return groups.flatMap(({ value, count }) => {
+        if (!locale) return [{ classValue: value, locale: undefined, count }];
+        return planLocaleCounts(locale, count).map(share => ({ classValue: value, locale: share.value, count: share.count }));
+    }).filter(stratum => stratum.count > 0);
+};
+
+/**
+ * Split strata into chunks that each hold a single class and locale
+ * Chunks are numbered across strata, and startRow continues from one stratum to the next.
+ * @param {Array} strata - [{ classValue, locale, count }]
+ * @param {number} chunkSize - Maximum rows per chunk
+ * @returns {Array} Chunk descriptors ({ index, startRow, size, classValue, locale })
+ */
+const planStratumChunks = (strata, chunkSize = DEFAULT_CHUNK_SIZE) => {
+    const chunks = [];
+    let offset = 0;
+
+    strata.forEach(({ classValue, locale, count }) => {
+        planChunks(count, chunkSize).forEach(chunk => {
+            chunks.push({ index: chunks.length, startRow: offset + chunk.startRow, size: chunk.size, classValue, locale });
+        });
+        offset += count;
+    });
+
+    return chunks;
+};
+
+/**
+ * Key of the stratum a chunk belongs to
+ * @param {Object} chunk - Chunk descriptor
+ * @returns {string} Class and locale key
+ */
+const stratumKey = (chunk) => `${String(chunk.classValue)}|${chunk.locale || ''}`;
+
+/**
+ * Give locale-aware columns without a locale of their own the chunk's locale,
+ * so the prompt and row validation both follow it
+ * @param {Array} columns - Column definitions
+ * @param {string|undefined} locale - Locale of the chunk
+ * @returns {Array} Locale-conditioned column definitions
+ */
+const conditionOnLocale = (columns, locale) => {
+    if (!locale) return columns;
+    return columns.map(col => (isLocaleAware(col) && !col.locale ? { ...col, locale } : col));
+};
+
+/**
+ * Count rows per locale from the chunks that produced them
+ * @param {Array} chunks - Chunk descriptors
+ * @param {Array} results - Rows of each chunk
+ * @param {Array} strata - Planned strata
+ * @returns {Object} { target, achieved } with counts keyed by locale
+ */
+const buildLocaleHistogram = (chunks, results, strata) => {
+    const target = {};
+    const achieved = {};
+
+    strata.forEach(({ locale, count }) => {
+        target[locale] = (target[locale] || 0) + count;
+        achieved[locale] = 0;
+    });
+    chunks.forEach(chunk => {
+        achieved[chunk.locale] += results[chunk.index].length;
+    });
+
+    return { target, achieved };
+};
+
+/**
+ * Restrict the label column to one class, so the prompt, the response schema and
+ * row validation all ask for that class only
+ * @param {Array} columns - Column definitions
+ * @param {Object} label - Label column
+ * @param {*} classValue - Class of the chunk
+ * @returns {Array} Class-conditioned column definitions
+ */
+const conditionOnClass = (columns, label, classValue) => {
+    return columns.map(col => (col === label ? { ...col, allowedValues: [classValue], required: true } : col));
+};
+
+/**
+ * Count rows per class of the label column
+ * @param {Array} rows - Rows
+ * @param {Object} label - Label column
+ * @param {Array} classes - Planned classes ([{ value, count }])
+ * @returns {Object} { column, target, achieved } with counts keyed by class
+ */
+const buildClassHistogram = (rows, label, classes) => {
+    const achieved = Object.fromEntries(classes.map(({ value }) => [String(value), 0]));
+    rows.forEach(row => {
+        const key = String(row[label.name]);
+        achieved[key] = (achieved[key] || 0) + 1;
+    });
+
+    return {
+        column: label.name,
+        target: Object.fromEntries(classes.map(({ value, count }) => [String(value), count])),
+        achieved
+    };
+};
+
+/**
+ * Find the column that identifies rows (first integer `id` / `*_id` column)
+ * @param {Array} columns - Column definitions
+ * @returns {Object|null} Identifier column or null
+ */
+const findIdentifierColumn = (columns) => {
+    return columns.find(col =>
+        /(^id$|_id$)/i.test(col.name) && ['integer', 'number'].includes(col.datatype)
+    ) || null;
+};
+
+/**
+ * Build a profile of the first chunk so later chunks reuse its categories and ranges
+ * @param {Array} rows - Rows generated so far
+ * @param {Array} columns - Column definitions
+ * @returns {Object} Column profile keyed by column name
+ */
+const buildChunkProfile = (rows, columns) => {
+    const patterns = extractColumnPatterns(rows);
+    const identifier = findIdentifierColumn(columns);
+    const profile = {};
+
+    columns.forEach(col => {
+        const pattern = patterns[col.name];
+        // Objects and arrays have no categories or ranges to carry over
+        if (!pattern || (identifier && identifier.name === col.name) || isStructuredDatatype(col.datatype)) return;
+
+        const values = rows.map(row => row[col.name]).filter(v => v != null);
+        const distinct = [...new Set(values.map(v => String(v)))];
+
+        // Low-cardinality text columns are treated as categories
+        if (pattern.datatype === 'string' && distinct.length <= MAX_PROFILE_CATEGORIES && distinct.length < values.length / 2) {
+            profile[col.name] = { categories: distinct };
+        } else if (pattern.valueRange) {
+            profile[col.name] = { valueRange: pattern.valueRange };
+        }
+    });
+
+    return profile;
+};
+
+/**
+ * Re-number the identifier column so IDs are sequential across chunks
+ * @param {Array} rows - Stitched rows
+ * @param {Array} columns - Column definitions
+ * @returns {Array} Rows with consistent identifiers
+ */
+const normalizeIdentifiers = (rows, columns) => {
+    const identifier = findIdentifierColumn(columns);
+    if (!identifier) return rows;
+
+    return rows.map((row, index) => ({ ...row, [identifier.name]: index + 1 }));
+};
+
+/**
+ * Derive the seed for one provider request so every chunk and re-request
+ * gets its own reproducible seed
+ * @param {number|undefined} seed - Run seed
+ * @param {number} chunkIndex - Chunk index
+ * @param {number} attempt - Re-request attempt within the chunk
+ * @returns {number|undefined} Request seed, or undefined when the run is unseeded
+ */
+const deriveSeed = (seed, chunkIndex, attempt) => {
+    if (seed === undefined || seed === null) return undefined;
+    return seed + chunkIndex * (MAX_REREQUESTS + 1) + attempt;
+};
+
+/**
+ * Create an empty summary of provider responses
+ * @returns {Object} { requests, usage, finishReasons, models }
+ */
+const createResponseMetadata = () => ({
+    requests: 0,
+    usage: {},
+    finishReasons: {},
+    models: []
+});
+
+/**
+ * Add one provider response to a response summary
+ * Token counts are summed per field, whatever naming the provider uses.
+ * @param {Object} summary - Summary updated in place
+ * @param {Object} metadata - Provider response metadata ({ model, usage, finishReason })
+ */
+const recordResponseMetadata = (summary, metadata) => {
+    summary.requests++;
+
+    Object.entries(metadata.usage || {}).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+            summary.usage[key] = (summary.usage[key] || 0) + value;
+        }
+    });
+
+    if (metadata.finishReason) {
+        summary.finishReasons[metadata.finishReason] = (summary.finishReasons[metadata.finishReason] || 0) + 1;
+    }
+
+    if (metadata.model && !summary.models.includes(metadata.model)) {
+        summary.models.push(metadata.model);
+    }
+};
+
+/**
+ * Combine several response summaries (e.g. one per table of a bundle)
+ * @param {Array} summaries - Response summaries
+ * @returns {Object} Combined summary
+ */
+const mergeResponseMetadata = (summaries) => {
+    const merged = createResponseMetadata();
+
+    summaries.forEach(summary => {
+        merged.requests += summary.requests;
+        Object.entries(summary.usage).forEach(([key, value]) => {
+            merged.usage[key] = (merged.usage[key] || 0) + value;
+        });
+        Object.entries(summary.finishReasons).forEach(([reason, count]) => {
+            merged.finishReasons[reason] = (merged.finishReasons[reason] || 0) + count;
+        });
+        summary.models.filter(model => !merged.models.includes(model)).forEach(model => merged.models.push(model));
+    });
+
+    return merged;
+};
+
+/**
+ * Run async tasks with a concurrency limit, preserving result order
+ * Once a task fails no new tasks are started; tasks already in flight finish.
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} concurrency - Maximum tasks in flight
+ * @returns {Promise<Array>} Results in task order
+ */
+const runWithConcurrency = async (tasks, concurrency) => {
+    const results = new Array(tasks.length);
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (next < tasks.length && !failed) {
+            const current = next++;
+            try {
+                results[current] = await tasks[current]();
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, worker);
+    await Promise.all(workers);
+
+    return results;
+};
+
+/**
+ * Throw if generation has been cancelled
+ * @param {AbortSignal|undefined} signal - Abort signal
+ */
+const throwIfCancelled = (signal) => {
+    if (signal && signal.aborted) {
+        const error = new Error('Generation cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+};
+
+/**
+ * Generate a dataset of any size by splitting it into chunks
+ * The first chunk is generated alone and profiled; the remaining chunks
+ * run in parallel and are told to stay within that profile. With a label column,
+ * every chunk holds a single class, so each class gets exactly its share of rows
+ * from class-conditioned prompts. A dataset locale (options.locale) works the same way:
+ * each chunk is written for one locale, and a weighted mix of locales gets exact shares.
+ * The first chunk of each class and locale is its anchor.
+ * Every chunk is validated against the columns and their constraints, and rows that
+ * fail (including duplicates of unique columns across chunks) are re-requested.
+ * Null rates are brought up to each column's nullPercentage after stitching, and
+ * derived columns are computed from the generated ones without asking the model.
+ * Rows that break a business rule (options.rules) are repaired when the rule says how,
+ * otherwise re-requested like any other invalid row. Columns with a target distribution
+ * are reshaped to it, and column pairs are reordered to reach options.correlations.
+ * Chunks listed in options.completedChunks are reused instead of regenerated.
+ * When options.settings.seed is set, each request gets a seed derived from it.
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Array} columns - Column definitions
+ * @param {number} rowCount - Number of rows
+ * @param {string|null} referenceContext - Reference context for improved generation
+ * @param {Object} options - { provider, settings, rules, correlations, locale, examples, chunkSize, concurrency, onChunk, onAttempt, signal, completedChunks }
+ * @returns {Promise<Object>} { rows, validationReport, responseMetadata, prompt }
+ */
+const generateDataset = async (topic, description, columns, rowCount, referenceContext = null, options = {}) => {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    const generatedColumns = getGeneratedColumns(columns);
+    const label = findLabelColumn(generatedColumns);
+    const classes = label ? planClassCounts(label, rowCount) : null;
+    const strata = planStrata(classes, options.locale, rowCount);
+    const chunks = planStratumChunks(strata, chunkSize);
+    const mixed = new Set(strata.map(stratum => stratum.locale)).size > 1;
+    const rules = compileRules(options.rules);
+    const completed = new Map((options.completedChunks || []).map(chunk => [chunk.index, chunk]));
+    const reports = new Array(chunks.length);
+    const settings = options.settings || {};
+    const responseMetadata = createResponseMetadata();
+    let firstPrompt = null;
+
+    // Identifier columns are renumbered after stitching, so they don't need checking
+    const identifier = findIdentifierColumn(generatedColumns);
+    const uniqueIndex = createUniqueIndex(generatedColumns, identifier ? [identifier.name] : []);
+    completed.forEach(chunk => chunk.rows.forEach(row => indexUniqueValues(uniqueIndex, row)));
+
+    logger.info(`Generating ${rowCount} rows in ${chunks.length} chunk(s) of up to ${chunkSize} rows`);
+
+    if (completed.size > 0) {
+        logger.info(`Resuming with ${completed.size} chunk(s) already generated`);
+    }
+
+    const generateChunk = async (chunk, profile) => {
+        if (completed.has(chunk.index)) {
+            const done = completed.get(chunk.index);
+            reports[chunk.index] = done.report;
+            return done.rows;
+        }
+
+        const chunkColumns = conditionOnLocale(label ? conditionOnClass(generatedColumns, label, chunk.classValue) : generatedColumns, chunk.locale);
+        const chunkContext = chunks.length > 1 || label
+            ? {
+                chunkIndex: chunk.index,
+                chunkCount: chunks.length,
+                startRow: chunk.startRow,
+                size: chunk.size,
+                totalRows: rowCount,
+                profile,
+                labelClass: label ? { column: label.name, value: chunk.classValue } : null
+            }
+            : null;
+
+        const chunkReports = [];
+        let rows = [];
+        let requested = chunk.size;
+
+        // Generate, validate, and re-request whatever was dropped
+        for (let attempt = 0; attempt <= MAX_REREQUESTS && requested > 0; attempt++) {
+            throwIfCancelled(options.signal);
+
+            const generated = await geminiService.generateDataset(
+                topic, description, chunkColumns, requested, referenceContext, chunkContext,
+                {
+                    provider: options.provider,
+                    settings: { ...settings, seed: deriveSeed(settings.seed, chunk.index, attempt) },
+                    rules: options.rules,
+                    correlations: options.correlations,
+                    locale: chunk.locale,
+                    examples: options.examples,
+                    signal: options.signal,
+                    onAttempt: options.onAttempt,
+                    onResponse: ({ prompt, metadata }) => {
+                        if (firstPrompt === null) firstPrompt = prompt;
+                        recordResponseMetadata(responseMetadata, metadata);
+                    }
+                }
+            );
+            throwIfCancelled(options.signal);
+
+            const { rows: validRows, report } = validateRows(generated.slice(0, requested), chunkColumns, uniqueIndex);
+            const checked = enforceRules(validRows, rules, columns);
+            if (rules.length > 0) {
+                checked.dropped.forEach(row => releaseUniqueValues(uniqueIndex, row));
+                report.rules = checked.report;
+                report.validRows -= checked.dropped.length;
+                report.droppedRows += checked.dropped.length;
+            }
+            if (attempt > 0) report.reRequestedRows = requested;
+            chunkReports.push(report);
+
+            rows = rows.concat(checked.rows);
+            requested = chunk.size - rows.length;
+
+            if (requested > 0 && attempt < MAX_REREQUESTS) {
+                logger.warn(`Chunk ${chunk.index + 1}: ${report.droppedRows} invalid row(s) dropped, re-requesting ${requested}`);
+            }
+        }
+
+        const report = mergeReports(chunkReports, generatedColumns);
+        reports[chunk.index] = report;
+
+        logger.info(`Chunk ${chunk.index + 1}/${chunks.length} finished with ${rows.length} rows`);
+
+        if (options.onChunk) {
+            await options.onChunk({ ...chunk, rows, report, chunkCount: chunks.length });
+        }
+
+        return rows;
+    };
+
+    const results = new Array(chunks.length);
+    const anchors = chunks.filter((chunk, index) => index === 0 || stratumKey(chunk) !== stratumKey(chunks[index - 1]));
+    const profileColumns = generatedColumns.filter(col => col !== label);
+    const profiles = new Map();
+
+    // 1. Anchor chunks (one per class and locale) define categories and ranges for the rest
+    await runWithConcurrency(anchors.map(anchor => async () => {
+        results[anchor.index] = await generateChunk(anchor, null);
+        profiles.set(stratumKey(anchor), buildChunkProfile(results[anchor.index], profileColumns));
+    }), concurrency);
+
+    // 2. Remaining chunks in parallel
+    await runWithConcurrency(chunks.filter(chunk => !anchors.includes(chunk)).map(chunk => async () => {
+        results[chunk.index] = await generateChunk(chunk, profiles.get(stratumKey(chunk)));
+    }), concurrency);
+
+    const random = createRandom(settings.seed !== undefined ? settings.seed : hashSeed(`${topic}:${rowCount}`));
+
+    // 3. Stitch (interleaving classes and locales) and keep identifiers consistent
+    const stitched = results.flat();
+    const dataset = normalizeIdentifiers(label || mixed ? random.shuffle(stitched) : stitched, generatedColumns);
+
+    if (dataset.length !== rowCount) {
+        logger.warn(`Generated ${dataset.length} rows across chunks, requested ${rowCount}`);
+    }
+
+    const validationReport = mergeReports(reports, generatedColumns);
+    if (label) {
+        validationReport.classes = buildClassHistogram(dataset, label, classes);
+    }
+    if (options.locale) {
+        validationReport.locales = buildLocaleHistogram(chunks, results, strata);
+    }
+
+    // Model output has no controlled statistics; reshape to the declared targets and record what was reached
+    Object.entries(applyDistributions(dataset, generatedColumns, random)).forEach(([name, distribution]) => {
+        validationReport.columns[name].distribution = distribution;
+    });
+    if (options.correlations && options.correlations.length > 0) {
+        validationReport.correlations = applyCorrelations(dataset, options.correlations, random);
+    }
+
+    // Models rarely produce enough nulls; top them up reproducibly
+    Object.entries(applyNullRates(dataset, generatedColumns, random)).forEach(([name, nullRate]) => {
+        validationReport.columns[name].nullRate = nullRate;
+    });
+
+    // Derived columns are computed locally, so they always agree with the generated values
+    const derived = applyDerivedColumns(dataset, columns);
+    Object.assign(validationReport.columns, derived.report);
+
+    // Added nulls (or rows exhausted by re-requests) can still break a rule; report what's left
+    if (rules.length > 0) {
+        Object.entries(countViolations(derived.rows, rules)).forEach(([name, remaining]) => {
+            validationReport.rules[name].remaining = remaining;
+        });
+    }
+
+    logger.success(`Batched generation finished with ${dataset.length} rows (${validationReport.droppedRows} invalid rows dropped)`);
+    return { rows: derived.rows, validationReport, responseMetadata, prompt: firstPrompt };
+};
+
+module.exports = {
+    DEFAULT_CHUNK_SIZE,
+    DEFAULT_CONCURRENCY,
+    planChunks,
+    planStrata,
+    planStratumChunks,
+    findIdentifierColumn,
+    buildChunkProfile,
+    normalizeIdentifiers,
+    buildClassHistogram,
+    deriveSeed,
+    createResponseMetadata,
+    recordResponseMetadata,
+    mergeResponseMetadata,
+    runWithConcurrency,
+    generateDataset
+};
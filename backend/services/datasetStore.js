@@ -0,0 +1,137 @@
+const DatasetPart = require('../models/DatasetPart');
+const logger = require('../utils/logger');
+
+// JSON bytes per part document; BSON adds little over JSON, so parts stay well below MongoDB's 16 MB limit
+const MAX_PART_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Fields of a dataset stored as parts, with accessors on the in-memory document
+ * @param {Object} dataset - Dataset document
+ * @returns {Array} [{ path, read(), write(items) }]
+ */
+const getPartFields = (dataset) => {
+    const fields = [{
+        path: 'generatedData',
+        read: () => dataset.generatedData,
+        write: (items) => { dataset.generatedData = items; }
+    }];
+
+    if (dataset.groundTruth) {
+        ['cells', 'duplicates'].forEach(key => fields.push({
+            path: `groundTruth.${key}`,
+            read: () => dataset.groundTruth[key],
+            write: (items) => { dataset.groundTruth = { ...dataset.groundTruth, [key]: items }; }
+        }));
+    }
+
+    (dataset.tables || []).forEach((table, index) => fields.push({
+        path: `tables.${index}.generatedData`,
+        read: () => table.generatedData,
+        write: (items) => { table.generatedData = items; }
+    }));
+
+    return fields;
+};
+
+/**
+ * Split items into consecutive slices of at most maxBytes of JSON each
+ * @param {Array} items - Rows or manifest entries
+ * @param {number} maxBytes - Size budget per slice
+ * @returns {Array<Array>} Slices (an item larger than the budget gets a slice of its own)
+ */
+const splitIntoParts = (items, maxBytes = MAX_PART_BYTES) => {
+    const parts = [];
+    let current = [];
+    let size = 0;
+
+    items.forEach(item => {
+        const itemSize = Buffer.byteLength(JSON.stringify(item === undefined ? null : item));
+        if (current.length > 0 && size + itemSize > maxBytes) {
+            parts.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(item);
+        size += itemSize;
+    });
+
+    if (current.length > 0) parts.push(current);
+    return parts;
+};
+
+/**
+ * Save a new dataset with its rows and imperfection manifest stored as parts
+ * The dataset document itself keeps empty arrays; the in-memory document keeps its rows,
+ * so callers can go on using them. Parts are removed again if the dataset cannot be saved.
+ * @param {Object} dataset - Unsaved dataset document holding its rows
+ * @returns {Promise<Object>} The saved dataset
+ */
+const saveDataset = async (dataset) => {
+    await dataset.validate();
+
+    const fields = getPartFields(dataset);
+    const held = fields.map(field => field.read() || []);
+    const parts = fields.flatMap((field, f) => splitIntoParts(held[f]).map((items, index) => ({
+        dataset: dataset._id,
+        path: field.path,
+        index,
+        items
+    })));
+
+    try {
+        if (parts.length > 0) {
+            await DatasetPart.insertMany(parts);
+        }
+        fields.forEach(field => field.write([]));
+        await dataset.save();
+    } catch (error) {
+        await DatasetPart.deleteMany({ dataset: dataset._id });
+        throw error;
+    } finally {
+        fields.forEach((field, f) => field.write(held[f]));
+    }
+
+    logger.debug(`Stored dataset ${dataset._id} in ${parts.length} part(s)`);
+    return dataset;
+};
+
+/**
+ * Put a dataset's stored parts back on its in-memory document
+ * Datasets saved before rows were stored as parts keep their embedded rows.
+ * @param {Object} dataset - Dataset document
+ * @returns {Promise<Object>} The same dataset, with its rows
+ */
+const loadDataset = async (dataset) => {
+    const parts = await DatasetPart.find({ dataset: dataset._id }).sort({ path: 1, index: 1 }).lean();
+    const byPath = new Map();
+
+    parts.forEach(part => {
+        if (!byPath.has(part.path)) byPath.set(part.path, []);
+        const items = byPath.get(part.path);
+        part.items.forEach(item => items.push(item));
+    });
+
+    getPartFields(dataset).forEach(field => {
+        if (byPath.has(field.path)) field.write(byPath.get(field.path));
+    });
+
+    return dataset;
+};
+
+/**
+ * Delete the stored parts of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<number>} Number of deleted parts
+ */
+const deleteDatasetParts = async (datasetId) => {
+    const { deletedCount } = await DatasetPart.deleteMany({ dataset: datasetId });
+    return deletedCount;
+};
+
+module.exports = {
+    MAX_PART_BYTES,
+    splitIntoParts,
+    saveDataset,
+    loadDataset,
+    deleteDatasetParts
+};
@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+const { isDerived, orderDerivedColumns } = require('../utils/derivedColumns');
+const { checkConstraints } = require('../utils/columnConstraints');
+const { isMissing, coerceValue } = require('./rowValidator');
+
+/**
+ * Columns the model has to write (everything except derived columns)
+ * @param {Array} columns - Column definitions
+ * @returns {Array} Generated columns
+ */
+const getGeneratedColumns = (columns) => columns.filter(col => !isDerived(col));
+
+/**
+ * Compute derived columns over generated rows
+ * Expressions run in dependency order, so derived columns can read each other.
+ * Results are coerced to the column datatype; values that fail to evaluate or
+ * coerce become null. Rows come back with keys in declared column order.
+ * @param {Array} rows - Rows with the generated columns filled in
+ * @param {Array} columns - All column definitions
+ * @returns {Object} { rows, report } - report holds per-column stats for the derived columns
+ */
+const applyDerivedColumns = (rows, columns) => {
+    const derived = orderDerivedColumns(columns);
+    const report = {};
+
+    if (derived.length === 0) {
+        return { rows, report };
+    }
+
+    derived.forEach(({ column }) => {
+        report[column.name] = { datatype: column.datatype, derived: true, valid: 0, coerced: 0, invalid: 0, missing: 0, errors: 0, violations: {} };
+    });
+
+    const computed = rows.map(row => {
+        const values = { ...row };
+
+        derived.forEach(({ column, expression }) => {
+            const stats = report[column.name];
+            let value;
+
+            try {
+                value = expression.evaluate(values);
+            } catch (error) {
+                stats.errors++;
+                values[column.name] = null;
+                return;
+            }
+
+            if (isMissing(value)) {
+                stats.missing++;
+                values[column.name] = null;
+                return;
+            }
+
+            const result = coerceValue(value, column.datatype);
+            if (!result.valid) {
+                stats.invalid++;
+                values[column.name] = null;
+                return;
+            }
+
+            // Constraints on derived columns are reported, not enforced: the inputs decide the value
+            const { value: checked, violation } = checkConstraints(result.value, column);
+            if (violation) {
+                stats.violations[violation] = (stats.violations[violation] || 0) + 1;
+            }
+
+            stats[result.coerced ? 'coerced' : 'valid']++;
+            values[column.name] = checked;
+        });
+
+        return Object.fromEntries(columns.map(col => [col.name, values[col.name] === undefined ? null : values[col.name]]));
+    });
+
+    Object.entries(report).forEach(([name, stats]) => {
+        if (stats.errors + stats.invalid > 0) {
+            logger.warn(`Derived column ${name}: ${stats.errors} evaluation error(s), ${stats.invalid} value(s) not matching ${stats.datatype}`);
+        }
+    });
+
+    return { rows: computed, report };
+};
+
+module.exports = {
+    getGeneratedColumns,
+    applyDerivedColumns
+};
@@ -0,0 +1,263 @@
+const logger = require('../utils/logger');
+const { roundTo } = require('../utils/columnConstraints');
+const {
+    inverseNormal,
+    createNumericDistribution,
+    getCategoryWeights,
+    allocateCounts,
+    summarize,
+    ksStatistic,
+    pearson
+} = require('../utils/distributions');
+const { getDatatype } = require('../utils/datatypes');
+const { coerceValue } = require('./rowValidator');
+
+// Bisection steps when searching for the reordering that hits a correlation target
+const CORRELATION_SEARCH_STEPS = 30;
+const STAT_PRECISION = 4;
+
+/**
+ * Round every number of a stats object for storage
+ * @param {Object} stats - Statistics
+ * @returns {Object} Rounded statistics
+ */
+const roundStats = (stats) => {
+    return Object.fromEntries(Object.entries(stats).map(([key, value]) => [
+        key,
+        typeof value === 'number' ? roundTo(value, STAT_PRECISION) : value
+    ]));
+};
+
+/**
+ * Clamp and round a sampled value so it still satisfies the column
+ * @param {number} value - Sampled value
+ * @param {Object} column - Column definition
+ * @returns {Object} { value, clamped }
+ */
+const fitToColumn = (value, column) => {
+    const datatype = String(column.datatype).toLowerCase();
+    const { bounds = {} } = getDatatype(datatype) || {};
+    const min = typeof column.min === 'number' ? column.min : (typeof bounds.min === 'number' ? bounds.min : -Infinity);
+    const max = typeof column.max === 'number' ? column.max : (typeof bounds.max === 'number' ? bounds.max : Infinity);
+    let fitted = Math.min(max, Math.max(min, value));
+
+    if (datatype === 'integer') {
+        fitted = Math.round(fitted);
+    } else if (typeof column.precision === 'number') {
+        fitted = roundTo(fitted, column.precision);
+    }
+
+    return { value: fitted, clamped: fitted !== value && (value < min || value > max) };
+};
+
+/**
+ * Reshape a numeric column to its target distribution by quantile mapping
+ * Values keep their rank order, so the row with the largest generated value still has the
+ * largest value afterwards; each rank gets a jittered quantile of the target distribution.
+ * @param {Array} rows - Rows, updated in place
+ * @param {Object} column - Column with a numeric distribution
+ * @param {Object} random - Seeded random helpers
+ * @returns {Object} Achieved statistics
+ */
+const shapeNumeric = (rows, column, random) => {
+    const { name, distribution } = column;
+    const target = createNumericDistribution(distribution);
+    const indices = rows.map((_, index) => index).filter(index => typeof rows[index][name] === 'number');
+    const before = summarize(indices.map(index => rows[index][name]));
+    let clamped = 0;
+
+    const ranked = [...indices].sort((a, b) => rows[a][name] - rows[b][name]);
+    ranked.forEach((rowIndex, rank) => {
+        const u = Math.min(1 - 1e-9, Math.max(1e-9, (rank + random.next()) / ranked.length));
+        const fitted = fitToColumn(target.quantile(u), column);
+        if (fitted.clamped) clamped++;
+        rows[rowIndex][name] = fitted.value;
+    });
+
+    const values = indices.map(index => rows[index][name]);
+    return {
+        target: distribution,
+        before: roundStats(before),
+        achieved: roundStats({ ...summarize(values), ks: ksStatistic(values, target.cdf, target.discrete) }),
+        clamped
+    };
+};
+
+/**
+ * Share of each value among non-null values, in percent
+ * @param {Array} values - Values
+ * @returns {Object} Percentage keyed by value
+ */
+const proportions = (values) => {
+    const counts = {};
+    values.forEach(value => {
+        counts[String(value)] = (counts[String(value)] || 0) + 1;
+    });
+
+    return Object.fromEntries(Object.entries(counts).map(([value, count]) => [value, roundTo(count / values.length * 100, 2)]));
+};
+
+/**
+ * Resample a column to categorical weights, changing as few rows as possible
+ * Rows already holding an under-represented category keep it; surplus rows and rows
+ * outside the categories are reassigned at random.
+ * @param {Array} rows - Rows, updated in place
+ * @param {Object} column - Column with a categorical (or ranked Zipf) distribution
+ * @param {Array} categories - [{ value, weight }] with string values
+ * @param {Object} random - Seeded random helpers
+ * @returns {Object} Achieved proportions
+ */
+const shapeCategorical = (rows, column, categories, random) => {
+    const { name } = column;
+    const indices = rows.map((_, index) => index).filter(index => rows[index][name] !== null && rows[index][name] !== undefined);
+    const before = proportions(indices.map(index => rows[index][name]));
+    const counts = allocateCounts(categories, indices.length);
+
+    // Category labels are strings (JSON keys); store them in the column's own type
+    const typed = categories.map(({ value }) => {
+        const allowed = (column.allowedValues || []).find(option => String(option) === value);
+        if (allowed !== undefined) return allowed;
+        const coerced = coerceValue(value, column.datatype);
+        return coerced.valid ? coerced.value : value;
+    });
+
+    const groups = categories.map(() => []);
+    let free = [];
+
+    indices.forEach(index => {
+        const category = categories.findIndex(({ value }) => value === String(rows[index][name]));
+        if (category === -1) free.push(index);
+        else groups[category].push(index);
+    });
+
+    const kept = groups.map((group, category) => {
+        free = free.concat(random.shuffle(group).slice(counts[category]));
+        return Math.min(group.length, counts[category]);
+    });
+
+    const reassigned = random.shuffle(free);
+    reassigned.forEach(index => {
+        const category = kept.findIndex((count, position) => count < counts[position]);
+        rows[index][name] = typed[category];
+        kept[category]++;
+    });
+
+    const weightSum = categories.reduce((sum, category) => sum + category.weight, 0);
+    return {
+        target: Object.fromEntries(categories.map(({ value, weight }) => [value, roundTo(weight / weightSum * 100, 2)])),
+        before,
+        achieved: proportions(indices.map(index => rows[index][name])),
+        changed: reassigned.length
+    };
+};
+
+/**
+ * Reshape every column that declares a target distribution
+ * Nulls are left alone, so null rates are unaffected.
+ * @param {Array} rows - Rows, updated in place
+ * @param {Array} columns - Column definitions
+ * @param {Object} random - Seeded random helpers
+ * @returns {Object} Statistics keyed by column name ({ type, target, before, achieved, ... })
+ */
+const applyDistributions = (rows, columns, random) => {
+    const report = {};
+
+    columns.filter(col => col.distribution).forEach(col => {
+        const categories = getCategoryWeights(col.distribution, col);
+        const stats = categories
+            ? shapeCategorical(rows, col, categories, random)
+            : shapeNumeric(rows, col, random);
+
+        report[col.name] = { type: col.distribution.type, ...stats };
+    });
+
+    return report;
+};
+
+/**
+ * Reorder a column's values so it correlates with another column
+ * The values of the second column are only permuted between rows, so its distribution is
+ * unchanged. Rows are ranked by a latent score mixing the first column's normal scores with
+ * seeded noise; the mixing weight is searched until the Pearson correlation hits the target.
+ * @param {Array} rows - Rows, updated in place
+ * @param {Object} correlation - { columns: [a, b], coefficient }
+ * @param {Object} random - Seeded random helpers
+ * @returns {Object} { columns, target, before, achieved }
+ */
+const correlatePair = (rows, correlation, random) => {
+    const [a, b] = correlation.columns;
+    const indices = rows.map((_, index) => index)
+        .filter(index => typeof rows[index][a] === 'number' && typeof rows[index][b] === 'number');
+    const xs = indices.map(index => rows[index][a]);
+    const ys = indices.map(index => rows[index][b]);
+    const before = pearson(xs, ys);
+    const result = { columns: correlation.columns, target: correlation.coefficient, before, achieved: before };
+
+    if (before === null) {
+        return result;
+    }
+
+    const n = indices.length;
+    const scores = new Array(n);
+    [...xs.keys()].sort((i, j) => xs[i] - xs[j]).forEach((position, rank) => {
+        scores[position] = inverseNormal((rank + 0.5) / n);
+    });
+    const noise = indices.map(() => random.normal());
+    const sortedYs = [...ys].sort((p, q) => p - q);
+
+    const arrange = (rho) => {
+        const mix = Math.sqrt(1 - rho * rho);
+        const latent = scores.map((score, position) => rho * score + mix * noise[position]);
+        const arranged = new Array(n);
+        [...latent.keys()].sort((i, j) => latent[i] - latent[j]).forEach((position, rank) => {
+            arranged[position] = sortedYs[rank];
+        });
+        return arranged;
+    };
+
+    let low = -1;
+    let high = 1;
+    let best = { values: ys, gap: Math.abs(before - correlation.coefficient), achieved: before };
+
+    for (let step = 0; step < CORRELATION_SEARCH_STEPS; step++) {
+        const rho = (low + high) / 2;
+        const values = arrange(rho);
+        const achieved = pearson(xs, values);
+        const gap = Math.abs(achieved - correlation.coefficient);
+
+        if (gap < best.gap) best = { values, gap, achieved };
+        if (achieved < correlation.coefficient) low = rho;
+        else high = rho;
+    }
+
+    indices.forEach((index, position) => {
+        rows[index][b] = best.values[position];
+    });
+
+    return { ...result, before: roundTo(before, STAT_PRECISION), achieved: roundTo(best.achieved, STAT_PRECISION) };
+};
+
+/**
+ * Reorder columns to reach pairwise correlation targets
+ * @param {Array} rows - Rows, updated in place
+ * @param {Array} correlations - Correlation definitions ({ columns: [a, b], coefficient })
+ * @param {Object} random - Seeded random helpers
+ * @returns {Array} Achieved correlations
+ */
+const applyCorrelations = (rows, correlations, random) => {
+    return correlations.map(correlation => {
+        const result = correlatePair(rows, correlation, random);
+
+        if (result.achieved === null) {
+            logger.warn(`Correlation ${correlation.columns.join('/')}: a column has no variation, target not applied`);
+        }
+
+        return result;
+    });
+};
+
+module.exports = {
+    fitToColumn,
+    applyDistributions,
+    applyCorrelations
+};
@@ -109,8 +109,23 @@ const getFileExtension = (filename) => {
     return path.extname(filename).toLowerCase().replace('.', '');
 };
 
+/**
+ * Format one CSV line, quoting cells that hold a comma, quote or line break
+ * Missing values become empty cells; objects and arrays are written as JSON.
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line without a line ending
+ */
+const formatCSVRow = (values) => {
+    return values.map(value => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+};
+
 module.exports = {
     parseCSV,
+    formatCSVRow,
     parseJSON,
     parseSampleFile,
     extractSampleData,
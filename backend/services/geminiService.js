@@ -1,5 +1,16 @@
-const { getGeminiModel } = require('../config/gemini');
+const { getProvider } = require('./providers');
 const logger = require('../utils/logger');
+const { parseDatasetResponse, cleanResponseText } = require('../utils/jsonRepair');
+const { describeConstraints } = require('../utils/columnConstraints');
+const { describeRules } = require('../utils/businessRules');
+const { describeDistribution, describeCorrelations } = require('../utils/distributions');
+const { describeLocale, describeRowLocale } = require('../utils/locales');
+const { describeDatatype } = require('../utils/datatypes');
+
+// Follow-up requests when a response is malformed or truncated
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.GEMINI_REPAIR_ATTEMPTS) || 2;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_FIX_PROMPT_CHARS = 20000;
 
 /**
  * Build the prompt for Gemini
@@ -8,12 +19,18 @@ const logger = require('../utils/logger');
  * @param {Array} columns - Column definitions
  * @param {number} rowCount - Number of rows
  * @param {string|null} referenceContext - Formatted reference context string
+ * @param {Object|null} chunkContext - Position of this chunk within a batched generation
+ * @param {Object} guidance - Dataset-level instructions ({ rules, correlations, locale, examples, fillRows })
  * @returns {string} The constructed prompt
  */
-const buildPrompt = (topic, description, columns, rowCount, referenceContext) => {
-    const columnSpecs = columns.map(col =>
-        `- ${col.name} (${col.datatype}): ${col.examples || 'generate realistic values'}`
-    ).join('\n');
+const buildPrompt = (topic, description, columns, rowCount, referenceContext, chunkContext = null, guidance = {}) => {
+    const { rules = [], correlations = [], locale = null, examples = [], fillRows = [] } = guidance;
+    const columnSpecs = columns.map(col => {
+        // The distribution is a hint only; values are reshaped to it after generation
+        const constraints = [describeDatatype(col), ...describeConstraints(col), ...describeLocale(col), describeDistribution(col.distribution)].filter(Boolean);
+        const spec = `- ${col.name} (${col.datatype}): ${col.examples || 'generate realistic values'}`;
+        return constraints.length > 0 ? `${spec} [${constraints.join('; ')}]` : spec;
+    }).join('\n');
 
     let prompt = `Generate a realistic dataset for the topic: "${topic}"\n`;
     prompt += `Description: ${description}\n\n`;
@@ -27,8 +44,44 @@ const buildPrompt = (topic, description, columns, rowCount, referenceContext) =>
     prompt += `Columns:\n${columnSpecs}\n\n`;
     prompt += `Number of rows: ${rowCount}\n\n`;
 
+    if (locale) {
+        prompt += `LOCALE:\n${describeRowLocale(locale)}\n\n`;
+    }
+
+    if (rules.length > 0) {
+        prompt += `RULES (every row must satisfy all of them):\n`;
+        prompt += describeRules(rules).map(rule => `- ${rule}`).join('\n') + '\n\n';
+    }
+
+    if (correlations.length > 0) {
+        prompt += `CORRELATIONS:\n`;
+        prompt += describeCorrelations(correlations).map(line => `- ${line}`).join('\n') + '\n\n';
+    }
+
+    // Few-shot rows from the user's sample show style and formats; copying them would leak the sample
+    if (examples.length > 0) {
+        prompt += `EXAMPLE ROWS (from the user's own data; match their style, formats and value ranges):\n`;
+        prompt += examples.map(row => JSON.stringify(row)).join('\n') + '\n';
+        prompt += `Do not copy these rows or their distinctive values (names, identifiers, free text); every generated row must be new.\n\n`;
+    }
+
+    // The other columns were sampled locally; only the listed columns are written, one row per given row
+    if (fillRows.length > 0) {
+        prompt += `ROWS TO COMPLETE (the other columns of each row, already fixed):\n`;
+        prompt += fillRows.map(row => JSON.stringify(row)).join('\n') + '\n';
+        prompt += `Return exactly one object per row above, in the same order, with values that fit that row.\n\n`;
+    }
+
+    // Keep batched chunks consistent with each other
+    if (chunkContext) {
+        prompt += formatChunkContext(chunkContext);
+    }
+
     prompt += `OUTPUT FORMAT:\n`;
     prompt += `Return ONLY a valid JSON array of objects. Each object should represent one row.\n`;
+    prompt += `Each object must have exactly these keys: ${columns.map(col => col.name).join(', ')}.\n`;
+    prompt += `Numbers, integers, percentages and currency amounts must be JSON numbers; booleans must be true/false.\n`;
+    prompt += `Every constraint in [brackets] is mandatory; use JSON null for a missing value.\n`;
     prompt += `Do not include markdown formatting, code blocks, or explanations.\n`;
     prompt += `Example: [{"col1": "val1", "col2": 10}, ...]\n`;
 
@@ -36,59 +89,309 @@ const buildPrompt = (topic, description, columns, rowCount, referenceContext) =>
 };
 
 /**
- * Generate dataset using Gemini
+ * Format batching instructions for a single chunk
+ * @param {Object} chunkContext - { chunkIndex, chunkCount, startRow, totalRows, profile, labelClass }
+ * @returns {string} Formatted chunk instructions
+ */
+const formatChunkContext = (chunkContext) => {
+    const { chunkIndex, chunkCount, startRow, totalRows, profile, labelClass } = chunkContext;
+
+    let formatted = `BATCH CONTEXT:\n`;
+    if (chunkCount > 1) {
+        formatted += `This is part ${chunkIndex + 1} of ${chunkCount} of a ${totalRows}-row dataset.\n`;
+        formatted += `These rows are rows ${startRow + 1} to ${startRow + chunkContext.size} of the full dataset.\n`;
+        formatted += `Sequential identifiers must start at ${startRow + 1}.\n`;
+    }
+
+    // Class-conditioned chunks: the other columns should look like real examples of the class
+    if (labelClass) {
+        formatted += `Every row in this part belongs to the class ${labelClass.column} = ${JSON.stringify(labelClass.value)}. `;
+        formatted += `Make all other columns typical of rows in that class.\n`;
+    }
+
+    if (profile && Object.keys(profile).length > 0) {
+        formatted += `Stay consistent with the rows already generated:\n`;
+        Object.entries(profile).forEach(([name, stats]) => {
+            if (stats.categories) {
+                formatted += `- ${name}: reuse categories such as ${stats.categories.join(', ')}\n`;
+            } else if (stats.valueRange) {
+                formatted += `- ${name}: keep values around ${stats.valueRange.min} to ${stats.valueRange.max}\n`;
+            }
+        });
+    }
+
+    return `${formatted}\n`;
+};
+
+/**
+ * Build a follow-up prompt asking the model to continue a truncated response
+ * @param {string} originalPrompt - Prompt of the first request
+ * @param {Array} rows - Complete rows received so far
+ * @param {number} remaining - Rows still needed
+ * @returns {string} Continuation prompt
+ */
+const buildContinuationPrompt = (originalPrompt, rows, remaining) => {
+    let prompt = originalPrompt;
+    prompt += `\nYour previous response was cut off after ${rows.length} complete rows.\n`;
+    prompt += `The last complete row was: ${JSON.stringify(rows[rows.length - 1])}\n`;
+    prompt += `Continue the SAME dataset from row ${rows.length + 1}: return ONLY a JSON array with the remaining ${remaining} rows.\n`;
+    return prompt;
+};
+
+/**
+ * Build a follow-up prompt asking the model to fix invalid JSON
+ * @param {string} brokenText - The unparseable response
+ * @param {Array} columns - Column definitions
+ * @returns {string} Fix prompt
+ */
+const buildFixJsonPrompt = (brokenText, columns) => {
+    let prompt = `The following text should be a JSON array of objects with the keys ${columns.map(col => col.name).join(', ')}, but it is not valid JSON.\n`;
+    prompt += `Return ONLY the corrected JSON array. Do not include markdown formatting, code blocks, or explanations.\n\n`;
+    prompt += brokenText.substring(0, MAX_FIX_PROMPT_CHARS);
+    return prompt;
+};
+
+/**
+ * Wait before a retry, stopping early if the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|undefined} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+const backoff = (ms, signal) => {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(new Error('Generation cancelled'));
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Generation cancelled'));
+        };
+
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+};
+
+/**
+ * Send a prompt for rows and collect them, repairing malformed or truncated responses
+ * Malformed or truncated JSON is repaired locally first; if rows are still missing,
+ * a bounded number of "continue" or "fix this JSON" follow-ups are sent with backoff.
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Prompt of the first request
+ * @param {Array} columns - Column definitions of the expected rows
+ * @param {number} rowCount - Number of rows
+ * @param {Object} options - { settings, signal, onAttempt(attempt), onResponse(response) }
+ * @param {number} chunkIndex - Chunk the request belongs to, for attempt reports
+ * @returns {Promise<Array>} Rows (at least one)
+ */
+const requestRows = async (provider, prompt, columns, rowCount, options, chunkIndex = 0) => {
+    let rows = [];
+    let nextPrompt = prompt;
+    let kind = 'initial';
+
+    for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+        if (attempt > 1) {
+            await backoff(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 2), options.signal);
+        }
+
+        const { text, metadata } = await provider.generate({
+            prompt: nextPrompt,
+            columns,
+            rowCount: kind === 'continue' ? rowCount - rows.length : rowCount,
+            signal: options.signal,
+            settings: options.settings
+        });
+
+        if (typeof options.onResponse === 'function') {
+            options.onResponse({ prompt: nextPrompt, kind, metadata: metadata || {} });
+        }
+
+        const parsed = parseDatasetResponse(text);
+
+        // A fixed response replaces what we had; a continuation extends it
+        rows = kind === 'fix' ? parsed.rows : rows.concat(parsed.rows);
+
+        let outcome = 'ok';
+        if (!parsed.complete) {
+            outcome = parsed.rows.length > 0 ? 'truncated' : 'unparseable';
+        } else if (parsed.repaired) {
+            outcome = 'repaired';
+        }
+
+        recordAttempt(options.onAttempt, {
+            chunkIndex,
+            attempt,
+            kind,
+            outcome,
+            rows: parsed.rows.length
+        });
+
+        if (outcome !== 'ok') {
+            logger.warn(`Gemini response ${outcome} on ${kind} attempt ${attempt} (${parsed.rows.length} rows recovered)`);
+            logger.debug(`Raw response: ${text.substring(0, 200)}...`);
+        }
+
+        if (parsed.complete || rows.length >= rowCount) {
+            break;
+        }
+
+        if (rows.length > 0) {
+            nextPrompt = buildContinuationPrompt(prompt, rows, rowCount - rows.length);
+            kind = 'continue';
+        } else {
+            nextPrompt = buildFixJsonPrompt(cleanResponseText(text), columns);
+            kind = 'fix';
+        }
+    }
+
+    if (rows.length === 0) {
+        throw new Error('Failed to generate valid JSON dataset');
+    }
+
+    return rows;
+};
+
+/**
+ * Generate dataset using the configured LLM provider (single logical request)
+ * Providers with structured output constrain the response to a JSON schema built from the columns.
  * @param {string} topic - Dataset topic
  * @param {string} description - Dataset description
  * @param {Array} columns - Column definitions
  * @param {number} rowCount - Number of rows
  * @param {string|null} referenceContext - Reference context for improved generation
+ * @param {Object|null} chunkContext - Position of this chunk within a batched generation
+ * @param {Object} options - { provider, settings, rules, correlations, locale, examples, fillRows, signal, onAttempt(attempt), onResponse(response) }
  * @returns {Promise<Array>} The generated dataset
  */
-const generateDataset = async (topic, description, columns, rowCount, referenceContext = null) => {
+const generateDataset = async (topic, description, columns, rowCount, referenceContext = null, chunkContext = null, options = {}) => {
     try {
-        const model = getGeminiModel();
+        const provider = getProvider(options.provider);
 
-        logger.info(`Generating dataset for topic: ${topic} with ${rowCount} rows`);
+        logger.info(`Generating dataset for topic: ${topic} with ${rowCount} rows (provider: ${provider.name})`);
 
-        const prompt = buildPrompt(topic, description, columns, rowCount, referenceContext);
+        const prompt = buildPrompt(topic, description, columns, rowCount, referenceContext, chunkContext, {
+            rules: options.rules,
+            correlations: options.correlations,
+            locale: options.locale,
+            examples: options.examples,
+            fillRows: options.fillRows
+        });
 
         logger.debug(`Prompt built: ${prompt.substring(0, 500)}...`);
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
+        const rows = await requestRows(provider, prompt, columns, rowCount, options, chunkContext ? chunkContext.chunkIndex : 0);
 
-        // Clean up the response (remove code blocks if present)
-        const cleanedText = text.replace(/```json/g, '').replace(/```/g, '').trim();
+        // Validate row count (Gemini might generate slightly different count)
+        if (rows.length !== rowCount) {
+            logger.warn(`Generated ${rows.length} rows, requested ${rowCount}`);
+        }
 
-        try {
-            const dataset = JSON.parse(cleanedText);
+        logger.success(`Successfully generated ${rows.length} rows`);
+        return rows;
 
-            if (!Array.isArray(dataset)) {
-                throw new Error('Response is not an array');
-            }
+    } catch (error) {
+        logger.error(`Dataset generation failed: ${error.message}`);
+        throw error;
+    }
+};
 
-            // Validate row count (Gemini might generate slightly different count)
-            if (dataset.length !== rowCount) {
-                logger.warn(`Generated ${dataset.length} rows, requested ${rowCount}`);
-            }
+/**
+ * Build the prompt asking for a pool of values for one column
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Object} column - Column definition
+ * @param {number} poolSize - Number of values
+ * @param {string|null} referenceContext - Formatted reference context string
+ * @param {string|undefined} locale - Locale the values are written for
+ * @returns {string} The constructed prompt
+ */
+const buildPoolPrompt = (topic, description, column, poolSize, referenceContext, locale) => {
+    const constraints = [describeDatatype(column), ...describeConstraints(column), ...describeLocale(column)].filter(Boolean);
+    const spec = `- ${column.name} (${column.datatype}): ${column.examples || 'realistic values'}`;
 
-            logger.success(`Successfully generated ${dataset.length} rows`);
-            return dataset;
+    let prompt = `Generate a pool of realistic values for one column of a dataset about the topic: "${topic}"\n`;
+    prompt += `Description: ${description}\n\n`;
 
-        } catch (parseError) {
-            logger.error(`Failed to parse Gemini response: ${parseError.message}`);
-            logger.debug(`Raw response: ${text.substring(0, 200)}...`);
-            throw new Error('Failed to generate valid JSON dataset');
-        }
+    if (referenceContext) {
+        prompt += referenceContext;
+    }
+
+    prompt += `COLUMN:\n${constraints.length > 0 ? `${spec} [${constraints.join('; ')}]` : spec}\n\n`;
+
+    if (locale) {
+        prompt += `LOCALE:\n${describeRowLocale(locale)}\n\n`;
+    }
+
+    prompt += `Return ${poolSize} distinct values this column could hold in real data, covering common and rare values and the variety of styles real data shows.\n`;
+    prompt += `Give each value a "weight" from 1 (rare) to 100 (very common): how often it appears in real data.\n\n`;
+
+    prompt += `OUTPUT FORMAT:\n`;
+    prompt += `Return ONLY a valid JSON array of objects with exactly the keys "value" and "weight".\n`;
+    prompt += `Every constraint in [brackets] is mandatory. Do not include markdown formatting, code blocks, or explanations.\n`;
+    prompt += `Example: [{"value": "val1", "weight": 40}, ...]\n`;
+
+    return prompt;
+};
+
+/**
+ * Ask the configured LLM provider for a weighted pool of values for one column
+ * The alternative to generateDataset's all-in-one prompt: one request per column, whose
+ * values are then combined into rows locally. Entries are returned as the model wrote them.
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Object} column - Column definition
+ * @param {number} poolSize - Number of values
+ * @param {string|null} referenceContext - Reference context for improved generation
+ * @param {Object} options - { provider, settings, locale, signal, onAttempt(attempt), onResponse(response) }
+ * @returns {Promise<Array>} Pool entries ({ value, weight })
+ */
+const generateValuePool = async (topic, description, column, poolSize, referenceContext = null, options = {}) => {
+    try {
+        const provider = getProvider(options.provider);
+
+        logger.info(`Generating a pool of ${poolSize} values for column ${column.name} (provider: ${provider.name})`);
+
+        const prompt = buildPoolPrompt(topic, description, column, poolSize, referenceContext, options.locale);
+        const poolColumns = [
+            { name: 'value', datatype: column.datatype, required: true, examples: column.examples, min: column.min, max: column.max, pattern: column.pattern, locale: options.locale },
+            { name: 'weight', datatype: 'integer', required: true, min: 1, max: 100 }
+        ];
+
+        const entries = await requestRows(provider, prompt, poolColumns, poolSize, options);
+        logger.success(`Generated ${entries.length} pool values for column ${column.name}`);
+        return entries;
 
     } catch (error) {
-        logger.error(`Gemini generation failed: ${error.message}`);
+        logger.error(`Value pool generation failed for column ${column.name}: ${error.message}`);
         throw error;
     }
 };
 
+/**
+ * Report a generation attempt to the caller without letting a listener break generation
+ * @param {Function|undefined} onAttempt - Attempt callback
+ * @param {Object} attempt - { chunkIndex, attempt, kind, outcome, rows }
+ */
+const recordAttempt = (onAttempt, attempt) => {
+    if (typeof onAttempt !== 'function') return;
+
+    Promise.resolve()
+        .then(() => onAttempt(attempt))
+        .catch(error => logger.warn(`Attempt listener failed: ${error.message}`));
+};
+
 module.exports = {
     buildPrompt,
-    generateDataset
+    buildContinuationPrompt,
+    buildFixJsonPrompt,
+    buildPoolPrompt,
+    generateDataset,
+    generateValuePool
 };
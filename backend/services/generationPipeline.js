@@ -0,0 +1,381 @@
+const Dataset = require('../models/Dataset');
+const batchGenerationService = require('./batchGenerationService');
+const relationalGenerationService = require('./relationalGenerationService');
+const timeSeriesService = require('./timeSeriesService');
+const augmentationService = require('./augmentationService');
+const statisticalService = require('./statisticalService');
+const { DEFAULT_CHUNK_SIZE } = require('./batchGenerationService');
+const { applyImperfections } = require('./imperfectionService');
+const { saveDataset } = require('./datasetStore');
+const { getProvider } = require('./providers');
+const { createRandom } = require('../utils/random');
+const logger = require('../utils/logger');
+
+// Percentage points a column's null rate may exceed its target before a warning
+const NULL_RATE_TOLERANCE = 5;
+/**
+ * Notify a pipeline hook if it was provided
+ * @param {Function|undefined} hook - Hook function
+ * @param {...*} args - Hook arguments
+ */
+const notify = async (hook, ...args) => {
+    if (typeof hook === 'function') {
+        await hook(...args);
+    }
+};
+
+/**
+ * Build the reference context without ever failing the generation
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Function|null} onStep - Optional reference step callback
+ * @returns {Promise<Object>} { referenceContext, formattedContext }
+ */
+const buildContext = async (topic, description, onStep = null) => {
+    let referenceContext = null;
+    let formattedContext = null;
+
+    try {
+        const { buildReferenceContext, formatContextForPrompt } = require('./referenceContextBuilder');
+
+        logger.info('Building reference context...');
+        referenceContext = await buildReferenceContext(topic, description, onStep);
+        formattedContext = formatContextForPrompt(referenceContext);
+
+        if (referenceContext && referenceContext.referenceSources.length > 0) {
+            logger.success(`Reference context built with ${referenceContext.referenceSources.length} sources`);
+        } else {
+            logger.info('No reference sources found, proceeding with Gemini-only generation');
+        }
+    } catch (refError) {
+        logger.warn(`Failed to build reference context: ${refError.message}`);
+        // Continue without reference
+    }
+
+    return { referenceContext, formattedContext };
+};
+
+/**
+ * Pick the sampling settings a generation request may override
+ * @param {Object} body - Request body
+ * @returns {Object} { seed, temperature, topP, topK, model } with unset keys omitted
+ */
+const pickGenerationSettings = (body = {}) => {
+    const settings = {};
+
+    ['seed', 'temperature', 'topP', 'topK', 'model'].forEach(key => {
+        if (body[key] !== undefined && body[key] !== null && body[key] !== '') {
+            settings[key] = body[key];
+        }
+    });
+
+    return settings;
+};
+
+/**
+ * Reuse a stored reference context instead of querying the reference sources again
+ * @param {Object|null} referenceContext - Reference context recorded on an earlier run
+ * @returns {Object} { referenceContext, formattedContext }
+ */
+const reuseContext = (referenceContext) => {
+    const { formatContextForPrompt } = require('./referenceContextBuilder');
+
+    logger.info('Reusing recorded reference context');
+    return {
+        referenceContext,
+        formattedContext: referenceContext ? formatContextForPrompt(referenceContext) : null
+    };
+};
+
+/**
+ * Log and warn about the outcome of row validation
+ * @param {Object} validationReport - Report from batchGenerationService
+ * @param {Object} hooks - Pipeline hooks (onWarning)
+ * @param {string} prefix - Message prefix, e.g. the table name of a bundle
+ */
+const checkValidationReport = async (validationReport, hooks, prefix = '') => {
+    if (validationReport.droppedRows > 0) {
+        await notify(hooks.onWarning, `${prefix}${validationReport.droppedRows} rows did not match the column schema or constraints and were dropped`);
+    }
+
+    for (const [name, stats] of Object.entries(validationReport.columns)) {
+        if (stats.coerced > 0) {
+            logger.info(`${prefix}Column ${name}: ${stats.coerced} values coerced to ${stats.datatype}`);
+        }
+
+        if (stats.series && stats.clamped > 0) {
+            logger.info(`${prefix}Column ${name}: ${stats.clamped} readings clamped to the column range`);
+        }
+
+        const violations = Object.entries(stats.violations || {}).map(([kind, count]) => `${count} ${kind}`);
+        if (stats.duplicates > 0) violations.push(`${stats.duplicates} duplicate`);
+        if (violations.length > 0) {
+            logger.info(`${prefix}Column ${name}: rows dropped for constraint violations (${violations.join(', ')})`);
+        }
+
+        // More nulls than requested can't be fixed without inventing values
+        if (stats.nullRate && stats.nullRate.actual > stats.nullRate.target + NULL_RATE_TOLERANCE) {
+            await notify(hooks.onWarning, `${prefix}Column ${name} is ${stats.nullRate.actual}% null, target was ${stats.nullRate.target}%`);
+        }
+    }
+
+    for (const [rule, stats] of Object.entries(validationReport.rules || {})) {
+        if (stats.repaired + stats.dropped > 0) {
+            logger.info(`${prefix}Rule ${rule}: ${stats.repaired} rows repaired, ${stats.dropped} rows dropped`);
+        }
+
+        if (stats.remaining > 0) {
+            await notify(hooks.onWarning, `${prefix}${stats.remaining} rows still break rule ${rule} (${stats.expression})`);
+        }
+    }
+
+    if (validationReport.classes) {
+        const { column, target, achieved } = validationReport.classes;
+        const short = Object.keys(target).filter(name => achieved[name] < target[name]);
+        if (short.length > 0) {
+            await notify(hooks.onWarning, `${prefix}Label ${column} is short of rows for class(es) ${short.map(name => `${name} (${achieved[name]}/${target[name]})`).join(', ')}`);
+        }
+    }
+
+    for (const [column, cardinality] of Object.entries(validationReport.cardinality || {})) {
+        if (cardinality.parentsBelowMin > 0) {
+            await notify(hooks.onWarning, `${prefix}${cardinality.parentsBelowMin} parent rows have fewer than ${cardinality.min} rows referencing them through ${column}`);
+        }
+    }
+};
+
+/**
+ * Corrupt the validated rows when the request asks for imperfections
+ * Seeded like the generation, so a regeneration corrupts the same cells.
+ * @param {Array} rows - Validated rows
+ * @param {Array} columns - Column definitions
+ * @param {Object|undefined} imperfections - Imperfection profile
+ * @param {string} topic - Dataset topic
+ * @param {Object} settings - Sampling settings ({ seed })
+ * @returns {Object} { rows, groundTruth } - groundTruth is null without a profile
+ */
+const injectImperfections = (rows, columns, imperfections, topic, settings) => {
+    if (!imperfections) {
+        return { rows, groundTruth: null };
+    }
+
+    const random = createRandom(`${settings.seed !== undefined ? settings.seed : topic}:imperfections`);
+    return applyImperfections(rows, columns, imperfections, random);
+};
+
+/**
+ * Build the run record saved on a dataset so it can be regenerated
+ * @param {Object} provider - LLM provider
+ * @param {Object} settings - Requested sampling settings
+ * @param {Object} generated - Generation result ({ prompt, responseMetadata })
+ * @param {Object|null} referenceContext - Reference context used
+ * @param {number|undefined} chunkSize - Rows per request
+ * @returns {Object} Run record
+ */
+const buildRunRecord = (provider, settings, generated, referenceContext, chunkSize) => {
+    const { model, generationConfig } = provider.resolveSettings(settings);
+
+    return {
+        provider: provider.name,
+        model,
+        generationConfig,
+        seed: settings.seed !== undefined ? settings.seed : null,
+        settings,
+        prompt: generated.prompt,
+        referenceContext,
+        responseMetadata: generated.responseMetadata,
+        chunkSize: chunkSize || DEFAULT_CHUNK_SIZE
+    };
+};
+
+/**
+ * Run the full generation pipeline: reference context, Gemini generation, validation, save
+ * Shared by the synchronous /generate endpoint, regeneration and background generation jobs.
+ * The exact prompt, model, generation config, reference context and provider response
+ * metadata are recorded on the dataset as `run` so it can be regenerated later.
+ * Requests with `tables` instead of `columns` generate a relational bundle; requests with
+ * `timeSeries` generate readings locally from one model row per series.
+ * A `locale` (a code or a weighted mix) localizes names, addresses, phones and currencies.
+ * An `imperfections` profile corrupts the finished rows and records a ground-truth manifest.
+ * A resolved `sample` (see sampleService.resolveSample) adds its few-shot rows to single-table prompts.
+ * With `mode: 'augment'` the sample is grown instead: columns are fitted to it, copies of real
+ * rows are dropped and the validation report compares the result with the sample.
+ * With `mode: 'statistical'` no reference context is built and rows are sampled locally from a
+ * synthesizer fitted to the sample or the declared columns (see statisticalService); `fillText`
+ * leaves only the free-text columns to the model. The synthesizer is saved to draw more rows.
+ * `mode: 'hybrid'` samples the same synthesizer, but the model first writes a weighted value pool
+ * per free-text column (with the reference context), and rows draw their text from those pools.
+ * @param {Object} params - { topic, description, columns, rowCount, rules, correlations, tables, timeSeries, imperfections, locale, sample, mode, fillText, provider, settings: { seed, temperature, topP, topK, model } }
+ * @param {Object} hooks - Optional { onStatus(status), onReferenceStep(step), onChunk(chunk), onAttempt(attempt), onWarning(message) } callbacks
+ * @param {Object} options - Optional { signal, chunkSize, completedChunks, referenceContext, regeneratedFrom }
+ * @returns {Promise<Object>} { dataset, referenceContext }
+ */
+const runGenerationPipeline = async (params, hooks = {}, options = {}) => {
+    const { topic, description, columns, rowCount, rules, correlations } = params;
+    const settings = params.settings || {};
+    const provider = getProvider(params.provider);
+    const { referenceContext: recordedContext, regeneratedFrom, ...batchOptions } = options;
+
+    // 1. Build Reference Context (Kaggle Metadata + Public APIs), or reuse a recorded one
+    // (the statistical synthesizer never prompts for rows, so it needs none)
+    await notify(hooks.onStatus, 'building-context');
+    let context = { referenceContext: null, formattedContext: null };
+    if (params.mode !== 'statistical') {
+        context = recordedContext !== undefined
+            ? reuseContext(recordedContext)
+            : await buildContext(topic, description, hooks.onReferenceStep);
+    }
+    const { referenceContext, formattedContext } = context;
+
+    // 2. Generate Dataset using Gemini with Reference Context (chunked for large row counts)
+    await notify(hooks.onStatus, 'generating');
+    const generationOptions = { ...batchOptions, provider: provider.name, settings, locale: params.locale, onChunk: hooks.onChunk, onAttempt: hooks.onAttempt };
+
+    if (Array.isArray(params.tables)) {
+        const bundle = await relationalGenerationService.generateBundle(topic, description, params.tables, formattedContext, generationOptions);
+
+        // 3. Check each table (foreign keys are assigned from existing parent rows)
+        await notify(hooks.onStatus, 'validating');
+        const totalRows = bundle.tables.reduce((sum, table) => sum + table.rows.length, 0);
+        if (totalRows === 0) {
+            throw new Error('Gemini returned no rows that match the table schemas');
+        }
+
+        for (const table of bundle.tables) {
+            await checkValidationReport(table.validationReport, hooks, `Table ${table.name}: `);
+        }
+
+        // 4. Save all tables together as one bundle
+        const dataset = new Dataset({
+            topic,
+            description,
+            columns: [],
+            rowCount: totalRows,
+            tables: params.tables.map(table => {
+                const result = bundle.tables.find(generated => generated.name === table.name);
+                return {
+                    ...table,
+                    rowCount: result.rows.length,
+                    generatedData: result.rows,
+                    validationReport: result.validationReport
+                };
+            }),
+            locale: params.locale || null,
+            provider: provider.name,
+            referenceSources: referenceContext ? referenceContext.referenceSources : [],
+            run: buildRunRecord(provider, settings, bundle, referenceContext, batchOptions.chunkSize),
+            regeneratedFrom: regeneratedFrom || null
+        });
+
+        await saveDataset(dataset);
+        logger.success(`Dataset bundle saved with ID: ${dataset._id} (${bundle.tables.length} tables, ${totalRows} rows)`);
+
+        return { dataset, referenceContext };
+    }
+
+    if (params.timeSeries) {
+        const series = await timeSeriesService.generateTimeSeries(topic, description, columns, params.timeSeries, formattedContext, generationOptions);
+
+        // 3. Check the series rows (readings are generated locally on the timestamp grid)
+        await notify(hooks.onStatus, 'validating');
+        if (series.rows.length === 0) {
+            throw new Error('Gemini returned no series that match the column schema');
+        }
+
+        await checkValidationReport(series.validationReport, hooks);
+
+        const planned = params.timeSeries.entities ? params.timeSeries.entities.count : 1;
+        if (series.validationReport.timeSeries.series !== planned) {
+            await notify(hooks.onWarning, `Generated ${series.validationReport.timeSeries.series} series, requested ${planned}`);
+        }
+
+        const imperfect = injectImperfections(series.rows, columns, params.imperfections, topic, settings);
+
+        // 4. Save with the time-series definition so it can be regenerated
+        const dataset = new Dataset({
+            topic,
+            description,
+            columns,
+            rowCount: series.rows.length,
+            timeSeries: params.timeSeries,
+            imperfections: params.imperfections || null,
+            generatedData: imperfect.rows,
+            groundTruth: imperfect.groundTruth,
+            validationReport: series.validationReport,
+            locale: params.locale || null,
+            provider: provider.name,
+            referenceSources: referenceContext ? referenceContext.referenceSources : [],
+            run: buildRunRecord(provider, settings, series, referenceContext, batchOptions.chunkSize),
+            regeneratedFrom: regeneratedFrom || null
+        });
+
+        await saveDataset(dataset);
+        logger.success(`Time-series dataset saved with ID: ${dataset._id} (${series.rows.length} rows)`);
+
+        return { dataset, referenceContext };
+    }
+
+    let generated;
+    if (params.mode === 'augment') {
+        generated = await augmentationService.augmentSample(topic, description, columns, rowCount, params.sample, formattedContext, { ...generationOptions, rules, correlations });
+    } else if (params.mode === 'statistical') {
+        generated = await statisticalService.synthesizeDataset(topic, description, columns, rowCount, { ...generationOptions, rules, correlations, sample: params.sample, fillText: params.fillText });
+    } else if (params.mode === 'hybrid') {
+        generated = await statisticalService.synthesizeDataset(topic, description, columns, rowCount, { ...generationOptions, rules, correlations, sample: params.sample, valuePools: true, referenceContext: formattedContext });
+    } else {
+        generated = await batchGenerationService.generateDataset(topic, description, columns, rowCount, formattedContext, { ...generationOptions, rules, correlations, examples: params.sample ? params.sample.examples : [] });
+    }
+    const { rows: generatedData, validationReport } = generated;
+
+    // Augmentation and the synthesizer fit the columns to the sample; the fitted columns are what the rows follow
+    const datasetColumns = generated.columns || columns;
+
+    // 3. Check the validated rows (each chunk was already checked against the columns)
+    await notify(hooks.onStatus, 'validating');
+    if (generatedData.length === 0) {
+        throw new Error('Gemini returned no rows that match the column schema');
+    }
+
+    await checkValidationReport(validationReport, hooks);
+
+    if (generatedData.length !== rowCount) {
+        await notify(hooks.onWarning, `Generated ${generatedData.length} rows, requested ${rowCount}`);
+    }
+
+    // Dirty data for cleaning practice is made from the validated rows, with a manifest of every change
+    const imperfect = injectImperfections(generatedData, datasetColumns, params.imperfections, topic, settings);
+
+    // 4. Save to Database, with everything needed to replay the run
+    const dataset = new Dataset({
+        topic,
+        description,
+        columns: datasetColumns,
+        rowCount,
+        mode: params.mode || 'topic',
+        synthesizer: generated.synthesizer || null,
+        rules: rules || [],
+        correlations: correlations || [],
+        imperfections: params.imperfections || null,
+        generatedData: imperfect.rows,
+        groundTruth: imperfect.groundTruth,
+        validationReport,
+        locale: params.locale || null,
+        sample: params.sample || null,
+        sampleFileUrl: params.sample ? `uploads/${params.sample.sampleId}` : null,
+        provider: provider.name,
+        referenceSources: referenceContext ? referenceContext.referenceSources : [],
+        run: buildRunRecord(provider, settings, generated, referenceContext, batchOptions.chunkSize),
+        regeneratedFrom: regeneratedFrom || null
+    });
+
+    await saveDataset(dataset);
+    logger.success(`Dataset saved with ID: ${dataset._id}`);
+
+    return { dataset, referenceContext };
+};
+
+module.exports = {
+    pickGenerationSettings,
+    buildContext,
+    runGenerationPipeline
+};
@@ -0,0 +1,281 @@
+const logger = require('../utils/logger');
+const { hasAllowedValues, roundTo } = require('../utils/columnConstraints');
+const { CELL_IMPERFECTIONS, canCorrupt, getTargetColumns } = require('../utils/imperfections');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MAX_CATEGORY_VALUES = 15; // Text columns with at most this many distinct values get mixed-case categories
+const MAX_OUTLIER_SPREAD = 5; // Outliers land 1 to 5 column ranges beyond the range
+
+/**
+ * Pad a number with leading zeros
+ * @param {number} value - Number
+ * @param {number} size - Digits
+ * @returns {string} Padded number
+ */
+const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+/**
+ * Date layouts other than ISO 8601 that real exports mix in
+ */
+const DATE_LAYOUTS = [
+    (date) => `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`,
+    (date) => `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`,
+    (date) => `${pad(date.getUTCDate())}.${pad(date.getUTCMonth() + 1)}.${date.getUTCFullYear()}`,
+    (date) => `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}`,
+    (date) => `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()].slice(0, 3)}-${date.getUTCFullYear()}`,
+    (date) => `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`,
+    (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+];
+
+/**
+ * Rewrite an ISO date in another layout, keeping the time of day if it had one
+ * @param {string} value - Date string
+ * @param {Object} random - Seeded random helpers
+ * @returns {string} Reformatted date
+ */
+const reformatDate = (value, random) => {
+    const date = new Date(Date.parse(value));
+    const text = random.pick(DATE_LAYOUTS)(date);
+
+    return value.includes('T')
+        ? `${text} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`
+        : text;
+};
+
+/**
+ * Positions of the letters a typo can start at (any but the last character, so swaps have a neighbour)
+ * @param {Array<string>} chars - Characters of a value
+ * @returns {Array<number>} Positions
+ */
+const letterPositions = (chars) => {
+    return chars.slice(0, -1).map((_, index) => index).filter(index => /\p{L}/u.test(chars[index]));
+};
+
+/**
+ * Introduce one keyboard slip: swapped, dropped, doubled or replaced letter
+ * @param {string} value - Text with a letter before its last character
+ * @param {Object} random - Seeded random helpers
+ * @returns {string} Text with a typo
+ */
+const introduceTypo = (value, random) => {
+    const chars = [...value];
+    const position = random.pick(letterPositions(chars));
+
+    switch (random.int(0, 3)) {
+        case 0:
+            [chars[position], chars[position + 1]] = [chars[position + 1], chars[position]];
+            break;
+        case 1:
+            chars.splice(position, 1);
+            break;
+        case 2:
+            chars.splice(position, 0, chars[position]);
+            break;
+        default:
+            chars[position] = random.pick('abcdefghijklmnopqrstuvwxyz'.replace(chars[position].toLowerCase(), '').split(''));
+    }
+
+    const typo = chars.join('');
+    // Swapping two equal characters changes nothing; drop one instead
+    return typo !== value ? typo : value.slice(0, position) + value.slice(position + 1);
+};
+
+/**
+ * Case variants of a category value that differ from it
+ * @param {string} value - Category value
+ * @returns {Array<string>} UPPER, lower, Title and aLtErNaTiNg variants
+ */
+const caseVariants = (value) => {
+    const variants = [
+        value.toUpperCase(),
+        value.toLowerCase(),
+        value.toLowerCase().replace(/\b\w/g, char => char.toUpperCase()),
+        [...value].map((char, index) => (index % 2 === 0 ? char.toLowerCase() : char.toUpperCase())).join('')
+    ];
+    return [...new Set(variants)].filter(variant => variant !== value);
+};
+
+/**
+ * Add stray whitespace around or inside a value
+ * @param {string} value - Text
+ * @param {Object} random - Seeded random helpers
+ * @returns {string} Text with extra whitespace
+ */
+const addWhitespace = (value, random) => {
+    const variants = [` ${value}`, `${value} `, `  ${value}  `, `${value}\t`];
+    if (value.includes(' ')) variants.push(value.replace(' ', '  '));
+    return random.pick(variants);
+};
+
+/**
+ * Whether a text column holds categories rather than free text
+ * @param {Array} rows - Rows
+ * @param {Object} column - Column definition
+ * @returns {boolean} True for categorical columns
+ */
+const isCategorical = (rows, column) => {
+    if (hasAllowedValues(column)) return true;
+
+    const values = rows.map(row => row[column.name]).filter(value => typeof value === 'string');
+    const distinct = new Set(values).size;
+    return distinct <= MAX_CATEGORY_VALUES && distinct < values.length / 2;
+};
+
+/**
+ * Build the value corruptor of one imperfection for one column
+ * @param {string} kind - Cell imperfection kind
+ * @param {Array} rows - Rows (to profile categories and numeric ranges)
+ * @param {Object} column - Column definition
+ * @returns {Object|null} { accepts(value), corrupt(value, random) }, or null if the column can't get this imperfection
+ */
+const createCorruptor = (kind, rows, column) => {
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+    switch (kind) {
+        case 'outliers': {
+            const values = rows.map(row => row[column.name]).filter(value => typeof value === 'number');
+            if (values.length === 0) return null;
+
+            const datatype = String(column.datatype).toLowerCase();
+            const low = typeof column.min === 'number' ? column.min : (datatype === 'percentage' ? 0 : values.reduce((a, b) => Math.min(a, b)));
+            const high = typeof column.max === 'number' ? column.max : (datatype === 'percentage' ? 100 : values.reduce((a, b) => Math.max(a, b)));
+            const spread = high - low || Math.abs(high) || 1;
+            const decimals = datatype === 'integer' ? 0 : (datatype === 'currency' ? 2 : column.precision);
+
+            return {
+                accepts: (value) => typeof value === 'number',
+                corrupt: (value, random) => {
+                    const distance = spread * random.float(1, MAX_OUTLIER_SPREAD);
+                    const outlier = random.chance(0.5) ? high + distance : low - distance;
+                    return typeof decimals === 'number' ? roundTo(outlier, decimals) : outlier;
+                }
+            };
+        }
+        case 'dateFormats':
+            return {
+                accepts: (value) => isText(value) && !isNaN(Date.parse(value)),
+                corrupt: reformatDate
+            };
+        case 'mixedCase':
+            if (!isCategorical(rows, column)) return null;
+            return {
+                accepts: (value) => isText(value) && caseVariants(value).length > 0,
+                corrupt: (value, random) => random.pick(caseVariants(value))
+            };
+        case 'typos':
+            return {
+                accepts: (value) => typeof value === 'string' && letterPositions([...value]).length > 0,
+                corrupt: introduceTypo
+            };
+        case 'whitespace':
+            return {
+                accepts: isText,
+                corrupt: addWhitespace
+            };
+        default:
+            return {
+                accepts: (value) => value !== null && value !== undefined,
+                corrupt: () => null
+            };
+    }
+};
+
+/**
+ * Insert copies of random rows at random positions
+ * @param {Array} rows - Rows
+ * @param {number} count - Copies to insert
+ * @param {Object} random - Seeded random helpers
+ * @returns {Object} { rows, positions (new index of every original row), duplicates: [{ row, duplicateOf }] }
+ */
+const insertDuplicates = (rows, count, random) => {
+    const sources = random.shuffle(rows.map((_, index) => index)).slice(0, count);
+
+    // Originals keep their order; each copy is sorted in at a random place
+    const entries = rows.map((_, index) => ({ source: index, copy: false, position: index }))
+        .concat(sources.map(source => ({ source, copy: true, position: random.float(0, rows.length) })))
+        .sort((a, b) => a.position - b.position);
+
+    const positions = new Array(rows.length);
+    entries.forEach((entry, index) => {
+        if (!entry.copy) positions[entry.source] = index;
+    });
+
+    const duplicates = [];
+    const result = entries.map((entry, index) => {
+        if (!entry.copy) return rows[entry.source];
+        duplicates.push({ row: index, duplicateOf: positions[entry.source] });
+        return { ...rows[entry.source] };
+    });
+
+    return { rows: result, positions, duplicates };
+};
+
+/**
+ * Corrupt clean rows according to an imperfection profile and record exactly what changed
+ * Each percentage applies to the cells that can get that imperfection (duplicates: to rows).
+ * A cell is corrupted at most once. Duplicated rows are exact copies of another row,
+ * corrupted cells included.
+ * @param {Array} rows - Clean rows, corrupted in place
+ * @param {Array} columns - Column definitions
+ * @param {Object} profile - { nulls, typos, dateFormats, duplicates, outliers, mixedCase, whitespace, columns }
+ * @param {Object} random - Seeded random helpers
+ * @returns {Object} { rows, groundTruth: { profile, summary, cells: [{ row, column, kind, original, value }], duplicates: [{ row, duplicateOf }] } }
+ */
+const applyImperfections = (rows, columns, profile, random) => {
+    const targets = getTargetColumns(profile, columns);
+    const corrupted = new Set();
+    const summary = {};
+    let cells = [];
+
+    CELL_IMPERFECTIONS.forEach(({ kind }) => {
+        if (!profile[kind]) return;
+        summary[kind] = 0;
+
+        targets.filter(col => canCorrupt(kind, col)).forEach(col => {
+            const corruptor = createCorruptor(kind, rows, col);
+            if (!corruptor) return;
+
+            const eligible = rows.map((_, index) => index).filter(index => corruptor.accepts(rows[index][col.name]));
+            const count = Math.round(eligible.length * profile[kind] / 100);
+            const chosen = random.shuffle(eligible.filter(index => !corrupted.has(`${index}:${col.name}`))).slice(0, count);
+
+            chosen.forEach(index => {
+                const original = rows[index][col.name];
+                const value = corruptor.corrupt(original, random);
+
+                rows[index][col.name] = value;
+                corrupted.add(`${index}:${col.name}`);
+                cells.push({ row: index, column: col.name, kind, original, value });
+            });
+
+            summary[kind] += chosen.length;
+        });
+    });
+
+    let result = rows;
+    let duplicates = [];
+
+    if (profile.duplicates) {
+        const inserted = insertDuplicates(rows, Math.round(rows.length * profile.duplicates / 100), random);
+        result = inserted.rows;
+        duplicates = inserted.duplicates;
+        cells = cells.map(cell => ({ ...cell, row: inserted.positions[cell.row] }));
+        summary.duplicates = duplicates.length;
+    }
+
+    const order = columns.map(col => col.name);
+    cells.sort((a, b) => a.row - b.row || order.indexOf(a.column) - order.indexOf(b.column));
+
+    logger.info(`Injected imperfections: ${Object.entries(summary).map(([kind, count]) => `${count} ${kind}`).join(', ')}`);
+
+    return {
+        rows: result,
+        groundTruth: { profile, summary, cells, duplicates }
+    };
+};
+
+module.exports = {
+    reformatDate,
+    introduceTypo,
+    applyImperfections
+};
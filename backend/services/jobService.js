@@ -0,0 +1,342 @@
+const { EventEmitter } = require('events');
+const GenerationJob = require('../models/GenerationJob');
+const { TERMINAL_STATUSES } = require('../models/GenerationJob');
+const JobChunk = require('../models/JobChunk');
+const { runGenerationPipeline } = require('./generationPipeline');
+const { DEFAULT_CHUNK_SIZE } = require('./batchGenerationService');
+const { APIError } = require('../middleware/errorHandler');
+const { estimateRowCounts } = require('../utils/relationalSchema');
+const logger = require('../utils/logger');
+
+// Number of generation jobs processed at the same time
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+// In-process queue of job IDs waiting to run
+const pendingJobs = [];
+let activeJobs = 0;
+
+// Abort controllers of running jobs, keyed by job ID
+const runningJobs = new Map();
+
+/**
+ * Progress events for running jobs, emitted on the job ID
+ * Each event is { type, data } where type is one of:
+ * status, reference, chunk, warning, saved, failed, cancelled
+ */
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Emit a progress event for a job
+ * @param {string} jobId - Job ID
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+const emitJobEvent = (jobId, type, data) => {
+    jobEvents.emit(String(jobId), { type, data });
+};
+
+/**
+ * Subscribe to a job's progress events
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Receives { type, data }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToJob = (jobId, listener) => {
+    const key = String(jobId);
+    jobEvents.on(key, listener);
+    return () => jobEvents.off(key, listener);
+};
+
+/**
+ * Update a job document and return the new version
+ * @param {string} jobId - Job ID
+ * @param {Object} update - MongoDB update
+ * @returns {Promise<Object|null>} Updated job
+ */
+const updateJob = (jobId, update) => {
+    return GenerationJob.findByIdAndUpdate(jobId, update, { new: true });
+};
+
+/**
+ * Record that a job was cancelled and tell its subscribers
+ * @param {string} jobId - Job ID
+ */
+const recordCancellation = async (jobId) => {
+    logger.warn(`Generation job ${jobId} cancelled`);
+
+    await updateJob(jobId, { status: 'cancelled', finishedAt: new Date() });
+    emitJobEvent(jobId, 'cancelled', { status: 'cancelled', rowsCompleted: await countCompletedRows(jobId) });
+};
+
+/**
+ * Run a single job through the generation pipeline
+ * The job's abort controller is registered before this starts, so a cancel that arrives
+ * while the job is loading is seen here instead of being recorded over a running job.
+ * @param {string} jobId - Job ID
+ * @param {AbortController} controller - Aborted when the job is cancelled
+ */
+const processJob = async (jobId, controller) => {
+    const job = await GenerationJob.findById(jobId);
+
+    if (!job || job.isFinished) {
+        return;
+    }
+
+    const completedChunks = await JobChunk.find({ job: jobId }).sort({ table: 1, index: 1 }).lean();
+    const rowsAlreadyDone = completedChunks.reduce((sum, chunk) => sum + chunk.rows.length, 0);
+
+    logger.info(`Starting generation job ${jobId} (attempt ${job.attempts + 1})`);
+    await updateJob(jobId, { startedAt: new Date(), rowsCompleted: rowsAlreadyDone, chunksCompleted: completedChunks.length, $inc: { attempts: 1 } });
+
+    let currentStatus = job.status;
+
+    if (controller.signal.aborted) {
+        await recordCancellation(jobId);
+        return;
+    }
+
+    try {
+        const { dataset } = await runGenerationPipeline(job.request, {
+            onStatus: async (status) => {
+                currentStatus = status;
+                await updateJob(jobId, { status });
+                emitJobEvent(jobId, 'status', { status });
+            },
+            onReferenceStep: (step) => {
+                emitJobEvent(jobId, 'reference', step);
+            },
+            onChunk: async (chunk) => {
+                // Persist the rows so a failed or cancelled job can resume from here
+                await JobChunk.updateOne(
+                    { job: jobId, table: chunk.table || null, index: chunk.index },
+                    { startRow: chunk.startRow, rows: chunk.rows, report: chunk.report },
+                    { upsert: true }
+                );
+                const updated = await updateJob(jobId, { $inc: { rowsCompleted: chunk.rows.length, chunksCompleted: 1 } });
+                emitJobEvent(jobId, 'chunk', {
+                    table: chunk.table,
+                    chunkIndex: chunk.index,
+                    chunkCount: chunk.chunkCount,
+                    rows: chunk.rows.length,
+                    rowsCompleted: updated ? updated.rowsCompleted : null,
+                    rowCount: job.rowCount
+                });
+            },
+            onAttempt: async (attempt) => {
+                await updateJob(jobId, { $push: { attemptLog: attempt } });
+            },
+            onWarning: async (message) => {
+                await updateJob(jobId, { $push: { warnings: message } });
+                emitJobEvent(jobId, 'warning', { message });
+            }
+        }, {
+            signal: controller.signal,
+            chunkSize: job.chunkSize,
+            completedChunks
+        });
+
+        // Partial rows are no longer needed once the dataset is saved
+        await updateJob(jobId, {
+            status: 'saved',
+            dataset: dataset._id,
+            rowsCompleted: dataset.generatedData.length,
+            finishedAt: new Date()
+        });
+        await JobChunk.deleteMany({ job: jobId });
+
+        logger.success(`Generation job ${jobId} saved dataset ${dataset._id}`);
+        emitJobEvent(jobId, 'saved', { status: 'saved', datasetId: dataset._id, rows: dataset.generatedData.length });
+
+    } catch (error) {
+        if (controller.signal.aborted) {
+            await recordCancellation(jobId);
+            return;
+        }
+
+        logger.error(`Generation job ${jobId} failed: ${error.message}`);
+
+        await updateJob(jobId, {
+            status: 'failed',
+            finishedAt: new Date(),
+            $push: { errorLog: { message: error.message, status: currentStatus } }
+        });
+        emitJobEvent(jobId, 'failed', { status: 'failed', error: error.message });
+    }
+};
+
+/**
+ * Count rows stored in a job's finished chunks
+ * @param {string} jobId - Job ID
+ * @returns {Promise<number>} Completed rows
+ */
+const countCompletedRows = async (jobId) => {
+    const job = await GenerationJob.findById(jobId).select('rowsCompleted');
+    return job ? job.rowsCompleted : 0;
+};
+
+/**
+ * Start queued jobs while there is capacity
+ */
+const drainQueue = () => {
+    while (activeJobs < JOB_CONCURRENCY && pendingJobs.length > 0) {
+        const jobId = pendingJobs.shift();
+        activeJobs++;
+
+        // Registered before the job is loaded, so cancelJob always finds a queued or running job
+        const controller = new AbortController();
+        runningJobs.set(jobId, controller);
+
+        processJob(jobId, controller)
+            .catch(error => logger.error(`Unexpected error in job ${jobId}: ${error.message}`))
+            .finally(() => {
+                // A resumed run of the same job may have registered its own controller meanwhile
+                if (runningJobs.get(jobId) === controller) {
+                    runningJobs.delete(jobId);
+                }
+                activeJobs--;
+                drainQueue();
+            });
+    }
+};
+
+/**
+ * Add a job to the in-process queue
+ * @param {string} jobId - Job ID
+ */
+const enqueueJob = (jobId) => {
+    pendingJobs.push(String(jobId));
+    setImmediate(drainQueue);
+};
+
+/**
+ * Create and queue a new generation job
+ * @param {Object} request - { topic, description, columns, rowCount, rules, correlations, tables, timeSeries, imperfections, locale, sample, mode, fillText, provider, settings }
+ * @returns {Promise<Object>} Created job
+ */
+const createJob = async (request) => {
+    // Bundle sizes depend on random cardinalities, so progress is measured against the expected total.
+    // Time series only ask the model for one row per series, so progress counts series.
+    let rowCount = request.rowCount;
+    if (Array.isArray(request.tables)) {
+        rowCount = Object.values(estimateRowCounts(request.tables)).reduce((sum, count) => sum + count, 0);
+    } else if (request.timeSeries) {
+        rowCount = request.timeSeries.entities ? request.timeSeries.entities.count : 1;
+    }
+
+    const job = await GenerationJob.create({
+        request,
+        rowCount,
+        chunkSize: DEFAULT_CHUNK_SIZE
+    });
+
+    logger.info(`Queued generation job ${job._id} for topic: ${request.topic}`);
+    enqueueJob(job._id);
+
+    return job;
+};
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null
+ */
+const getJob = (jobId) => {
+    return GenerationJob.findById(jobId);
+};
+
+/**
+ * Cancel a queued or running job
+ * Rows from finished chunks are kept so the job can be resumed.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Updated job
+ */
+const cancelJob = async (jobId) => {
+    const job = await GenerationJob.findById(jobId);
+
+    if (!job) {
+        throw new APIError('Job not found', 404);
+    }
+
+    if (job.isFinished) {
+        throw new APIError(`Job is already ${job.status}`, 409);
+    }
+
+    const controller = runningJobs.get(String(jobId));
+
+    if (controller) {
+        // processJob records the cancellation once in-flight requests abort
+        controller.abort();
+        logger.info(`Cancelling running generation job ${jobId}`);
+        return job;
+    }
+
+    // Still waiting in the queue
+    const queuedIndex = pendingJobs.indexOf(String(jobId));
+    if (queuedIndex !== -1) {
+        pendingJobs.splice(queuedIndex, 1);
+    }
+
+    const cancelled = await updateJob(jobId, { status: 'cancelled', finishedAt: new Date() });
+    emitJobEvent(jobId, 'cancelled', { status: 'cancelled', rowsCompleted: cancelled.rowsCompleted });
+    logger.info(`Cancelled queued generation job ${jobId}`);
+
+    return cancelled;
+};
+
+/**
+ * Resume a failed or cancelled job from its last finished chunk
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Re-queued job
+ */
+const resumeJob = async (jobId) => {
+    const job = await GenerationJob.findById(jobId);
+
+    if (!job) {
+        throw new APIError('Job not found', 404);
+    }
+
+    if (!job.isResumable) {
+        throw new APIError(`Only failed or cancelled jobs can be resumed (job is ${job.status})`, 409);
+    }
+
+    const resumed = await updateJob(jobId, { status: 'queued', finishedAt: null });
+    enqueueJob(jobId);
+
+    logger.info(`Resuming generation job ${jobId} with ${job.chunksCompleted} chunk(s) already generated`);
+    return resumed;
+};
+
+/**
+ * Re-queue jobs interrupted by a server restart
+ * @returns {Promise<number>} Number of recovered jobs
+ */
+const recoverJobs = async () => {
+    try {
+        const interrupted = await GenerationJob.find({ status: { $nin: TERMINAL_STATUSES } })
+            .sort({ createdAt: 1 });
+
+        for (const job of interrupted) {
+            await updateJob(job._id, { status: 'queued' });
+            enqueueJob(job._id);
+        }
+
+        if (interrupted.length > 0) {
+            logger.info(`Recovered ${interrupted.length} interrupted generation job(s)`);
+        }
+
+        return interrupted.length;
+    } catch (error) {
+        logger.error(`Failed to recover generation jobs: ${error.message}`);
+        return 0;
+    }
+};
+
+module.exports = {
+    createJob,
+    getJob,
+    cancelJob,
+    resumeJob,
+    recoverJobs,
+    subscribeToJob
+};
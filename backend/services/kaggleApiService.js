@@ -408,7 +408,7 @@ const parseCSVSample = (content) => {
         // Infer column types
         const columns = headers.map(header => {
             const values = rows.map(row => row[header]);
-            const datatype = inferColumnType(values);
+            const datatype = inferColumnType(values, header);
 
             return {
                 name: header,
@@ -464,7 +464,7 @@ const parseJSONSample = (content) => {
 
         const columns = headers.map(header => {
             const values = rows.map(row => row[header]);
-            const datatype = inferColumnType(values);
+            const datatype = inferColumnType(values, header);
 
             return {
                 name: header,
@@ -77,7 +77,7 @@ const fetchHuggingFaceSamples = async (datasetId, limit = 20) => {
         const firstRow = rows[0];
         const columns = Object.keys(firstRow).map(colName => {
             const values = rows.map(row => row[colName]);
-            const datatype = inferColumnType(values);
+            const datatype = inferColumnType(values, colName);
 
             return {
                 name: colName,
@@ -164,7 +164,7 @@ const extractColumnPatterns = (samples) => {
         if (values.length === 0) return;
 
         patterns[colName] = {
-            datatype: inferColumnType(values),
+            datatype: inferColumnType(values, colName),
             uniqueCount: new Set(values).size,
             nullCount: samples.length - values.length,
             sampleValues: values.slice(0, 5),
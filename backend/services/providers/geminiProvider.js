@@ -0,0 +1,69 @@
+const {
+    DEFAULT_MODEL,
+    GENERATION_CONFIG,
+    STRUCTURED_OUTPUT_ENABLED,
+    getGeminiModel,
+    buildSamplingConfig,
+    buildGenerationConfig
+} = require('../../config/gemini');
+
+/**
+ * Gemini provider (Google Generative AI)
+ */
+const geminiProvider = {
+    name: 'gemini',
+
+    capabilities: {
+        structuredOutput: STRUCTURED_OUTPUT_ENABLED,
+        tokenCounting: 'exact',
+        maxOutputTokens: GENERATION_CONFIG.maxOutputTokens
+    },
+
+    /**
+     * Resolve the model and sampling settings a request will run with
+     * @param {Object} settings - Optional { model, temperature, topP, topK, seed }
+     * @returns {Object} { model, generationConfig }
+     */
+    resolveSettings: (settings = {}) => ({
+        model: settings.model || DEFAULT_MODEL,
+        generationConfig: buildSamplingConfig(settings)
+    }),
+
+    /**
+     * Generate a completion for a dataset prompt
+     * @param {Object} request - { prompt, columns, rowCount, signal, settings }
+     * @returns {Promise<Object>} { text, metadata }
+     */
+    generate: async ({ prompt, columns, signal, settings = {} }) => {
+        const model = getGeminiModel(settings.model || DEFAULT_MODEL);
+
+        const result = await model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: buildGenerationConfig(columns, settings)
+        }, signal ? { signal } : {});
+
+        const response = await result.response;
+
+        return {
+            text: response.text(),
+            metadata: {
+                model: response.modelVersion || settings.model || DEFAULT_MODEL,
+                usage: response.usageMetadata || null,
+                finishReason: response.candidates && response.candidates[0] ? response.candidates[0].finishReason : null
+            }
+        };
+    },
+
+    /**
+     * Count prompt tokens
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<number>} Token count
+     */
+    countTokens: async (prompt) => {
+        const model = getGeminiModel();
+        const { totalTokens } = await model.countTokens(prompt);
+        return totalTokens;
+    }
+};
+
+module.exports = geminiProvider;
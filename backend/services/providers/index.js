@@ -0,0 +1,43 @@
+const geminiProvider = require('./geminiProvider');
+const mockProvider = require('./mockProvider');
+const openaiCompatibleProvider = require('./openaiCompatibleProvider');
+
+/**
+ * Registered LLM providers
+ * Each provider exposes: name, capabilities, resolveSettings(settings),
+ * generate({ prompt, columns, rowCount, signal, settings }) and countTokens(prompt)
+ */
+const PROVIDERS = {
+    [geminiProvider.name]: geminiProvider,
+    [mockProvider.name]: mockProvider,
+    [openaiCompatibleProvider.name]: openaiCompatibleProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Provider used when a request doesn't name one
+ */
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+/**
+ * Get a provider by name (falls back to the configured default)
+ * @param {string|undefined} name - Provider name
+ * @returns {Object} Provider
+ */
+const getProvider = (name) => {
+    const providerName = name || DEFAULT_PROVIDER;
+    const provider = PROVIDERS[providerName];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${providerName}. Available providers: ${PROVIDER_NAMES.join(', ')}`);
+    }
+
+    return provider;
+};
+
+module.exports = {
+    PROVIDER_NAMES,
+    DEFAULT_PROVIDER,
+    getProvider
+};
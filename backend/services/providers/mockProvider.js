@@ -0,0 +1,58 @@
+const { createRandom, hashSeed } = require('../../utils/random');
+const { generateRows } = require('../../utils/fakeValues');
+
+// Base seed; combined with the prompt so every chunk differs but reruns match
+const MOCK_SEED = parseInt(process.env.MOCK_PROVIDER_SEED) || 42;
+
+/**
+ * Deterministic offline provider for development and tests
+ * Produces schema-conformant rows from seeded random values; no network or API key needed.
+ */
+const mockProvider = {
+    name: 'mock',
+
+    capabilities: {
+        structuredOutput: true,
+        tokenCounting: 'estimate',
+        maxOutputTokens: Infinity
+    },
+
+    /**
+     * Resolve the model and sampling settings a request will run with
+     * @param {Object} settings - Optional { seed }
+     * @returns {Object} { model, generationConfig }
+     */
+    resolveSettings: (settings = {}) => ({
+        model: 'mock',
+        generationConfig: { seed: settings.seed !== undefined ? settings.seed : MOCK_SEED }
+    }),
+
+    /**
+     * Generate rows for a dataset prompt
+     * @param {Object} request - { prompt, columns, rowCount, settings }
+     * @returns {Promise<Object>} { text, metadata }
+     */
+    generate: async ({ prompt, columns, rowCount, settings = {} }) => {
+        const seed = settings.seed !== undefined ? settings.seed : MOCK_SEED;
+        const random = createRandom(seed ^ hashSeed(prompt));
+        const rows = generateRows(columns, rowCount, random);
+
+        return {
+            text: JSON.stringify(rows),
+            metadata: {
+                model: 'mock',
+                usage: null,
+                finishReason: 'STOP'
+            }
+        };
+    },
+
+    /**
+     * Estimate prompt tokens
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<number>} Estimated token count
+     */
+    countTokens: async (prompt) => Math.ceil(String(prompt).length / 4)
+};
+
+module.exports = mockProvider;
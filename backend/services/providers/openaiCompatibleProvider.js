@@ -0,0 +1,92 @@
+const axios = require('axios');
+
+/**
+ * OpenAI-compatible provider settings (works with local servers such as
+ * llama.cpp, vLLM, Ollama or LM Studio that expose /v1/chat/completions)
+ */
+const BASE_URL = (process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const API_KEY = process.env.OPENAI_COMPATIBLE_API_KEY || '';
+const MODEL = process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1';
+const MAX_TOKENS = parseInt(process.env.OPENAI_COMPATIBLE_MAX_TOKENS) || 8192;
+const REQUEST_TIMEOUT = 300000; // 5 minutes
+
+/**
+ * Rough token estimate for servers without a tokenizer endpoint
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (text) => Math.ceil(String(text).length / 4);
+
+/**
+ * OpenAI-compatible HTTP provider
+ */
+const openaiCompatibleProvider = {
+    name: 'openai-compatible',
+
+    capabilities: {
+        structuredOutput: false,
+        tokenCounting: 'estimate',
+        maxOutputTokens: MAX_TOKENS
+    },
+
+    /**
+     * Resolve the model and sampling settings a request will run with
+     * @param {Object} settings - Optional { model, temperature, topP, seed }
+     * @returns {Object} { model, generationConfig }
+     */
+    resolveSettings: (settings = {}) => {
+        const generationConfig = {
+            temperature: settings.temperature !== undefined ? settings.temperature : 0.7,
+            max_tokens: MAX_TOKENS
+        };
+
+        if (settings.topP !== undefined) generationConfig.top_p = settings.topP;
+        if (settings.seed !== undefined) generationConfig.seed = settings.seed;
+
+        return { model: settings.model || MODEL, generationConfig };
+    },
+
+    /**
+     * Generate a completion for a dataset prompt
+     * @param {Object} request - { prompt, columns, rowCount, signal, settings }
+     * @returns {Promise<Object>} { text, metadata }
+     */
+    generate: async ({ prompt, signal, settings = {} }) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (API_KEY) {
+            headers.Authorization = `Bearer ${API_KEY}`;
+        }
+
+        const { model, generationConfig } = openaiCompatibleProvider.resolveSettings(settings);
+
+        const response = await axios.post(`${BASE_URL}/chat/completions`, {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            ...generationConfig
+        }, { headers, signal, timeout: REQUEST_TIMEOUT });
+
+        const choice = response.data && response.data.choices && response.data.choices[0];
+
+        if (!choice || !choice.message) {
+            throw new Error('OpenAI-compatible server returned no choices');
+        }
+
+        return {
+            text: choice.message.content || '',
+            metadata: {
+                model: response.data.model || model,
+                usage: response.data.usage || null,
+                finishReason: choice.finish_reason || null
+            }
+        };
+    },
+
+    /**
+     * Estimate prompt tokens
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<number>} Estimated token count
+     */
+    countTokens: async (prompt) => estimateTokens(prompt)
+};
+
+module.exports = openaiCompatibleProvider;
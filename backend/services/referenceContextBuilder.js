@@ -6,9 +6,10 @@ const { getHuggingFaceSamples, extractColumnPatterns } = require('./openDatasetS
  * Build comprehensive reference context from multiple sources
  * @param {string} topic - Dataset topic
  * @param {string} description - Dataset description
+ * @param {Function|null} onStep - Optional callback receiving progress steps ({ source, message, count })
  * @returns {Promise<Object>} Reference context
  */
-const buildReferenceContext = async (topic, description) => {
+const buildReferenceContext = async (topic, description, onStep = null) => {
     try {
         logger.info(`Building reference context for: "${topic}"`);
 
@@ -36,6 +37,12 @@ const buildReferenceContext = async (topic, description) => {
             logger.success(`Added ${kaggleMetadata.length} Kaggle metadata sources`);
         }
 
+        reportStep(onStep, {
+            source: 'kaggle',
+            message: `Kaggle found ${kaggleMetadata ? kaggleMetadata.length : 0} related datasets`,
+            count: kaggleMetadata ? kaggleMetadata.length : 0
+        });
+
         // 2. Get Hugging Face samples
         const hfSamples = await getHuggingFaceSamples(topic);
 
@@ -61,6 +68,14 @@ const buildReferenceContext = async (topic, description) => {
             logger.success('Added Hugging Face sample data');
         }
 
+        reportStep(onStep, {
+            source: 'huggingface',
+            message: hfSamples
+                ? `Hugging Face samples loaded (${hfSamples.totalRows} rows from ${hfSamples.datasetName})`
+                : 'No Hugging Face samples found',
+            count: hfSamples ? hfSamples.totalRows : 0
+        });
+
         // 3. Generate semantic hints
         context.semanticHints = generateSemanticHints(topic, description, context);
 
@@ -81,6 +96,21 @@ const buildReferenceContext = async (topic, description) => {
     }
 };
 
+/**
+ * Report a reference context step without letting a listener break the build
+ * @param {Function|null} onStep - Step callback
+ * @param {Object} step - { source, message, count }
+ */
+const reportStep = (onStep, step) => {
+    if (typeof onStep !== 'function') return;
+
+    try {
+        onStep(step);
+    } catch (error) {
+        logger.warn(`Reference step listener failed: ${error.message}`);
+    }
+};
+
 /**
  * Generate semantic hints based on topic and available data
  * @param {string} topic - Dataset topic
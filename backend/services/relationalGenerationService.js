@@ -0,0 +1,195 @@
+const logger = require('../utils/logger');
+const batchGenerationService = require('./batchGenerationService');
+const { mergeReports } = require('./rowValidator');
+const { getGeneratedColumns, applyDerivedColumns } = require('./derivedColumnService');
+const { createRandom } = require('../utils/random');
+const { getDrivingForeignKey, orderTables } = require('../utils/relationalSchema');
+
+/**
+ * Whether a table's primary key is an integer that can be numbered locally
+ * @param {Object} table - Table definition
+ * @returns {boolean} True for integer primary keys
+ */
+const hasSequentialKey = (table) => {
+    const key = table.columns.find(col => col.name === table.primaryKey);
+    return Boolean(key) && String(key.datatype).toLowerCase() === 'integer';
+};
+
+/**
+ * Columns the model has to fill in: foreign keys and integer primary keys are assigned locally,
+ * derived columns are computed afterwards, other primary keys are generated as unique, non-null values
+ * @param {Object} table - Table definition
+ * @returns {Array} Column definitions for the model
+ */
+const getModelColumns = (table) => {
+    const localColumns = new Set((table.foreignKeys || []).map(fk => fk.column));
+    if (hasSequentialKey(table)) localColumns.add(table.primaryKey);
+
+    return getGeneratedColumns(table.columns)
+        .filter(col => !localColumns.has(col.name))
+        .map(col => (col.name === table.primaryKey ? { ...col, unique: true, required: true } : col));
+};
+
+/**
+ * Decide the parent row of every child row from the driving foreign key's cardinality
+ * @param {Array} parentKeys - Primary key values of the parent table, in row order
+ * @param {Object} cardinality - { min, max } rows per parent
+ * @param {Object} random - Seeded random helpers
+ * @returns {Array} One parent key per child row, grouped by parent
+ */
+const planChildRows = (parentKeys, cardinality, random) => {
+    const assignments = [];
+
+    parentKeys.forEach(key => {
+        const count = random.int(cardinality.min, cardinality.max);
+        for (let i = 0; i < count; i++) assignments.push(key);
+    });
+
+    return assignments;
+};
+
+/**
+ * Describe a table for the prompt, including the tables it belongs to
+ * @param {string} description - Bundle description
+ * @param {Object} table - Table definition
+ * @returns {string} Table description
+ */
+const describeTable = (description, table) => {
+    let text = `${description}\nThis is the "${table.name}" table`;
+    text += table.description ? `: ${table.description}.` : '.';
+
+    (table.foreignKeys || []).forEach(fk => {
+        text += ` Each row belongs to a row of the "${fk.references.table}" table.`;
+    });
+
+    return text;
+};
+
+/**
+ * Count parents whose number of children fell outside the cardinality rule
+ * (happens when the model returns fewer rows than planned)
+ * @param {Array} assignments - Parent key per child row
+ * @param {Array} parentKeys - All parent keys
+ * @param {Object} cardinality - { min, max }
+ * @returns {Object} { min, max, parentsBelowMin }
+ */
+const checkCardinality = (assignments, parentKeys, cardinality) => {
+    const counts = new Map(parentKeys.map(key => [key, 0]));
+    assignments.forEach(key => counts.set(key, counts.get(key) + 1));
+
+    const parentsBelowMin = [...counts.values()].filter(count => count < cardinality.min).length;
+    return { min: cardinality.min, max: cardinality.max, parentsBelowMin };
+};
+
+/**
+ * Generate a bundle of related tables
+ * Tables are generated in dependency order. Child row counts come from the cardinality
+ * of their first foreign key; every foreign key value is taken from the parent rows
+ * already generated, so no key points at a missing row.
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Array} tables - Table definitions ({ name, description, columns, rowCount, primaryKey, foreignKeys, rules, correlations })
+ * @param {string|null} referenceContext - Formatted reference context
+ * @param {Object} options - Batch options ({ provider, settings, chunkSize, concurrency, onChunk, onAttempt, signal, completedChunks })
+ * @returns {Promise<Object>} { tables: [{ name, rows, validationReport }], responseMetadata, prompt }
+ */
+const generateBundle = async (topic, description, tables, referenceContext = null, options = {}) => {
+    const settings = options.settings || {};
+    const completedChunks = options.completedChunks || [];
+    const keysByTable = {};
+    const results = [];
+    const responseMetadata = [];
+    let firstPrompt = null;
+
+    for (const table of orderTables(tables)) {
+        // Seeded per table so a resumed job assigns the same parents again
+        const random = createRandom(`${settings.seed !== undefined ? settings.seed : topic}:${table.name}`);
+        const driving = getDrivingForeignKey(table);
+        const parentKeys = driving ? keysByTable[driving.references.table] : null;
+        let assignments = driving ? planChildRows(parentKeys, driving.cardinality, random) : null;
+        const plannedRows = driving ? assignments.length : table.rowCount;
+        const modelColumns = getModelColumns(table);
+
+        logger.info(`Generating table ${table.name} with ${plannedRows} rows`);
+
+        let generated = { rows: Array.from({ length: plannedRows }, () => ({})), validationReport: mergeReports([], modelColumns) };
+
+        if (plannedRows > 0 && modelColumns.length > 0) {
+            generated = await batchGenerationService.generateDataset(
+                topic,
+                describeTable(description, table),
+                modelColumns,
+                plannedRows,
+                referenceContext,
+                {
+                    ...options,
+                    rules: table.rules,
+                    correlations: table.correlations,
+                    completedChunks: completedChunks.filter(chunk => chunk.table === table.name),
+                    onChunk: options.onChunk ? (chunk) => options.onChunk({ ...chunk, table: table.name }) : undefined
+                }
+            );
+
+            if (firstPrompt === null) firstPrompt = generated.prompt;
+            if (generated.responseMetadata) responseMetadata.push(generated.responseMetadata);
+        }
+
+        // Rows the model could not produce shorten the plan from the end
+        const rowTotal = generated.rows.length;
+        if (assignments) assignments = assignments.slice(0, rowTotal);
+
+        const assembled = generated.rows.map((generatedRow, index) => {
+            const row = {};
+
+            table.columns.forEach(col => {
+                const fk = (table.foreignKeys || []).find(key => key.column === col.name);
+
+                if (col.name === table.primaryKey && hasSequentialKey(table)) {
+                    row[col.name] = index + 1;
+                } else if (fk && fk === driving) {
+                    row[col.name] = assignments[index];
+                } else if (fk) {
+                    const parentRows = keysByTable[fk.references.table];
+                    row[col.name] = parentRows.length > 0 ? random.pick(parentRows) : null;
+                } else {
+                    row[col.name] = generatedRow[col.name] !== undefined ? generatedRow[col.name] : null;
+                }
+            });
+
+            return row;
+        });
+
+        // Derived columns may read the keys assigned above
+        const derived = applyDerivedColumns(assembled, table.columns);
+        const rows = derived.rows;
+
+        if (table.primaryKey) {
+            keysByTable[table.name] = rows.map(row => row[table.primaryKey]);
+        }
+
+        const validationReport = {
+            ...generated.validationReport,
+            columns: { ...generated.validationReport.columns, ...derived.report }
+        };
+        if (driving) {
+            validationReport.cardinality = {
+                [driving.column]: checkCardinality(assignments, parentKeys, driving.cardinality)
+            };
+        }
+
+        results.push({ name: table.name, rows, validationReport });
+        logger.success(`Table ${table.name} finished with ${rows.length} rows`);
+    }
+
+    return {
+        tables: results,
+        responseMetadata: batchGenerationService.mergeResponseMetadata(responseMetadata),
+        prompt: firstPrompt
+    };
+};
+
+module.exports = {
+    getModelColumns,
+    planChildRows,
+    generateBundle
+};
@@ -0,0 +1,264 @@
+const { isValidValue } = require('../utils/validators');
+const { getDatatype, parseNumeric } = require('../utils/datatypes');
+const { isNullable, checkConstraints } = require('../utils/columnConstraints');
+const { checkLocale } = require('../utils/locales');
+
+/**
+ * Values treated as missing
+ * @param {*} value - Cell value
+ * @returns {boolean} True if missing
+ */
+const isMissing = (value) => {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+};
+
+/**
+ * Coerce a value to a column datatype when it can be done safely
+ * @param {*} value - Raw value
+ * @param {string} datatype - Column datatype
+ * @returns {Object} { valid, value, coerced }
+ */
+const coerceValue = (value, datatype) => {
+    if (isValidValue(value, datatype)) {
+        return { valid: true, value, coerced: false };
+    }
+
+    const entry = getDatatype(datatype);
+    const coercedValue = entry ? entry.coerce(value) : undefined;
+
+    if (coercedValue !== undefined && coercedValue !== null && isValidValue(coercedValue, datatype)) {
+        return { valid: true, value: coercedValue, coerced: true };
+    }
+
+    return { valid: false, value, coerced: false };
+};
+
+/**
+ * Create an empty validation report for a column list
+ * @param {Array} columns - Column definitions
+ * @returns {Object} Empty report
+ */
+const createReport = (columns) => {
+    const report = {
+        totalRows: 0,
+        validRows: 0,
+        droppedRows: 0,
+        reRequestedRows: 0,
+        extraKeysRemoved: 0,
+        columns: {}
+    };
+
+    columns.forEach(col => {
+        report.columns[col.name] = {
+            datatype: col.datatype,
+            valid: 0,
+            coerced: 0,
+            invalid: 0,
+            missing: 0,
+            duplicates: 0,
+            violations: {}
+        };
+    });
+
+    return report;
+};
+
+/**
+ * Create the index of values already used by unique columns
+ * Pass the same index to every validateRows call of one dataset.
+ * @param {Array} columns - Column definitions
+ * @param {Array} exclude - Column names that are made unique some other way
+ * @returns {Map} Column name -> Set of used values
+ */
+const createUniqueIndex = (columns, exclude = []) => {
+    return new Map(columns
+        .filter(col => col.unique && !exclude.includes(col.name))
+        .map(col => [col.name, new Set()]));
+};
+
+/**
+ * Record a row's values in the unique index
+ * @param {Map} uniqueIndex - Column name -> Set of used values
+ * @param {Object} row - Clean row
+ */
+const indexUniqueValues = (uniqueIndex, row) => {
+    uniqueIndex.forEach((used, name) => {
+        if (row[name] !== null && row[name] !== undefined) used.add(String(row[name]));
+    });
+};
+
+/**
+ * Free a dropped row's values in the unique index so later rows may use them
+ * @param {Map} uniqueIndex - Column name -> Set of used values
+ * @param {Object} row - Clean row that was dropped after indexing
+ */
+const releaseUniqueValues = (uniqueIndex, row) => {
+    uniqueIndex.forEach((used, name) => {
+        if (row[name] !== null && row[name] !== undefined) used.delete(String(row[name]));
+    });
+};
+
+/**
+ * Validate and clean one row against the column spec
+ * @param {Object} row - Generated row
+ * @param {Array} columns - Column definitions
+ * @param {Object} report - Report updated in place
+ * @param {Map|null} uniqueIndex - Values already used by unique columns
+ * @returns {Object|null} Clean row, or null if the row must be dropped
+ */
+const validateRow = (row, columns, report, uniqueIndex = null) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return null;
+    }
+
+    const declared = new Set(columns.map(col => col.name));
+    report.extraKeysRemoved += Object.keys(row).filter(key => !declared.has(key)).length;
+
+    const clean = {};
+    let keep = true;
+
+    columns.forEach(col => {
+        const stats = report.columns[col.name];
+        const value = row[col.name];
+
+        if (isMissing(value)) {
+            stats.missing++;
+            if (!isNullable(col)) keep = false;
+            clean[col.name] = null;
+            return;
+        }
+
+        // Local formats (phone prefixes, postal codes, currency signs) are checked on the raw value
+        const localized = col.locale ? checkLocale(value, col) : { value, coerced: false, violation: null };
+
+        if (localized.violation) {
+            stats.violations[localized.violation] = (stats.violations[localized.violation] || 0) + 1;
+            keep = false;
+            return;
+        }
+
+        const result = coerceValue(localized.value, col.datatype);
+
+        if (!result.valid) {
+            stats.invalid++;
+            keep = false;
+            return;
+        }
+
+        const { value: checked, violation } = checkConstraints(result.value, col);
+
+        if (violation) {
+            stats.violations[violation] = (stats.violations[violation] || 0) + 1;
+            keep = false;
+            return;
+        }
+
+        if (result.coerced || localized.coerced) {
+            stats.coerced++;
+        } else {
+            stats.valid++;
+        }
+        clean[col.name] = checked;
+    });
+
+    if (!keep) {
+        return null;
+    }
+
+    // Uniqueness is checked last so only otherwise valid rows claim a value
+    if (uniqueIndex) {
+        const duplicate = [...uniqueIndex.keys()].find(name =>
+            clean[name] !== null && uniqueIndex.get(name).has(String(clean[name]))
+        );
+
+        if (duplicate) {
+            report.columns[duplicate].duplicates++;
+            return null;
+        }
+
+        indexUniqueValues(uniqueIndex, clean);
+    }
+
+    return clean;
+};
+
+/**
+ * Validate generated rows against the declared columns
+ * Rows get exactly the declared keys, values are coerced where safe,
+ * and rows with invalid values, constraint violations, nulls in non-nullable
+ * columns or values already used by a unique column are dropped.
+ * @param {Array} rows - Generated rows
+ * @param {Array} columns - Column definitions
+ * @param {Map|null} uniqueIndex - Optional index from createUniqueIndex, shared across calls
+ * @returns {Object} { rows, report }
+ */
+const validateRows = (rows, columns, uniqueIndex = null) => {
+    const report = createReport(columns);
+    const validRows = [];
+
+    (Array.isArray(rows) ? rows : []).forEach(row => {
+        report.totalRows++;
+        const clean = validateRow(row, columns, report, uniqueIndex);
+
+        if (clean) {
+            validRows.push(clean);
+        } else {
+            report.droppedRows++;
+        }
+    });
+
+    report.validRows = validRows.length;
+
+    return { rows: validRows, report };
+};
+
+/**
+ * Combine several validation reports (e.g. one per chunk) into one
+ * @param {Array} reports - Validation reports
+ * @param {Array} columns - Column definitions
+ * @returns {Object} Combined report
+ */
+const mergeReports = (reports, columns) => {
+    const merged = createReport(columns);
+
+    reports.filter(Boolean).forEach(report => {
+        ['totalRows', 'validRows', 'droppedRows', 'reRequestedRows', 'extraKeysRemoved'].forEach(key => {
+            merged[key] += report[key] || 0;
+        });
+
+        Object.entries(report.columns || {}).forEach(([name, stats]) => {
+            const target = merged.columns[name];
+            if (!target) return;
+            ['valid', 'coerced', 'invalid', 'missing', 'duplicates'].forEach(key => {
+                target[key] += stats[key] || 0;
+            });
+            Object.entries(stats.violations || {}).forEach(([kind, count]) => {
+                target.violations[kind] = (target.violations[kind] || 0) + count;
+            });
+        });
+
+        // Business rule stats are only present when the dataset has rules
+        Object.entries(report.rules || {}).forEach(([name, stats]) => {
+            merged.rules = merged.rules || {};
+            const target = merged.rules[name] || (merged.rules[name] = { expression: stats.expression, violations: 0, repaired: 0, dropped: 0 });
+            ['violations', 'repaired', 'dropped'].forEach(key => {
+                target[key] += stats[key] || 0;
+            });
+        });
+    });
+
+    return merged;
+};
+
+module.exports = {
+    isMissing,
+    parseNumeric,
+    coerceValue,
+    createReport,
+    createUniqueIndex,
+    indexUniqueValues,
+    releaseUniqueValues,
+    validateRow,
+    validateRows,
+    mergeReports
+};
@@ -0,0 +1,133 @@
+const { isDerived } = require('../utils/derivedColumns');
+const { checkConstraints } = require('../utils/columnConstraints');
+const { applyDerivedColumns } = require('./derivedColumnService');
+const { isMissing, coerceValue } = require('./rowValidator');
+
+/**
+ * Whether a row satisfies a rule (evaluation errors count as a violation)
+ * @param {Object} rule - Compiled rule
+ * @param {Object} row - Row including derived columns
+ * @returns {boolean} True if the rule holds
+ */
+const satisfies = (rule, row) => {
+    try {
+        return Boolean(rule.check.evaluate(row));
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Add derived column values to a row so rules can read them
+ * @param {Object} row - Row with generated columns
+ * @param {Array} columns - Column definitions
+ * @returns {Object} Row with derived columns
+ */
+const withDerivedValues = (row, columns) => {
+    return columns.some(isDerived) ? applyDerivedColumns([row], columns).rows[0] : row;
+};
+
+/**
+ * Overwrite one column using a rule's repair expression
+ * @param {Object} row - Row with generated columns
+ * @param {Object} view - Row including derived columns
+ * @param {Object} rule - Compiled rule with a repair
+ * @param {Array} columns - Column definitions
+ * @returns {Object|null} { row, view } after the repair, or null if the repaired value is unusable
+ */
+const repairRow = (row, view, rule, columns) => {
+    const column = columns.find(col => col.name === rule.repair.column);
+    let value;
+
+    try {
+        value = rule.repair.expression.evaluate(view);
+    } catch {
+        return null;
+    }
+
+    const coerced = isMissing(value) ? { valid: false } : coerceValue(value, column.datatype);
+    if (!coerced.valid) {
+        return null;
+    }
+
+    const checked = checkConstraints(coerced.value, column);
+    if (checked.violation) {
+        return null;
+    }
+
+    const repaired = { ...row, [column.name]: checked.value };
+    return { row: repaired, view: withDerivedValues(repaired, columns) };
+};
+
+/**
+ * Create an empty per-rule report
+ * @param {Array} rules - Compiled rules
+ * @returns {Object} Report keyed by rule name ({ expression, violations, repaired, dropped })
+ */
+const createRuleReport = (rules) => {
+    return Object.fromEntries(rules.map(rule => [rule.name, { expression: rule.source, violations: 0, repaired: 0, dropped: 0 }]));
+};
+
+/**
+ * Check rows against cross-column business rules
+ * A row that breaks a rule is repaired when the rule has a repair expression and the
+ * repaired row passes every rule; otherwise it is dropped so the caller can re-request it.
+ * @param {Array} rows - Validated rows (generated columns only)
+ * @param {Array} rules - Compiled rules (utils/businessRules compileRules)
+ * @param {Array} columns - All column definitions, including derived ones
+ * @returns {Object} { rows, dropped, report } - dropped holds the original rows that were removed
+ */
+const enforceRules = (rows, rules, columns) => {
+    if (rules.length === 0) {
+        return { rows, dropped: [], report: {} };
+    }
+
+    const report = createRuleReport(rules);
+    const kept = [];
+    const dropped = [];
+
+    rows.forEach(original => {
+        let row = original;
+        let view = withDerivedValues(row, columns);
+
+        rules.forEach(rule => {
+            if (satisfies(rule, view)) return;
+
+            report[rule.name].violations++;
+            if (!rule.repair) return;
+
+            const repaired = repairRow(row, view, rule, columns);
+            if (repaired && satisfies(rule, repaired.view)) {
+                ({ row, view } = repaired);
+                report[rule.name].repaired++;
+            }
+        });
+
+        // A repair can break a rule checked earlier, so the row must pass all of them now
+        const broken = rules.find(rule => !satisfies(rule, view));
+        if (broken) {
+            report[broken.name].dropped++;
+            dropped.push(original);
+        } else {
+            kept.push(row);
+        }
+    });
+
+    return { rows: kept, dropped, report };
+};
+
+/**
+ * Count rows that still break each rule (e.g. after nulls were added)
+ * @param {Array} rows - Final rows, including derived columns
+ * @param {Array} rules - Compiled rules
+ * @returns {Object} Violation counts keyed by rule name
+ */
+const countViolations = (rows, rules) => {
+    return Object.fromEntries(rules.map(rule => [rule.name, rows.filter(row => !satisfies(rule, row)).length]));
+};
+
+module.exports = {
+    satisfies,
+    enforceRules,
+    countViolations
+};
@@ -0,0 +1,255 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { APIError } = require('../middleware/errorHandler');
+const { parseSampleFile, fileExists, getFileExtension } = require('./fileService');
+const { coerceValue } = require('./rowValidator');
+const { inferColumnType } = require('../utils/kaggleHelpers');
+const { NUMERIC_DATATYPES, DATE_DATATYPES, roundTo } = require('../utils/columnConstraints');
+const { parseNumeric } = require('../utils/datatypes');
+
+// Uploaded samples are stored here by the upload middleware; a sample's id is its stored filename
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const SAMPLE_EXTENSIONS = ['csv', 'json'];
+
+// Few-shot rows added to the prompt, chosen from at most MAX_CANDIDATE_ROWS rows spread over the file
+const FEW_SHOT_ROWS = 5;
+const MAX_CANDIDATE_ROWS = 1000;
+const MAX_EXAMPLE_VALUE_LENGTH = 200;
+
+// Text columns with at most this many distinct values, each seen at least twice on average, are enum candidates
+const MAX_ENUM_CANDIDATES = 20;
+
+/**
+ * Resolve a sample id to the stored upload
+ * @param {string} sampleId - Stored filename returned by /api/uploadSample
+ * @returns {string} Absolute path of the upload
+ */
+const getSamplePath = (sampleId) => {
+    if (typeof sampleId !== 'string' || path.basename(sampleId) !== sampleId || !SAMPLE_EXTENSIONS.includes(getFileExtension(sampleId))) {
+        throw new APIError('sampleId must be the id returned by /api/uploadSample', 400);
+    }
+    return path.join(UPLOADS_DIR, sampleId);
+};
+
+/**
+ * Trim text values and turn empty cells into null (CSV files have no other way to say "missing")
+ * @param {Array} rows - Parsed rows
+ * @returns {Array} Normalized rows
+ */
+const normalizeRows = (rows) => {
+    return rows
+        .filter(row => row && typeof row === 'object' && !Array.isArray(row))
+        .map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => {
+            const text = typeof value === 'string' ? value.trim() : value;
+            return [key.trim(), text === '' || text === undefined ? null : text];
+        })));
+};
+
+/**
+ * Lowest and highest value of a numeric or date column
+ * @param {Array} values - Non-empty values
+ * @param {string} datatype - Inferred datatype
+ * @returns {Object} { min, max } - null for other datatypes; dates keep their text
+ */
+const getRange = (values, datatype) => {
+    if (NUMERIC_DATATYPES.includes(datatype)) {
+        const numbers = values.map(parseNumeric).filter(number => number !== null);
+        if (numbers.length > 0) {
+            return { min: numbers.reduce((a, b) => Math.min(a, b)), max: numbers.reduce((a, b) => Math.max(a, b)) };
+        }
+    }
+
+    if (DATE_DATATYPES.includes(datatype)) {
+        const dates = values.filter(value => !isNaN(Date.parse(value)));
+        if (dates.length > 0) {
+            const byTime = [...dates].sort((a, b) => Date.parse(a) - Date.parse(b));
+            return { min: byTime[0], max: byTime[byTime.length - 1] };
+        }
+    }
+
+    return { min: null, max: null };
+};
+
+/**
+ * Profile one column of a sample
+ * @param {string} name - Column name
+ * @param {Array} values - The column's values in every row (null for empty cells)
+ * @returns {Object} { name, datatype, required, nullRate, min, max, distinctCount, unique, enumCandidates, examples }
+ */
+const profileColumn = (name, values) => {
+    const present = values.filter(value => value !== null && value !== undefined);
+    const datatype = inferColumnType(present, name);
+
+    // Distinct values by their text, most frequent first
+    const counts = new Map();
+    present.forEach(value => {
+        const key = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const distinct = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+
+    const categorical = datatype === 'string' && distinct.length > 0 && distinct.length <= MAX_ENUM_CANDIDATES && distinct.length * 2 <= present.length;
+
+    return {
+        name,
+        datatype,
+        required: present.length === values.length,
+        nullRate: values.length > 0 ? roundTo((values.length - present.length) / values.length * 100, 1) : 0,
+        ...getRange(present, datatype),
+        distinctCount: distinct.length,
+        unique: present.length > 1 && distinct.length === present.length,
+        enumCandidates: categorical ? distinct : null,
+        examples: distinct.slice(0, 3).join(', ')
+    };
+};
+
+/**
+ * Propose a column list for sample rows
+ * @param {Array} rows - Normalized sample rows
+ * @returns {Array} Column profiles (see profileColumn), in the order columns first appear
+ */
+const inferSchema = (rows) => {
+    const names = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return names.map(name => profileColumn(name, rows.map(row => (row[name] === undefined ? null : row[name]))));
+};
+
+/**
+ * Column definitions for generating from a sample whose columns were not given
+ * @param {Array} profiles - Column profiles from inferSchema
+ * @returns {Array} Column definitions
+ */
+const inferColumns = (profiles) => {
+    return profiles.map(({ name, datatype, required, examples }) => ({ name, datatype, required, examples }));
+};
+
+/**
+ * Pick up to `limit` rows spread evenly over a list
+ * @param {Array} rows - Rows
+ * @param {number} limit - Maximum rows
+ * @returns {Array} Rows in their original order
+ */
+const spreadRows = (rows, limit) => {
+    if (rows.length <= limit) return rows;
+    return Array.from({ length: limit }, (_, index) => rows[Math.floor(index * rows.length / limit)]);
+};
+
+/**
+ * Choose representative rows: complete rows that together cover as many distinct values as possible
+ * @param {Array} rows - Normalized sample rows
+ * @param {Array} columns - Columns the rows are shown for
+ * @param {number} count - Rows to choose
+ * @returns {Array} Chosen rows in file order
+ */
+const selectFewShotRows = (rows, columns, count = FEW_SHOT_ROWS) => {
+    const names = columns.map(col => col.name);
+    const complete = rows.filter(row => names.every(name => row[name] !== null && row[name] !== undefined));
+    const candidates = spreadRows(complete.length >= count ? complete : rows, MAX_CANDIDATE_ROWS);
+
+    const seen = new Set();
+    const chosen = new Set();
+    const valueKey = (name, value) => `${name}\u0000${JSON.stringify(value)}`;
+
+    // Greedy coverage; ties go to the earliest candidate, which keeps the picks spread over the file
+    while (chosen.size < Math.min(count, candidates.length)) {
+        let best = -1;
+        let bestScore = -1;
+
+        candidates.forEach((row, index) => {
+            if (chosen.has(index)) return;
+            const score = names.filter(name => !seen.has(valueKey(name, row[name]))).length;
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+
+        chosen.add(best);
+        names.forEach(name => seen.add(valueKey(name, candidates[best][name])));
+    }
+
+    return [...chosen].sort((a, b) => a - b).map(index => candidates[index]);
+};
+
+/**
+ * Shape a sample row as an example of the requested columns (typed values, long text shortened)
+ * @param {Object} row - Normalized sample row
+ * @param {Array} columns - Columns shared by the request and the sample
+ * @returns {Object} Example row
+ */
+const toExample = (row, columns) => {
+    return Object.fromEntries(columns.map(col => {
+        const raw = row[col.name];
+        if (raw === null || raw === undefined) return [col.name, null];
+
+        const { valid, value } = coerceValue(raw, col.datatype);
+        const typed = valid ? value : raw;
+        return [col.name, typeof typed === 'string' && typed.length > MAX_EXAMPLE_VALUE_LENGTH
+            ? `${typed.slice(0, MAX_EXAMPLE_VALUE_LENGTH)}…`
+            : typed];
+    }));
+};
+
+/**
+ * Load the normalized rows of a stored sample
+ * @param {string} sampleId - Stored filename returned by /api/uploadSample
+ * @returns {Promise<Array>} Normalized rows (at least one)
+ */
+const loadSampleRows = async (sampleId) => {
+    const filePath = getSamplePath(sampleId);
+    if (!(await fileExists(filePath))) {
+        throw new APIError(`Sample ${sampleId} not found; upload it first`, 404);
+    }
+
+    const rows = normalizeRows(await parseSampleFile(filePath, getFileExtension(sampleId)));
+    if (rows.length === 0) {
+        throw new APIError(`Sample ${sampleId} has no rows`, 400);
+    }
+
+    return rows;
+};
+
+/**
+ * Load and profile a stored sample, infer columns when none are given, and choose few-shot rows
+ * Only generated columns that also appear in the sample are shown in the examples.
+ * @param {string} sampleId - Stored filename returned by /api/uploadSample
+ * @param {Array|undefined} columns - Requested columns (inferred from the sample when undefined)
+ * @returns {Promise<Object>} { columns, sample: { sampleId, rowCount, columns, inferredColumns, examples } }
+ */
+const resolveSample = async (sampleId, columns) => {
+    const rows = await loadSampleRows(sampleId);
+
+    // Columns that are empty throughout have nothing to show or infer
+    const profiles = inferSchema(rows).filter(profile => profile.distinctCount > 0);
+    const inferredColumns = columns === undefined;
+    const schema = inferredColumns ? inferColumns(profiles) : columns;
+
+    const shared = schema.filter(col => col.kind !== 'derived' && profiles.some(profile => profile.name === col.name));
+    if (shared.length === 0) {
+        throw new APIError(`Sample ${sampleId} has none of the requested columns`, 400);
+    }
+
+    const examples = selectFewShotRows(rows, shared).map(row => toExample(row, shared));
+    logger.info(`Sample ${sampleId}: ${rows.length} rows, ${examples.length} few-shot rows over ${shared.length} columns${inferredColumns ? ' (columns inferred)' : ''}`);
+
+    return {
+        columns: schema,
+        sample: {
+            sampleId,
+            rowCount: rows.length,
+            columns: profiles.map(profile => profile.name),
+            inferredColumns,
+            examples
+        }
+    };
+};
+
+module.exports = {
+    getSamplePath,
+    normalizeRows,
+    loadSampleRows,
+    profileColumn,
+    inferSchema,
+    inferColumns,
+    selectFewShotRows,
+    resolveSample
+};
@@ -0,0 +1,534 @@
+const logger = require('../utils/logger');
+const geminiService = require('./geminiService');
+const batchGenerationService = require('./batchGenerationService');
+const { buildValuePools } = require('./valuePoolService');
+const { loadSampleRows } = require('./sampleService');
+const { fitColumnsToSample } = require('./augmentationService');
+const { coerceValue, validateRows, mergeReports, createUniqueIndex, releaseUniqueValues } = require('./rowValidator');
+const { fitToColumn, applyDistributions, applyCorrelations } = require('./distributionService');
+const { getGeneratedColumns, applyDerivedColumns } = require('./derivedColumnService');
+const { enforceRules, countViolations } = require('./ruleEnforcer');
+const { compileRules } = require('../utils/businessRules');
+const { NUMERIC_DATATYPES, DATE_DATATYPES, isNullable, hasAllowedValues, checkConstraints, applyNullRates } = require('../utils/columnConstraints');
+const { createNumericDistribution, getCategoryWeights, empiricalQuantile } = require('../utils/distributions');
+const { normalScores, correlationMatrix, factorCorrelation, drawUniforms } = require('../utils/copula');
+const { isLabel, findLabelColumn, getLabelClasses, planClassCounts } = require('../utils/labelColumns');
+const { isLocaleAware, getLocaleMix } = require('../utils/locales');
+const { isStructuredDatatype, parseNumeric } = require('../utils/datatypes');
+const { generateValue } = require('../utils/fakeValues');
+const { createRandom, hashSeed } = require('../utils/random');
+
+// Learned marginals keep at most this many quantiles, so a stored synthesizer stays small
+const MAX_QUANTILE_POINTS = 1001;
+// Rounds of extra rows to replace rows dropped for duplicates or broken rules
+const MAX_TOP_UP_ROUNDS = 3;
+// Distinct model-written texts kept per column for later offline sampling
+const MAX_TEXT_POOL = 1000;
+const EDGE = 1e-9;
+
+/**
+ * Store a category label in the column's own type
+ * @param {*} value - Category label (a JSON key for declared weights)
+ * @param {Object} column - Column definition
+ * @returns {*} Typed value
+ */
+const toTypedValue = (value, column) => {
+    const allowed = (column.allowedValues || []).find(option => String(option) === String(value));
+    if (allowed !== undefined) return allowed;
+
+    const coerced = coerceValue(value, column.datatype);
+    return coerced.valid ? coerced.value : value;
+};
+
+/**
+ * Categories of a column with their weights, if it is categorical
+ * Label classes come first, then a categorical (or ranked Zipf) distribution, which is what
+ * fitting to a sample produces, then allowedValues and booleans with equal weights.
+ * @param {Object} column - Column definition
+ * @returns {Array|null} [{ value, weight }] with typed values, or null for other columns
+ */
+const getCategories = (column) => {
+    if (isLabel(column)) return getLabelClasses(column);
+
+    const weights = column.distribution ? getCategoryWeights(column.distribution, column) : null;
+    if (weights) return weights.map(({ value, weight }) => ({ value: toTypedValue(value, column), weight }));
+
+    if (hasAllowedValues(column)) return column.allowedValues.map(value => ({ value, weight: 1 }));
+    if (String(column.datatype).toLowerCase() === 'boolean') return [{ value: true, weight: 1 }, { value: false, weight: 1 }];
+    return null;
+};
+
+/**
+ * Thin sorted values to at most MAX_QUANTILE_POINTS evenly spaced quantiles
+ * @param {Array<number>} sorted - Sorted values
+ * @returns {Array<number>} Quantile grid
+ */
+const toQuantileGrid = (sorted) => {
+    if (sorted.length <= MAX_QUANTILE_POINTS) return sorted;
+    return Array.from({ length: MAX_QUANTILE_POINTS }, (_, index) => empiricalQuantile(sorted, index / (MAX_QUANTILE_POINTS - 1)));
+};
+
+/**
+ * Decide how one column is sampled
+ * @param {Object} column - Column definition (fitted to the sample when there is one)
+ * @param {Array|null} learned - Sorted sample values of a numeric column, when it has a learned marginal
+ * @param {Array} realRows - Typed sample rows (empty without a sample)
+ * @param {boolean} identifier - Whether the column identifies rows
+ * @returns {Object} { name, kind, nullRate, grid | distribution | categories }
+ */
+const modelColumn = (column, learned, realRows, identifier) => {
+    const base = {
+        name: column.name,
+        nullRate: isNullable(column) && typeof column.nullPercentage === 'number' ? column.nullPercentage : 0
+    };
+    const datatype = String(column.datatype).toLowerCase();
+
+    // Identifiers are numbered, and unique or structured values have no marginal worth learning
+    if (identifier || column.unique || isStructuredDatatype(datatype)) return { ...base, kind: 'fake' };
+
+    const categories = getCategories(column);
+    if (categories) return { ...base, kind: 'categorical', categories };
+
+    if (NUMERIC_DATATYPES.includes(datatype)) {
+        if (learned) return { ...base, kind: 'numeric', grid: toQuantileGrid(learned) };
+        if (column.distribution) return { ...base, kind: 'numeric', distribution: column.distribution };
+        return { ...base, kind: 'fake' };
+    }
+
+    if (DATE_DATATYPES.includes(datatype)) {
+        const times = realRows.map(row => Date.parse(row[column.name])).filter(time => !isNaN(time)).sort((a, b) => a - b);
+        return times.length > 0 ? { ...base, kind: 'date', grid: toQuantileGrid(times) } : { ...base, kind: 'fake' };
+    }
+
+    if (datatype === 'string' || datatype === 'text_paragraph') return { ...base, kind: 'text' };
+    return { ...base, kind: 'fake' };
+};
+
+/**
+ * Value of a column on the copula's scale: numbers, timestamps or category positions
+ * @param {Object} model - Column model
+ * @param {*} value - Typed sample value
+ * @returns {number|null} Score input, or null when missing
+ */
+const toCopulaValue = (model, value) => {
+    if (value === null || value === undefined) return null;
+    if (model.kind === 'numeric') return parseNumeric(value);
+    if (model.kind === 'date') return isNaN(Date.parse(value)) ? null : Date.parse(value);
+
+    const index = model.categories.findIndex(category => String(category.value) === String(value));
+    return index === -1 ? null : index;
+};
+
+/**
+ * Fit the Gaussian copula that ties the sampled columns together
+ * Each column's sample values become normal scores, and their correlation matrix is factored
+ * once; sampling then only needs the factor.
+ * @param {Array} models - Column models
+ * @param {Array} realRows - Typed sample rows
+ * @returns {Object|null} { columns, correlation, factor, shrinkage }, or null with fewer than two columns to tie
+ */
+const fitCopula = (models, realRows) => {
+    const tied = models.filter(model => ['numeric', 'date', 'categorical'].includes(model.kind) &&
+        realRows.filter(row => toCopulaValue(model, row[model.name]) !== null).length > 1);
+    if (tied.length < 2) return null;
+
+    const scores = tied.map(model => normalScores(realRows.map(row => toCopulaValue(model, row[model.name]))));
+    const correlation = correlationMatrix(scores);
+
+    return {
+        columns: tied.map(model => model.name),
+        correlation,
+        ...factorCorrelation(correlation)
+    };
+};
+
+/**
+ * Learn a synthesizer from an uploaded sample and/or the declared columns
+ * With a sample, the columns are fitted to it first (ranges, categories with their frequencies,
+ * null rates, date ranges; explicit settings win), numeric and date columns keep a quantile grid
+ * of the real values, and a Gaussian copula over the real rows keeps their dependence. Without
+ * one, declared distributions, label classes, allowedValues and ranges are sampled independently.
+ * @param {Array} columns - Column definitions
+ * @param {Array|null} sampleRows - Normalized sample rows, or null
+ * @param {Object} options - { fillText }
+ * @returns {Object} { columns (fitted), synthesizer: { source, fillText, columns, copula } }
+ */
+const fitSynthesizer = (columns, sampleRows = null, options = {}) => {
+    const fit = sampleRows ? fitColumnsToSample(columns, sampleRows) : { columns, fitted: [], realRows: [] };
+    const generatedColumns = getGeneratedColumns(fit.columns);
+    const identifier = batchGenerationService.findIdentifierColumn(generatedColumns);
+
+    const models = generatedColumns.map(col => {
+        const entry = fit.fitted.find(({ column }) => column.name === col.name);
+        return modelColumn(col, entry ? entry.values : null, fit.realRows, col === identifier);
+    });
+
+    return {
+        columns: fit.columns,
+        synthesizer: {
+            source: sampleRows ? 'sample' : 'declared',
+            fillText: Boolean(options.fillText),
+            columns: models,
+            copula: fitCopula(models, fit.realRows)
+        }
+    };
+};
+
+/**
+ * Index of the category a uniform falls in
+ * @param {Array} categories - [{ value, weight }]
+ * @param {number} u - Uniform in (0, 1)
+ * @returns {number} Category index
+ */
+const pickCategory = (categories, u) => {
+    const total = categories.reduce((sum, category) => sum + category.weight, 0);
+    let running = 0;
+
+    for (let index = 0; index < categories.length; index++) {
+        running += categories[index].weight;
+        if (u * total < running) return index;
+    }
+    return categories.length - 1;
+};
+
+/**
+ * Build a weighted picker over a value pool
+ * Pools hold hundreds of values, so the cumulative weights are computed once and searched.
+ * @param {Array} pool - [{ value, weight }]
+ * @returns {Function} (u) -> value
+ */
+const createPoolPicker = (pool) => {
+    const cumulative = [];
+    pool.reduce((sum, entry) => {
+        cumulative.push(sum + entry.weight);
+        return sum + entry.weight;
+    }, 0);
+    const total = cumulative[cumulative.length - 1];
+
+    return (u) => {
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (u * total < cumulative[middle]) high = middle;
+            else low = middle + 1;
+        }
+        return pool[low].value;
+    };
+};
+
+/**
+ * Build the value drawer of one column
+ * @param {Object} model - Column model
+ * @param {Object} column - Column definition
+ * @param {Array} locales - Locale codes rows may be written in (empty without a dataset locale)
+ * @returns {Function} (u, random, locale, rowIndex) -> value
+ */
+const createColumnDrawer = (model, column, locales) => {
+    const datatype = String(column.datatype).toLowerCase();
+
+    switch (model.kind) {
+        case 'numeric': {
+            const quantile = model.grid
+                ? (u) => empiricalQuantile(model.grid, u)
+                : createNumericDistribution(model.distribution).quantile;
+            return (u) => fitToColumn(quantile(u), column).value;
+        }
+        case 'date':
+            return (u) => {
+                const iso = new Date(Math.round(empiricalQuantile(model.grid, u))).toISOString();
+                return datatype === 'date' ? iso.slice(0, 10) : `${iso.slice(0, 19)}Z`;
+            };
+        case 'categorical':
+            return (u) => model.categories[pickCategory(model.categories, u)].value;
+        default: {
+            // Nulls are drawn by the sampler; localized variants are built once, not per row
+            const plain = { ...column, nullPercentage: undefined };
+            const localized = new Map(locales.map(locale => [locale, isLocaleAware(column) && !column.locale ? { ...plain, locale } : plain]));
+            const offline = (u, random, locale, rowIndex) => generateValue(locale ? localized.get(locale) : plain, random, rowIndex);
+            if (!model.pools) return offline;
+
+            // Pools are keyed by row locale, '' serving every row; a locale without one falls back
+            const pickers = Object.fromEntries(Object.entries(model.pools).map(([slot, pool]) => [slot, createPoolPicker(pool)]));
+            return (u, random, locale, rowIndex) => {
+                const pick = (locale && pickers[locale]) || pickers[''];
+                return pick ? pick(u) : offline(u, random, locale, rowIndex);
+            };
+        }
+    }
+};
+
+/**
+ * Create a row sampler from a fitted synthesizer
+ * Copula columns draw correlated uniforms; every other column draws its own. Locale-aware
+ * columns without a locale of their own follow a per-row locale drawn from the dataset mix.
+ * @param {Object} synthesizer - Fitted synthesizer
+ * @param {Array} columns - Generated column definitions
+ * @param {string|Object|undefined} locale - Dataset locale (a code or a weighted mix)
+ * @returns {Function} (count, random, startRow) -> rows
+ */
+const createSampler = (synthesizer, columns, locale) => {
+    const mix = locale ? getLocaleMix(locale) : [];
+    const locales = mix.map(({ value }) => value);
+    const copulaIndex = new Map((synthesizer.copula ? synthesizer.copula.columns : []).map((name, index) => [name, index]));
+
+    const drawers = synthesizer.columns
+        .map(model => ({ model, column: columns.find(col => col.name === model.name) }))
+        .filter(({ column }) => column)
+        .map(({ model, column }) => ({
+            name: model.name,
+            nullRate: model.nullRate / 100,
+            copula: copulaIndex.has(model.name) ? copulaIndex.get(model.name) : -1,
+            draw: createColumnDrawer(model, column, locales)
+        }));
+
+    return (count, random, startRow = 0) => Array.from({ length: count }, (_, offset) => {
+        const uniforms = synthesizer.copula ? drawUniforms(synthesizer.copula.factor, random) : [];
+        const rowLocale = mix.length > 0 ? locales[pickCategory(mix, random.next())] : undefined;
+        const row = {};
+
+        drawers.forEach(({ name, nullRate, copula, draw }) => {
+            const u = copula >= 0 ? uniforms[copula] : Math.min(1 - EDGE, Math.max(EDGE, random.next()));
+            row[name] = nullRate > 0 && random.chance(nullRate) ? null : draw(u, random, rowLocale, startRow + offset);
+        });
+
+        return row;
+    });
+};
+
+/**
+ * Have the model write the free-text columns of already sampled rows
+ * Rows are sent in chunks with their other values, so the texts fit them. Only cells that
+ * hold a value are replaced, and replies that break the column's constraints are ignored,
+ * so the offline text stays where the model falls short.
+ * @param {Array} rows - Sampled rows, updated in place
+ * @param {Array} textColumns - Free-text column definitions
+ * @param {Array} columns - Generated column definitions
+ * @param {Object} request - { topic, description, options, responseMetadata, onPrompt }
+ * @returns {Promise<Object>} Filled cell counts keyed by column name
+ */
+const fillTextColumns = async (rows, textColumns, columns, request) => {
+    const { topic, description, options, responseMetadata, onPrompt } = request;
+    const settings = options.settings || {};
+    const textNames = new Set(textColumns.map(col => col.name));
+    const contextNames = columns.filter(col => !textNames.has(col.name)).map(col => col.name);
+    const chunks = batchGenerationService.planChunks(rows.length, options.chunkSize || batchGenerationService.DEFAULT_CHUNK_SIZE);
+    const filled = Object.fromEntries(textColumns.map(col => [col.name, 0]));
+
+    logger.info(`Filling ${textColumns.length} text column(s) of ${rows.length} rows in ${chunks.length} chunk(s)`);
+
+    await batchGenerationService.runWithConcurrency(chunks.map(chunk => async () => {
+        const chunkRows = rows.slice(chunk.startRow, chunk.startRow + chunk.size);
+        const replies = await geminiService.generateDataset(topic, description, textColumns, chunk.size, null, null, {
+            provider: options.provider,
+            settings: { ...settings, seed: batchGenerationService.deriveSeed(settings.seed, chunk.index, 0) },
+            // Rows of a locale mix are interleaved, so only a single dataset locale is passed on
+            locale: typeof options.locale === 'string' ? options.locale : undefined,
+            fillRows: chunkRows.map(row => Object.fromEntries(contextNames.map(name => [name, row[name]]))),
+            signal: options.signal,
+            onAttempt: options.onAttempt,
+            onResponse: ({ prompt, metadata }) => {
+                onPrompt(prompt);
+                batchGenerationService.recordResponseMetadata(responseMetadata, metadata);
+            }
+        });
+
+        chunkRows.forEach((row, index) => {
+            const reply = replies[index];
+            if (!reply || typeof reply !== 'object') return;
+
+            textColumns.forEach(col => {
+                const text = reply[col.name];
+                if (row[col.name] === null || typeof text !== 'string' || text.trim() === '') return;
+
+                const { value, violation } = checkConstraints(text.trim(), col);
+                if (violation) return;
+                row[col.name] = value;
+                filled[col.name]++;
+            });
+        });
+    }), options.concurrency || batchGenerationService.DEFAULT_CONCURRENCY);
+
+    return filled;
+};
+
+/**
+ * Generate a dataset locally from a statistical synthesizer, without asking the model for rows
+ * The synthesizer is fitted to the uploaded sample (options.sample) or to the declared columns
+ * (see fitSynthesizer) and sampled; rows are validated like model rows, rules repair or drop
+ * them, and dropped rows are topped up. Declared distributions and correlations are then
+ * applied and null rates, derived columns and remaining rule violations reported, as for
+ * batched generation. With options.fillText the model writes only the free-text columns,
+ * and the texts it wrote are kept on the synthesizer for later offline sampling. With
+ * options.valuePools (hybrid mode) the model instead writes a weighted pool of values per
+ * free-text column up front (see valuePoolService), and rows sample those pools locally.
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Array} columns - Column definitions
+ * @param {number} rowCount - Number of rows
+ * @param {Object} options - { sample, fillText, valuePools, referenceContext, provider, settings, rules, correlations, locale, chunkSize, concurrency, signal, onAttempt }
+ * @returns {Promise<Object>} { rows, columns (fitted), validationReport, responseMetadata, prompt, synthesizer }
+ */
+const synthesizeDataset = async (topic, description, columns, rowCount, options = {}) => {
+    const sampleRows = options.sample ? await loadSampleRows(options.sample.sampleId) : null;
+    const { columns: fittedColumns, synthesizer } = fitSynthesizer(columns, sampleRows, { fillText: options.fillText });
+    const generatedColumns = getGeneratedColumns(fittedColumns);
+    const textColumns = generatedColumns.filter(col => synthesizer.columns.some(model => model.name === col.name && model.kind === 'text'));
+    const settings = options.settings || {};
+    let responseMetadata = batchGenerationService.createResponseMetadata();
+    let prompt = null;
+    let pools = null;
+
+    if (options.valuePools && textColumns.length > 0) {
+        const built = await buildValuePools(topic, description, textColumns, options.referenceContext, options);
+        synthesizer.columns.forEach(model => {
+            if (built.pools[model.name]) model.pools = built.pools[model.name];
+        });
+        responseMetadata = built.responseMetadata;
+        prompt = built.prompt;
+        pools = built.report;
+    }
+
+    const random = createRandom(settings.seed !== undefined ? `${settings.seed}:statistical` : hashSeed(`${topic}:${rowCount}`));
+    const drawRows = createSampler(synthesizer, generatedColumns, options.locale);
+    const rules = compileRules(options.rules);
+    const reports = [];
+    let rows = [];
+
+    // Identifier columns are renumbered at the end, so they don't need checking
+    const identifier = batchGenerationService.findIdentifierColumn(generatedColumns);
+    const uniqueIndex = createUniqueIndex(generatedColumns, identifier ? [identifier.name] : []);
+
+    logger.info(`Synthesizing ${rowCount} rows from ${synthesizer.source === 'sample' ? `sample ${options.sample.sampleId}` : 'the declared columns'}${synthesizer.copula ? ` (copula over ${synthesizer.copula.columns.length} columns)` : ''}`);
+
+    for (let round = 0; round <= MAX_TOP_UP_ROUNDS && rows.length < rowCount; round++) {
+        const missing = rowCount - rows.length;
+        const { rows: validRows, report } = validateRows(drawRows(missing, random, rows.length), generatedColumns, uniqueIndex);
+        const checked = enforceRules(validRows, rules, fittedColumns);
+        if (rules.length > 0) {
+            checked.dropped.forEach(row => releaseUniqueValues(uniqueIndex, row));
+            report.rules = checked.report;
+            report.validRows -= checked.dropped.length;
+            report.droppedRows += checked.dropped.length;
+        }
+        if (round > 0) report.reRequestedRows = missing;
+        reports.push(report);
+
+        rows = rows.concat(checked.rows);
+    }
+
+    if (rows.length !== rowCount) {
+        logger.warn(`Synthesized ${rows.length} rows, requested ${rowCount}`);
+    }
+
+    rows = batchGenerationService.normalizeIdentifiers(rows, generatedColumns);
+
+    const validationReport = mergeReports(reports, generatedColumns);
+    const label = findLabelColumn(generatedColumns);
+    if (label) {
+        validationReport.classes = batchGenerationService.buildClassHistogram(rows, label, planClassCounts(label, rowCount));
+    }
+
+    // Sampled from the targets already; shaping makes proportions exact and reports them
+    Object.entries(applyDistributions(rows, generatedColumns, random)).forEach(([name, distribution]) => {
+        validationReport.columns[name].distribution = distribution;
+    });
+    if (options.correlations && options.correlations.length > 0) {
+        validationReport.correlations = applyCorrelations(rows, options.correlations, random);
+    }
+    Object.entries(applyNullRates(rows, generatedColumns, random)).forEach(([name, nullRate]) => {
+        validationReport.columns[name].nullRate = nullRate;
+    });
+
+    let textFilled = null;
+
+    if (options.fillText && textColumns.length > 0 && rows.length > 0) {
+        textFilled = await fillTextColumns(rows, textColumns, generatedColumns, {
+            topic,
+            description,
+            options,
+            responseMetadata,
+            onPrompt: (text) => {
+                if (prompt === null) prompt = text;
+            }
+        });
+
+        synthesizer.columns.filter(model => model.kind === 'text').forEach(model => {
+            const texts = [...new Set(rows.map(row => row[model.name]).filter(value => typeof value === 'string'))].slice(0, MAX_TEXT_POOL);
+            if (texts.length > 0) model.pools = { '': texts.map(value => ({ value, weight: 1 })) };
+        });
+    }
+
+    const derived = applyDerivedColumns(rows, fittedColumns);
+    Object.assign(validationReport.columns, derived.report);
+
+    if (rules.length > 0) {
+        Object.entries(countViolations(derived.rows, rules)).forEach(([name, remaining]) => {
+            validationReport.rules[name].remaining = remaining;
+        });
+    }
+
+    validationReport.statistical = {
+        source: synthesizer.source,
+        copula: synthesizer.copula ? { columns: synthesizer.copula.columns, shrinkage: synthesizer.copula.shrinkage } : null,
+        columns: Object.fromEntries(synthesizer.columns.map(model => [model.name, model.kind])),
+        textFilled,
+        pools
+    };
+
+    logger.success(`Statistical synthesis finished with ${derived.rows.length} rows (${validationReport.droppedRows} invalid rows dropped)`);
+
+    return {
+        rows: derived.rows,
+        columns: fittedColumns,
+        validationReport,
+        responseMetadata,
+        prompt,
+        synthesizer
+    };
+};
+
+/**
+ * Draw further rows from a stored synthesizer, one batch at a time
+ * Batches are sampled, then repaired by the rules (rows a rule can't repair are dropped, not
+ * replaced) and completed with derived columns; uniqueness is not tracked across batches.
+ * @param {Object} dataset - Plain stored dataset ({ _id, columns, rules, locale, synthesizer })
+ * @param {number} rowCount - Rows to draw
+ * @param {Object} options - { seed, batchSize, signal, onBatch(rows) } - onBatch may return a promise to apply backpressure;
+ * an aborted signal stops after the current batch
+ * @returns {Promise<number>} Rows passed to onBatch
+ */
+const streamRows = async (dataset, rowCount, options = {}) => {
+    const { columns } = dataset;
+    const generatedColumns = getGeneratedColumns(columns);
+    const identifier = batchGenerationService.findIdentifierColumn(generatedColumns);
+    const drawRows = createSampler(dataset.synthesizer, generatedColumns, dataset.locale || undefined);
+    const rules = compileRules(dataset.rules);
+    const random = createRandom(options.seed !== undefined ? `${options.seed}:statistical` : hashSeed(`${dataset._id}:${rowCount}`));
+    let drawn = 0;
+    let emitted = 0;
+
+    while (drawn < rowCount && !(options.signal && options.signal.aborted)) {
+        const batch = drawRows(Math.min(options.batchSize, rowCount - drawn), random, drawn);
+        const { rows } = enforceRules(batch, rules, columns);
+        drawn += batch.length;
+
+        if (identifier) {
+            rows.forEach((row, index) => {
+                row[identifier.name] = emitted + index + 1;
+            });
+        }
+        emitted += rows.length;
+
+        await options.onBatch(applyDerivedColumns(rows, columns).rows);
+    }
+
+    return emitted;
+};
+
+module.exports = {
+    fitSynthesizer,
+    createSampler,
+    synthesizeDataset,
+    streamRows
+};
@@ -0,0 +1,307 @@
+const logger = require('../utils/logger');
+const batchGenerationService = require('./batchGenerationService');
+const { mergeReports } = require('./rowValidator');
+const { getGeneratedColumns, applyDerivedColumns } = require('./derivedColumnService');
+const { fitToColumn } = require('./distributionService');
+const { applyNullRates, roundTo } = require('../utils/columnConstraints');
+const { summarize } = require('../utils/distributions');
+const { createRandom } = require('../utils/random');
+const {
+    DAY_MS,
+    isSeriesColumn,
+    getSeriesColumns,
+    getSeasonalPeriod,
+    buildTimestamps,
+    seasonalPhase,
+    formatTimestamp
+} = require('../utils/timeSeries');
+
+// Suffixes of the columns the model fills in to describe how each series behaves
+const PARAMETER_SEPARATOR = '__';
+const CYCLE_NAMES = { day: 'daily', week: 'weekly', year: 'yearly' };
+const STAT_PRECISION = 4;
+
+/**
+ * Name of the model column holding one behaviour parameter of a series column
+ * @param {Object} column - Series column
+ * @param {string} parameter - level, trend, amplitude or noise
+ * @returns {string} Column name
+ */
+const parameterName = (column, parameter) => `${column.name}${PARAMETER_SEPARATOR}${parameter}`;
+
+/**
+ * Columns the model fills in, one row per series: entity keys, fixed attributes and
+ * the behaviour parameters the request leaves open. Timestamps, series values and
+ * derived columns are computed locally.
+ * @param {Array} columns - Column definitions
+ * @param {Object} timeSeries - Time-series definition
+ * @returns {Array} Column definitions for the model
+ */
+const getModelColumns = (columns, timeSeries) => {
+    const keys = timeSeries.entities ? timeSeries.entities.columns : [];
+    const { frequency } = timeSeries.timestamp;
+
+    const modelColumns = getGeneratedColumns(columns)
+        .filter(col => col.name !== timeSeries.timestamp.column && !isSeriesColumn(col))
+        .map(col => (keys.includes(col.name)
+            ? { ...col, required: true, nullPercentage: undefined, unique: keys.length === 1 }
+            : col));
+
+    getSeriesColumns(columns).forEach(col => {
+        const { series } = col;
+        const period = getSeasonalPeriod(col, frequency);
+        const addParameter = (parameter, definition) => {
+            modelColumns.push({ name: parameterName(col, parameter), datatype: 'number', required: true, ...definition });
+        };
+
+        if (series.level === undefined) {
+            addParameter('level', { min: col.min, max: col.max, examples: `typical ${col.name} of this series, in the unit of ${col.name}` });
+        }
+        if (series.trend === undefined) {
+            addParameter('trend', { examples: `average change of ${col.name} per day; 0 when it stays flat` });
+        }
+        if (period && (!series.seasonality || series.seasonality.amplitude === undefined)) {
+            addParameter('amplitude', { min: 0, examples: `how far ${col.name} rises above and falls below its typical value over each ${period}; 0 without a ${CYCLE_NAMES[period]} cycle` });
+        }
+        if (series.noise === undefined) {
+            addParameter('noise', { min: 0, examples: `typical random change of ${col.name} between consecutive readings (standard deviation)` });
+        }
+    });
+
+    return modelColumns;
+};
+
+/**
+ * Describe the series for the prompt
+ * @param {string} description - Dataset description
+ * @param {Object} timeSeries - Time-series definition
+ * @returns {string} Description of one row per series
+ */
+const describeSeries = (description, timeSeries) => {
+    const { start, end, frequency, interval } = timeSeries.timestamp;
+    const keys = timeSeries.entities ? timeSeries.entities.columns : [];
+    const every = interval && interval > 1 ? `every ${interval} ${frequency}s` : `every ${frequency}`;
+
+    let text = `${description}\nThe data is a time series measured ${every} from ${start} to ${end}.`;
+    text += keys.length > 0
+        ? ` Each row describes one series, identified by ${keys.join(', ')}; make the series distinct from each other.`
+        : ' The single row describes the whole series.';
+    text += ` Columns ending in ${['level', 'trend', 'amplitude', 'noise'].map(name => PARAMETER_SEPARATOR + name).join(', ')} describe how the readings of the column before the ${PARAMETER_SEPARATOR} behave over time; give values that are realistic for each series.`;
+
+    return text;
+};
+
+/**
+ * Keep the first series for every entity key
+ * @param {Array} rows - Series rows from the model
+ * @param {Array} keys - Entity key columns
+ * @returns {Array} Series rows with distinct keys
+ */
+const dedupeSeries = (rows, keys) => {
+    if (keys.length === 0) return rows;
+
+    const seen = new Set();
+    return rows.filter(row => {
+        const key = JSON.stringify(keys.map(name => row[name]));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+/**
+ * Behaviour of one series column for one series; fixed values from the request win
+ * @param {Object} column - Series column
+ * @param {Object} entity - Series row from the model
+ * @param {string} frequency - Timestamp frequency
+ * @returns {Object} { level, trend, period, amplitude, noise }
+ */
+const resolveParameters = (column, entity, frequency) => {
+    const { series } = column;
+    const period = getSeasonalPeriod(column, frequency);
+    const value = (parameter, fixed) => {
+        if (fixed !== undefined) return fixed;
+        const generated = entity[parameterName(column, parameter)];
+        return typeof generated === 'number' ? generated : 0;
+    };
+
+    return {
+        level: value('level', series.level),
+        trend: value('trend', series.trend),
+        period,
+        amplitude: period ? value('amplitude', series.seasonality && series.seasonality.amplitude) : 0,
+        noise: value('noise', series.noise)
+    };
+};
+
+/**
+ * Decide which timestamps of one series are kept
+ * A gap starts at any timestamp with probability `rate` and spans 1 to `maxLength` readings;
+ * at least one reading separates two gaps.
+ * @param {number} length - Timestamps per series
+ * @param {Object|undefined} gaps - { rate, maxLength }
+ * @param {Object} random - Seeded random helpers
+ * @param {Object} stats - { intervals, missingRows }, updated in place
+ * @returns {Array<boolean>} Whether each timestamp has a reading
+ */
+const planGaps = (length, gaps, random, stats) => {
+    const present = new Array(length).fill(true);
+    if (!gaps || gaps.rate === 0) return present;
+
+    for (let k = 0; k < length; k++) {
+        if (!random.chance(gaps.rate)) continue;
+
+        const size = Math.min(random.int(1, gaps.maxLength || 1), length - k);
+        present.fill(false, k, k + size);
+        stats.intervals++;
+        stats.missingRows += size;
+        k += size;
+    }
+
+    return present;
+};
+
+/**
+ * Reading of a series column at one timestamp
+ * level + trend per day + a seasonal wave (lowest at the start of each cycle) + normal noise
+ * @param {Object} parameters - { level, trend, period, amplitude, noise }
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} start - First timestamp in milliseconds
+ * @param {Object} random - Seeded random helpers
+ * @returns {number} Unfitted value
+ */
+const seriesValue = (parameters, time, start, random) => {
+    const { level, trend, period, amplitude, noise } = parameters;
+    const seasonal = period ? -amplitude * Math.cos(2 * Math.PI * seasonalPhase(time, period)) : 0;
+
+    return level + trend * (time - start) / DAY_MS + seasonal + (noise > 0 ? random.normal(0, noise) : 0);
+};
+
+/**
+ * Round every number of an object for storage
+ * @param {Object} values - Numbers keyed by name
+ * @returns {Object} Rounded numbers
+ */
+const roundValues = (values) => {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+        key,
+        typeof value === 'number' ? roundTo(value, STAT_PRECISION) : value
+    ]));
+};
+
+/**
+ * Generate a time-series dataset
+ * The model supplies the domain semantics in one row per series (entity keys, fixed attributes,
+ * and typical level, trend, seasonal amplitude and noise of every series column). The readings
+ * are then generated locally so the timestamps, trend, cycles and gaps are exact. Rows are
+ * grouped by series and ordered by time.
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Array} columns - Column definitions (series columns carry a `series` definition)
+ * @param {Object} timeSeries - { timestamp: { column, start, end, frequency, interval }, entities: { columns, count }, gaps: { rate, maxLength } }
+ * @param {string|null} referenceContext - Formatted reference context
+ * @param {Object} options - Batch options ({ provider, settings, chunkSize, concurrency, onChunk, onAttempt, signal, completedChunks })
+ * @returns {Promise<Object>} { rows, validationReport, responseMetadata, prompt }
+ */
+const generateTimeSeries = async (topic, description, columns, timeSeries, referenceContext = null, options = {}) => {
+    const settings = options.settings || {};
+    const { timestamp } = timeSeries;
+    const keys = timeSeries.entities ? timeSeries.entities.columns : [];
+    const seriesCount = timeSeries.entities ? timeSeries.entities.count : 1;
+    const seriesColumns = getSeriesColumns(columns);
+    const modelColumns = getModelColumns(columns, timeSeries);
+
+    logger.info(`Generating ${seriesCount} time series from ${timestamp.start} to ${timestamp.end} (${timestamp.frequency})`);
+
+    // 1. One row per series from the model; nothing to ask when every parameter is fixed
+    let generated = {
+        rows: Array.from({ length: seriesCount }, () => ({})),
+        validationReport: mergeReports([], modelColumns),
+        responseMetadata: null,
+        prompt: null
+    };
+
+    if (modelColumns.length > 0) {
+        generated = await batchGenerationService.generateDataset(topic, describeSeries(description, timeSeries), modelColumns, seriesCount, referenceContext, options);
+    }
+
+    const entities = dedupeSeries(generated.rows, keys);
+    if (entities.length < generated.rows.length) {
+        logger.warn(`Dropped ${generated.rows.length - entities.length} series with a repeated ${keys.join('/')} key`);
+    }
+
+    // 2. Readings on the exact timestamp grid, seeded so a regeneration repeats them
+    const random = createRandom(`${settings.seed !== undefined ? settings.seed : topic}:series`);
+    const times = buildTimestamps(timestamp);
+    const gaps = { intervals: 0, missingRows: 0 };
+    const clamped = Object.fromEntries(seriesColumns.map(col => [col.name, 0]));
+    const parameters = [];
+    const assembled = [];
+
+    entities.forEach(entity => {
+        const behaviour = Object.fromEntries(seriesColumns.map(col => [col.name, resolveParameters(col, entity, timestamp.frequency)]));
+        const present = planGaps(times.length, timeSeries.gaps, random, gaps);
+
+        parameters.push({
+            key: Object.fromEntries(keys.map(name => [name, entity[name]])),
+            series: Object.fromEntries(Object.entries(behaviour).map(([name, values]) => [name, roundValues(values)]))
+        });
+
+        times.forEach((time, k) => {
+            if (!present[k]) return;
+
+            const row = {};
+            columns.forEach(col => {
+                if (col.name === timestamp.column) {
+                    row[col.name] = formatTimestamp(time, timestamp.frequency);
+                } else if (isSeriesColumn(col)) {
+                    const fitted = fitToColumn(seriesValue(behaviour[col.name], time, times[0], random), col);
+                    if (fitted.clamped) clamped[col.name]++;
+                    row[col.name] = fitted.value;
+                } else if (col.kind !== 'derived') {
+                    row[col.name] = entity[col.name] !== undefined ? entity[col.name] : null;
+                }
+            });
+            assembled.push(row);
+        });
+    });
+
+    // 3. Missing readings, then derived columns over the finished rows
+    const nullRates = applyNullRates(assembled, seriesColumns, random);
+    const derived = applyDerivedColumns(assembled, columns);
+
+    const modelReport = generated.validationReport;
+    const validationReport = {
+        ...modelReport,
+        // Behaviour parameters are not columns of the dataset; they are reported per series below
+        columns: Object.fromEntries(Object.entries(modelReport.columns).filter(([name]) => columns.some(col => col.name === name))),
+        timeSeries: {
+            series: entities.length,
+            timestampsPerSeries: times.length,
+            rows: derived.rows.length,
+            gaps,
+            parameters
+        }
+    };
+
+    seriesColumns.forEach(col => {
+        const values = derived.rows.map(row => row[col.name]).filter(value => typeof value === 'number');
+        validationReport.columns[col.name] = {
+            datatype: col.datatype,
+            series: true,
+            clamped: clamped[col.name],
+            summary: roundValues(summarize(values)),
+            ...(nullRates[col.name] ? { nullRate: nullRates[col.name] } : {})
+        };
+    });
+    Object.assign(validationReport.columns, derived.report);
+
+    logger.success(`Time series finished with ${derived.rows.length} rows (${entities.length} series, ${gaps.missingRows} readings left out as gaps)`);
+    return { rows: derived.rows, validationReport, responseMetadata: generated.responseMetadata, prompt: generated.prompt };
+};
+
+module.exports = {
+    getModelColumns,
+    planGaps,
+    generateTimeSeries
+};
@@ -0,0 +1,139 @@
+const logger = require('../utils/logger');
+const cacheService = require('../utils/cacheService');
+const geminiService = require('./geminiService');
+const batchGenerationService = require('./batchGenerationService');
+const { getProvider } = require('./providers');
+const { isMissing, parseNumeric, coerceValue } = require('./rowValidator');
+const { checkConstraints } = require('../utils/columnConstraints');
+const { isLocaleAware, getLocaleMix, checkLocale } = require('../utils/locales');
+
+// Values asked for per column; paragraphs are long, so fewer keep the response inside maxOutputTokens
+const DEFAULT_POOL_SIZE = parseInt(process.env.VALUE_POOL_SIZE) || 200;
+const PARAGRAPH_POOL_SIZE = 40;
+const MIN_WEIGHT = 1;
+const MAX_WEIGHT = 100;
+
+/**
+ * Pools a column needs: one per locale of a dataset locale mix for locale-aware columns,
+ * otherwise one. Each pool has a slot (the row locale it serves, '' for every row) and the
+ * locale its values are written for.
+ * @param {Object} column - Column definition
+ * @param {string|Object|undefined} locale - Dataset locale (a code or a weighted mix)
+ * @returns {Array} [{ slot, locale }]
+ */
+const planPools = (column, locale) => {
+    if (column.locale) return [{ slot: '', locale: column.locale }];
+    if (!locale || !isLocaleAware(column)) return [{ slot: '', locale: undefined }];
+    if (typeof locale === 'string') return [{ slot: '', locale }];
+    return getLocaleMix(locale).map(({ value }) => ({ slot: value, locale: value }));
+};
+
+/**
+ * Keep the pool entries that satisfy the column, once each, with their weights clamped
+ * The cache holds the entries as the model wrote them; they are cleaned on every use.
+ * @param {Array} entries - Pool entries as generated ({ value, weight })
+ * @param {Object} column - Column definition
+ * @param {string|undefined} locale - Locale the values are written for
+ * @returns {Array} [{ value, weight }]
+ */
+const cleanPool = (entries, column, locale) => {
+    const seen = new Set();
+    const pool = [];
+
+    entries.forEach(entry => {
+        if (!entry || typeof entry !== 'object' || isMissing(entry.value)) return;
+
+        const localized = locale ? checkLocale(entry.value, { ...column, locale }) : { value: entry.value, violation: null };
+        if (localized.violation) return;
+
+        const coerced = coerceValue(localized.value, column.datatype);
+        if (!coerced.valid) return;
+
+        const { value, violation } = checkConstraints(coerced.value, column);
+        const key = String(value).trim().toLowerCase();
+        if (violation || seen.has(key)) return;
+        seen.add(key);
+
+        const weight = parseNumeric(entry.weight);
+        pool.push({ value, weight: weight === null ? MIN_WEIGHT : Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, weight)) });
+    });
+
+    return pool;
+};
+
+/**
+ * Build weighted value pools for columns, asking the model once per column (and locale)
+ * Pools are cached by provider, model, topic, column name, datatype, locale and constraints, so
+ * datasets on the same topic reuse them without a request; a pool cached for a smaller requested
+ * size is replaced, one cached for a larger size is kept. Runs with a seed skip the cache lookup.
+ * Columns whose pool ends up empty are left out and keep their offline values.
+ * @param {string} topic - Dataset topic
+ * @param {string} description - Dataset description
+ * @param {Array} columns - Columns to build pools for
+ * @param {string|null} referenceContext - Formatted reference context
+ * @param {Object} options - { provider, settings, locale, poolSize, concurrency, signal, onAttempt }
+ * @returns {Promise<Object>} { pools: { column: { slot: [{ value, weight }] } }, report, responseMetadata, prompt }
+ */
+const buildValuePools = async (topic, description, columns, referenceContext = null, options = {}) => {
+    const settings = options.settings || {};
+    const provider = getProvider(options.provider);
+    const generator = { provider: provider.name, model: provider.resolveSettings(settings).model };
+    const responseMetadata = batchGenerationService.createResponseMetadata();
+    const requests = columns.flatMap(column => planPools(column, options.locale).map(plan => ({ column, ...plan })));
+    const pools = {};
+    const report = {};
+    let prompt = null;
+
+    logger.info(`Building ${requests.length} value pool(s) for ${columns.length} column(s)`);
+
+    await batchGenerationService.runWithConcurrency(requests.map((request, index) => async () => {
+        const { column, slot, locale } = request;
+        const poolSize = options.poolSize || (String(column.datatype).toLowerCase() === 'text_paragraph' ? PARAGRAPH_POOL_SIZE : DEFAULT_POOL_SIZE);
+        // Models often return fewer values than asked, so a hit compares the size that was requested.
+        // Seeded runs always ask the model, so the same seed gives the same pool.
+        const hit = settings.seed === undefined ? cacheService.getValuePool(topic, column, locale || '', generator) : null;
+        const cached = Boolean(hit && hit.size >= poolSize);
+        let entries = cached ? hit.entries : null;
+
+        if (!cached) {
+            entries = await geminiService.generateValuePool(topic, description, column, poolSize, referenceContext, {
+                provider: options.provider,
+                settings: { ...settings, seed: batchGenerationService.deriveSeed(settings.seed, index, 0) },
+                locale,
+                signal: options.signal,
+                onAttempt: options.onAttempt,
+                onResponse: ({ prompt: text, metadata }) => {
+                    if (prompt === null) prompt = text;
+                    batchGenerationService.recordResponseMetadata(responseMetadata, metadata);
+                }
+            });
+
+            // Keep a pool cached for a larger size; seeded runs and runs racing this one may ask for fewer values
+            const stored = cacheService.getValuePool(topic, column, locale || '', generator);
+            if (!stored || stored.size <= poolSize) {
+                cacheService.setValuePool(topic, column, locale || '', generator, poolSize, entries);
+            }
+        }
+
+        const pool = cleanPool(entries, column, locale);
+        const stats = report[column.name] || (report[column.name] = { requested: 0, values: 0, cached: 0 });
+        stats.requested += poolSize;
+        stats.values += pool.length;
+        if (cached) stats.cached++;
+
+        if (pool.length === 0) {
+            logger.warn(`Value pool for column ${column.name}${locale ? ` (${locale})` : ''} has no usable values; offline values are used instead`);
+            return;
+        }
+        pools[column.name] = { ...pools[column.name], [slot]: pool };
+    }), options.concurrency || batchGenerationService.DEFAULT_CONCURRENCY);
+
+    return { pools, report, responseMetadata, prompt };
+};
+
+module.exports = {
+    DEFAULT_POOL_SIZE,
+    planPools,
+    cleanPool,
+    buildValuePools
+};
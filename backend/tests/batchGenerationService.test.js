@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planChunks, planStrata, planStratumChunks, deriveSeed, runWithConcurrency } = require('../services/batchGenerationService');
+
+describe('planChunks', () => {
+    it('splits a row count into sequential chunks with a short last chunk', () => {
+        assert.deepEqual(planChunks(120, 50), [
+            { index: 0, startRow: 0, size: 50 },
+            { index: 1, startRow: 50, size: 50 },
+            { index: 2, startRow: 100, size: 20 }
+        ]);
+    });
+
+    it('plans no chunks for zero rows', () => {
+        assert.deepEqual(planChunks(0, 50), []);
+    });
+});
+
+describe('planStrata', () => {
+    it('keeps one stratum when there are no classes or locales', () => {
+        assert.deepEqual(planStrata(null, undefined, 30), [{ classValue: undefined, locale: undefined, count: 30 }]);
+    });
+
+    it('splits every class across a locale mix and keeps the exact total', () => {
+        const strata = planStrata([{ value: 'yes', count: 10 }, { value: 'no', count: 30 }], { en_US: 50, de_DE: 50 }, 40);
+
+        assert.equal(strata.reduce((sum, stratum) => sum + stratum.count, 0), 40);
+        assert.deepEqual(strata.filter(stratum => stratum.classValue === 'yes').map(stratum => stratum.count), [5, 5]);
+        assert.deepEqual(new Set(strata.map(stratum => stratum.locale)), new Set(['en_US', 'de_DE']));
+    });
+
+    it('numbers stratum chunks across strata with continuing start rows', () => {
+        const chunks = planStratumChunks([{ classValue: 'a', count: 60 }, { classValue: 'b', count: 30 }], 50);
+
+        assert.deepEqual(chunks.map(chunk => [chunk.index, chunk.startRow, chunk.size, chunk.classValue]), [
+            [0, 0, 50, 'a'],
+            [1, 50, 10, 'a'],
+            [2, 60, 30, 'b']
+        ]);
+    });
+});
+
+describe('deriveSeed', () => {
+    it('leaves unseeded runs unseeded', () => {
+        assert.equal(deriveSeed(undefined, 3, 1), undefined);
+        assert.equal(deriveSeed(null, 3, 1), undefined);
+    });
+
+    it('gives every chunk and re-request its own seed', () => {
+        const seeds = [0, 1, 2].flatMap(chunk => [0, 1, 2].map(attempt => deriveSeed(42, chunk, attempt)));
+        assert.equal(new Set(seeds).size, seeds.length);
+        assert.equal(deriveSeed(42, 1, 0), deriveSeed(42, 1, 0));
+    });
+});
+
+describe('runWithConcurrency', () => {
+    it('returns results in task order and never exceeds the limit', async () => {
+        let running = 0;
+        let peak = 0;
+        const tasks = [30, 5, 20, 1].map((delay, index) => async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            running--;
+            return index;
+        });
+
+        assert.deepEqual(await runWithConcurrency(tasks, 2), [0, 1, 2, 3]);
+        assert.equal(peak, 2);
+    });
+
+    it('starts no new tasks once one fails', async () => {
+        const started = [];
+        const tasks = [0, 1, 2, 3].map(index => async () => {
+            started.push(index);
+            if (index === 0) throw new Error('chunk failed');
+            return index;
+        });
+
+        await assert.rejects(runWithConcurrency(tasks, 1), /chunk failed/);
+        assert.deepEqual(started, [0]);
+    });
+});
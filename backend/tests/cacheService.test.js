@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cacheService = require('../utils/cacheService');
+
+const column = { name: 'City', datatype: 'string', examples: 'Lisbon, Porto' };
+const gemini = { provider: 'gemini', model: 'gemini-3-flash-preview' };
+
+describe('generatePoolKey', () => {
+    it('is the same for the same topic, column, locale and generator', () => {
+        assert.equal(
+            cacheService.generatePoolKey('Travel ', column, 'pt_PT', gemini),
+            cacheService.generatePoolKey('travel', { ...column, name: 'city' }, 'pt_PT', { ...gemini })
+        );
+    });
+
+    it('differs by provider and model', () => {
+        const key = cacheService.generatePoolKey('Travel', column, '', gemini);
+
+        assert.notEqual(cacheService.generatePoolKey('Travel', column, '', { provider: 'mock', model: 'mock' }), key);
+        assert.notEqual(cacheService.generatePoolKey('Travel', column, '', { ...gemini, model: 'gemini-other' }), key);
+    });
+
+    it('differs by every constraint that shapes the pool', () => {
+        const key = cacheService.generatePoolKey('Travel', column, '', gemini);
+        const variants = [
+            { examples: 'Madrid' },
+            { allowedValues: ['Lisbon'] },
+            { pattern: '^[A-Z]' },
+            { min: 3 },
+            { max: 20 },
+            { unique: true },
+            { required: true },
+            { nullPercentage: 10 }
+        ];
+
+        variants.forEach(variant => {
+            assert.notEqual(cacheService.generatePoolKey('Travel', { ...column, ...variant }, '', gemini), key, JSON.stringify(variant));
+        });
+    });
+});
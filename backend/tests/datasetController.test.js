@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeModels } = require('./helpers/fakeModels');
+const { startServer } = require('./helpers/testServer');
+const { runGenerationPipeline } = require('../services/generationPipeline');
+const datasetRoutes = require('../routes/datasetRoutes');
+
+installFakeModels();
+
+const columns = [
+    { name: 'id', datatype: 'integer', unique: true },
+    { name: 'age', datatype: 'integer', min: 18, max: 90 },
+    { name: 'plan', datatype: 'string', allowedValues: ['free', 'pro'] }
+];
+
+describe('GET /api/datasets/:id/synthesize', () => {
+    let server;
+    let statistical;
+    let batched;
+
+    before(async () => {
+        server = await startServer('/api', datasetRoutes);
+        const request = { topic: 'Customers', description: 'Customer accounts', provider: 'mock', rowCount: 40, columns };
+        statistical = (await runGenerationPipeline({ ...request, mode: 'statistical' })).dataset;
+        batched = (await runGenerationPipeline(request)).dataset;
+    });
+
+    after(() => server.close());
+
+    it('streams the requested rows as NDJSON', async () => {
+        const response = await fetch(`${server.url}/datasets/${statistical._id}/synthesize?rows=25&seed=9`);
+        const rows = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+        assert.equal(rows.length, 25);
+        assert.deepEqual(rows.map(row => row.id), Array.from({ length: 25 }, (_, index) => index + 1));
+        assert.ok(rows.every(row => row.age >= 18 && row.age <= 90 && ['free', 'pro'].includes(row.plan)));
+    });
+
+    it('streams CSV with a header row, the same for the same seed', async () => {
+        const url = `${server.url}/datasets/${statistical._id}/synthesize?rows=5&format=csv&seed=9`;
+        const text = await (await fetch(url)).text();
+        const lines = text.trim().split('\n');
+
+        assert.equal(lines[0], 'id,age,plan');
+        assert.equal(lines.length, 6);
+        assert.equal(await (await fetch(url)).text(), text);
+    });
+
+    it('rejects datasets without a synthesizer and invalid row counts', async () => {
+        const noSynthesizer = await fetch(`${server.url}/datasets/${batched._id}/synthesize`);
+        const tooFew = await fetch(`${server.url}/datasets/${statistical._id}/synthesize?rows=0`);
+
+        assert.equal(noSynthesizer.status, 400);
+        assert.equal(tooFew.status, 400);
+    });
+});
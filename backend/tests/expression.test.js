@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileExpression, ExpressionError } = require('../utils/expression');
+
+/**
+ * Compile and evaluate an expression over one row
+ * @param {string} source - Expression source
+ * @param {Object} row - Row values
+ * @returns {*} Result
+ */
+const evaluate = (source, row = {}) => compileExpression(source).evaluate(row);
+
+describe('expression evaluator', () => {
+    it('follows operator precedence', () => {
+        assert.equal(evaluate('1 + 2 * 3'), 7);
+        assert.equal(evaluate('(1 + 2) * 3'), 9);
+        assert.equal(evaluate('!false && 1 < 2 || false'), true);
+    });
+
+    it('reads columns by name or in backticks', () => {
+        assert.equal(evaluate('quantity * `unit price`', { quantity: 3, 'unit price': 4 }), 12);
+        assert.equal(evaluate('missing'), null);
+    });
+
+    it('concatenates text and compares ISO dates as dates', () => {
+        assert.equal(evaluate("first + ' ' + last", { first: 'Ada', last: 'Lovelace' }), 'Ada Lovelace');
+        assert.equal(evaluate('ship_date >= order_date', { order_date: '2024-01-15', ship_date: '2024-02-01' }), true);
+    });
+
+    it('calls whitelisted functions', () => {
+        assert.equal(evaluate('round(2.345, 2)'), 2.35);
+        assert.equal(evaluate("date_diff('2020-01-01', '2020-03-01', 'days')"), 60);
+        assert.equal(evaluate('coalesce(a, b, 3)', { a: null }), 3);
+        assert.equal(evaluate("matches(code, '^[A-Z]{3}$')", { code: 'ABC' }), true);
+        assert.equal(evaluate("score > 50 ? 'pass' : 'fail'", { score: 70 }), 'pass');
+    });
+
+    it('evaluates implies as a function and as an infix operator', () => {
+        const rows = [
+            { status: 'refunded', refund_amount: 0 },
+            { status: 'refunded', refund_amount: 5 },
+            { status: 'open', refund_amount: 0 }
+        ];
+        const infix = compileExpression("status == 'refunded' implies refund_amount > 0");
+        const call = compileExpression("implies(status == 'refunded', refund_amount > 0)");
+
+        assert.deepEqual(rows.map(row => infix.evaluate(row)), [false, true, true]);
+        assert.deepEqual(rows.map(row => call.evaluate(row)), [false, true, true]);
+        assert.deepEqual(infix.columns, ['status', 'refund_amount']);
+    });
+
+    it('binds infix implies loosest and to the right', () => {
+        assert.equal(evaluate('a || b implies c', { a: false, b: true, c: false }), false);
+        assert.equal(evaluate('a implies b implies c', { a: true, b: false, c: false }), true);
+        assert.equal(evaluate('`implies` + 1', { implies: 2 }), 3);
+        assert.throws(() => compileExpression('a implies'), ExpressionError);
+    });
+
+    it('rejects syntax errors, unknown functions and long expressions', () => {
+        assert.throws(() => compileExpression('1 +'), ExpressionError);
+        assert.throws(() => compileExpression('constructor(1)'), /Unknown function: constructor/);
+        assert.throws(() => compileExpression('round()'), /Wrong number of arguments/);
+        assert.throws(() => compileExpression('x'.repeat(501)), /cannot exceed/);
+    });
+
+    it('compiles matches() patterns once and rejects unusable ones', () => {
+        assert.equal(evaluate("matches(phone, '^\\\\+1 \\\\d{3}$')", { phone: '+1 555' }), true);
+        assert.equal(evaluate("matches(phone, '^a')", { phone: null }), false);
+        assert.throws(() => compileExpression("matches(code, '([A-Z')"), /not a valid regular expression/);
+        assert.throws(() => compileExpression("matches(code, '(a+)+$')"), /repeats a quantified group/);
+        assert.throws(() => compileExpression("matches(code, '([a-z]*){2,}')"), /repeats a quantified group/);
+    });
+
+    it('only accepts a quoted pattern in matches()', () => {
+        assert.throws(() => compileExpression('matches(code, pattern)'), /quoted pattern string/);
+        assert.throws(() => compileExpression("matches(code, '^' + prefix)"), /quoted pattern string/);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeModels } = require('./helpers/fakeModels');
+const mockProvider = require('../services/providers/mockProvider');
+const { runGenerationPipeline } = require('../services/generationPipeline');
+const { loadDataset } = require('../services/datasetStore');
+const Dataset = require('../models/Dataset');
+
+const store = installFakeModels();
+
+/**
+ * Build a pipeline request for the mock provider
+ * @param {Object} overrides - Request fields to replace
+ * @returns {Object} Pipeline params
+ */
+const buildRequest = (overrides = {}) => ({
+    topic: 'Web shop orders',
+    description: 'Orders placed in an online shop',
+    provider: 'mock',
+    rowCount: 120,
+    settings: { seed: 7 },
+    columns: [
+        { name: 'id', datatype: 'integer', unique: true },
+        { name: 'email', datatype: 'email' },
+        { name: 'price', datatype: 'float', min: 1, max: 100, precision: 2 },
+        { name: 'status', datatype: 'string', allowedValues: ['open', 'shipped', 'refunded'] },
+        { name: 'total', datatype: 'float', kind: 'derived', expression: 'round(price * 1.2, 2)' }
+    ],
+    rules: [{ name: 'refund_is_cheap', expression: "status == 'refunded' implies price < 90" }],
+    ...overrides
+});
+
+describe('generation pipeline with the mock provider', () => {
+    beforeEach(() => {
+        store.datasets.clear();
+        store.parts.splice(0);
+    });
+
+    it('generates, validates and derives every requested row in chunks', async () => {
+        const chunks = [];
+        const { dataset } = await runGenerationPipeline(buildRequest(), { onChunk: chunk => chunks.push(chunk.index) }, { chunkSize: 50 });
+
+        assert.deepEqual(chunks.sort(), [0, 1, 2]);
+        assert.equal(dataset.generatedData.length, 120);
+        assert.deepEqual(dataset.generatedData.map(row => row.id), Array.from({ length: 120 }, (_, index) => index + 1));
+        dataset.generatedData.forEach(row => {
+            assert.ok(row.price >= 1 && row.price <= 100);
+            assert.ok(['open', 'shipped', 'refunded'].includes(row.status));
+            assert.equal(row.total, Math.round(row.price * 1.2 * 100) / 100);
+            assert.ok(row.status !== 'refunded' || row.price < 90);
+        });
+        assert.equal(dataset.validationReport.validRows, 120);
+        assert.equal(dataset.validationReport.rules.refund_is_cheap.remaining, 0);
+        assert.equal(dataset.run.provider, 'mock');
+    });
+
+    it('gives the same rows for the same seed and other rows for another seed', async () => {
+        const first = await runGenerationPipeline(buildRequest());
+        const second = await runGenerationPipeline(buildRequest());
+        const other = await runGenerationPipeline(buildRequest({ settings: { seed: 8 } }));
+
+        assert.deepEqual(second.dataset.generatedData, first.dataset.generatedData);
+        assert.notDeepEqual(other.dataset.generatedData, first.dataset.generatedData);
+    });
+
+    it('stores the rows outside the dataset document and loads them back', async () => {
+        const { dataset } = await runGenerationPipeline(buildRequest());
+        const stored = store.datasets.get(String(dataset._id));
+
+        assert.deepEqual(stored.generatedData, []);
+        assert.ok(store.parts.some(part => part.path === 'generatedData'));
+
+        const loaded = await loadDataset(await Dataset.findById(dataset._id));
+        assert.deepEqual(loaded.toObject().generatedData, dataset.toObject().generatedData);
+    });
+
+    it('keeps the complete rows of a truncated response and asks for the rest', async (t) => {
+        const generate = mockProvider.generate;
+        let calls = 0;
+        t.mock.method(mockProvider, 'generate', async (request) => {
+            const response = await generate(request);
+            calls++;
+            return calls === 1 ? { ...response, text: `\`\`\`json\n${response.text.slice(0, response.text.length / 2)}` } : response;
+        });
+
+        const { dataset } = await runGenerationPipeline(buildRequest({ rowCount: 40, rules: [] }));
+
+        assert.equal(calls, 2);
+        assert.equal(dataset.generatedData.length, 40);
+        assert.equal(new Set(dataset.generatedData.map(row => row.id)).size, 40);
+    });
+});
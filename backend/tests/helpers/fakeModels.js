@@ -0,0 +1,116 @@
+const GenerationJob = require('../../models/GenerationJob');
+const JobChunk = require('../../models/JobChunk');
+const Dataset = require('../../models/Dataset');
+const DatasetPart = require('../../models/DatasetPart');
+const referenceContextBuilder = require('../../services/referenceContextBuilder');
+const logger = require('../../utils/logger');
+
+/**
+ * Wrap a value in a thenable that accepts the query helpers the services chain
+ * @param {*} value - Query result
+ * @returns {Promise} Result with select(), sort() and lean() returning itself
+ */
+const query = (value) => {
+    const result = Promise.resolve(value);
+    result.select = () => result;
+    result.sort = () => result;
+    result.lean = () => result;
+    return result;
+};
+
+/**
+ * Apply the MongoDB update operators the services use ($inc, $push, $set, plain fields)
+ * @param {Object} doc - Stored document, updated in place
+ * @param {Object} update - MongoDB update
+ */
+const applyUpdate = (doc, update) => {
+    Object.entries(update).forEach(([key, value]) => {
+        if (key === '$inc') {
+            Object.entries(value).forEach(([field, amount]) => { doc[field] = (doc[field] || 0) + amount; });
+        } else if (key === '$push') {
+            Object.entries(value).forEach(([field, item]) => { doc[field] = [...(doc[field] || []), item]; });
+        } else if (key === '$set') {
+            Object.assign(doc, value);
+        } else {
+            doc[key] = value;
+        }
+    });
+};
+
+/**
+ * Replace the model methods the generation services call with in-memory versions
+ * Lets the pipeline and job queue run without MongoDB; the reference context is skipped
+ * (no Kaggle or web requests) and log output is silenced.
+ * @returns {Object} { jobs, chunks, datasets, parts } - the stored documents
+ */
+const installFakeModels = () => {
+    const jobs = new Map();
+    const chunks = [];
+    const datasets = new Map();
+    const parts = [];
+
+    const sameId = (a, b) => String(a) === String(b);
+    const hydrateJob = (doc) => (doc ? GenerationJob.hydrate(JSON.parse(JSON.stringify(doc))) : null);
+
+    GenerationJob.create = async (data) => {
+        const job = new GenerationJob(data);
+        await job.validate();
+        jobs.set(String(job._id), job.toObject());
+        return job;
+    };
+    GenerationJob.findById = (id) => query(hydrateJob(jobs.get(String(id))));
+    GenerationJob.findByIdAndUpdate = (id, update) => {
+        const doc = jobs.get(String(id));
+        if (doc) applyUpdate(doc, update);
+        return query(hydrateJob(doc));
+    };
+    GenerationJob.find = () => query([]);
+
+    JobChunk.find = (filter) => query(chunks
+        .filter(chunk => sameId(chunk.job, filter.job))
+        .sort((a, b) => String(a.table).localeCompare(String(b.table)) || a.index - b.index));
+    JobChunk.updateOne = async (filter, update) => {
+        let chunk = chunks.find(item => sameId(item.job, filter.job) && item.table === filter.table && item.index === filter.index);
+        if (!chunk) {
+            chunk = { ...filter };
+            chunks.push(chunk);
+        }
+        Object.assign(chunk, JSON.parse(JSON.stringify(update)));
+        return { acknowledged: true };
+    };
+    JobChunk.deleteMany = async (filter) => {
+        const before = chunks.length;
+        chunks.splice(0, chunks.length, ...chunks.filter(chunk => !sameId(chunk.job, filter.job)));
+        return { deletedCount: before - chunks.length };
+    };
+
+    Dataset.prototype.save = async function () {
+        await this.validate();
+        datasets.set(String(this._id), JSON.parse(JSON.stringify(this.toObject())));
+        return this;
+    };
+    Dataset.findById = (id) => query(datasets.has(String(id)) ? Dataset.hydrate(datasets.get(String(id))) : null);
+
+    DatasetPart.insertMany = async (docs) => {
+        docs.forEach(doc => parts.push(JSON.parse(JSON.stringify(doc))));
+        return docs;
+    };
+    DatasetPart.find = (filter) => query(parts
+        .filter(part => sameId(part.dataset, filter.dataset))
+        .sort((a, b) => a.path.localeCompare(b.path) || a.index - b.index));
+    DatasetPart.deleteMany = async (filter) => {
+        const before = parts.length;
+        parts.splice(0, parts.length, ...parts.filter(part => !sameId(part.dataset, filter.dataset)));
+        return { deletedCount: before - parts.length };
+    };
+
+    referenceContextBuilder.buildReferenceContext = async () => null;
+
+    ['info', 'success', 'warn', 'error', 'debug'].forEach(level => { logger[level] = () => {}; });
+
+    return { jobs, chunks, datasets, parts };
+};
+
+module.exports = {
+    installFakeModels
+};
@@ -0,0 +1,30 @@
+const express = require('express');
+const { errorHandler, notFound } = require('../../middleware/errorHandler');
+
+/**
+ * Serve a router on a free local port, with the app's JSON parsing and error handling
+ * @param {string} mountPath - Path the router is mounted at, e.g. /api/jobs
+ * @param {Object} router - Express router
+ * @returns {Promise<Object>} { url, close() }
+ */
+const startServer = (mountPath, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+    app.use(notFound);
+    app.use(errorHandler);
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+            close: () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            })
+        }));
+    });
+};
+
+module.exports = {
+    startServer
+};
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { installFakeModels } = require('./helpers/fakeModels');
+const { startServer } = require('./helpers/testServer');
+const mockProvider = require('../services/providers/mockProvider');
+const jobService = require('../services/jobService');
+const jobRoutes = require('../routes/jobRoutes');
+
+installFakeModels();
+
+const request = {
+    topic: 'Web shop orders',
+    description: 'Orders placed in an online shop',
+    provider: 'mock',
+    rowCount: 100,
+    columns: [
+        { name: 'id', datatype: 'integer', unique: true },
+        { name: 'item', datatype: 'string' }
+    ]
+};
+
+/**
+ * Parse a Server-Sent Events body into its event names
+ * @param {string} text - Stream body
+ * @returns {Array<string>} Event names in order
+ */
+const eventNames = (text) => [...text.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+
+/**
+ * Hold the mock provider's responses until the returned function is called
+ * @param {Object} t - Test context
+ * @returns {Function} Releases the held and all later responses
+ */
+const holdProvider = (t) => {
+    const generate = mockProvider.generate;
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    t.mock.method(mockProvider, 'generate', async (providerRequest) => {
+        await gate;
+        return generate(providerRequest);
+    });
+    return release;
+};
+
+/**
+ * Wait until a job has been saved
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>} Resolves on the saved event
+ */
+const waitForSaved = (jobId) => new Promise(resolve => {
+    const unsubscribe = jobService.subscribeToJob(jobId, event => {
+        if (event.type === 'saved') {
+            unsubscribe();
+            resolve();
+        }
+    });
+});
+
+describe('GET /api/jobs/:id/events', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer('/api/jobs', jobRoutes);
+    });
+
+    after(() => server.close());
+
+    it('streams a snapshot, progress and the final event, then closes', async (t) => {
+        const release = holdProvider(t);
+        const job = await jobService.createJob(request);
+        const response = await fetch(`${server.url}/${job._id}/events`);
+        release();
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+        const events = eventNames(await response.text());
+        assert.equal(events[0], 'snapshot');
+        assert.ok(events.includes('chunk'));
+        assert.equal(events[events.length - 1], 'saved');
+    });
+
+    it('ends with the final event of a job that is already finished', async () => {
+        const job = await jobService.createJob(request);
+        await waitForSaved(String(job._id));
+
+        const events = eventNames(await (await fetch(`${server.url}/${job._id}/events`)).text());
+        assert.deepEqual(events, ['snapshot', 'saved']);
+    });
+
+    it('delivers a final event emitted while the job is being loaded', { timeout: 10000 }, async (t) => {
+        const release = holdProvider(t);
+        const job = await jobService.createJob(request);
+        const saved = waitForSaved(String(job._id));
+        const getJob = jobService.getJob;
+
+        // The stream reads the job before it finishes, but gets it only after the saved event
+        t.mock.method(jobService, 'getJob', async (id) => {
+            const stale = await getJob(id);
+            release();
+            await saved;
+            return stale;
+        });
+
+        const events = eventNames(await (await fetch(`${server.url}/${job._id}/events`)).text());
+        assert.equal(events[0], 'snapshot');
+        assert.equal(events[events.length - 1], 'saved');
+    });
+
+    it('returns 404 for an unknown job', async () => {
+        const response = await fetch(`${server.url}/${new mongoose.Types.ObjectId()}/events`);
+        assert.equal(response.status, 404);
+    });
+});
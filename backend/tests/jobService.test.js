@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeModels } = require('./helpers/fakeModels');
+const mockProvider = require('../services/providers/mockProvider');
+const jobService = require('../services/jobService');
+const { DEFAULT_CHUNK_SIZE } = require('../services/batchGenerationService');
+const { loadDataset } = require('../services/datasetStore');
+const Dataset = require('../models/Dataset');
+
+const store = installFakeModels();
+
+const request = {
+    topic: 'Web shop orders',
+    description: 'Orders placed in an online shop',
+    provider: 'mock',
+    rowCount: 500,
+    settings: { seed: 1 },
+    columns: [
+        { name: 'id', datatype: 'integer', unique: true },
+        { name: 'item', datatype: 'string' }
+    ]
+};
+const chunkCount = Math.ceil(request.rowCount / DEFAULT_CHUNK_SIZE);
+
+/**
+ * Wait for one of a job's final events
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} The event ({ type, data })
+ */
+const waitForEnd = (jobId) => new Promise(resolve => {
+    const unsubscribe = jobService.subscribeToJob(jobId, event => {
+        if (['saved', 'failed', 'cancelled'].includes(event.type)) {
+            unsubscribe();
+            resolve(event);
+        }
+    });
+});
+
+describe('generation jobs', () => {
+    it('cancels a queued job before it starts', async () => {
+        const job = await jobService.createJob(request);
+        const cancelled = await jobService.cancelJob(job._id);
+
+        assert.equal(cancelled.status, 'cancelled');
+        assert.equal(store.jobs.get(String(job._id)).rowsCompleted, 0);
+    });
+
+    it('keeps finished chunks on cancel and resumes with the missing ones only', async (t) => {
+        const generate = mockProvider.generate;
+        let requests = 0;
+        t.mock.method(mockProvider, 'generate', async (providerRequest) => {
+            requests++;
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return generate(providerRequest);
+        });
+
+        const job = await jobService.createJob(request);
+        const jobId = String(job._id);
+        let chunksSeen = 0;
+        const unsubscribe = jobService.subscribeToJob(jobId, event => {
+            if (event.type === 'chunk' && ++chunksSeen === 2) jobService.cancelJob(jobId);
+        });
+
+        const cancelled = await waitForEnd(jobId);
+        unsubscribe();
+        const kept = store.chunks.filter(chunk => String(chunk.job) === jobId).length;
+
+        assert.equal(cancelled.type, 'cancelled');
+        assert.equal(store.jobs.get(jobId).status, 'cancelled');
+        assert.ok(kept >= 2 && kept < chunkCount, `kept ${kept} chunks`);
+        assert.equal(store.jobs.get(jobId).chunksCompleted, kept);
+        await assert.rejects(jobService.cancelJob(jobId), /already cancelled/);
+
+        requests = 0;
+        const saved = waitForEnd(jobId);
+        await jobService.resumeJob(jobId);
+
+        assert.equal((await saved).type, 'saved');
+        assert.equal(requests, chunkCount - kept);
+
+        const finished = store.jobs.get(jobId);
+        assert.equal(finished.status, 'saved');
+        assert.equal(finished.rowsCompleted, 500);
+        assert.equal(store.chunks.filter(chunk => String(chunk.job) === jobId).length, 0);
+
+        const dataset = await loadDataset(await Dataset.findById(finished.dataset));
+        assert.equal(dataset.generatedData.length, 500);
+        assert.equal(new Set(dataset.generatedData.map(row => row.id)).size, 500);
+        await assert.rejects(jobService.resumeJob(jobId), /Only failed or cancelled jobs can be resumed/);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanResponseText, normalizeJson, parseLenient, extractCompleteObjects, parseDatasetResponse } = require('../utils/jsonRepair');
+
+describe('cleanResponseText', () => {
+    it('strips code fences and text before the JSON', () => {
+        assert.equal(cleanResponseText('Here you go:\n```json\n[{"a": 1}]\n```'), '[{"a": 1}]');
+    });
+});
+
+describe('normalizeJson', () => {
+    it('re-quotes single-quoted strings and drops trailing commas', () => {
+        assert.equal(normalizeJson("[{'name': 'O\\'Brien', 'note': 'say \"hi\"',},]"), '[{"name": "O\'Brien", "note": "say \\"hi\\""}]');
+    });
+
+    it('leaves commas and quotes inside double-quoted strings alone', () => {
+        const text = '[{"text": "a, ]b \'c\'"}]';
+        assert.equal(normalizeJson(text), text);
+    });
+});
+
+describe('parseLenient', () => {
+    it('reports whether the text needed repair', () => {
+        assert.deepEqual(parseLenient('[1, 2]'), { ok: true, value: [1, 2], repaired: false });
+        assert.deepEqual(parseLenient('[1, 2,]'), { ok: true, value: [1, 2], repaired: true });
+        assert.equal(parseLenient('[1, 2').ok, false);
+    });
+});
+
+describe('extractCompleteObjects', () => {
+    it('salvages the complete rows of a truncated array', () => {
+        assert.deepEqual(extractCompleteObjects('[{"a": 1}, {"a": "}"}, {"a": 3, "b": [1, 2'), [{ a: 1 }, { a: '}' }]);
+    });
+});
+
+describe('parseDatasetResponse', () => {
+    it('parses a clean array as complete', () => {
+        assert.deepEqual(parseDatasetResponse('[{"a": 1}]'), { rows: [{ a: 1 }], complete: true, repaired: false });
+    });
+
+    it('unwraps a single array inside an object', () => {
+        assert.deepEqual(parseDatasetResponse('{"data": [{"a": 1}]}').rows, [{ a: 1 }]);
+    });
+
+    it('repairs almost-JSON inside code fences', () => {
+        assert.deepEqual(parseDatasetResponse("```json\n[{'a': 1},]\n```"), { rows: [{ a: 1 }], complete: true, repaired: true });
+    });
+
+    it('marks rows salvaged from a cut-off response as incomplete', () => {
+        assert.deepEqual(parseDatasetResponse('[{"a": 1}, {"a": 2}, {"a"'), { rows: [{ a: 1 }, { a: 2 }], complete: false, repaired: true });
+    });
+});
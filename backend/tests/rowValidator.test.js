@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRows, createUniqueIndex, coerceValue, mergeReports } = require('../services/rowValidator');
+
+const columns = [
+    { name: 'id', datatype: 'integer', unique: true, required: true },
+    { name: 'email', datatype: 'email' },
+    { name: 'price', datatype: 'float', min: 1, max: 100 },
+    { name: 'status', datatype: 'string', allowedValues: ['open', 'shipped'] }
+];
+
+describe('coerceValue', () => {
+    it('coerces numeric text and rejects values of another type', () => {
+        assert.deepEqual(coerceValue('12.5', 'float'), { valid: true, value: 12.5, coerced: true });
+        assert.deepEqual(coerceValue(3, 'integer'), { valid: true, value: 3, coerced: false });
+        assert.equal(coerceValue('not an email', 'email').valid, false);
+    });
+});
+
+describe('validateRows', () => {
+    it('keeps valid rows with exactly the declared keys and coerced values', () => {
+        const { rows, report } = validateRows([{ id: '1', email: 'ana@example.com', price: '12.5', status: 'open', note: 'extra' }], columns);
+
+        assert.deepEqual(rows, [{ id: 1, email: 'ana@example.com', price: 12.5, status: 'open' }]);
+        assert.equal(report.extraKeysRemoved, 1);
+        assert.equal(report.columns.id.coerced, 1);
+        assert.equal(report.columns.price.coerced, 1);
+    });
+
+    it('drops invalid values, constraint violations and nulls in required columns', () => {
+        const { rows, report } = validateRows([
+            { id: 2, email: 'not an email', price: 5, status: 'open' },
+            { id: 3, email: 'bo@example.com', price: 500, status: 'open' },
+            { id: 4, email: 'cy@example.com', price: 5, status: 'closed' },
+            { id: null, email: 'di@example.com', price: 5, status: 'open' },
+            'not a row'
+        ], columns);
+
+        assert.deepEqual(rows, []);
+        assert.equal(report.totalRows, 5);
+        assert.equal(report.droppedRows, 5);
+        assert.equal(report.columns.email.invalid, 1);
+        assert.deepEqual(report.columns.price.violations, { max: 1 });
+        assert.deepEqual(report.columns.status.violations, { allowedValues: 1 });
+        assert.equal(report.columns.id.missing, 1);
+    });
+
+    it('keeps nulls in optional columns', () => {
+        const { rows, report } = validateRows([{ id: 5, email: '', price: 5, status: 'open' }], columns);
+
+        assert.deepEqual(rows, [{ id: 5, email: null, price: 5, status: 'open' }]);
+        assert.equal(report.columns.email.missing, 1);
+    });
+
+    it('drops duplicates of unique columns across calls sharing an index', () => {
+        const uniqueIndex = createUniqueIndex(columns);
+        validateRows([{ id: 1, email: null, price: 2, status: 'open' }], columns, uniqueIndex);
+        const { rows, report } = validateRows([
+            { id: 1, email: null, price: 2, status: 'open' },
+            { id: 7, email: null, price: 2, status: 'open' }
+        ], columns, uniqueIndex);
+
+        assert.deepEqual(rows.map(row => row.id), [7]);
+        assert.equal(report.columns.id.duplicates, 1);
+    });
+
+    it('lets a row that fails another check leave its unique value free', () => {
+        const uniqueIndex = createUniqueIndex(columns);
+        validateRows([{ id: 8, email: null, price: 500, status: 'open' }], columns, uniqueIndex);
+        const { rows } = validateRows([{ id: 8, email: null, price: 50, status: 'open' }], columns, uniqueIndex);
+
+        assert.equal(rows.length, 1);
+    });
+});
+
+describe('mergeReports', () => {
+    it('adds up chunk reports', () => {
+        const first = validateRows([{ id: 1, email: null, price: 2, status: 'open' }], columns).report;
+        const second = validateRows([{ id: 2, email: null, price: 500, status: 'open' }], columns).report;
+        const merged = mergeReports([first, second], columns);
+
+        assert.equal(merged.totalRows, 2);
+        assert.equal(merged.validRows, 1);
+        assert.equal(merged.droppedRows, 1);
+        assert.deepEqual(merged.columns.price.violations, { max: 1 });
+    });
+});
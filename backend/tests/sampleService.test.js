@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { getSamplePath, normalizeRows, inferSchema, inferColumns, selectFewShotRows, loadSampleRows } = require('../services/sampleService');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+describe('getSamplePath', () => {
+    it('resolves an upload id inside the uploads directory', () => {
+        assert.equal(getSamplePath('sample-1712345678.csv'), path.join(UPLOADS_DIR, 'sample-1712345678.csv'));
+        assert.equal(getSamplePath('orders.json'), path.join(UPLOADS_DIR, 'orders.json'));
+    });
+
+    it('rejects ids that leave the uploads directory', () => {
+        ['../server.js.csv', '../../etc/passwd.csv', '/etc/passwd.csv', 'nested/orders.csv', '..'].forEach(sampleId => {
+            assert.throws(() => getSamplePath(sampleId), error => error.statusCode === 400, sampleId);
+        });
+    });
+
+    it('rejects other file types and non-string ids', () => {
+        ['orders.exe', 'orders', '.env', 42, null, undefined].forEach(sampleId => {
+            assert.throws(() => getSamplePath(sampleId), error => error.statusCode === 400, String(sampleId));
+        });
+    });
+});
+
+describe('sample profiling', () => {
+    const rows = normalizeRows([
+        { ' name ': ' Ada ', age: '36', plan: 'pro' },
+        { ' name ': 'Bo', age: '', plan: 'free' },
+        { ' name ': 'Cy', age: '41', plan: 'pro' },
+        { ' name ': 'Di', age: '29', plan: 'free' }
+    ]);
+
+    it('trims keys and values and turns empty cells into null', () => {
+        assert.deepEqual(rows[0], { name: 'Ada', age: '36', plan: 'pro' });
+        assert.equal(rows[1].age, null);
+    });
+
+    it('infers datatypes and required flags from the values', () => {
+        const columns = inferColumns(inferSchema(rows));
+
+        assert.deepEqual(columns.map(col => [col.name, col.datatype, col.required]), [
+            ['name', 'string', true],
+            ['age', 'integer', false],
+            ['plan', 'string', true]
+        ]);
+    });
+
+    it('picks complete rows that cover different values as examples', () => {
+        const examples = selectFewShotRows(rows, [{ name: 'name' }, { name: 'age' }, { name: 'plan' }], 2);
+
+        assert.equal(examples.length, 2);
+        assert.ok(examples.every(row => row.age !== null));
+        assert.deepEqual(new Set(examples.map(row => row.plan)), new Set(['pro', 'free']));
+    });
+
+    it('reports a sample that was never uploaded as not found', async () => {
+        await assert.rejects(loadSampleRows('missing-0.csv'), error => error.statusCode === 404);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeModels } = require('./helpers/fakeModels');
+const { runGenerationPipeline } = require('../services/generationPipeline');
+const { fitSynthesizer, createSampler, streamRows } = require('../services/statisticalService');
+const { createRandom } = require('../utils/random');
+
+installFakeModels();
+
+const columns = [
+    { name: 'id', datatype: 'integer', unique: true },
+    { name: 'age', datatype: 'integer', min: 18, max: 90 },
+    { name: 'plan', datatype: 'string', allowedValues: ['free', 'pro'] },
+    { name: 'bio', datatype: 'text_paragraph' }
+];
+
+/**
+ * Pearson correlation of two numeric series
+ * @param {Array<number>} xs - First series
+ * @param {Array<number>} ys - Second series
+ * @returns {number} Correlation in [-1, 1]
+ */
+const correlation = (xs, ys) => {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    xs.forEach((x, i) => {
+        sxy += (x - mx) * (ys[i] - my);
+        sxx += (x - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    });
+    return sxy / Math.sqrt(sxx * syy);
+};
+
+describe('statistical mode', () => {
+    it('synthesizes rows from the declared columns without asking the model', async () => {
+        const request = { topic: 'Customers', description: 'Customer accounts', provider: 'mock', rowCount: 200, mode: 'statistical', settings: { seed: 5 }, columns };
+        const { dataset } = await runGenerationPipeline(request);
+        const again = await runGenerationPipeline(request);
+
+        assert.equal(dataset.generatedData.length, 200);
+        assert.equal(dataset.run.responseMetadata.requests, 0);
+        assert.equal(dataset.validationReport.statistical.source, 'declared');
+        dataset.generatedData.forEach((row, index) => {
+            assert.equal(row.id, index + 1);
+            assert.ok(Number.isInteger(row.age) && row.age >= 18 && row.age <= 90);
+            assert.ok(['free', 'pro'].includes(row.plan));
+        });
+        assert.ok(dataset.synthesizer);
+        assert.deepEqual(again.dataset.generatedData, dataset.generatedData);
+    });
+
+    it('fits ranges, category weights and correlation from sample rows', () => {
+        const sample = Array.from({ length: 300 }, (_, i) => ({ height: 150 + (i % 50), weight: 50 + (i % 50) * 0.8, team: i % 3 === 0 ? 'red' : 'blue' }));
+        const fit = fitSynthesizer([
+            { name: 'height', datatype: 'integer' },
+            { name: 'weight', datatype: 'float' },
+            { name: 'team', datatype: 'string' }
+        ], sample);
+
+        assert.equal(fit.synthesizer.source, 'sample');
+        assert.deepEqual(fit.synthesizer.copula.columns, ['height', 'weight', 'team']);
+        assert.equal(fit.columns[0].min, 150);
+        assert.equal(fit.columns[0].max, 199);
+        assert.deepEqual(fit.columns[2].allowedValues, ['blue', 'red']);
+
+        const rows = createSampler(fit.synthesizer, fit.columns)(2000, createRandom(1));
+        const red = rows.filter(row => row.team === 'red').length / rows.length;
+
+        assert.ok(rows.every(row => row.height >= 150 && row.height <= 199));
+        assert.ok(correlation(rows.map(row => row.height), rows.map(row => row.weight)) > 0.8);
+        assert.ok(Math.abs(red - 1 / 3) < 0.05, `red share ${red}`);
+    });
+
+    it('streams further rows in batches, the same for the same seed', async () => {
+        const { dataset } = await runGenerationPipeline({ topic: 'Customers', description: 'Customer accounts', provider: 'mock', rowCount: 50, mode: 'statistical', columns });
+        const stored = { _id: dataset._id, columns, rules: [], synthesizer: dataset.synthesizer };
+        const draw = async (seed) => {
+            const batches = [];
+            const written = await streamRows(stored, 25, { seed, batchSize: 10, onBatch: async (rows) => batches.push(rows) });
+            return { written, batches };
+        };
+
+        const first = await draw(3);
+        assert.equal(first.written, 25);
+        assert.deepEqual(first.batches.map(rows => rows.length), [10, 10, 5]);
+        assert.deepEqual(first.batches.flat().map(row => row.id), Array.from({ length: 25 }, (_, index) => index + 1));
+        assert.deepEqual((await draw(3)).batches, first.batches);
+        assert.notDeepEqual((await draw(4)).batches, first.batches);
+    });
+
+    it('stops streaming after the current batch once aborted', async () => {
+        const { dataset } = await runGenerationPipeline({ topic: 'Customers', description: 'Customer accounts', provider: 'mock', rowCount: 50, mode: 'statistical', columns });
+        const controller = new AbortController();
+        const written = await streamRows({ _id: dataset._id, columns, rules: [], synthesizer: dataset.synthesizer }, 100, {
+            batchSize: 10,
+            signal: controller.signal,
+            onBatch: async () => controller.abort()
+        });
+
+        assert.equal(written, 10);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeModels } = require('./helpers/fakeModels');
+const { validateRegenerateDataset } = require('../middleware/validation');
+const Dataset = require('../models/Dataset');
+
+const store = installFakeModels();
+
+/**
+ * Run a validation middleware array against a request
+ * @param {Array} middleware - Validation chains ending in handleValidationErrors
+ * @param {Object} req - Request ({ params, body })
+ * @returns {Promise<Object>} { status, body, passed }
+ */
+const runValidation = async (middleware, req) => {
+    const result = { status: 200, body: null, passed: false };
+    const res = {
+        status: (code) => { result.status = code; return res; },
+        json: (body) => { result.body = body; return res; }
+    };
+
+    for (const handler of middleware) {
+        let calledNext = false;
+        await handler(req, res, () => { calledNext = true; });
+        if (!calledNext) return result;
+    }
+    result.passed = true;
+    return result;
+};
+
+describe('validateRegenerateDataset', () => {
+    const source = new Dataset({
+        topic: 'Tickets',
+        description: 'Support tickets',
+        rowCount: 3,
+        columns: [{ name: 'priority', datatype: 'string', unique: true, allowedValues: ['low', 'medium', 'high'] }]
+    });
+    store.datasets.set(String(source._id), source.toObject());
+
+    it('sanitizes a rowCount override to an integer', async () => {
+        const req = { params: { id: String(source._id) }, body: { rowCount: '3' } };
+        const result = await runValidation(validateRegenerateDataset, req);
+
+        assert.equal(result.passed, true);
+        assert.equal(req.body.rowCount, 3);
+    });
+
+    it('rejects a rowCount the source columns cannot fill', async () => {
+        const result = await runValidation(validateRegenerateDataset, { params: { id: String(source._id) }, body: { rowCount: '10' } });
+
+        assert.equal(result.status, 400);
+        assert.match(result.body.errors[0].message, /only allows 3 distinct values/);
+    });
+
+    it('rejects a zero rowCount instead of falling back to the source size', async () => {
+        const result = await runValidation(validateRegenerateDataset, { params: { id: String(source._id) }, body: { rowCount: 0 } });
+
+        assert.equal(result.status, 400);
+        assert.match(result.body.errors[0].message, /at least 1/);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const geminiService = require('../services/geminiService');
+const cacheService = require('../utils/cacheService');
+const logger = require('../utils/logger');
+const { buildValuePools, cleanPool } = require('../services/valuePoolService');
+
+['info', 'success', 'warn', 'debug'].forEach(level => mock.method(logger, level, () => {}));
+
+const column = { name: 'city', datatype: 'string' };
+
+/**
+ * Answer value pool requests with two values, however many were asked for
+ * @param {Object} t - Test context
+ * @returns {Object} Mocked generateValuePool (its calls are in .mock.calls)
+ */
+const mockPoolRequests = (t) => t.mock.method(geminiService, 'generateValuePool', async () => [
+    { value: 'Lisbon', weight: 30 },
+    { value: 'Porto', weight: 10 }
+]);
+
+/**
+ * Build the pool of the test column
+ * @param {Object} options - buildValuePools options
+ * @param {Object} target - Column to build the pool for
+ * @returns {Promise<Object>} The column's report entry ({ requested, values, cached })
+ */
+const buildPool = async (options, target = column) => {
+    const { report } = await buildValuePools('Travel', 'Trips', [target], null, { provider: 'mock', ...options });
+    return report[target.name];
+};
+
+describe('cleanPool', () => {
+    it('keeps valid values once each with clamped weights', () => {
+        const pool = cleanPool([
+            { value: 'Lisbon', weight: 500 },
+            { value: ' lisbon', weight: 3 },
+            { value: 'Porto' },
+            { value: '', weight: 5 },
+            null
+        ], { name: 'city', datatype: 'string' });
+
+        assert.deepEqual(pool, [{ value: 'Lisbon', weight: 100 }, { value: 'Porto', weight: 1 }]);
+    });
+});
+
+describe('value pool cache', () => {
+    beforeEach(() => cacheService.poolCache.flushAll());
+
+    it('reuses a pool for requests up to the size it was asked for, even when the model returned fewer values', async (t) => {
+        const requests = mockPoolRequests(t);
+
+        assert.equal((await buildPool({ poolSize: 50 })).cached, 0);
+        assert.equal((await buildPool({ poolSize: 50 })).cached, 1);
+        assert.equal((await buildPool({ poolSize: 20 })).cached, 1);
+        assert.equal((await buildPool({ poolSize: 60 })).cached, 0);
+        assert.equal(requests.mock.callCount(), 2);
+    });
+
+    it('keeps a larger cached pool when a seeded run asks for fewer values', async (t) => {
+        const requests = mockPoolRequests(t);
+
+        await buildPool({ poolSize: 100 });
+        assert.equal((await buildPool({ poolSize: 20, settings: { seed: 1 } })).cached, 0);
+        assert.equal((await buildPool({ poolSize: 100 })).cached, 1);
+        assert.equal(requests.mock.callCount(), 2);
+    });
+
+    it('does not share pools between columns with other constraints', async (t) => {
+        const requests = mockPoolRequests(t);
+
+        await buildPool({ poolSize: 10 });
+        assert.equal((await buildPool({ poolSize: 10 }, { ...column, allowedValues: ['Lisbon'] })).cached, 0);
+        assert.equal((await buildPool({ poolSize: 10 }, { ...column, pattern: '^[A-Z]' })).cached, 0);
+        assert.equal(requests.mock.callCount(), 3);
+    });
+
+    it('does not serve a pool written by one provider or model to another', async (t) => {
+        const requests = mockPoolRequests(t);
+
+        await buildPool({ poolSize: 10, provider: 'mock' });
+        assert.equal((await buildPool({ poolSize: 10, provider: 'gemini' })).cached, 0);
+        assert.equal((await buildPool({ poolSize: 10, provider: 'gemini', settings: { model: 'gemini-other' } })).cached, 0);
+        assert.equal((await buildPool({ poolSize: 10, provider: 'gemini' })).cached, 1);
+        assert.equal(requests.mock.callCount(), 3);
+    });
+});
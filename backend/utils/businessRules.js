@@ -0,0 +1,120 @@
+const { compileExpression } = require('./expression');
+const { isDerived } = require('./derivedColumns');
+
+/**
+ * Maximum business rules per dataset (or per table of a bundle)
+ */
+const MAX_RULES = 20;
+
+/**
+ * Name of a rule, defaulting to its position
+ * @param {Object} rule - Rule definition
+ * @param {number} index - Position in the rule list
+ * @returns {string} Rule name
+ */
+const getRuleName = (rule, index) => rule.name || `rule_${index + 1}`;
+
+/**
+ * Validate cross-column business rules against the columns they read
+ * Each rule is { name?, expression, description?, repair?: { column, expression } }.
+ * @param {Array} rules - Rule definitions
+ * @param {Array} columns - Columns the rules may read
+ * @returns {Array<string>} Error messages
+ */
+const validateRules = (rules, columns) => {
+    if (!Array.isArray(rules)) {
+        return ['Rules must be an array'];
+    }
+
+    if (rules.length > MAX_RULES) {
+        return [`Maximum ${MAX_RULES} rules allowed`];
+    }
+
+    const names = new Set(columns.map(col => col.name));
+    const errors = [];
+    const ruleNames = new Set();
+
+    rules.forEach((rule, index) => {
+        const label = `Rule ${rule && rule.name ? rule.name : index + 1}`;
+
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label}: must be an object with an expression`);
+            return;
+        }
+
+        if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.trim() === '')) {
+            errors.push(`${label}: name must be a non-empty string`);
+        }
+
+        const name = getRuleName(rule, index);
+        if (ruleNames.has(name)) {
+            errors.push(`${label}: name must be unique`);
+        }
+        ruleNames.add(name);
+
+        if (rule.description !== undefined && typeof rule.description !== 'string') {
+            errors.push(`${label}: description must be a string`);
+        }
+
+        const readsKnownColumns = (source, what) => {
+            try {
+                compileExpression(source).columns
+                    .filter(column => !names.has(column))
+                    .forEach(column => errors.push(`${label}: ${what} reads unknown column ${column}`));
+            } catch (error) {
+                errors.push(`${label}: invalid ${what}: ${error.message}`);
+            }
+        };
+
+        readsKnownColumns(rule.expression, 'expression');
+
+        if (rule.repair !== undefined) {
+            const target = rule.repair && columns.find(col => col.name === rule.repair.column);
+
+            if (!target) {
+                errors.push(`${label}: repair needs the column to overwrite and an expression`);
+            } else if (isDerived(target)) {
+                errors.push(`${label}: repair cannot overwrite derived column ${target.name}`);
+            } else if (target.unique) {
+                errors.push(`${label}: repair cannot overwrite unique column ${target.name}`);
+            } else {
+                readsKnownColumns(rule.repair.expression, 'repair expression');
+            }
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Describe the rules for the prompt
+ * @param {Array} rules - Rule definitions
+ * @returns {Array<string>} One line per rule
+ */
+const describeRules = (rules) => {
+    return rules.map(rule => (rule.description ? `${rule.description} (${rule.expression})` : rule.expression));
+};
+
+/**
+ * Compile rule expressions once for checking many rows
+ * @param {Array} rules - Valid rule definitions
+ * @returns {Array} Compiled rules ({ name, source, check, repair })
+ */
+const compileRules = (rules = []) => {
+    return rules.map((rule, index) => ({
+        name: getRuleName(rule, index),
+        source: rule.expression,
+        check: compileExpression(rule.expression),
+        repair: rule.repair
+            ? { column: rule.repair.column, expression: compileExpression(rule.repair.expression) }
+            : null
+    }));
+};
+
+module.exports = {
+    MAX_RULES,
+    getRuleName,
+    validateRules,
+    describeRules,
+    compileRules
+};
@@ -1,9 +1,13 @@
 const NodeCache = require('node-cache');
 const logger = require('./logger');
+const { hashSeed } = require('./random');
+
+// Column fields that shape a value pool's prompt and checks; pools only serve columns that agree on them
+const POOL_CONSTRAINT_FIELDS = ['examples', 'allowedValues', 'pattern', 'min', 'max', 'precision', 'dateRange', 'unique', 'required', 'nullPercentage'];
 
 /**
- * In-memory cache for Kaggle search results and dataset samples
- * TTL: 1 hour for searches, 24 hours for dataset samples
+ * In-memory cache for Kaggle search results, dataset samples and column value pools
+ * TTL: 1 hour for searches, 24 hours for dataset samples and value pools
  */
 class CacheService {
     constructor() {
@@ -18,6 +22,13 @@ class CacheService {
             stdTTL: 86400, // 24 hours
             checkperiod: 3600 // Check every hour
         });
+
+        // Cache for LLM-generated column value pools (24 hour TTL), shared across datasets
+        this.poolCache = new NodeCache({
+            stdTTL: 86400, // 24 hours
+            checkperiod: 3600, // Check every hour
+            useClones: false // Pools are only read, so they are not copied on every hit
+        });
     }
 
     /**
@@ -41,6 +52,23 @@ class CacheService {
         return `dataset:${datasetRef}`;
     }
 
+    /**
+     * Generate cache key for a column's value pool
+     * Holds the provider and model that wrote the pool, so one model's values (or the mock
+     * provider's placeholders) never serve another, and ends with a hash of the column's
+     * constraints, so a pool asked for under other examples, allowed values, pattern or bounds is not reused.
+     * @param {string} topic - Dataset topic
+     * @param {Object} column - Column definition
+     * @param {string} locale - Locale the values are written for ('' for none)
+     * @param {Object} generator - { provider, model } the pool is asked from
+     * @returns {string} Cache key
+     */
+    generatePoolKey(topic, column, locale, generator) {
+        const constraints = POOL_CONSTRAINT_FIELDS.map(field => (column[field] === undefined ? null : column[field]));
+        const hash = hashSeed(JSON.stringify(constraints)).toString(36);
+        return `pool:${generator.provider}:${generator.model}:${topic.toLowerCase().trim()}:${column.name.toLowerCase().trim()}:${String(column.datatype).toLowerCase()}:${locale}:${hash}`;
+    }
+
     /**
      * Get cached search results
      * @param {string} topic - Dataset topic
@@ -101,12 +129,49 @@ class CacheService {
         logger.debug(`Cached dataset sample: ${key}`);
     }
 
+    /**
+     * Get a cached value pool
+     * @param {string} topic - Dataset topic
+     * @param {Object} column - Column definition
+     * @param {string} locale - Locale of the values ('' for none)
+     * @param {Object} generator - { provider, model } the pool is asked from
+     * @returns {Object|null} Cached { size, entries } (size is the number of values requested) or null
+     */
+    getValuePool(topic, column, locale, generator) {
+        const key = this.generatePoolKey(topic, column, locale, generator);
+        const cached = this.poolCache.get(key);
+
+        if (cached) {
+            logger.debug(`Cache HIT for value pool: ${key}`);
+            return cached;
+        }
+
+        logger.debug(`Cache MISS for value pool: ${key}`);
+        return null;
+    }
+
+    /**
+     * Set a value pool in cache
+     * @param {string} topic - Dataset topic
+     * @param {Object} column - Column definition
+     * @param {string} locale - Locale of the values ('' for none)
+     * @param {Object} generator - { provider, model } that wrote the pool
+     * @param {number} size - Number of values requested, which the model may not have met
+     * @param {Array} entries - Pool entries ({ value, weight })
+     */
+    setValuePool(topic, column, locale, generator, size, entries) {
+        const key = this.generatePoolKey(topic, column, locale, generator);
+        this.poolCache.set(key, { size, entries });
+        logger.debug(`Cached value pool: ${key}`);
+    }
+
     /**
      * Clear all caches
      */
     clearAll() {
         this.searchCache.flushAll();
         this.datasetCache.flushAll();
+        this.poolCache.flushAll();
         logger.info('All caches cleared');
     }
 
@@ -117,7 +182,8 @@ class CacheService {
     getStats() {
         return {
             search: this.searchCache.getStats(),
-            dataset: this.datasetCache.getStats()
+            dataset: this.datasetCache.getStats(),
+            pool: this.poolCache.getStats()
         };
     }
 }
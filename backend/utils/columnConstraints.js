@@ -0,0 +1,321 @@
+const { DATATYPES } = require('./datatypes');
+
+/**
+ * Datatypes that accept min/max and precision constraints (numeric values)
+ */
+const NUMERIC_DATATYPES = Object.keys(DATATYPES).filter(type => ['number', 'integer'].includes(DATATYPES[type].jsonSchema.type));
+
+/**
+ * Datatypes that accept a dateRange (date and date-time strings)
+ */
+const DATE_DATATYPES = Object.keys(DATATYPES).filter(type => ['date', 'date-time'].includes(DATATYPES[type].jsonSchema.format));
+
+// Limits that keep constraints cheap to check and short in the prompt
+const MAX_ALLOWED_VALUES = 100;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PRECISION = 10;
+
+/**
+ * Whether a column may hold null values
+ * Required columns and columns with nullable: false never do.
+ * @param {Object} column - Column definition
+ * @returns {boolean} True if nulls are allowed
+ */
+const isNullable = (column) => {
+    return !column.required && column.nullable !== false;
+};
+
+/**
+ * Whether a column has a non-empty list of allowed values
+ * @param {Object} column - Column definition
+ * @returns {boolean} True if the column is restricted to allowedValues
+ */
+const hasAllowedValues = (column) => {
+    return Array.isArray(column.allowedValues) && column.allowedValues.length > 0;
+};
+
+/**
+ * Whether a column has a date range with at least one bound
+ * @param {Object} column - Column definition
+ * @returns {boolean} True if a date range is set
+ */
+const hasDateRange = (column) => {
+    return Boolean(column.dateRange && (column.dateRange.start || column.dateRange.end));
+};
+
+/**
+ * Validate the constraint fields of a column definition
+ * @param {Object} column - Column definition
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+const validateConstraints = (column) => {
+    const errors = [];
+    const datatype = typeof column.datatype === 'string' ? column.datatype.toLowerCase() : '';
+    const numeric = NUMERIC_DATATYPES.includes(datatype);
+
+    ['min', 'max'].forEach(key => {
+        if (column[key] === undefined || column[key] === null) return;
+
+        if (typeof column[key] !== 'number' || !Number.isFinite(column[key])) {
+            errors.push(`${key} must be a number`);
+        } else if (!numeric) {
+            errors.push(`${key} only applies to numeric datatypes (${NUMERIC_DATATYPES.join(', ')})`);
+        }
+    });
+
+    if (typeof column.min === 'number' && typeof column.max === 'number' && column.min > column.max) {
+        errors.push('min cannot be greater than max');
+    }
+
+    if (column.allowedValues !== undefined && column.allowedValues !== null) {
+        if (!Array.isArray(column.allowedValues)) {
+            errors.push('allowedValues must be an array');
+        } else if (column.allowedValues.length > MAX_ALLOWED_VALUES) {
+            errors.push(`allowedValues cannot have more than ${MAX_ALLOWED_VALUES} entries`);
+        } else if (column.allowedValues.some(value => !['string', 'number', 'boolean'].includes(typeof value))) {
+            errors.push('allowedValues must only contain strings, numbers or booleans');
+        }
+    }
+
+    if (column.pattern !== undefined && column.pattern !== null) {
+        if (typeof column.pattern !== 'string' || column.pattern.length > MAX_PATTERN_LENGTH) {
+            errors.push(`pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
+        } else {
+            try {
+                new RegExp(column.pattern);
+            } catch {
+                errors.push(`pattern is not a valid regular expression: ${column.pattern}`);
+            }
+        }
+    }
+
+    ['unique', 'nullable'].forEach(key => {
+        if (column[key] !== undefined && typeof column[key] !== 'boolean') {
+            errors.push(`${key} must be a boolean`);
+        }
+    });
+
+    if (column.nullPercentage !== undefined && column.nullPercentage !== null) {
+        if (typeof column.nullPercentage !== 'number' || column.nullPercentage < 0 || column.nullPercentage > 100) {
+            errors.push('nullPercentage must be a number between 0 and 100');
+        } else if (column.nullPercentage > 0 && !isNullable(column)) {
+            errors.push('nullPercentage requires a nullable, non-required column');
+        }
+    }
+
+    if (column.precision !== undefined && column.precision !== null) {
+        if (!Number.isInteger(column.precision) || column.precision < 0 || column.precision > MAX_PRECISION) {
+            errors.push(`precision must be an integer between 0 and ${MAX_PRECISION}`);
+        } else if (!numeric) {
+            errors.push('precision only applies to numeric datatypes');
+        }
+    }
+
+    if (column.dateRange !== undefined && column.dateRange !== null) {
+        const { start, end } = column.dateRange;
+
+        if (!DATE_DATATYPES.includes(datatype)) {
+            errors.push(`dateRange only applies to ${DATE_DATATYPES.join(' and ')} columns`);
+        } else if ([start, end].some(bound => bound !== undefined && bound !== null && isNaN(Date.parse(bound)))) {
+            errors.push('dateRange start and end must be valid dates');
+        } else if (start && end && Date.parse(start) > Date.parse(end)) {
+            errors.push('dateRange start cannot be after end');
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Check that the columns' uniqueness constraints can be met for a row count
+ * @param {Array} columns - Column definitions (already individually valid)
+ * @param {number} rowCount - Number of rows requested
+ * @returns {Array<string>} Error messages (empty when feasible)
+ */
+const validateFeasibility = (columns, rowCount) => {
+    const errors = [];
+
+    columns.filter(col => col.unique).forEach(col => {
+        const datatype = String(col.datatype).toLowerCase();
+        let capacity = Infinity;
+
+        if (hasAllowedValues(col)) {
+            capacity = new Set(col.allowedValues.map(String)).size;
+        } else if (datatype === 'boolean') {
+            capacity = 2;
+        } else if (datatype === 'integer' && typeof col.min === 'number' && typeof col.max === 'number') {
+            capacity = Math.floor(col.max) - Math.ceil(col.min) + 1;
+        }
+
+        // Nulls are not counted as duplicates
+        const nonNullRows = typeof col.nullPercentage === 'number'
+            ? Math.ceil(rowCount * (1 - col.nullPercentage / 100))
+            : rowCount;
+
+        if (capacity < nonNullRows) {
+            errors.push(`Column ${col.name} is unique but only allows ${capacity} distinct values for ${nonNullRows} rows`);
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Describe a column's constraints for the prompt
+ * @param {Object} column - Column definition
+ * @returns {Array<string>} Short constraint phrases
+ */
+const describeConstraints = (column) => {
+    const phrases = [];
+    const hasMin = typeof column.min === 'number';
+    const hasMax = typeof column.max === 'number';
+
+    if (hasMin && hasMax) {
+        phrases.push(`between ${column.min} and ${column.max}`);
+    } else if (hasMin) {
+        phrases.push(`at least ${column.min}`);
+    } else if (hasMax) {
+        phrases.push(`at most ${column.max}`);
+    }
+
+    if (typeof column.precision === 'number') {
+        phrases.push(column.precision === 0 ? 'no decimal places' : `exactly ${column.precision} decimal place(s)`);
+    }
+
+    if (hasAllowedValues(column)) {
+        phrases.push(`only one of: ${column.allowedValues.map(value => JSON.stringify(value)).join(', ')}`);
+    }
+
+    if (column.pattern) {
+        phrases.push(`must match the regular expression /${column.pattern}/`);
+    }
+
+    if (hasDateRange(column)) {
+        const { start, end } = column.dateRange;
+        if (start && end) {
+            phrases.push(`dates from ${start} to ${end}`);
+        } else {
+            phrases.push(start ? `dates on or after ${start}` : `dates on or before ${end}`);
+        }
+    }
+
+    if (column.unique) {
+        phrases.push('unique across all rows');
+    }
+
+    if (!isNullable(column)) {
+        phrases.push('never null');
+    } else if (typeof column.nullPercentage === 'number') {
+        phrases.push(`null in about ${column.nullPercentage}% of rows`);
+    }
+
+    return phrases;
+};
+
+/**
+ * Round a number to a number of decimal places
+ * @param {number} value - Number
+ * @param {number} precision - Decimal places
+ * @returns {number} Rounded number
+ */
+const roundTo = (value, precision) => {
+    const factor = Math.pow(10, precision);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Check a type-valid value against a column's constraints
+ * Numeric values are rounded to the column precision before the range check.
+ * Uniqueness and null rate are dataset-level and checked elsewhere.
+ * @param {*} value - Non-missing value that already matches the datatype
+ * @param {Object} column - Column definition
+ * @returns {Object} { value, violation } - violation is null or one of min, max, allowedValues, pattern, dateRange
+ */
+const checkConstraints = (value, column) => {
+    let checked = value;
+
+    if (typeof checked === 'number' && typeof column.precision === 'number') {
+        checked = roundTo(checked, column.precision);
+    }
+
+    if (typeof column.min === 'number' && typeof checked === 'number' && checked < column.min) {
+        return { value: checked, violation: 'min' };
+    }
+
+    if (typeof column.max === 'number' && typeof checked === 'number' && checked > column.max) {
+        return { value: checked, violation: 'max' };
+    }
+
+    if (hasAllowedValues(column)) {
+        const allowed = column.allowedValues.find(option => option === checked || String(option) === String(checked));
+        if (allowed === undefined) {
+            return { value: checked, violation: 'allowedValues' };
+        }
+        checked = allowed;
+    }
+
+    if (column.pattern && !new RegExp(column.pattern).test(String(checked))) {
+        return { value: checked, violation: 'pattern' };
+    }
+
+    if (hasDateRange(column)) {
+        const time = Date.parse(checked);
+        const { start, end } = column.dateRange;
+        if ((start && time < Date.parse(start)) || (end && time > Date.parse(end))) {
+            return { value: checked, violation: 'dateRange' };
+        }
+    }
+
+    return { value: checked, violation: null };
+};
+
+/**
+ * Bring each column's null rate up to its nullPercentage target by blanking random values
+ * Models tend to under-produce nulls; over-produced nulls are only reported.
+ * @param {Array} rows - Validated rows (modified in place)
+ * @param {Array} columns - Column definitions
+ * @param {Object} random - Seeded random helpers (utils/random)
+ * @returns {Object} Null rates keyed by column name ({ target, actual, added })
+ */
+const applyNullRates = (rows, columns, random) => {
+    const nullRates = {};
+
+    columns.filter(col => typeof col.nullPercentage === 'number' && isNullable(col)).forEach(col => {
+        const filled = [];
+        rows.forEach((row, index) => {
+            if (row[col.name] !== null && row[col.name] !== undefined) filled.push(index);
+        });
+
+        const targetNulls = Math.round(rows.length * col.nullPercentage / 100);
+        const missingNulls = Math.max(0, targetNulls - (rows.length - filled.length));
+
+        random.shuffle(filled).slice(0, missingNulls).forEach(index => {
+            rows[index][col.name] = null;
+        });
+
+        const nulls = rows.length - filled.length + missingNulls;
+        nullRates[col.name] = {
+            target: col.nullPercentage,
+            actual: rows.length > 0 ? roundTo(nulls / rows.length * 100, 2) : 0,
+            added: missingNulls
+        };
+    });
+
+    return nullRates;
+};
+
+module.exports = {
+    NUMERIC_DATATYPES,
+    DATE_DATATYPES,
+    MAX_ALLOWED_VALUES,
+    MAX_PRECISION,
+    isNullable,
+    hasAllowedValues,
+    hasDateRange,
+    validateConstraints,
+    validateFeasibility,
+    describeConstraints,
+    roundTo,
+    checkConstraints,
+    applyNullRates
+};
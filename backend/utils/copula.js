@@ -0,0 +1,113 @@
+const { inverseNormal, normalCdf, pearson } = require('./distributions');
+
+// Shrinkage steps towards the identity when a correlation matrix is not positive definite
+const SHRINK_STEPS = 20;
+const MIN_PIVOT = 1e-10;
+const EDGE = 1e-9;
+
+/**
+ * Normal scores of numeric values: mid-ranks mapped through the inverse normal CDF
+ * Tied values share a score; nulls stay null.
+ * @param {Array<number|null>} values - Values
+ * @returns {Array<number|null>} Scores in the same positions
+ */
+const normalScores = (values) => {
+    const scores = values.map(() => null);
+    const ranked = values.map((_, index) => index)
+        .filter(index => values[index] !== null)
+        .sort((a, b) => values[a] - values[b]);
+
+    for (let start = 0; start < ranked.length;) {
+        let end = start;
+        while (end + 1 < ranked.length && values[ranked[end + 1]] === values[ranked[start]]) end++;
+
+        const score = inverseNormal(((start + end) / 2 + 0.5) / ranked.length);
+        for (let k = start; k <= end; k++) scores[ranked[k]] = score;
+        start = end + 1;
+    }
+
+    return scores;
+};
+
+/**
+ * Correlation matrix of score columns, each pair over the rows where both are present
+ * @param {Array<Array<number|null>>} columns - Normal scores per column
+ * @returns {Array<Array<number>>} Symmetric matrix with a unit diagonal (0 where a pair has no variation)
+ */
+const correlationMatrix = (columns) => {
+    return columns.map((a, i) => columns.map((b, j) => {
+        if (i === j) return 1;
+
+        const pairs = a.map((x, index) => [x, b[index]]).filter(([x, y]) => x !== null && y !== null);
+        const r = pearson(pairs.map(([x]) => x), pairs.map(([, y]) => y));
+        return r === null ? 0 : r;
+    }));
+};
+
+/**
+ * Cholesky factor of a symmetric matrix
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {Array<Array<number>>|null} Lower-triangular L with L * L^T = matrix, or null if not positive definite
+ */
+const cholesky = (matrix) => {
+    const n = matrix.length;
+    const factor = matrix.map(() => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= factor[i][k] * factor[j][k];
+
+            if (i === j) {
+                if (sum <= MIN_PIVOT) return null;
+                factor[i][i] = Math.sqrt(sum);
+            } else {
+                factor[i][j] = sum / factor[j][j];
+            }
+        }
+    }
+
+    return factor;
+};
+
+/**
+ * Factor a correlation matrix, shrinking it towards the identity until it is positive definite
+ * Pairwise estimates from incomplete rows can be mutually inconsistent; the smallest
+ * shrinkage that makes the matrix usable is kept.
+ * @param {Array<Array<number>>} matrix - Correlation matrix
+ * @returns {Object} { factor, shrinkage }
+ */
+const factorCorrelation = (matrix) => {
+    for (let step = 0; step <= SHRINK_STEPS; step++) {
+        const shrinkage = step / SHRINK_STEPS;
+        const factor = cholesky(matrix.map((row, i) => row.map((value, j) => (i === j ? 1 : value * (1 - shrinkage)))));
+        if (factor) return { factor, shrinkage };
+    }
+
+    // Unreachable: the identity always factors
+    return { factor: matrix.map((row, i) => row.map((_, j) => (i === j ? 1 : 0))), shrinkage: 1 };
+};
+
+/**
+ * Draw one vector of correlated uniforms from a Gaussian copula
+ * @param {Array<Array<number>>} factor - Cholesky factor of the copula correlation
+ * @param {Object} random - Seeded random helpers
+ * @returns {Array<number>} Uniforms in (0, 1), one per copula column
+ */
+const drawUniforms = (factor, random) => {
+    const noise = factor.map(() => random.normal());
+
+    return factor.map((row, i) => {
+        let z = 0;
+        for (let k = 0; k <= i; k++) z += row[k] * noise[k];
+        return Math.min(1 - EDGE, Math.max(EDGE, normalCdf(z)));
+    });
+};
+
+module.exports = {
+    normalScores,
+    correlationMatrix,
+    cholesky,
+    factorCorrelation,
+    drawUniforms
+};
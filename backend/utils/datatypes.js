@@ -0,0 +1,844 @@
+const net = require('net');
+
+/**
+ * Documented test card numbers from payment provider sandboxes; they never charge a real account
+ */
+const TEST_CARD_NUMBERS = [
+    '4111111111111111', '4242424242424242', '4012888888881881', '4000056655665556',
+    '5555555555554444', '5105105105105100', '2223003122003222',
+    '378282246310005', '371449635398431',
+    '6011111111111117', '6011000990139424',
+    '30569309025904', '38520000023237',
+    '3530111333300000', '3566002020360505',
+    '6200000000000005'
+];
+
+/**
+ * Validate email format
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if valid
+ */
+const isValidEmail = (email) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+};
+
+/**
+ * Validate URL format
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if valid
+ */
+const isValidUrl = (url) => {
+    try {
+        new URL(url);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validate phone number format (digits with optional +, spaces, dashes, dots, parentheses)
+ * @param {string} phone - Phone number to validate
+ * @returns {boolean} True if valid
+ */
+const isValidPhone = (phone) => {
+    if (typeof phone !== 'string') return false;
+    const digits = phone.replace(/\D/g, '');
+    return /^\+?[\d\s().-]+$/.test(phone) && digits.length >= 7 && digits.length <= 15;
+};
+
+/**
+ * Validate integer value
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidInteger = (value) => {
+    return typeof value === 'number' && Number.isInteger(value);
+};
+
+/**
+ * Validate finite numeric value
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidNumber = (value) => {
+    return typeof value === 'number' && Number.isFinite(value);
+};
+
+/**
+ * Validate boolean value
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidBoolean = (value) => {
+    return typeof value === 'boolean';
+};
+
+/**
+ * Validate date string (ISO 8601 or anything Date can parse)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidDate = (value) => {
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(Date.parse(value));
+};
+
+/**
+ * Validate percentage value (0-100)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidPercentage = (value) => {
+    return isValidNumber(value) && value >= 0 && value <= 100;
+};
+
+/**
+ * Validate currency amount (numeric, at most 2 decimals)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidCurrency = (value) => {
+    return isValidNumber(value) && Math.abs(Math.round(value * 100) - value * 100) < 1e-6;
+};
+
+/**
+ * Validate non-empty text value
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidText = (value) => {
+    return typeof value === 'string' && value.trim() !== '';
+};
+
+/**
+ * Validate a UUID (8-4-4-4-12 hex digits with a version and variant)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidUuid = (value) => {
+    return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(value);
+};
+
+/**
+ * Validate an ISO 8601 date-time with a timezone (Z or a UTC offset)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidDatetime = (value) => {
+    return typeof value === 'string'
+        && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:\d{2})$/.test(value)
+        && !isNaN(Date.parse(value));
+};
+
+/**
+ * Validate a time of day (HH:MM or HH:MM:SS, 24-hour)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidTime = (value) => {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,6})?)?$/.test(value);
+};
+
+/**
+ * Validate a JSON object (not an array or null)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidJsonObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Validate a latitude in degrees
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidLatitude = (value) => {
+    return isValidNumber(value) && value >= -90 && value <= 90;
+};
+
+/**
+ * Validate a longitude in degrees
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidLongitude = (value) => {
+    return isValidNumber(value) && value >= -180 && value <= 180;
+};
+
+/**
+ * Validate a geopoint ({ lat, lon } in degrees)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidGeopoint = (value) => {
+    return isValidJsonObject(value)
+        && Object.keys(value).length === 2
+        && isValidLatitude(value.lat)
+        && isValidLongitude(value.lon);
+};
+
+/**
+ * Validate a MAC address (six hex pairs separated by : or -)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidMac = (value) => {
+    return typeof value === 'string' && /^[0-9a-f]{2}([:-])([0-9a-f]{2}\1){4}[0-9a-f]{2}$/i.test(value);
+};
+
+/**
+ * Remainder of a numeric string divided by 97, computed in pieces (IBAN check)
+ * @param {string} digits - Digits
+ * @returns {number} Remainder
+ */
+const mod97 = (digits) => {
+    return [...digits].reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0);
+};
+
+/**
+ * Compact an IBAN (no spaces, upper case)
+ * @param {string} value - IBAN as written
+ * @returns {string} Compact IBAN
+ */
+const compactIban = (value) => value.replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Move an IBAN's country code and check digits to the end and turn letters into numbers
+ * @param {string} iban - Compact IBAN
+ * @returns {string} Digits for the mod-97 check
+ */
+const ibanDigits = (iban) => {
+    return (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+};
+
+/**
+ * Validate an IBAN (country code, check digits, account number; mod-97 checksum)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidIban = (value) => {
+    if (typeof value !== 'string') return false;
+    const iban = compactIban(value);
+    return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) && mod97(ibanDigits(iban)) === 1;
+};
+
+/**
+ * Recompute the check digits of an IBAN-shaped value
+ * @param {*} value - Raw value
+ * @returns {string|undefined} Compact IBAN with valid check digits
+ */
+const repairIban = (value) => {
+    if (typeof value !== 'string') return undefined;
+    const iban = compactIban(value);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return undefined;
+
+    const check = 98 - mod97(ibanDigits(`${iban.slice(0, 2)}00${iban.slice(4)}`));
+    return `${iban.slice(0, 2)}${String(check).padStart(2, '0')}${iban.slice(4)}`;
+};
+
+/**
+ * Check digit of an ISBN from its other digits
+ * @param {string} digits - First 9 (ISBN-10) or 12 (ISBN-13) digits
+ * @returns {string} Check digit (X for 10 in ISBN-10)
+ */
+const isbnCheckDigit = (digits) => {
+    if (digits.length === 9) {
+        const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+        const check = (11 - sum % 11) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+
+    const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return String((10 - sum % 10) % 10);
+};
+
+/**
+ * Validate an ISBN-10 or ISBN-13 (hyphens and spaces allowed; check digit verified)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidIsbn = (value) => {
+    if (typeof value !== 'string' || !/^[\d\s-]+[\dX]$/i.test(value.trim())) return false;
+    const isbn = value.replace(/[\s-]/g, '').toUpperCase();
+
+    if (/^\d{9}[\dX]$/.test(isbn)) return isbnCheckDigit(isbn.slice(0, 9)) === isbn[9];
+    if (/^97[89]\d{10}$/.test(isbn)) return isbnCheckDigit(isbn.slice(0, 12)) === isbn[12];
+    return false;
+};
+
+/**
+ * Recompute the check digit of an ISBN-shaped value, keeping its hyphenation
+ * @param {*} value - Raw value
+ * @returns {string|undefined} ISBN with a valid check digit
+ */
+const repairIsbn = (value) => {
+    if (typeof value !== 'string') return undefined;
+    const text = value.trim();
+    const isbn = text.replace(/[\s-]/g, '').toUpperCase();
+    if (!/^(\d{9}|97[89]\d{9})[\dX]$/.test(isbn) || !/[\dX]$/i.test(text)) return undefined;
+
+    return text.slice(0, -1) + isbnCheckDigit(isbn.slice(0, -1));
+};
+
+/**
+ * Validate a hex color (#RGB or #RRGGBB)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidColorHex = (value) => {
+    return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+};
+
+/**
+ * Validate a payment card test number (one of TEST_CARD_NUMBERS, spaces and hyphens allowed)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidTestCard = (value) => {
+    return typeof value === 'string' && /^[\d\s-]+$/.test(value) && TEST_CARD_NUMBERS.includes(value.replace(/[\s-]/g, ''));
+};
+
+/**
+ * Validate a paragraph (text of at least two sentences)
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid
+ */
+const isValidParagraph = (value) => {
+    return isValidText(value) && (value.trim().match(/[.!?。！？](\s|$)/g) || []).length >= 2;
+};
+
+/**
+ * Parse a numeric string, tolerating currency symbols, percent signs and thousands separators
+ * @param {*} value - Raw value
+ * @returns {number|null} Parsed number or null
+ */
+const parseNumeric = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const cleaned = value.trim().replace(/^[^\d+-]+/, '').replace(/[%\s]+$/, '').replace(/,/g, '');
+    if (!/^[+-]?\d+(\.\d+)?$/.test(cleaned)) return null;
+
+    return parseFloat(cleaned);
+};
+
+/**
+ * Parse JSON text, returning undefined instead of throwing
+ * @param {*} value - Raw value
+ * @returns {*} Parsed value, or undefined
+ */
+const parseJson = (value) => {
+    if (typeof value !== 'string') return undefined;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Column datatypes, each defined once for validation, prompting, response schemas, forms and exports
+ * - label: name shown in forms
+ * - check(value): whether a non-missing value has the datatype
+ * - coerce(value): the value converted to the datatype, or undefined
+ * - hint: format guidance for the prompt and the response schema (null when the name says it all)
+ * - jsonSchema: JSON Schema of one value
+ * - export: column type in SQL (PostgreSQL) and Parquet (logical type) exports
+ * - structured: values are objects or arrays, so they can't be unique, listed or matched by pattern
+ * - bounds: the range every numeric value of the datatype lies in
+ */
+const DATATYPES = {
+    string: {
+        label: 'String',
+        check: isValidText,
+        coerce: (value) => (typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined),
+        hint: null,
+        jsonSchema: { type: 'string', minLength: 1 },
+        export: { sql: 'TEXT', parquet: 'STRING' }
+    },
+    number: {
+        label: 'Number',
+        check: isValidNumber,
+        coerce: parseNumeric,
+        hint: null,
+        jsonSchema: { type: 'number' },
+        export: { sql: 'DOUBLE PRECISION', parquet: 'DOUBLE' }
+    },
+    integer: {
+        label: 'Integer',
+        check: isValidInteger,
+        coerce: (value) => {
+            const number = parseNumeric(value);
+            return number !== null && Number.isInteger(number) ? number : undefined;
+        },
+        hint: null,
+        jsonSchema: { type: 'integer' },
+        export: { sql: 'BIGINT', parquet: 'INT64' }
+    },
+    float: {
+        label: 'Float',
+        check: isValidNumber,
+        coerce: parseNumeric,
+        hint: null,
+        jsonSchema: { type: 'number' },
+        export: { sql: 'DOUBLE PRECISION', parquet: 'DOUBLE' }
+    },
+    boolean: {
+        label: 'Boolean',
+        check: isValidBoolean,
+        coerce: (value) => {
+            const text = String(value).trim().toLowerCase();
+            if (['true', 'yes', '1'].includes(text)) return true;
+            if (['false', 'no', '0'].includes(text)) return false;
+            return undefined;
+        },
+        hint: null,
+        jsonSchema: { type: 'boolean' },
+        export: { sql: 'BOOLEAN', parquet: 'BOOLEAN' }
+    },
+    date: {
+        label: 'Date',
+        check: isValidDate,
+        coerce: (value) => {
+            if (typeof value !== 'number') return undefined;
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? undefined : date.toISOString();
+        },
+        hint: null,
+        jsonSchema: { type: 'string', format: 'date', description: 'ISO 8601 date (YYYY-MM-DD)' },
+        export: { sql: 'DATE', parquet: 'DATE' }
+    },
+    email: {
+        label: 'Email',
+        check: (value) => typeof value === 'string' && isValidEmail(value),
+        coerce: (value) => (typeof value === 'string' ? value.trim().toLowerCase() : undefined),
+        hint: null,
+        jsonSchema: { type: 'string', format: 'email', description: 'Valid email address' },
+        export: { sql: 'VARCHAR(254)', parquet: 'STRING' }
+    },
+    phone: {
+        label: 'Phone',
+        check: isValidPhone,
+        coerce: (value) => (typeof value === 'number' ? String(value) : undefined),
+        hint: null,
+        jsonSchema: { type: 'string', pattern: '^\\+?[\\d\\s().-]+$', description: 'Phone number with country code' },
+        export: { sql: 'VARCHAR(32)', parquet: 'STRING' }
+    },
+    url: {
+        label: 'URL',
+        check: (value) => typeof value === 'string' && isValidUrl(value),
+        coerce: (value) => (typeof value === 'string' && /^www\./i.test(value.trim()) ? `https://${value.trim()}` : undefined),
+        hint: null,
+        jsonSchema: { type: 'string', format: 'uri', description: 'Absolute URL starting with https://' },
+        export: { sql: 'TEXT', parquet: 'STRING' }
+    },
+    address: {
+        label: 'Address',
+        check: isValidText,
+        coerce: (value) => (typeof value === 'string' ? value.trim() : undefined),
+        hint: null,
+        jsonSchema: { type: 'string', minLength: 1, description: 'Street address' },
+        export: { sql: 'TEXT', parquet: 'STRING' }
+    },
+    name: {
+        label: 'Name',
+        check: isValidText,
+        coerce: (value) => (typeof value === 'string' ? value.trim() : undefined),
+        hint: null,
+        jsonSchema: { type: 'string', minLength: 1, description: 'Full name' },
+        export: { sql: 'TEXT', parquet: 'STRING' }
+    },
+    percentage: {
+        label: 'Percentage',
+        check: isValidPercentage,
+        coerce: parseNumeric,
+        hint: null,
+        jsonSchema: { type: 'number', minimum: 0, maximum: 100, description: 'Percentage between 0 and 100' },
+        export: { sql: 'DOUBLE PRECISION', parquet: 'DOUBLE' },
+        bounds: { min: 0, max: 100 }
+    },
+    currency: {
+        label: 'Currency',
+        check: isValidCurrency,
+        coerce: (value) => {
+            const number = parseNumeric(value);
+            return number === null ? undefined : Math.round(number * 100) / 100;
+        },
+        hint: null,
+        jsonSchema: { type: 'number', multipleOf: 0.01, description: 'Monetary amount with at most 2 decimals' },
+        export: { sql: 'NUMERIC(18,2)', parquet: 'DECIMAL(18,2)' }
+    },
+    uuid: {
+        label: 'UUID',
+        check: isValidUuid,
+        coerce: (value) => {
+            if (typeof value !== 'string') return undefined;
+            const hex = value.trim().replace(/[{}-]/g, '').toLowerCase();
+            return /^[0-9a-f]{32}$/.test(hex)
+                ? `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+                : undefined;
+        },
+        hint: 'random version 4 UUID such as 3f6c2b1e-9d4a-4c8e-a2f1-7b5d0e9c4a13',
+        jsonSchema: { type: 'string', format: 'uuid' },
+        export: { sql: 'UUID', parquet: 'UUID' }
+    },
+    enum: {
+        label: 'Enum',
+        // Membership is checked against allowedValues like any other column
+        check: (value) => ['string', 'number', 'boolean'].includes(typeof value),
+        coerce: () => undefined,
+        hint: null,
+        jsonSchema: { type: 'string' },
+        export: { sql: 'TEXT', parquet: 'ENUM' }
+    },
+    datetime: {
+        label: 'Date & time',
+        check: isValidDatetime,
+        coerce: (value) => {
+            if (typeof value === 'number') {
+                const date = new Date(value);
+                return isNaN(date.getTime()) ? undefined : date.toISOString();
+            }
+            return typeof value === 'string' ? value.trim().replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2') : undefined;
+        },
+        hint: 'ISO 8601 date-time with a timezone, such as 2024-03-05T14:30:00+01:00 or 2024-03-05T13:30:00Z',
+        jsonSchema: { type: 'string', format: 'date-time' },
+        export: { sql: 'TIMESTAMPTZ', parquet: 'TIMESTAMP(MILLIS,UTC)' }
+    },
+    time: {
+        label: 'Time',
+        check: isValidTime,
+        coerce: (value) => (typeof value === 'string' && /^\d:\d{2}/.test(value.trim()) ? `0${value.trim()}` : undefined),
+        hint: '24-hour time of day, HH:MM or HH:MM:SS',
+        jsonSchema: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d(\\.\\d{1,6})?)?$' },
+        export: { sql: 'TIME', parquet: 'TIME(MILLIS)' }
+    },
+    json: {
+        label: 'JSON object',
+        check: isValidJsonObject,
+        coerce: (value) => {
+            const parsed = parseJson(value);
+            return isValidJsonObject(parsed) ? parsed : undefined;
+        },
+        hint: 'a JSON object with a few meaningful keys',
+        jsonSchema: { type: 'object' },
+        export: { sql: 'JSONB', parquet: 'JSON' },
+        structured: true
+    },
+    array: {
+        label: 'Array',
+        // Item checks depend on the item type; see getDatatype
+        check: Array.isArray,
+        coerce: (value) => {
+            const parsed = parseJson(value);
+            return Array.isArray(parsed) ? parsed : undefined;
+        },
+        hint: 'a JSON array',
+        jsonSchema: { type: 'array' },
+        export: { sql: 'JSONB', parquet: 'JSON' },
+        structured: true
+    },
+    latitude: {
+        label: 'Latitude',
+        check: isValidLatitude,
+        coerce: parseNumeric,
+        hint: 'latitude in decimal degrees (-90 to 90)',
+        jsonSchema: { type: 'number', minimum: -90, maximum: 90 },
+        export: { sql: 'DOUBLE PRECISION', parquet: 'DOUBLE' },
+        bounds: { min: -90, max: 90 }
+    },
+    longitude: {
+        label: 'Longitude',
+        check: isValidLongitude,
+        coerce: parseNumeric,
+        hint: 'longitude in decimal degrees (-180 to 180)',
+        jsonSchema: { type: 'number', minimum: -180, maximum: 180 },
+        export: { sql: 'DOUBLE PRECISION', parquet: 'DOUBLE' },
+        bounds: { min: -180, max: 180 }
+    },
+    geopoint: {
+        label: 'Geopoint',
+        check: isValidGeopoint,
+        coerce: (value) => {
+            let point = typeof value === 'string' ? (parseJson(value) ?? value.split(',').map(part => parseNumeric(part))) : value;
+
+            if (Array.isArray(point) && point.length === 2) {
+                point = { lat: point[0], lon: point[1] };
+            } else if (isValidJsonObject(point)) {
+                point = { lat: point.lat ?? point.latitude, lon: point.lon ?? point.lng ?? point.longitude };
+            } else {
+                return undefined;
+            }
+
+            return { lat: parseNumeric(point.lat), lon: parseNumeric(point.lon) };
+        },
+        hint: 'an object {"lat": degrees, "lon": degrees} of a real place',
+        jsonSchema: {
+            type: 'object',
+            properties: {
+                lat: { type: 'number', minimum: -90, maximum: 90 },
+                lon: { type: 'number', minimum: -180, maximum: 180 }
+            },
+            required: ['lat', 'lon'],
+            additionalProperties: false
+        },
+        export: { sql: 'JSONB', parquet: 'STRUCT<lat: DOUBLE, lon: DOUBLE>' },
+        structured: true
+    },
+    ipv4: {
+        label: 'IPv4 address',
+        check: (value) => typeof value === 'string' && net.isIPv4(value),
+        coerce: (value) => (typeof value === 'string' ? value.trim() : undefined),
+        hint: 'dotted IPv4 address such as 192.168.10.24',
+        jsonSchema: { type: 'string', format: 'ipv4' },
+        export: { sql: 'INET', parquet: 'STRING' }
+    },
+    ipv6: {
+        label: 'IPv6 address',
+        check: (value) => typeof value === 'string' && net.isIPv6(value),
+        coerce: (value) => (typeof value === 'string' ? value.trim().replace(/^\[(.*)\]$/, '$1') : undefined),
+        hint: 'IPv6 address such as 2001:db8:85a3::8a2e:370:7334',
+        jsonSchema: { type: 'string', format: 'ipv6' },
+        export: { sql: 'INET', parquet: 'STRING' }
+    },
+    mac: {
+        label: 'MAC address',
+        check: isValidMac,
+        coerce: (value) => {
+            if (typeof value !== 'string') return undefined;
+            const hex = value.trim().replace(/[.:-]/g, '');
+            return /^[0-9a-f]{12}$/i.test(hex) ? hex.match(/../g).join(':') : undefined;
+        },
+        hint: 'MAC address such as 3c:22:fb:7a:1e:09',
+        jsonSchema: { type: 'string', pattern: '^[0-9a-fA-F]{2}([:-])([0-9a-fA-F]{2}\\1){4}[0-9a-fA-F]{2}$' },
+        export: { sql: 'MACADDR', parquet: 'STRING' }
+    },
+    iban: {
+        label: 'IBAN',
+        check: isValidIban,
+        // Models rarely compute the mod-97 check digits; recompute them
+        coerce: repairIban,
+        hint: 'IBAN with country code, check digits and account number, such as DE89370400440532013000',
+        jsonSchema: { type: 'string', pattern: '^[A-Z]{2}\\d{2}[A-Z0-9]{11,30}$' },
+        export: { sql: 'VARCHAR(34)', parquet: 'STRING' }
+    },
+    isbn: {
+        label: 'ISBN',
+        check: isValidIsbn,
+        // Check digits are recomputed for the same reason as IBANs
+        coerce: repairIsbn,
+        hint: 'ISBN-13 such as 978-0-306-40615-7',
+        jsonSchema: { type: 'string', pattern: '^[\\d\\s-]+[\\dXx]$' },
+        export: { sql: 'VARCHAR(17)', parquet: 'STRING' }
+    },
+    color_hex: {
+        label: 'Hex color',
+        check: isValidColorHex,
+        coerce: (value) => (typeof value === 'string' && /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value.trim()) ? `#${value.trim()}` : undefined),
+        hint: 'hex color such as #1e90ff',
+        jsonSchema: { type: 'string', pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$' },
+        export: { sql: 'VARCHAR(7)', parquet: 'STRING' }
+    },
+    credit_card_test: {
+        label: 'Test credit card',
+        check: isValidTestCard,
+        coerce: (value) => (typeof value === 'number' ? String(value) : undefined),
+        hint: `a documented payment test card number, only one of: ${TEST_CARD_NUMBERS.join(', ')}`,
+        jsonSchema: { type: 'string', pattern: '^[\\d\\s-]+$' },
+        export: { sql: 'VARCHAR(23)', parquet: 'STRING' }
+    },
+    text_paragraph: {
+        label: 'Paragraph',
+        check: isValidParagraph,
+        coerce: () => undefined,
+        hint: 'a paragraph of 3 to 5 full sentences',
+        jsonSchema: { type: 'string', minLength: 1 },
+        export: { sql: 'TEXT', parquet: 'STRING' }
+    }
+};
+
+/**
+ * Datatypes an array can hold (scalar types other than enum)
+ */
+const ARRAY_ITEM_DATATYPES = Object.keys(DATATYPES).filter(type => type !== 'enum' && !DATATYPES[type].structured);
+
+/**
+ * Split a datatype into its base type and, for array<T>, the item type
+ * @param {string} datatype - Datatype such as "uuid" or "array<integer>"
+ * @returns {Object} { base, itemType } - itemType is null for other types
+ */
+const parseDatatype = (datatype) => {
+    const type = String(datatype).trim().toLowerCase();
+    const match = /^array\s*<\s*([a-z_]+)\s*>$/.exec(type);
+    return match ? { base: 'array', itemType: match[1] } : { base: type, itemType: null };
+};
+
+/**
+ * Whether a datatype is supported (array<T> needs a supported item type)
+ * @param {string} datatype - Datatype
+ * @returns {boolean} True if supported
+ */
+const isSupportedDatatype = (datatype) => {
+    const { base, itemType } = parseDatatype(datatype);
+    if (base === 'array') return ARRAY_ITEM_DATATYPES.includes(itemType);
+    return Object.prototype.hasOwnProperty.call(DATATYPES, base);
+};
+
+/**
+ * Registry entry of a datatype; array<T> gets item-aware check, coercion and hint
+ * @param {string} datatype - Supported datatype
+ * @returns {Object|null} { label, check, coerce, hint, jsonSchema, export, structured }, or null if unsupported
+ */
+const getDatatype = (datatype) => {
+    if (!isSupportedDatatype(datatype)) return null;
+
+    const { base, itemType } = parseDatatype(datatype);
+    if (base !== 'array') return DATATYPES[base];
+
+    const item = DATATYPES[itemType];
+    const coerceItem = (value) => {
+        if (value !== null && value !== undefined && item.check(value)) return value;
+        const coerced = item.coerce(value);
+        return coerced !== undefined && coerced !== null && item.check(coerced) ? coerced : undefined;
+    };
+
+    return {
+        label: `Array of ${item.label}`,
+        check: (value) => Array.isArray(value) && value.every(element => element !== null && element !== undefined && item.check(element)),
+        coerce: (value) => {
+            const list = Array.isArray(value) ? value : DATATYPES.array.coerce(value);
+            if (!Array.isArray(list)) return undefined;
+
+            const items = list.map(coerceItem);
+            return items.includes(undefined) ? undefined : items;
+        },
+        hint: `a JSON array of 1 to 5 items, each ${item.hint || `of type ${itemType}`}`,
+        jsonSchema: { type: 'array', items: item.jsonSchema, minItems: 1 },
+        export: { sql: `${item.export.sql}[]`, parquet: `LIST<${item.export.parquet}>` },
+        structured: true
+    };
+};
+
+/**
+ * Whether a datatype holds objects or arrays
+ * @param {string} datatype - Datatype
+ * @returns {boolean} True for json, array<T> and geopoint
+ */
+const isStructuredDatatype = (datatype) => {
+    const entry = getDatatype(datatype);
+    return Boolean(entry && entry.structured);
+};
+
+/**
+ * Format guidance of a column's datatype for the prompt
+ * @param {Object} column - Column definition
+ * @returns {string|null} Hint, or null when the datatype needs none
+ */
+const describeDatatype = (column) => {
+    const entry = getDatatype(column.datatype);
+    return entry ? entry.hint : null;
+};
+
+/**
+ * JSON Schema of one value of a datatype, described by its hint
+ * @param {string} datatype - Supported datatype
+ * @returns {Object|null} JSON Schema, or null if unsupported
+ */
+const getJsonSchema = (datatype) => {
+    const entry = getDatatype(datatype);
+    if (!entry) return null;
+
+    const schema = { ...entry.jsonSchema };
+    if (schema.items) {
+        schema.items = getJsonSchema(parseDatatype(datatype).itemType);
+    }
+    if (entry.hint && !schema.description) {
+        schema.description = entry.hint;
+    }
+    return schema;
+};
+
+/**
+ * Serializable view of the registry for clients (checks and coercions stay on the server)
+ * @returns {Array<Object>} [{ name, label, hint, jsonSchema, export, structured, bounds, arrayItem }]
+ */
+const listDatatypes = () => {
+    return Object.entries(DATATYPES).map(([name, entry]) => ({
+        name,
+        label: entry.label,
+        hint: entry.hint,
+        jsonSchema: getJsonSchema(name),
+        export: entry.export,
+        structured: Boolean(entry.structured),
+        bounds: entry.bounds || null,
+        arrayItem: ARRAY_ITEM_DATATYPES.includes(name)
+    }));
+};
+
+/**
+ * Validate the datatype-specific settings of a column
+ * @param {Object} column - Column definition with a supported datatype
+ * @returns {Array<string>} Error messages
+ */
+const validateDatatypeSettings = (column) => {
+    const errors = [];
+    const { base } = parseDatatype(column.datatype);
+
+    if (base === 'enum' && !(Array.isArray(column.allowedValues) && column.allowedValues.length > 0)) {
+        errors.push('enum columns need allowedValues');
+    }
+
+    if (isStructuredDatatype(column.datatype)) {
+        ['allowedValues', 'pattern', 'unique'].forEach(key => {
+            if (column[key] !== undefined && column[key] !== null && column[key] !== false) {
+                errors.push(`${key} does not apply to ${column.datatype} columns`);
+            }
+        });
+    }
+
+    if (base === 'credit_card_test' && column.unique) {
+        errors.push(`credit_card_test columns only have ${TEST_CARD_NUMBERS.length} values and cannot be unique`);
+    }
+
+    return errors;
+};
+
+module.exports = {
+    TEST_CARD_NUMBERS,
+    DATATYPES,
+    ARRAY_ITEM_DATATYPES,
+    isValidEmail,
+    isValidUrl,
+    isValidPhone,
+    isValidInteger,
+    isValidNumber,
+    isValidBoolean,
+    isValidDate,
+    isValidPercentage,
+    isValidCurrency,
+    isValidText,
+    isValidUuid,
+    isValidDatetime,
+    isValidTime,
+    isValidJsonObject,
+    isValidLatitude,
+    isValidLongitude,
+    isValidGeopoint,
+    isValidMac,
+    isValidIban,
+    isValidIsbn,
+    isValidColorHex,
+    isValidTestCard,
+    isValidParagraph,
+    parseNumeric,
+    parseDatatype,
+    isSupportedDatatype,
+    getDatatype,
+    isStructuredDatatype,
+    describeDatatype,
+    getJsonSchema,
+    listDatatypes,
+    validateDatatypeSettings
+};
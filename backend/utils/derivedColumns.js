@@ -0,0 +1,105 @@
+const { compileExpression } = require('./expression');
+
+/**
+ * Column kinds: generated columns are written by the model, derived columns
+ * are computed from an expression over the other columns of the row
+ */
+const COLUMN_KINDS = ['generated', 'derived'];
+
+/**
+ * Whether a column is computed from an expression
+ * @param {Object} column - Column definition
+ * @returns {boolean} True for derived columns
+ */
+const isDerived = (column) => column.kind === 'derived';
+
+/**
+ * Validate the kind and expression of one column
+ * @param {Object} column - Column definition
+ * @returns {Array<string>} Error messages
+ */
+const validateDerivedColumn = (column) => {
+    if (column.kind !== undefined && !COLUMN_KINDS.includes(column.kind)) {
+        return [`kind must be one of: ${COLUMN_KINDS.join(', ')}`];
+    }
+
+    if (!isDerived(column)) {
+        return column.expression !== undefined ? ['expression requires kind: derived'] : [];
+    }
+
+    try {
+        compileExpression(column.expression);
+        return [];
+    } catch (error) {
+        return [`invalid expression: ${error.message}`];
+    }
+};
+
+/**
+ * Sort derived columns so each comes after the derived columns it reads
+ * @param {Array} columns - Column definitions (expressions already valid)
+ * @returns {Array} Derived columns with compiled expressions ({ column, expression })
+ * @throws {Error} If derived columns reference each other in a cycle
+ */
+const orderDerivedColumns = (columns) => {
+    const derived = new Map(columns.filter(isDerived).map(col => [col.name, { column: col, expression: compileExpression(col.expression) }]));
+    const ordered = [];
+    const state = new Map();
+
+    const visit = (name, path) => {
+        if (state.get(name) === 'done') return;
+        if (state.get(name) === 'visiting') {
+            throw new Error(`Derived columns form a cycle: ${[...path, name].join(' -> ')}`);
+        }
+
+        state.set(name, 'visiting');
+        derived.get(name).expression.columns
+            .filter(dependency => derived.has(dependency))
+            .forEach(dependency => visit(dependency, [...path, name]));
+        state.set(name, 'done');
+        ordered.push(derived.get(name));
+    };
+
+    derived.forEach((_, name) => visit(name, []));
+    return ordered;
+};
+
+/**
+ * Check that derived columns only read declared columns and don't depend on each other in a cycle
+ * @param {Array} columns - Column definitions (each individually valid)
+ * @returns {Array<string>} Error messages
+ */
+const validateDerivedReferences = (columns) => {
+    const names = new Set(columns.map(col => col.name));
+    const errors = [];
+
+    columns.filter(isDerived).forEach(col => {
+        const { columns: references } = compileExpression(col.expression);
+
+        if (references.includes(col.name)) {
+            errors.push(`Column ${col.name}: expression cannot read the column itself`);
+        }
+
+        references.filter(name => !names.has(name)).forEach(name => {
+            errors.push(`Column ${col.name}: expression reads unknown column ${name}`);
+        });
+    });
+
+    if (errors.length === 0) {
+        try {
+            orderDerivedColumns(columns);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    return errors;
+};
+
+module.exports = {
+    COLUMN_KINDS,
+    isDerived,
+    validateDerivedColumn,
+    validateDerivedReferences,
+    orderDerivedColumns
+};
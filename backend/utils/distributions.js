@@ -0,0 +1,481 @@
+const { NUMERIC_DATATYPES, MAX_ALLOWED_VALUES, hasAllowedValues } = require('./columnConstraints');
+
+/**
+ * Distributions a column can be shaped to after generation
+ */
+const DISTRIBUTION_TYPES = ['normal', 'lognormal', 'uniform', 'poisson', 'zipf', 'categorical'];
+
+// Limits that keep the inverse CDFs cheap (and exp(-lambda) representable)
+const MAX_POISSON_LAMBDA = 500;
+const MAX_ZIPF_N = 10000;
+const MAX_CORRELATIONS = 20;
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+const inverseNormal = (p) => {
+    const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+    const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+    const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - low) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26 error function)
+ * @param {number} z - Value
+ * @returns {number} P(Z <= z)
+ */
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Natural log of k!
+ * @param {number} k - Non-negative integer
+ * @returns {number} log(k!)
+ */
+const logFactorial = (k) => {
+    let sum = 0;
+    for (let i = 2; i <= k; i++) sum += Math.log(i);
+    return sum;
+};
+
+/**
+ * Binary search for the first element of a sorted array that passes a monotone test
+ * @param {Array} items - Sorted items
+ * @param {Function} test - False for a prefix of items, true for the rest
+ * @returns {number} Index of the first passing item, or items.length
+ */
+const firstIndex = (items, test) => {
+    let low = 0;
+    let high = items.length;
+
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (test(items[middle])) high = middle;
+        else low = middle + 1;
+    }
+
+    return low;
+};
+
+/**
+ * Build the CDF table of a discrete distribution over 0..n or 1..n
+ * @param {Function} weight - Unnormalised probability of k
+ * @param {number} from - First value
+ * @param {number} to - Last value
+ * @returns {Object} { values, cdf }
+ */
+const discreteTable = (weight, from, to) => {
+    const values = [];
+    const weights = [];
+
+    for (let k = from; k <= to; k++) {
+        values.push(k);
+        weights.push(weight(k));
+    }
+
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let running = 0;
+    const cdf = weights.map(w => (running += w / total));
+
+    return { values, cdf };
+};
+
+/**
+ * Quantile and CDF functions of a numeric distribution
+ * @param {Object} distribution - Valid numeric distribution
+ * @returns {Object} { quantile(u), cdf(x), discrete }
+ */
+const createNumericDistribution = (distribution) => {
+    switch (distribution.type) {
+        case 'normal':
+            return {
+                quantile: (u) => distribution.mean + distribution.sd * inverseNormal(u),
+                cdf: (x) => normalCdf((x - distribution.mean) / distribution.sd)
+            };
+        case 'lognormal':
+            return {
+                quantile: (u) => Math.exp(distribution.meanlog + distribution.sdlog * inverseNormal(u)),
+                cdf: (x) => (x <= 0 ? 0 : normalCdf((Math.log(x) - distribution.meanlog) / distribution.sdlog))
+            };
+        case 'uniform':
+            return {
+                quantile: (u) => distribution.min + u * (distribution.max - distribution.min),
+                cdf: (x) => Math.min(1, Math.max(0, (x - distribution.min) / (distribution.max - distribution.min)))
+            };
+        default: {
+            // Poisson and Zipf are tabulated; the Poisson tail is cut where it stops mattering
+            const table = distribution.type === 'poisson'
+                ? discreteTable(
+                    (k) => Math.exp(k * Math.log(distribution.lambda) - distribution.lambda - logFactorial(k)),
+                    0,
+                    Math.ceil(distribution.lambda + 12 * Math.sqrt(distribution.lambda) + 12)
+                )
+                : discreteTable((k) => 1 / Math.pow(k, distribution.s), 1, distribution.n);
+
+            return {
+                discrete: true,
+                quantile: (u) => table.values[Math.min(firstIndex(table.cdf, p => p >= u), table.values.length - 1)],
+                cdf: (x) => {
+                    const index = firstIndex(table.values, value => value > x);
+                    return index === 0 ? 0 : table.cdf[index - 1];
+                }
+            };
+        }
+    }
+};
+
+/**
+ * Category weights of a categorical distribution, or of a Zipf distribution over allowedValues
+ * @param {Object} distribution - Valid distribution
+ * @param {Object} column - Column definition
+ * @returns {Array|null} [{ value, weight }] or null for numeric distributions
+ */
+const getCategoryWeights = (distribution, column) => {
+    if (distribution.type === 'categorical') {
+        return Object.entries(distribution.weights).map(([value, weight]) => ({ value, weight }));
+    }
+
+    if (distribution.type === 'zipf' && hasAllowedValues(column)) {
+        return column.allowedValues.map((value, index) => ({ value: String(value), weight: 1 / Math.pow(index + 1, distribution.s) }));
+    }
+
+    return null;
+};
+
+/**
+ * Split a row count across categories by weight (largest remainder)
+ * @param {Array} categories - [{ value, weight }]
+ * @param {number} total - Rows to split
+ * @returns {Array<number>} Rows per category
+ */
+const allocateCounts = (categories, total) => {
+    const weightSum = categories.reduce((sum, category) => sum + category.weight, 0);
+    const exact = categories.map(category => category.weight / weightSum * total);
+    const counts = exact.map(Math.floor);
+    let left = total - counts.reduce((sum, count) => sum + count, 0);
+
+    exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ index }) => {
+            if (left > 0) {
+                counts[index]++;
+                left--;
+            }
+        });
+
+    return counts;
+};
+
+/**
+ * Check that a distribution parameter is a finite number within bounds
+ * @param {Object} distribution - Distribution definition
+ * @param {string} key - Parameter name
+ * @param {Object} bounds - { above, atMost } limits
+ * @returns {Array<string>} Error messages
+ */
+const checkParameter = (distribution, key, bounds = {}) => {
+    const value = distribution[key];
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [`${distribution.type} distribution needs a numeric ${key}`];
+    }
+    if (bounds.above !== undefined && value <= bounds.above) {
+        return [`${distribution.type} ${key} must be greater than ${bounds.above}`];
+    }
+    if (bounds.atMost !== undefined && value > bounds.atMost) {
+        return [`${distribution.type} ${key} cannot exceed ${bounds.atMost}`];
+    }
+    return [];
+};
+
+/**
+ * Validate the distribution of one column
+ * @param {Object} column - Column definition
+ * @returns {Array<string>} Error messages
+ */
+const validateDistribution = (column) => {
+    const { distribution } = column;
+    if (distribution === undefined || distribution === null) return [];
+
+    if (typeof distribution !== 'object' || !DISTRIBUTION_TYPES.includes(distribution.type)) {
+        return [`distribution type must be one of: ${DISTRIBUTION_TYPES.join(', ')}`];
+    }
+
+    // Reshaping repeats values and derived columns are computed later
+    if (column.unique) return ['distribution cannot be combined with unique'];
+    if (column.kind === 'derived') return ['distribution does not apply to derived columns'];
+
+    const datatype = typeof column.datatype === 'string' ? column.datatype.toLowerCase() : '';
+    const numeric = NUMERIC_DATATYPES.includes(datatype);
+    const categorical = distribution.type === 'categorical' || (distribution.type === 'zipf' && hasAllowedValues(column));
+
+    if (!categorical && !numeric) {
+        return [`${distribution.type} distribution needs a numeric datatype (${NUMERIC_DATATYPES.join(', ')})`];
+    }
+    if (!categorical && hasAllowedValues(column)) {
+        return ['use a categorical distribution to weight allowedValues'];
+    }
+
+    switch (distribution.type) {
+        case 'normal':
+            return [...checkParameter(distribution, 'mean'), ...checkParameter(distribution, 'sd', { above: 0 })];
+        case 'lognormal':
+            return [...checkParameter(distribution, 'meanlog'), ...checkParameter(distribution, 'sdlog', { above: 0 })];
+        case 'uniform': {
+            const errors = [...checkParameter(distribution, 'min'), ...checkParameter(distribution, 'max')];
+            if (errors.length > 0) return errors;
+            if (distribution.min >= distribution.max) return ['uniform min must be less than max'];
+            if ((typeof column.min === 'number' && distribution.min < column.min) || (typeof column.max === 'number' && distribution.max > column.max)) {
+                return ['uniform range must lie within the column min and max'];
+            }
+            return [];
+        }
+        case 'poisson':
+            return checkParameter(distribution, 'lambda', { above: 0, atMost: MAX_POISSON_LAMBDA });
+        case 'zipf': {
+            const errors = checkParameter(distribution, 's', { above: 0, atMost: 10 });
+            if (!categorical && (!Number.isInteger(distribution.n) || distribution.n < 1 || distribution.n > MAX_ZIPF_N)) {
+                errors.push(`zipf distribution needs an integer n between 1 and ${MAX_ZIPF_N} (or allowedValues to rank)`);
+            }
+            return errors;
+        }
+        default: {
+            const { weights } = distribution;
+            if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+                return ['categorical distribution needs weights, e.g. { "paid": 0.7, "refunded": 0.3 }'];
+            }
+
+            const entries = Object.entries(weights);
+            const errors = [];
+
+            if (entries.length > MAX_ALLOWED_VALUES) {
+                errors.push(`categorical distribution cannot have more than ${MAX_ALLOWED_VALUES} categories`);
+            }
+            if (entries.some(([, weight]) => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+                errors.push('categorical weights must be non-negative numbers');
+            } else if (entries.every(([, weight]) => weight === 0)) {
+                errors.push('categorical weights cannot all be zero');
+            }
+            if (hasAllowedValues(column)) {
+                entries
+                    .filter(([value]) => !column.allowedValues.some(option => String(option) === value))
+                    .forEach(([value]) => errors.push(`categorical value ${value} is not one of the allowedValues`));
+            }
+            return errors;
+        }
+    }
+};
+
+/**
+ * Describe a distribution for the prompt
+ * @param {Object} distribution - Valid distribution
+ * @returns {string|null} Phrase, or null when there is no distribution
+ */
+const describeDistribution = (distribution) => {
+    if (!distribution) return null;
+
+    switch (distribution.type) {
+        case 'normal':
+            return `normally distributed around ${distribution.mean} (standard deviation ${distribution.sd})`;
+        case 'lognormal':
+            return `log-normally distributed (right-skewed, median about ${Number(Math.exp(distribution.meanlog).toPrecision(4))})`;
+        case 'uniform':
+            return `spread evenly between ${distribution.min} and ${distribution.max}`;
+        case 'poisson':
+            return `counts with a Poisson distribution (mean ${distribution.lambda})`;
+        case 'zipf':
+            return 'a few values are very common and most are rare (Zipf distribution)';
+        default: {
+            const total = Object.values(distribution.weights).reduce((sum, weight) => sum + weight, 0);
+            const shares = Object.entries(distribution.weights)
+                .map(([value, weight]) => `${value} ${Math.round(weight / total * 100)}%`);
+            return `in roughly these proportions: ${shares.join(', ')}`;
+        }
+    }
+};
+
+/**
+ * Summary statistics of numeric values
+ * @param {Array<number>} values - Values
+ * @returns {Object} { count, mean, sd, min, max, median }
+ */
+const summarize = (values) => {
+    const count = values.length;
+    if (count === 0) return { count: 0, mean: null, sd: null, min: null, max: null, median: null };
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, value) => sum + value, 0) / count;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+    const middle = Math.floor(count / 2);
+
+    return {
+        count,
+        mean,
+        sd: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[count - 1],
+        median: count % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+    };
+};
+
+/**
+ * Kolmogorov-Smirnov distance between values and a target CDF
+ * Discrete targets are only compared at the values themselves, where both CDFs step.
+ * @param {Array<number>} values - Values
+ * @param {Function} cdf - Target CDF
+ * @param {boolean} discrete - Whether the target is a discrete distribution
+ * @returns {number|null} Largest gap between the empirical and target CDF
+ */
+const ksStatistic = (values, cdf, discrete = false) => {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.reduce((max, value, index) => {
+        const target = cdf(value);
+        if (discrete) {
+            return sorted[index + 1] === value ? max : Math.max(max, Math.abs((index + 1) / sorted.length - target));
+        }
+        return Math.max(max, Math.abs((index + 1) / sorted.length - target), Math.abs(index / sorted.length - target));
+    }, 0);
+};
+
+/**
+ * Value of the empirical quantile function at u, interpolating between sorted values
+ * @param {Array<number>} sorted - Sorted values
+ * @param {number} u - Probability in [0, 1]
+ * @returns {number} Quantile
+ */
+const empiricalQuantile = (sorted, u) => {
+    const position = u * (sorted.length - 1);
+    const low = Math.floor(position);
+    const high = Math.min(sorted.length - 1, low + 1);
+    return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+};
+
+/**
+ * Empirical CDF of sorted values
+ * @param {Array<number>} sorted - Sorted values
+ * @returns {Function} value -> share of values at or below it
+ */
+const empiricalCdf = (sorted) => (value) => firstIndex(sorted, item => item > value) / sorted.length;
+
+/**
+ * Pearson correlation of two equally long value lists
+ * @param {Array<number>} xs - First values
+ * @param {Array<number>} ys - Second values
+ * @returns {number|null} Correlation, or null when either side is constant
+ */
+const pearson = (xs, ys) => {
+    const x = summarize(xs);
+    const y = summarize(ys);
+    if (xs.length < 2 || !x.sd || !y.sd) return null;
+
+    const covariance = xs.reduce((sum, value, index) => sum + (value - x.mean) * (ys[index] - y.mean), 0) / xs.length;
+    return covariance / (x.sd * y.sd);
+};
+
+/**
+ * Validate pairwise correlation targets
+ * Each entry is { columns: [a, b], coefficient }; column b is reordered to reach the
+ * target, so it cannot appear in any other pair.
+ * @param {Array} correlations - Correlation definitions
+ * @param {Array} columns - Column definitions
+ * @returns {Array<string>} Error messages
+ */
+const validateCorrelations = (correlations, columns) => {
+    if (!Array.isArray(correlations)) return ['Correlations must be an array'];
+    if (correlations.length > MAX_CORRELATIONS) return [`Maximum ${MAX_CORRELATIONS} correlations allowed`];
+
+    const errors = [];
+    const reordered = new Set();
+    const seen = new Set();
+
+    correlations.forEach((correlation, index) => {
+        const label = `Correlation ${index + 1}`;
+        const pair = correlation && correlation.columns;
+
+        if (!Array.isArray(pair) || pair.length !== 2 || pair[0] === pair[1]) {
+            errors.push(`${label}: columns must name two different columns`);
+            return;
+        }
+
+        if (typeof correlation.coefficient !== 'number' || correlation.coefficient < -1 || correlation.coefficient > 1) {
+            errors.push(`${label}: coefficient must be a number between -1 and 1`);
+        }
+
+        pair.forEach(name => {
+            const column = columns.find(col => col.name === name);
+            if (!column) {
+                errors.push(`${label}: unknown column ${name}`);
+            } else if (column.kind === 'derived' || !NUMERIC_DATATYPES.includes(String(column.datatype).toLowerCase())) {
+                errors.push(`${label}: ${name} must be a generated numeric column`);
+            }
+        });
+
+        if (reordered.has(pair[1]) || seen.has(pair[1])) {
+            errors.push(`${label}: ${pair[1]} is reordered to reach the target and cannot appear in another correlation`);
+        }
+        if (reordered.has(pair[0])) {
+            errors.push(`${label}: ${pair[0]} is reordered by another correlation`);
+        }
+
+        reordered.add(pair[1]);
+        seen.add(pair[0]);
+    });
+
+    return errors;
+};
+
+/**
+ * Describe correlations for the prompt
+ * @param {Array} correlations - Correlation definitions
+ * @returns {Array<string>} One line per pair
+ */
+const describeCorrelations = (correlations) => {
+    return correlations.map(({ columns: [a, b], coefficient }) => {
+        const strength = Math.abs(coefficient) >= 0.7 ? 'strongly' : Math.abs(coefficient) >= 0.3 ? 'moderately' : 'weakly';
+        const direction = coefficient >= 0 ? 'rises' : 'falls';
+        return `${b} ${strength} ${direction} with ${a} (correlation ${coefficient})`;
+    });
+};
+
+module.exports = {
+    DISTRIBUTION_TYPES,
+    inverseNormal,
+    normalCdf,
+    createNumericDistribution,
+    getCategoryWeights,
+    allocateCounts,
+    validateDistribution,
+    describeDistribution,
+    summarize,
+    ksStatistic,
+    empiricalQuantile,
+    empiricalCdf,
+    pearson,
+    validateCorrelations,
+    describeCorrelations
+};
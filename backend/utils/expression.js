@@ -0,0 +1,509 @@
+/**
+ * A small, safe expression language evaluated over a single row.
+ *
+ * Expressions are parsed into a syntax tree and interpreted; nothing is passed to eval
+ * and only the whitelisted functions below can be called. Supported syntax:
+ *   literals      42, 3.5, 'text', "text", true, false, null
+ *   columns       quantity, unit_price, `column with spaces`
+ *   arithmetic    + - * / %   (+ concatenates when either side is text)
+ *   comparison    == != < <= > >=   (ISO dates compare as dates)
+ *   logic         && || !   and   condition ? then : else
+ *   implication   status == 'refunded' implies refund_amount > 0   (binds loosest, right to left)
+ *   functions     round(total, 2), concat(first, ' ', last), date_diff(dob, today(), 'years'),
+ *                 implies(status == 'refunded', refund_amount > 0)
+ */
+
+// Keep expressions short enough that parsing and recursion stay cheap
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_PATTERN_LENGTH = 200;
+
+const DAY_MS = 86400000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Error raised for invalid expressions or evaluation failures
+ */
+class ExpressionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExpressionError';
+    }
+}
+
+/**
+ * Whether an object has its own property (never inherited ones)
+ * @param {Object} object - Object
+ * @param {string} key - Property name
+ * @returns {boolean} True for own properties
+ */
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Whether a value is null or undefined
+ * @param {*} value - Value
+ * @returns {boolean} True if missing
+ */
+const isMissing = (value) => value === null || value === undefined;
+
+/**
+ * Whether a value is a string that looks like an ISO date
+ * @param {*} value - Value
+ * @returns {boolean} True for ISO date strings
+ */
+const isDateString = (value) => typeof value === 'string' && ISO_DATE.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * Parse a value as a date
+ * @param {*} value - ISO string or timestamp
+ * @returns {Date} Date
+ * @throws {ExpressionError} If the value is not a date
+ */
+const toDate = (value) => {
+    const date = new Date(value);
+    if (isMissing(value) || isNaN(date.getTime())) {
+        throw new ExpressionError(`Not a date: ${value}`);
+    }
+    return date;
+};
+
+/**
+ * Convert a value to a number
+ * @param {*} value - Value
+ * @returns {number} Number
+ * @throws {ExpressionError} If the value is not numeric
+ */
+const toNumber = (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new ExpressionError(`Not a number: ${value}`);
+    }
+    return number;
+};
+
+/**
+ * Whole calendar months between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Months (negative when to is before from)
+ */
+const monthsBetween = (from, to) => {
+    let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+    if (months > 0 && to.getUTCDate() < from.getUTCDate()) months--;
+    if (months < 0 && to.getUTCDate() > from.getUTCDate()) months++;
+    return months;
+};
+
+/**
+ * Whether a regular expression repeats a group that itself contains a quantifier, like (a+)+
+ * Such patterns can backtrack exponentially on a non-matching value.
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True if a quantified group contains a quantifier
+ */
+const hasNestedQuantifier = (pattern) => {
+    const groups = [false];
+    const isQuantifier = (i) => pattern[i] === '*' || pattern[i] === '+' || (pattern[i] === '{' && /^\{\d/.test(pattern.slice(i)));
+
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '[') {
+            // Character class: quantifier characters inside are literal
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (ch === '(') {
+            groups.push(false);
+        } else if (ch === ')' && groups.length > 1) {
+            const quantified = groups.pop();
+            if (quantified && isQuantifier(i + 1)) return true;
+            groups[groups.length - 1] = groups[groups.length - 1] || quantified;
+        } else if (isQuantifier(i)) {
+            groups[groups.length - 1] = true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Compile the pattern of a matches() call
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp} Compiled pattern
+ * @throws {ExpressionError} If the pattern is too long, invalid or open to catastrophic backtracking
+ */
+const compilePattern = (pattern) => {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new ExpressionError(`matches() pattern cannot exceed ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (hasNestedQuantifier(pattern)) {
+        throw new ExpressionError(`matches() pattern repeats a quantified group: ${pattern}`);
+    }
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        throw new ExpressionError(`matches() pattern is not a valid regular expression: ${pattern}`);
+    }
+};
+
+/**
+ * Whitelisted functions: name -> { min, max, fn } (max undefined = variadic)
+ * matches() receives its pattern compiled by the parser, which only accepts a string literal.
+ */
+const FUNCTIONS = {
+    round: { min: 1, max: 2, fn: (x, digits = 0) => {
+        const factor = Math.pow(10, toNumber(digits));
+        return Math.round(toNumber(x) * factor) / factor;
+    } },
+    floor: { min: 1, max: 1, fn: (x) => Math.floor(toNumber(x)) },
+    ceil: { min: 1, max: 1, fn: (x) => Math.ceil(toNumber(x)) },
+    abs: { min: 1, max: 1, fn: (x) => Math.abs(toNumber(x)) },
+    sqrt: { min: 1, max: 1, fn: (x) => Math.sqrt(toNumber(x)) },
+    pow: { min: 2, max: 2, fn: (x, y) => Math.pow(toNumber(x), toNumber(y)) },
+    min: { min: 1, fn: (...values) => Math.min(...values.map(toNumber)) },
+    max: { min: 1, fn: (...values) => Math.max(...values.map(toNumber)) },
+    concat: { min: 1, fn: (...values) => values.map(value => (isMissing(value) ? '' : String(value))).join('') },
+    upper: { min: 1, max: 1, fn: (s) => String(s).toUpperCase() },
+    lower: { min: 1, max: 1, fn: (s) => String(s).toLowerCase() },
+    trim: { min: 1, max: 1, fn: (s) => String(s).trim() },
+    length: { min: 1, max: 1, fn: (s) => String(s).length },
+    substr: { min: 2, max: 3, fn: (s, start, length) => (length === undefined
+        ? String(s).substr(toNumber(start))
+        : String(s).substr(toNumber(start), toNumber(length))) },
+    matches: { min: 2, max: 2, fn: (s, pattern) => !isMissing(s) && pattern.test(String(s)) },
+    coalesce: { min: 1, fn: (...values) => {
+        const found = values.find(value => !isMissing(value) && value !== '');
+        return found === undefined ? null : found;
+    } },
+    if: { min: 3, max: 3, fn: (condition, then, otherwise) => (condition ? then : otherwise) },
+    implies: { min: 2, max: 2, fn: (condition, consequence) => !condition || Boolean(consequence) },
+    today: { min: 0, max: 0, fn: () => new Date().toISOString().slice(0, 10) },
+    year: { min: 1, max: 1, fn: (d) => toDate(d).getUTCFullYear() },
+    month: { min: 1, max: 1, fn: (d) => toDate(d).getUTCMonth() + 1 },
+    day: { min: 1, max: 1, fn: (d) => toDate(d).getUTCDate() },
+    add_days: { min: 2, max: 2, fn: (d, days) => new Date(toDate(d).getTime() + toNumber(days) * DAY_MS).toISOString().slice(0, 10) },
+    date_diff: { min: 2, max: 3, fn: (from, to, unit = 'days') => {
+        const start = toDate(from);
+        const end = toDate(to);
+        switch (unit) {
+            case 'days': return Math.round((end - start) / DAY_MS);
+            case 'hours': return Math.round((end - start) / 3600000);
+            case 'months': return monthsBetween(start, end);
+            case 'years': return Math.trunc(monthsBetween(start, end) / 12);
+            default: throw new ExpressionError(`Unknown date_diff unit: ${unit}`);
+        }
+    } },
+    age: { min: 1, max: 2, fn: (birthDate, asOf) => Math.trunc(monthsBetween(toDate(birthDate), asOf === undefined ? new Date() : toDate(asOf)) / 12) }
+};
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array} Tokens ({ type, value })
+ */
+const tokenize = (source) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (/[0-9.]/.test(ch)) {
+            const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            if (!match) throw new ExpressionError(`Unexpected character "${ch}" at ${i}`);
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            i += match[0].length;
+        } else if (ch === '"' || ch === '\'') {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== ch) {
+                if (source[j] === '\\' && j + 1 < source.length) j++;
+                value += source[j];
+                j++;
+            }
+            if (j >= source.length) throw new ExpressionError('Unterminated string');
+            tokens.push({ type: 'string', value });
+            i = j + 1;
+        } else if (ch === '`') {
+            const end = source.indexOf('`', i + 1);
+            if (end === -1) throw new ExpressionError('Unterminated column name');
+            tokens.push({ type: 'identifier', value: source.slice(i + 1, end), quoted: true });
+            i = end + 1;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const word = source.slice(i).match(/^[A-Za-z_]\w*/)[0];
+            if (word === 'true' || word === 'false') {
+                tokens.push({ type: 'literal', value: word === 'true' });
+            } else if (word === 'null') {
+                tokens.push({ type: 'literal', value: null });
+            } else {
+                tokens.push({ type: 'identifier', value: word });
+            }
+            i += word.length;
+        } else {
+            const operator = OPERATORS.find(op => source.startsWith(op, i));
+            if (!operator) throw new ExpressionError(`Unexpected character "${ch}" at ${i}`);
+            tokens.push({ type: 'operator', value: operator });
+            i += operator.length;
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Binary operator precedence levels, lowest first
+ */
+const BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression source
+ * @returns {Object} Syntax tree
+ * @throws {ExpressionError} On syntax errors or unknown functions
+ */
+const parseExpression = (source) => {
+    if (typeof source !== 'string' || source.trim() === '') {
+        throw new ExpressionError('Expression must be a non-empty string');
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+        throw new ExpressionError(`Expression cannot exceed ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = (value) => {
+        if (!isOperator(value)) throw new ExpressionError(`Expected "${value}"`);
+        position++;
+    };
+
+    // "a implies b" is the loosest operator; a column named implies still works in backticks
+    const isImplies = () => peek() && peek().type === 'identifier' && peek().value === 'implies' && !peek().quoted;
+
+    const parseImplication = () => {
+        const condition = parseTernary();
+        if (!isImplies()) return condition;
+        position++;
+        return { type: 'binary', operator: 'implies', left: condition, right: parseImplication() };
+    };
+
+    const parseTernary = () => {
+        const condition = parseBinary(0);
+        if (!isOperator('?')) return condition;
+        position++;
+        const then = parseTernary();
+        expect(':');
+        const otherwise = parseTernary();
+        return { type: 'conditional', condition, then, otherwise };
+    };
+
+    const parseBinary = (level) => {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+
+        let left = parseBinary(level + 1);
+        while (peek() && peek().type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+            const operator = tokens[position++].value;
+            left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOperator('!') || isOperator('-')) {
+            const operator = tokens[position++].value;
+            return { type: 'unary', operator, argument: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new ExpressionError('Unexpected end of expression');
+
+        if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (!isOperator('(')) return { type: 'column', name: token.value };
+
+            // Own properties only, so names like "constructor" never reach the prototype
+            const definition = hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+            if (!definition) throw new ExpressionError(`Unknown function: ${token.value}`);
+
+            position++;
+            const args = [];
+            if (!isOperator(')')) {
+                args.push(parseImplication());
+                while (isOperator(',')) {
+                    position++;
+                    args.push(parseImplication());
+                }
+            }
+            expect(')');
+
+            if (args.length < definition.min || (definition.max !== undefined && args.length > definition.max)) {
+                throw new ExpressionError(`Wrong number of arguments for ${token.value}()`);
+            }
+            // Patterns are fixed at parse time, so row values never become regular expressions
+            if (token.value === 'matches') {
+                if (args[1].type !== 'literal' || typeof args[1].value !== 'string') {
+                    throw new ExpressionError('matches() needs a quoted pattern string as its second argument');
+                }
+                return { type: 'call', name: token.value, args, pattern: compilePattern(args[1].value) };
+            }
+            return { type: 'call', name: token.value, args };
+        }
+
+        if (token.value === '(') {
+            const inner = parseImplication();
+            expect(')');
+            return inner;
+        }
+
+        throw new ExpressionError(`Unexpected "${token.value}"`);
+    };
+
+    const tree = parseImplication();
+    if (position < tokens.length) {
+        throw new ExpressionError(`Unexpected "${peek().value}"`);
+    }
+    return tree;
+};
+
+/**
+ * List the column names an expression reads
+ * @param {Object} node - Syntax tree
+ * @param {Set} names - Accumulator
+ * @returns {Array<string>} Column names
+ */
+const collectColumns = (node, names = new Set()) => {
+    if (node.type === 'column') names.add(node.name);
+    if (node.type === 'binary') [node.left, node.right].forEach(child => collectColumns(child, names));
+    if (node.type === 'unary') collectColumns(node.argument, names);
+    if (node.type === 'conditional') [node.condition, node.then, node.otherwise].forEach(child => collectColumns(child, names));
+    if (node.type === 'call') node.args.forEach(child => collectColumns(child, names));
+    return [...names];
+};
+
+/**
+ * Compare two values, treating ISO date strings as dates
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+    if (isDateString(a) && isDateString(b)) return Date.parse(a) - Date.parse(b);
+    if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+    return toNumber(a) - toNumber(b);
+};
+
+/**
+ * Apply a binary operator
+ * @param {string} operator - Operator
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @returns {*} Result
+ */
+const applyBinary = (operator, a, b) => {
+    switch (operator) {
+        case '==': return a === b || (!isMissing(a) && !isMissing(b) && String(a) === String(b));
+        case '!=': return !applyBinary('==', a, b);
+        default: break;
+    }
+
+    // Missing values are empty in concatenation, propagate through arithmetic and fail comparisons
+    if (isMissing(a) || isMissing(b)) {
+        if (operator === '+' && (typeof a === 'string' || typeof b === 'string')) {
+            return `${isMissing(a) ? '' : a}${isMissing(b) ? '' : b}`;
+        }
+        return ['<', '<=', '>', '>='].includes(operator) ? false : null;
+    }
+
+    switch (operator) {
+        case '+': return typeof a === 'string' || typeof b === 'string' ? `${a}${b}` : toNumber(a) + toNumber(b);
+        case '-': return toNumber(a) - toNumber(b);
+        case '*': return toNumber(a) * toNumber(b);
+        case '/': return toNumber(b) === 0 ? null : toNumber(a) / toNumber(b);
+        case '%': return toNumber(b) === 0 ? null : toNumber(a) % toNumber(b);
+        case '<': return compareValues(a, b) < 0;
+        case '<=': return compareValues(a, b) <= 0;
+        case '>': return compareValues(a, b) > 0;
+        case '>=': return compareValues(a, b) >= 0;
+        default: throw new ExpressionError(`Unknown operator: ${operator}`);
+    }
+};
+
+/**
+ * Evaluate a syntax tree against a row
+ * @param {Object} node - Syntax tree
+ * @param {Object} row - Row values keyed by column name
+ * @returns {*} Result
+ * @throws {ExpressionError} When a value has the wrong type
+ */
+const evaluate = (node, row) => {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'column':
+            return hasOwn(row, node.name) && row[node.name] !== undefined ? row[node.name] : null;
+        case 'unary': {
+            const value = evaluate(node.argument, row);
+            if (node.operator === '!') return !value;
+            return value === null ? null : -toNumber(value);
+        }
+        case 'binary': {
+            // Short-circuit logic operators
+            if (node.operator === '&&') return Boolean(evaluate(node.left, row)) && Boolean(evaluate(node.right, row));
+            if (node.operator === '||') return Boolean(evaluate(node.left, row)) || Boolean(evaluate(node.right, row));
+            if (node.operator === 'implies') return !evaluate(node.left, row) || Boolean(evaluate(node.right, row));
+            return applyBinary(node.operator, evaluate(node.left, row), evaluate(node.right, row));
+        }
+        case 'conditional':
+            return evaluate(node.condition, row) ? evaluate(node.then, row) : evaluate(node.otherwise, row);
+        case 'call':
+            if (node.name === 'if') {
+                return evaluate(node.args[0], row) ? evaluate(node.args[1], row) : evaluate(node.args[2], row);
+            }
+            if (node.name === 'matches') {
+                return FUNCTIONS.matches.fn(evaluate(node.args[0], row), node.pattern);
+            }
+            return FUNCTIONS[node.name].fn(...node.args.map(arg => evaluate(arg, row)));
+        default:
+            throw new ExpressionError(`Unknown node: ${node.type}`);
+    }
+};
+
+/**
+ * Parse an expression once and return a reusable evaluator
+ * @param {string} source - Expression source
+ * @returns {Object} { source, columns, evaluate(row) }
+ * @throws {ExpressionError} On syntax errors
+ */
+const compileExpression = (source) => {
+    const tree = parseExpression(source);
+
+    return {
+        source,
+        columns: collectColumns(tree),
+        evaluate: (row) => {
+            const value = evaluate(tree, row);
+            return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+        }
+    };
+};
+
+module.exports = {
+    MAX_EXPRESSION_LENGTH,
+    FUNCTIONS,
+    ExpressionError,
+    parseExpression,
+    compileExpression
+};
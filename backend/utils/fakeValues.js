@@ -0,0 +1,193 @@
+const { hasAllowedValues, hasDateRange, roundTo } = require('./columnConstraints');
+const { LOCALES } = require('./locales');
+const { DATATYPES, TEST_CARD_NUMBERS, parseDatatype } = require('./datatypes');
+
+/**
+ * Small built-in vocabularies for offline value generation
+ */
+const FIRST_NAMES = ['James', 'Mary', 'Robert', 'Patricia', 'John', 'Jennifer', 'Michael', 'Linda', 'David', 'Elizabeth', 'Aarav', 'Priya', 'Wei', 'Yuki', 'Lucas', 'Sofia', 'Mateo', 'Amara', 'Omar', 'Fatima'];
+const LAST_NAMES = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Martinez', 'Lopez', 'Sharma', 'Chen', 'Tanaka', 'Silva', 'Müller', 'Okafor', 'Haddad', 'Novak', 'Kowalski', 'Rossi'];
+const STREETS = ['Main St', 'Oak Ave', 'Maple Dr', 'Cedar Ln', 'Park Rd', 'Elm St', 'Lake View', 'Hillcrest Blvd', 'River Rd', 'Sunset Ave'];
+const CITIES = ['Springfield', 'Riverside', 'Franklin', 'Greenville', 'Bristol', 'Clinton', 'Fairview', 'Salem', 'Madison', 'Georgetown'];
+const WORDS = ['alpha', 'bright', 'cloud', 'delta', 'ember', 'falcon', 'garden', 'harbor', 'island', 'jade', 'kite', 'lumen', 'meadow', 'nova', 'orbit', 'prism', 'quartz', 'river', 'summit', 'terra'];
+const DOMAINS = ['example.com', 'mail.com', 'test.org', 'sample.net', 'demo.io'];
+
+/**
+ * Format a Date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Random number within the column's min/max (or the defaults), rounded to its precision
+ * @param {Object} random - Seeded random helpers
+ * @param {Object} column - Column definition
+ * @param {Object} defaults - { min, max, precision }
+ * @returns {number} Number
+ */
+const numberInRange = (random, column, defaults) => {
+    const min = typeof column.min === 'number' ? column.min : defaults.min;
+    const max = typeof column.max === 'number' ? column.max : Math.max(defaults.max, min);
+    const precision = typeof column.precision === 'number' ? column.precision : defaults.precision;
+
+    return Math.min(max, Math.max(min, roundTo(random.float(min, max), precision)));
+};
+
+/**
+ * Random postal code in a locale's format (# digit, A letter)
+ * @param {Object} random - Seeded random helpers
+ * @param {string} format - Postal code format
+ * @returns {string} Postal code
+ */
+const postalCode = (random, format) => {
+    return format.replace(/[#A]/g, char => (char === '#' ? String(random.int(0, 9)) : random.pick('ABCDEFGHJKLMNPRSTUWXYZ'.split(''))));
+};
+
+/**
+ * Random ISO date within the column's date range (defaults to 2015-2024)
+ * @param {Object} random - Seeded random helpers
+ * @param {Object} column - Column definition
+ * @returns {string} ISO date
+ */
+const dateInRange = (random, column) => {
+    const range = hasDateRange(column) ? column.dateRange : {};
+    const start = range.start ? Date.parse(range.start) : Date.UTC(2015, 0, 1);
+    const end = range.end ? Date.parse(range.end) : Math.max(start, Date.UTC(2024, 11, 31));
+    const startDay = Math.ceil(start / 86400000);
+    const endDay = Math.floor(end / 86400000);
+
+    return toIsoDate(new Date(random.int(startDay, Math.max(startDay, endDay)) * 86400000));
+};
+
+/**
+ * Random hex digits
+ * @param {Object} random - Seeded random helpers
+ * @param {number} length - Number of digits
+ * @returns {string} Lower-case hex
+ */
+const hexDigits = (random, length) => Array.from({ length }, () => random.int(0, 15).toString(16)).join('');
+
+/**
+ * Random decimal digits
+ * @param {Object} random - Seeded random helpers
+ * @param {number} length - Number of digits
+ * @returns {string} Digits
+ */
+const decimalDigits = (random, length) => Array.from({ length }, () => random.int(0, 9)).join('');
+
+/**
+ * Random sentence of vocabulary words
+ * @param {Object} random - Seeded random helpers
+ * @returns {string} Capitalised sentence ending in a period
+ */
+const sentence = (random) => {
+    const words = Array.from({ length: random.int(5, 9) }, () => random.pick(WORDS)).join(' ');
+    return `${words.charAt(0).toUpperCase()}${words.slice(1)}.`;
+};
+
+/**
+ * Value generators keyed by datatype; each receives (random, column, rowIndex)
+ */
+const GENERATORS = {
+    string: (random) => `${random.pick(WORDS)} ${random.pick(WORDS)}`,
+    name: (random) => `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+    email: (random) => `${random.pick(FIRST_NAMES).toLowerCase()}.${random.pick(LAST_NAMES).toLowerCase().replace(/[^a-z]/g, '')}${random.int(1, 999)}@${random.pick(DOMAINS)}`,
+    phone: (random, column) => {
+        const locale = LOCALES[column.locale];
+        return locale
+            ? `+${locale.phone.callingCode} ${random.int(20, 99)} ${random.int(1000, 9999)} ${random.int(1000, 9999)}`
+            : `+1 ${random.int(200, 999)}-${random.int(200, 999)}-${String(random.int(0, 9999)).padStart(4, '0')}`;
+    },
+    url: (random) => `https://www.${random.pick(WORDS)}${random.pick(WORDS)}.com`,
+    address: (random, column) => {
+        const locale = LOCALES[column.locale];
+        const street = `${random.int(1, 9999)} ${random.pick(STREETS)}`;
+        return locale
+            ? `${street}, ${postalCode(random, locale.postalCode.format)} ${random.pick(CITIES)}`
+            : `${street}, ${random.pick(CITIES)}`;
+    },
+    date: dateInRange,
+    boolean: (random) => random.chance(0.5),
+    integer: (random, column, rowIndex) => (/(^id$|_id$)/i.test(column.name) && column.min === undefined
+        ? rowIndex + 1
+        : numberInRange(random, column, { min: 0, max: 1000, precision: 0 })),
+    number: (random, column) => numberInRange(random, column, { min: 0, max: 1000, precision: 2 }),
+    float: (random, column) => numberInRange(random, column, { min: 0, max: 1000, precision: 2 }),
+    percentage: (random, column) => numberInRange(random, column, { min: 0, max: 100, precision: 1 }),
+    currency: (random, column) => {
+        const locale = LOCALES[column.locale];
+        return numberInRange(random, column, { min: 1, max: 5000, precision: locale ? locale.currency.decimals : 2 });
+    },
+    uuid: (random) => {
+        const hex = hexDigits(random, 32);
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${random.pick(['8', '9', 'a', 'b'])}${hex.slice(17, 20)}-${hex.slice(20)}`;
+    },
+    datetime: (random, column) => {
+        const time = `${String(random.int(0, 23)).padStart(2, '0')}:${String(random.int(0, 59)).padStart(2, '0')}:${String(random.int(0, 59)).padStart(2, '0')}`;
+        return `${dateInRange(random, column)}T${time}Z`;
+    },
+    time: (random) => `${String(random.int(0, 23)).padStart(2, '0')}:${String(random.int(0, 59)).padStart(2, '0')}`,
+    json: (random) => ({ source: random.pick(WORDS), score: random.int(0, 100), verified: random.chance(0.5) }),
+    latitude: (random, column) => numberInRange(random, column, { min: -60, max: 70, precision: 6 }),
+    longitude: (random, column) => numberInRange(random, column, { min: -180, max: 180, precision: 6 }),
+    geopoint: (random) => ({ lat: roundTo(random.float(-60, 70), 6), lon: roundTo(random.float(-180, 180), 6) }),
+    ipv4: (random) => `${random.int(1, 223)}.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}`,
+    ipv6: (random) => `2001:db8:${Array.from({ length: 6 }, () => hexDigits(random, 4).replace(/^0+(?=.)/, '')).join(':')}`,
+    mac: (random) => hexDigits(random, 12).match(/../g).join(':'),
+    iban: (random) => DATATYPES.iban.coerce(`DE00${decimalDigits(random, 18)}`),
+    isbn: (random) => DATATYPES.isbn.coerce(`978-${random.int(0, 1)}-${decimalDigits(random, 3)}-${decimalDigits(random, 5)}-0`),
+    color_hex: (random) => `#${hexDigits(random, 6)}`,
+    credit_card_test: (random) => random.pick(TEST_CARD_NUMBERS),
+    text_paragraph: (random) => Array.from({ length: random.int(3, 5) }, () => sentence(random)).join(' ')
+};
+
+/**
+ * Generate one value for a column
+ * @param {Object} column - Column definition
+ * @param {Object} random - Seeded random helpers (utils/random)
+ * @param {number} rowIndex - Zero-based row index
+ * @returns {*} Generated value
+ */
+const generateValue = (column, random, rowIndex = 0) => {
+    if (typeof column.nullPercentage === 'number' && random.chance(column.nullPercentage / 100)) {
+        return null;
+    }
+
+    if (hasAllowedValues(column)) {
+        return random.pick(column.allowedValues);
+    }
+
+    const { base, itemType } = parseDatatype(column.datatype);
+    if (base === 'array') {
+        const item = { name: column.name, datatype: itemType };
+        return Array.from({ length: random.int(1, 3) }, () => generateValue(item, random, rowIndex));
+    }
+
+    const generator = GENERATORS[base] || GENERATORS.string;
+    return generator(random, column, rowIndex);
+};
+
+/**
+ * Generate rows for a column spec
+ * @param {Array} columns - Column definitions
+ * @param {number} rowCount - Number of rows
+ * @param {Object} random - Seeded random helpers
+ * @param {number} startRow - Index of the first row (for sequential IDs)
+ * @returns {Array} Rows
+ */
+const generateRows = (columns, rowCount, random, startRow = 0) => {
+    return Array.from({ length: rowCount }, (_, i) => {
+        const row = {};
+        columns.forEach(col => {
+            row[col.name] = generateValue(col, random, startRow + i);
+        });
+        return row;
+    });
+};
+
+module.exports = {
+    GENERATORS,
+    generateValue,
+    generateRows
+};
@@ -0,0 +1,105 @@
+const { NUMERIC_DATATYPES } = require('./columnConstraints');
+
+/**
+ * Cell imperfections in the order they are applied, with the datatypes each one can corrupt
+ * (null: any column). A cell is corrupted at most once, so earlier kinds take precedence.
+ */
+const CELL_IMPERFECTIONS = [
+    { kind: 'outliers', datatypes: NUMERIC_DATATYPES },
+    { kind: 'dateFormats', datatypes: ['date'] },
+    { kind: 'mixedCase', datatypes: ['string'] },
+    { kind: 'typos', datatypes: ['string', 'name', 'address', 'email'] },
+    { kind: 'whitespace', datatypes: ['string', 'name', 'address', 'email', 'phone', 'url'] },
+    { kind: 'nulls', datatypes: null }
+];
+
+/**
+ * Every imperfection a profile can set; duplicates copy whole rows
+ */
+const IMPERFECTION_KINDS = [...CELL_IMPERFECTIONS.map(({ kind }) => kind), 'duplicates'];
+
+// Above this share the data stops being "dirty" and becomes noise
+const MAX_IMPERFECTION_PERCENT = 50;
+
+/**
+ * Whether an imperfection can affect a column
+ * @param {string} kind - Cell imperfection kind
+ * @param {Object} column - Column definition
+ * @returns {boolean} True if the column's cells can get this imperfection
+ */
+const canCorrupt = (kind, column) => {
+    const { datatypes } = CELL_IMPERFECTIONS.find(imperfection => imperfection.kind === kind);
+    return datatypes === null || datatypes.includes(String(column.datatype).toLowerCase());
+};
+
+/**
+ * Columns an imperfection profile may touch (all columns unless it lists some)
+ * @param {Object} profile - Imperfection profile
+ * @param {Array} columns - Column definitions
+ * @returns {Array} Column definitions
+ */
+const getTargetColumns = (profile, columns) => {
+    return Array.isArray(profile.columns)
+        ? columns.filter(col => profile.columns.includes(col.name))
+        : columns;
+};
+
+/**
+ * Validate an imperfection profile
+ * @param {Object} profile - { nulls, typos, dateFormats, duplicates, outliers, mixedCase, whitespace, columns }
+ * @param {Array} columns - Column definitions (already valid)
+ * @returns {Array<string>} Error messages
+ */
+const validateImperfections = (profile, columns) => {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return [`imperfections must map imperfection kinds (${IMPERFECTION_KINDS.join(', ')}) to percentages`];
+    }
+
+    const errors = [];
+
+    Object.keys(profile).filter(key => key !== 'columns' && !IMPERFECTION_KINDS.includes(key)).forEach(key => {
+        errors.push(`unknown imperfection ${key}; use ${IMPERFECTION_KINDS.join(', ')}`);
+    });
+
+    IMPERFECTION_KINDS.forEach(kind => {
+        const percent = profile[kind];
+        if (percent !== undefined && (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0 || percent > MAX_IMPERFECTION_PERCENT)) {
+            errors.push(`${kind} must be a percentage between 0 and ${MAX_IMPERFECTION_PERCENT}`);
+        }
+    });
+
+    if (profile.columns !== undefined) {
+        if (!Array.isArray(profile.columns) || profile.columns.length === 0) {
+            errors.push('imperfections columns must be a non-empty array of column names');
+        } else {
+            profile.columns.filter(name => !columns.some(col => col.name === name)).forEach(name => {
+                errors.push(`imperfections column ${name} is not one of the columns`);
+            });
+        }
+    }
+
+    if (errors.length > 0) return errors;
+
+    if (IMPERFECTION_KINDS.every(kind => !profile[kind])) {
+        errors.push('imperfections needs at least one non-zero percentage');
+    }
+
+    // A kind with nothing to corrupt would silently do nothing
+    const targets = getTargetColumns(profile, columns);
+    CELL_IMPERFECTIONS.forEach(({ kind, datatypes }) => {
+        if (profile[kind] > 0 && !targets.some(col => canCorrupt(kind, col))) {
+            errors.push(`${kind} needs a ${datatypes.join(', ')} column to corrupt`);
+        }
+    });
+
+    return errors;
+};
+
+module.exports = {
+    CELL_IMPERFECTIONS,
+    IMPERFECTION_KINDS,
+    MAX_IMPERFECTION_PERCENT,
+    canCorrupt,
+    getTargetColumns,
+    validateImperfections
+};
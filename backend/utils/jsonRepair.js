@@ -0,0 +1,182 @@
+/**
+ * Remove markdown code fences and surrounding text from a model response
+ * @param {string} text - Raw response text
+ * @returns {string} Cleaned text
+ */
+const cleanResponseText = (text) => {
+    const withoutFences = String(text || '').replace(/```json/gi, '').replace(/```/g, '').trim();
+    const start = withoutFences.search(/[[{]/);
+
+    return start === -1 ? withoutFences : withoutFences.slice(start);
+};
+
+/**
+ * Rewrite almost-JSON into JSON: single-quoted strings become double-quoted
+ * and trailing commas before } or ] are removed. String contents are left untouched.
+ * @param {string} text - Almost-JSON text
+ * @returns {string} Normalized text
+ */
+const normalizeJson = (text) => {
+    let output = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        // Double-quoted string: copy verbatim
+        if (ch === '"') {
+            let j = i + 1;
+            while (j < text.length && text[j] !== '"') {
+                if (text[j] === '\\') j++;
+                j++;
+            }
+            output += text.slice(i, j + 1);
+            i = j + 1;
+            continue;
+        }
+
+        // Single-quoted string: re-quote with double quotes
+        if (ch === '\'') {
+            let j = i + 1;
+            let content = '';
+            while (j < text.length && text[j] !== '\'') {
+                if (text[j] === '\\' && j + 1 < text.length) {
+                    content += text[j + 1] === '\'' ? '\'' : `\\${text[j + 1]}`;
+                    j += 2;
+                    continue;
+                }
+                content += text[j] === '"' ? '\\"' : text[j];
+                j++;
+            }
+            output += `"${content}"`;
+            i = j + 1;
+            continue;
+        }
+
+        // Trailing comma: drop it if the next token closes an object or array
+        if (ch === ',') {
+            const rest = text.slice(i + 1).trimStart();
+            if (rest.startsWith('}') || rest.startsWith(']')) {
+                i++;
+                continue;
+            }
+        }
+
+        output += ch;
+        i++;
+    }
+
+    return output;
+};
+
+/**
+ * Parse JSON, falling back to the normalized form
+ * @param {string} text - JSON or almost-JSON text
+ * @returns {Object} { ok, value, repaired }
+ */
+const parseLenient = (text) => {
+    try {
+        return { ok: true, value: JSON.parse(text), repaired: false };
+    } catch {
+        try {
+            return { ok: true, value: JSON.parse(normalizeJson(text)), repaired: true };
+        } catch {
+            return { ok: false, value: null, repaired: false };
+        }
+    }
+};
+
+/**
+ * Collect every complete top-level object from a (possibly truncated) JSON array
+ * @param {string} text - Array text, e.g. a response cut off mid-row
+ * @returns {Array} Parsed objects
+ */
+const extractCompleteObjects = (text) => {
+    const start = text.indexOf('[');
+    if (start === -1) return [];
+
+    const objects = [];
+    let depth = 0;
+    let objectStart = -1;
+    let quote = null;
+    let escaped = false;
+
+    for (let i = start + 1; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quote) {
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '{') {
+            if (depth === 0) objectStart = i;
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0 && objectStart !== -1) {
+                const parsed = parseLenient(text.slice(objectStart, i + 1));
+                if (parsed.ok && parsed.value && typeof parsed.value === 'object') {
+                    objects.push(parsed.value);
+                }
+                objectStart = -1;
+            }
+        } else if (ch === ']' && depth === 0) {
+            break;
+        }
+    }
+
+    return objects;
+};
+
+/**
+ * Pull the row array out of a parsed value ([...] or { "data": [...] })
+ * @param {*} value - Parsed JSON value
+ * @returns {Array|null} Row array or null
+ */
+const unwrapRows = (value) => {
+    if (Array.isArray(value)) return value;
+
+    if (value && typeof value === 'object') {
+        const arrays = Object.values(value).filter(Array.isArray);
+        if (arrays.length === 1) return arrays[0];
+    }
+
+    return null;
+};
+
+/**
+ * Parse a dataset response, repairing or salvaging it when needed
+ * @param {string} text - Raw model response
+ * @returns {Object} { rows, complete, repaired } - complete is false when rows were salvaged from a broken array
+ */
+const parseDatasetResponse = (text) => {
+    const cleaned = cleanResponseText(text);
+    const parsed = parseLenient(cleaned);
+
+    if (parsed.ok) {
+        const rows = unwrapRows(parsed.value);
+        if (rows) {
+            return { rows, complete: true, repaired: parsed.repaired };
+        }
+    }
+
+    return { rows: extractCompleteObjects(cleaned), complete: false, repaired: true };
+};
+
+module.exports = {
+    cleanResponseText,
+    normalizeJson,
+    parseLenient,
+    extractCompleteObjects,
+    unwrapRows,
+    parseDatasetResponse
+};
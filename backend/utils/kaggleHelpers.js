@@ -1,5 +1,11 @@
+const net = require('net');
 const path = require('path');
 const AdmZip = require('adm-zip');
+const {
+    ARRAY_ITEM_DATATYPES,
+    isValidEmail, isValidUrl, isValidPhone, isValidPercentage, isValidUuid, isValidDatetime, isValidTime,
+    isValidLatitude, isValidLongitude, isValidGeopoint, isValidMac, isValidIban, isValidIsbn, isValidColorHex, isValidParagraph
+} = require('./datatypes');
 
 /**
  * Sanitize search query to prevent CLI injection
@@ -59,63 +65,114 @@ const parseKaggleListOutput = (output) => {
     }
 };
 
+// Share of non-empty values that must fit a datatype for it to be inferred (a few dirty cells are tolerated)
+const INFERENCE_THRESHOLD = 0.95;
+
+/**
+ * Parse JSON text into an object or array, or return undefined
+ * @param {*} value - Raw value
+ * @returns {Object|Array|undefined} Parsed value
+ */
+const parseStructured = (value) => {
+    if (typeof value === 'object') return value;
+    if (typeof value !== 'string' || !/^[[{]/.test(value.trim())) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Value tests for inferring a column's datatype, most specific first (the first that fits wins)
+ */
+const TYPE_TESTS = [
+    { datatype: 'boolean', test: (v) => typeof v === 'boolean' || /^(true|false|yes|no|0|1)$/i.test(String(v)) },
+    { datatype: 'integer', test: (v) => (typeof v === 'number' ? Number.isInteger(v) : /^[+-]?\d+$/.test(v)) },
+    { datatype: 'float', test: (v) => typeof v === 'number' || /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(v) },
+    { datatype: 'percentage', test: (v) => /^[+-]?\d+(\.\d+)?\s?%$/.test(v) && isValidPercentage(parseFloat(v)) },
+    { datatype: 'currency', test: (v) => /^[+-]?[$€£¥₹]\s?\d{1,3}(,?\d{3})*(\.\d{1,2})?$/.test(v) },
+    { datatype: 'uuid', test: isValidUuid },
+    { datatype: 'datetime', test: (v) => isValidDatetime(v) || /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(v) },
+    { datatype: 'date', test: (v) => /^(\d{4}-\d{2}-\d{2}|\d{1,2}[/.]\d{1,2}[/.]\d{4}|\d{4}\/\d{2}\/\d{2})$/.test(v) },
+    { datatype: 'time', test: isValidTime },
+    { datatype: 'email', test: isValidEmail },
+    { datatype: 'url', test: (v) => /^https?:\/\//i.test(v) && isValidUrl(v) },
+    { datatype: 'ipv4', test: (v) => net.isIPv4(v) },
+    { datatype: 'ipv6', test: (v) => net.isIPv6(v) },
+    { datatype: 'mac', test: isValidMac },
+    { datatype: 'color_hex', test: isValidColorHex },
+    { datatype: 'iban', test: isValidIban },
+    { datatype: 'isbn', test: isValidIsbn },
+    // Digits-only values were taken as integers above; phones have separators or a +
+    { datatype: 'phone', test: (v) => isValidPhone(v) && /[\s().+-]/.test(v) && v.replace(/\D/g, '').length >= 10 },
+    { datatype: 'text_paragraph', test: isValidParagraph }
+];
+
+/**
+ * Infer the datatype of a column of values that are all objects or arrays
+ * @param {Array} values - Parsed objects or arrays
+ * @returns {string} json, geopoint, array<T>, or string when the items have no common type
+ */
+const inferStructuredType = (values) => {
+    if (values.every(value => !Array.isArray(value))) {
+        return values.every(isValidGeopoint) ? 'geopoint' : 'json';
+    }
+    if (!values.every(Array.isArray)) return 'string';
+
+    const itemType = inferColumnType(values.flat());
+    return ARRAY_ITEM_DATATYPES.includes(itemType) ? `array<${itemType}>` : 'string';
+};
+
 /**
  * Infer column datatype from sample values
+ * Values are matched against the supported datatypes, most specific first; a datatype is chosen
+ * when at least 95% of the non-empty values fit it. The column name tells latitudes and longitudes
+ * apart from other decimals.
  * @param {Array} values - Sample values from a column
+ * @param {string} name - Optional column name
  * @returns {string} Inferred datatype
  */
-const inferColumnType = (values) => {
+const inferColumnType = (values, name = '') => {
     if (!values || values.length === 0) {
         return 'string';
     }
 
-    // Filter out null/undefined values
-    const validValues = values.filter(v => v !== null && v !== undefined && v !== '');
+    // Filter out null/undefined/empty values
+    const validValues = values
+        .filter(v => v !== null && v !== undefined)
+        .map(v => (typeof v === 'string' ? v.trim() : v))
+        .filter(v => v !== '');
 
     if (validValues.length === 0) {
         return 'string';
     }
 
-    // Check for boolean
-    const booleanPattern = /^(true|false|yes|no|0|1)$/i;
-    if (validValues.every(v => booleanPattern.test(String(v)))) {
-        return 'boolean';
-    }
-
-    // Check for number
-    const numberPattern = /^-?\d+\.?\d*$/;
-    if (validValues.every(v => numberPattern.test(String(v)))) {
-        // Check if integer or float
-        const hasDecimal = validValues.some(v => String(v).includes('.'));
-        return hasDecimal ? 'float' : 'integer';
+    // Objects and arrays, whether parsed from JSON files or written as JSON text
+    const structured = validValues.map(parseStructured);
+    if (structured.every(value => value !== undefined && value !== null)) {
+        return inferStructuredType(structured);
     }
 
-    // Check for date
-    const datePattern = /^\d{4}-\d{2}-\d{2}/;
-    if (validValues.some(v => datePattern.test(String(v)))) {
-        return 'date';
-    }
-
-    // Check for email
-    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (validValues.some(v => emailPattern.test(String(v)))) {
-        return 'email';
-    }
+    const fits = (test) => validValues.filter(v => {
+        try {
+            return test(typeof v === 'number' || typeof v === 'boolean' ? v : String(v));
+        } catch {
+            return false;
+        }
+    }).length >= validValues.length * INFERENCE_THRESHOLD;
 
-    // Check for URL
-    const urlPattern = /^https?:\/\//;
-    if (validValues.some(v => urlPattern.test(String(v)))) {
-        return 'url';
-    }
+    const match = TYPE_TESTS.find(({ test }) => fits(test));
+    const datatype = match ? match.datatype : 'string';
 
-    // Check for phone
-    const phonePattern = /^[\d\s\-\+\(\)]+$/;
-    if (validValues.some(v => phonePattern.test(String(v)) && String(v).length >= 10)) {
-        return 'phone';
+    // Coordinates look like any other decimal; the column name says which they are
+    if (['float', 'integer'].includes(datatype)) {
+        const numbers = validValues.map(Number);
+        if (/(^|_)(lat|latitude)$/i.test(name) && numbers.every(isValidLatitude)) return 'latitude';
+        if (/(^|_)(lon|lng|long|longitude)$/i.test(name) && numbers.every(isValidLongitude)) return 'longitude';
     }
 
-    // Default to string
-    return 'string';
+    return datatype;
 };
 
 /**
@@ -0,0 +1,124 @@
+const { NUMERIC_DATATYPES, MAX_ALLOWED_VALUES, hasAllowedValues } = require('./columnConstraints');
+const { allocateCounts } = require('./distributions');
+
+/**
+ * Whether a column is the class label of a classification dataset
+ * @param {Object} column - Column definition
+ * @returns {boolean} True for label columns
+ */
+const isLabel = (column) => column.label === true;
+
+/**
+ * Find the label column
+ * @param {Array} columns - Column definitions
+ * @returns {Object|null} Label column or null
+ */
+const findLabelColumn = (columns) => columns.find(isLabel) || null;
+
+/**
+ * Convert a class name (a JSON key) to a value of the label column's datatype
+ * @param {string} name - Class name
+ * @param {Object} column - Label column
+ * @returns {*} Class value
+ */
+const toClassValue = (name, column) => {
+    const allowed = (column.allowedValues || []).find(option => String(option) === name);
+    if (allowed !== undefined) return allowed;
+
+    const datatype = String(column.datatype).toLowerCase();
+    if (datatype === 'boolean') return name === 'true';
+    if (NUMERIC_DATATYPES.includes(datatype)) return Number(name);
+    return name;
+};
+
+/**
+ * Classes of a label column with their weights
+ * classWeights sets the proportions; without it the allowedValues (or true/false) are balanced.
+ * @param {Object} column - Valid label column
+ * @returns {Array} [{ value, weight }]
+ */
+const getLabelClasses = (column) => {
+    if (column.classWeights) {
+        return Object.entries(column.classWeights).map(([name, weight]) => ({ value: toClassValue(name, column), weight }));
+    }
+
+    const values = hasAllowedValues(column) ? column.allowedValues : [true, false];
+    return values.map(value => ({ value, weight: 1 }));
+};
+
+/**
+ * Exact number of rows per class for a row count
+ * @param {Object} column - Valid label column
+ * @param {number} rowCount - Total rows
+ * @returns {Array} [{ value, count }]
+ */
+const planClassCounts = (column, rowCount) => {
+    const classes = getLabelClasses(column);
+    const counts = allocateCounts(classes, rowCount);
+    return classes.map(({ value }, index) => ({ value, count: counts[index] }));
+};
+
+/**
+ * Validate the label settings of one column
+ * @param {Object} column - Column definition
+ * @returns {Array<string>} Error messages
+ */
+const validateLabelColumn = (column) => {
+    if (column.label === undefined) {
+        return column.classWeights !== undefined ? ['classWeights requires label: true'] : [];
+    }
+
+    if (typeof column.label !== 'boolean') return ['label must be a boolean'];
+    if (!column.label) return column.classWeights !== undefined ? ['classWeights requires label: true'] : [];
+
+    // Every row gets a class, so the label is never null, repeated freely and not reshaped afterwards
+    if (column.kind === 'derived') return ['a derived column cannot be the label'];
+    if (column.unique) return ['the label column cannot be unique'];
+    if (column.distribution) return ['set class proportions with classWeights instead of a distribution'];
+    if (column.nullPercentage > 0) return ['the label column cannot have a nullPercentage'];
+
+    const datatype = String(column.datatype).toLowerCase();
+    const { classWeights } = column;
+
+    if (classWeights === undefined) {
+        return hasAllowedValues(column) || datatype === 'boolean'
+            ? []
+            : ['the label column needs classWeights or allowedValues to define its classes'];
+    }
+
+    if (!classWeights || typeof classWeights !== 'object' || Array.isArray(classWeights)) {
+        return ['classWeights must map each class to its weight, e.g. { "fraud": 5, "legit": 95 }'];
+    }
+
+    const entries = Object.entries(classWeights);
+    const errors = [];
+
+    if (entries.length < 2 || entries.length > MAX_ALLOWED_VALUES) {
+        errors.push(`classWeights needs between 2 and ${MAX_ALLOWED_VALUES} classes`);
+    }
+    if (entries.some(([, weight]) => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+        errors.push('classWeights must be non-negative numbers');
+    } else if (entries.every(([, weight]) => weight === 0)) {
+        errors.push('classWeights cannot all be zero');
+    }
+
+    entries.forEach(([name]) => {
+        if (hasAllowedValues(column) && !column.allowedValues.some(option => String(option) === name)) {
+            errors.push(`class ${name} is not one of the allowedValues`);
+        } else if (datatype === 'boolean' && !['true', 'false'].includes(name)) {
+            errors.push(`class ${name} is not a boolean`);
+        } else if (NUMERIC_DATATYPES.includes(datatype) && !Number.isFinite(Number(name))) {
+            errors.push(`class ${name} is not a number`);
+        }
+    });
+
+    return errors;
+};
+
+module.exports = {
+    isLabel,
+    findLabelColumn,
+    getLabelClasses,
+    planClassCounts,
+    validateLabelColumn
+};
@@ -0,0 +1,333 @@
+const { allocateCounts } = require('./distributions');
+
+/**
+ * Supported locales with the conventions values are checked against
+ * - currency: ISO code, symbol and minor-unit decimals
+ * - decimalSeparator: how amounts written as text separate decimals
+ * - phone: country calling code, and the digits of a number written without it
+ * - postalCode: pattern an address must contain, a description for the prompt, and a
+ *   format (# digit, A letter) for offline values
+ */
+const LOCALES = {
+    'en-US': {
+        country: 'the United States', language: 'English',
+        currency: { code: 'USD', symbol: '$', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '1', national: /^1?[2-9]\d{9}$/ },
+        postalCode: { pattern: /\b\d{5}(-\d{4})?\b/, description: '5-digit ZIP code', format: '#####' }
+    },
+    'en-GB': {
+        country: 'the United Kingdom', language: 'English',
+        currency: { code: 'GBP', symbol: '£', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '44', national: /^0\d{9,10}$/ },
+        postalCode: { pattern: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/i, description: 'postcode such as SW1A 1AA', format: 'AA# #AA' }
+    },
+    'en-CA': {
+        country: 'Canada', language: 'English',
+        currency: { code: 'CAD', symbol: '$', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '1', national: /^1?[2-9]\d{9}$/ },
+        postalCode: { pattern: /\b[A-Z]\d[A-Z] ?\d[A-Z]\d\b/i, description: 'postal code such as K1A 0B1', format: 'A#A #A#' }
+    },
+    'en-AU': {
+        country: 'Australia', language: 'English',
+        currency: { code: 'AUD', symbol: '$', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '61', national: /^0\d{9}$/ },
+        postalCode: { pattern: /\b\d{4}\b/, description: '4-digit postcode', format: '####' }
+    },
+    'en-IN': {
+        country: 'India', language: 'English',
+        currency: { code: 'INR', symbol: '₹', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '91', national: /^(0?[6-9]\d{9}|0\d{9,10})$/ },
+        postalCode: { pattern: /\b\d{3} ?\d{3}\b/, description: '6-digit PIN code', format: '######' }
+    },
+    'hi-IN': {
+        country: 'India', language: 'Hindi',
+        currency: { code: 'INR', symbol: '₹', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '91', national: /^(0?[6-9]\d{9}|0\d{9,10})$/ },
+        postalCode: { pattern: /\b\d{3} ?\d{3}\b/, description: '6-digit PIN code', format: '######' }
+    },
+    'de-DE': {
+        country: 'Germany', language: 'German',
+        currency: { code: 'EUR', symbol: '€', decimals: 2 }, decimalSeparator: ',',
+        phone: { callingCode: '49', national: /^0\d{5,13}$/ },
+        postalCode: { pattern: /\b\d{5}\b/, description: '5-digit postal code', format: '#####' }
+    },
+    'fr-FR': {
+        country: 'France', language: 'French',
+        currency: { code: 'EUR', symbol: '€', decimals: 2 }, decimalSeparator: ',',
+        phone: { callingCode: '33', national: /^0[1-9]\d{8}$/ },
+        postalCode: { pattern: /\b\d{5}\b/, description: '5-digit postal code', format: '#####' }
+    },
+    'es-ES': {
+        country: 'Spain', language: 'Spanish',
+        currency: { code: 'EUR', symbol: '€', decimals: 2 }, decimalSeparator: ',',
+        phone: { callingCode: '34', national: /^[6-9]\d{8}$/ },
+        postalCode: { pattern: /\b\d{5}\b/, description: '5-digit postal code', format: '#####' }
+    },
+    'it-IT': {
+        country: 'Italy', language: 'Italian',
+        currency: { code: 'EUR', symbol: '€', decimals: 2 }, decimalSeparator: ',',
+        phone: { callingCode: '39', national: /^(0\d{5,10}|3\d{8,9})$/ },
+        postalCode: { pattern: /\b\d{5}\b/, description: '5-digit CAP', format: '#####' }
+    },
+    'nl-NL': {
+        country: 'the Netherlands', language: 'Dutch',
+        currency: { code: 'EUR', symbol: '€', decimals: 2 }, decimalSeparator: ',',
+        phone: { callingCode: '31', national: /^0\d{9}$/ },
+        postalCode: { pattern: /\b\d{4} ?[A-Z]{2}\b/i, description: 'postcode such as 1012 AB', format: '#### AA' }
+    },
+    'pt-BR': {
+        country: 'Brazil', language: 'Portuguese',
+        currency: { code: 'BRL', symbol: 'R$', decimals: 2 }, decimalSeparator: ',',
+        phone: { callingCode: '55', national: /^0?\d{10,11}$/ },
+        postalCode: { pattern: /\b\d{5}-?\d{3}\b/, description: 'CEP such as 01310-100', format: '#####-###' }
+    },
+    'es-MX': {
+        country: 'Mexico', language: 'Spanish',
+        currency: { code: 'MXN', symbol: '$', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '52', national: /^\d{10}$/ },
+        postalCode: { pattern: /\b\d{5}\b/, description: '5-digit postal code', format: '#####' }
+    },
+    'ja-JP': {
+        country: 'Japan', language: 'Japanese',
+        currency: { code: 'JPY', symbol: '¥', decimals: 0 }, decimalSeparator: '.',
+        phone: { callingCode: '81', national: /^0\d{9,10}$/ },
+        postalCode: { pattern: /\b\d{3}-?\d{4}\b/, description: 'postal code such as 100-0001', format: '###-####' }
+    },
+    'zh-CN': {
+        country: 'China', language: 'Chinese',
+        currency: { code: 'CNY', symbol: '¥', decimals: 2 }, decimalSeparator: '.',
+        phone: { callingCode: '86', national: /^(1\d{10}|0\d{9,11})$/ },
+        postalCode: { pattern: /\b\d{6}\b/, description: '6-digit postal code', format: '######' }
+    },
+    'ko-KR': {
+        country: 'South Korea', language: 'Korean',
+        currency: { code: 'KRW', symbol: '₩', decimals: 0 }, decimalSeparator: '.',
+        phone: { callingCode: '82', national: /^0\d{8,10}$/ },
+        postalCode: { pattern: /\b\d{5}\b/, description: '5-digit postal code', format: '#####' }
+    }
+};
+
+/**
+ * Locale codes in the registry
+ */
+const LOCALE_CODES = Object.keys(LOCALES);
+
+/**
+ * Datatypes whose values follow local conventions
+ */
+const LOCALE_DATATYPES = ['name', 'address', 'phone', 'currency', 'string'];
+
+// Limit on the locales one dataset can mix
+const MAX_LOCALE_MIX = 10;
+
+// Currency signs looked for in amounts written as text (longest first, so R$ wins over $)
+const CURRENCY_SIGNS = [...new Set(Object.values(LOCALES).flatMap(({ currency }) => [currency.code, currency.symbol]))]
+    .sort((a, b) => b.length - a.length);
+
+/**
+ * Whether a column's values follow its locale
+ * @param {Object} column - Column definition
+ * @returns {boolean} True for locale-aware datatypes
+ */
+const isLocaleAware = (column) => LOCALE_DATATYPES.includes(String(column.datatype).toLowerCase());
+
+/**
+ * Locales of a dataset with their weights
+ * @param {string|Object} locale - A locale code, or a mix mapping codes to weights
+ * @returns {Array} [{ value, weight }]
+ */
+const getLocaleMix = (locale) => {
+    if (typeof locale === 'string') return [{ value: locale, weight: 1 }];
+    return Object.entries(locale).map(([value, weight]) => ({ value, weight }));
+};
+
+/**
+ * Exact number of rows per locale
+ * @param {string|Object} locale - Valid dataset locale
+ * @param {number} rowCount - Rows to split
+ * @returns {Array} [{ value, count }]
+ */
+const planLocaleCounts = (locale, rowCount) => {
+    const mix = getLocaleMix(locale);
+    const counts = allocateCounts(mix, rowCount);
+    return mix.map(({ value }, index) => ({ value, count: counts[index] }));
+};
+
+/**
+ * Validate a dataset-level locale (a code or a weighted mix)
+ * @param {string|Object} locale - Locale
+ * @returns {Array<string>} Error messages
+ */
+const validateLocale = (locale) => {
+    if (typeof locale === 'string') {
+        return LOCALES[locale] ? [] : [`Unsupported locale ${locale}. Supported locales: ${LOCALE_CODES.join(', ')}`];
+    }
+
+    if (!locale || typeof locale !== 'object' || Array.isArray(locale)) {
+        return ['locale must be a locale code such as de-DE, or a mix such as { "en-US": 60, "fr-FR": 40 }'];
+    }
+
+    const entries = Object.entries(locale);
+    const errors = [];
+
+    if (entries.length === 0 || entries.length > MAX_LOCALE_MIX) {
+        errors.push(`a locale mix needs between 1 and ${MAX_LOCALE_MIX} locales`);
+    }
+
+    entries.forEach(([code, weight]) => {
+        if (!LOCALES[code]) {
+            errors.push(`Unsupported locale ${code}. Supported locales: ${LOCALE_CODES.join(', ')}`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            errors.push(`weight of ${code} must be a non-negative number`);
+        }
+    });
+
+    if (errors.length === 0 && entries.every(([, weight]) => weight === 0)) {
+        errors.push('locale weights cannot all be zero');
+    }
+
+    return errors;
+};
+
+/**
+ * Validate the locale of one column (a single code that overrides the dataset locale)
+ * @param {Object} column - Column definition
+ * @returns {Array<string>} Error messages
+ */
+const validateColumnLocale = (column) => {
+    if (column.locale === undefined || column.locale === null) return [];
+
+    if (typeof column.locale !== 'string') {
+        return ['column locale must be a single locale code; mix locales at the dataset level'];
+    }
+    if (!isLocaleAware(column)) {
+        return [`locale only applies to ${LOCALE_DATATYPES.join(', ')} columns`];
+    }
+    if (column.kind === 'derived') {
+        return ['a derived column cannot have a locale'];
+    }
+    return validateLocale(column.locale);
+};
+
+/**
+ * Describe a column's locale for the prompt
+ * @param {Object} column - Column definition (with a resolved locale)
+ * @returns {Array<string>} Short locale phrases
+ */
+const describeLocale = (column) => {
+    const locale = LOCALES[column.locale];
+    if (!locale) return [];
+
+    switch (String(column.datatype).toLowerCase()) {
+        case 'name':
+            return [`names common in ${locale.country}`];
+        case 'address':
+            return [`addresses in ${locale.country} with a ${locale.postalCode.description}`];
+        case 'phone':
+            return [`phone numbers of ${locale.country}, written with +${locale.phone.callingCode} or in national format`];
+        case 'currency': {
+            const { code, symbol, decimals } = locale.currency;
+            return [decimals === 0 ? `whole amounts in ${code} (${symbol})` : `amounts in ${code} (${symbol})`];
+        }
+        default:
+            return [`written as in ${locale.country} (${locale.language})`];
+    }
+};
+
+/**
+ * Describe a dataset or chunk locale for the prompt
+ * @param {string} code - Locale code
+ * @returns {string} Instruction line
+ */
+const describeRowLocale = (code) => {
+    const locale = LOCALES[code];
+    return `Every row comes from ${locale.country} (${code}). Write names, addresses, phone numbers and other text the way they appear there, in ${locale.language}; currency amounts are in ${locale.currency.code} unless a column says otherwise.`;
+};
+
+/**
+ * Parse an amount written as text in a locale's currency
+ * @param {string} text - Amount such as "1.234,50 €"
+ * @param {Object} locale - Locale conventions
+ * @returns {Object} { value, foreign } - value is null if unparseable; foreign is true for another currency's sign
+ */
+const parseLocalAmount = (text, locale) => {
+    const { code, symbol } = locale.currency;
+    let rest = text.replace(code, '').replace(symbol, '');
+
+    if (CURRENCY_SIGNS.some(sign => rest.includes(sign))) {
+        return { value: null, foreign: true };
+    }
+
+    rest = rest.replace(/[\s  ']/g, '');
+    rest = locale.decimalSeparator === ','
+        ? rest.replace(/\./g, '').replace(',', '.')
+        : rest.replace(/,/g, '');
+
+    return { value: /^[+-]?\d+(\.\d+)?$/.test(rest) ? parseFloat(rest) : null, foreign: false };
+};
+
+/**
+ * Check a raw value against its column's locale before datatype coercion
+ * Currency amounts written as text are parsed with the locale's separators.
+ * @param {*} value - Non-missing raw value
+ * @param {Object} column - Column definition with a resolved locale
+ * @returns {Object} { value, coerced, violation } - violation is 'locale' or null
+ */
+const checkLocale = (value, column) => {
+    const locale = LOCALES[column.locale];
+    const datatype = String(column.datatype).toLowerCase();
+    const ok = { value, coerced: false, violation: null };
+    const violation = { value, coerced: false, violation: 'locale' };
+
+    if (!locale) return ok;
+
+    if (datatype === 'currency') {
+        let amount = value;
+        let coerced = false;
+
+        if (typeof value === 'string') {
+            const parsed = parseLocalAmount(value, locale);
+            if (parsed.foreign) return violation;
+            // Unparseable text is left for the datatype check to reject
+            if (parsed.value === null) return ok;
+            amount = parsed.value;
+            coerced = true;
+        }
+
+        if (typeof amount === 'number' && locale.currency.decimals === 0 && !Number.isInteger(amount)) {
+            return violation;
+        }
+        return { value: amount, coerced, violation: null };
+    }
+
+    if (datatype === 'phone') {
+        const compact = String(value).replace(/[\s().\-/]/g, '');
+        const international = compact.startsWith('+') ? compact.slice(1) : (compact.startsWith('00') ? compact.slice(2) : null);
+
+        if (international !== null) {
+            return international.startsWith(locale.phone.callingCode) ? ok : violation;
+        }
+        return locale.phone.national.test(compact) ? ok : violation;
+    }
+
+    if (datatype === 'address') {
+        return typeof value === 'string' && !locale.postalCode.pattern.test(value) ? violation : ok;
+    }
+
+    return ok;
+};
+
+module.exports = {
+    LOCALES,
+    LOCALE_CODES,
+    LOCALE_DATATYPES,
+    isLocaleAware,
+    getLocaleMix,
+    planLocaleCounts,
+    validateLocale,
+    validateColumnLocale,
+    describeLocale,
+    describeRowLocale,
+    checkLocale
+};
@@ -0,0 +1,87 @@
+/**
+ * Hash a string into a 32-bit unsigned seed
+ * @param {string} value - Any string
+ * @returns {number} Seed
+ */
+const hashSeed = (value) => {
+    let hash = 2166136261;
+    const text = String(value);
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+};
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * The same seed always produces the same sequence.
+ * @param {number|string} seed - Numeric seed or string to hash
+ * @returns {Object} Random helpers
+ */
+const createRandom = (seed = Date.now()) => {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const random = {
+        next,
+
+        /**
+         * Float in [min, max)
+         */
+        float: (min = 0, max = 1) => min + next() * (max - min),
+
+        /**
+         * Integer in [min, max]
+         */
+        int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+
+        /**
+         * Random element of an array
+         */
+        pick: (items) => items[Math.floor(next() * items.length)],
+
+        /**
+         * True with the given probability
+         */
+        chance: (probability) => next() < probability,
+
+        /**
+         * Normally distributed value (Box-Muller)
+         */
+        normal: (mean = 0, sd = 1) => {
+            let u = 0;
+            while (u === 0) u = next();
+            const v = next();
+            return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        },
+
+        /**
+         * Shuffle a copy of an array (Fisher-Yates)
+         */
+        shuffle: (items) => {
+            const copy = [...items];
+            for (let i = copy.length - 1; i > 0; i--) {
+                const j = Math.floor(next() * (i + 1));
+                [copy[i], copy[j]] = [copy[j], copy[i]];
+            }
+            return copy;
+        }
+    };
+
+    return random;
+};
+
+module.exports = {
+    hashSeed,
+    createRandom
+};
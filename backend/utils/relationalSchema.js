@@ -0,0 +1,233 @@
+const { MAX_ROW_COUNT, validateColumns, validateRowCount } = require('./validators');
+const { validateFeasibility } = require('./columnConstraints');
+const { validateRules } = require('./businessRules');
+const { validateCorrelations } = require('./distributions');
+const { isDerived } = require('./derivedColumns');
+const { findLabelColumn } = require('./labelColumns');
+const { isSeriesColumn } = require('./timeSeries');
+
+/**
+ * Maximum tables in one dataset bundle
+ */
+const MAX_TABLES = 10;
+
+/**
+ * Find a table by name
+ * @param {Array} tables - Table definitions
+ * @param {string} name - Table name
+ * @returns {Object|undefined} Table definition
+ */
+const findTable = (tables, name) => tables.find(table => table.name === name);
+
+/**
+ * The foreign key whose cardinality decides how many rows a table gets
+ * (the first foreign key with a cardinality rule)
+ * @param {Object} table - Table definition
+ * @returns {Object|null} Foreign key or null
+ */
+const getDrivingForeignKey = (table) => {
+    return (table.foreignKeys || []).find(fk => fk.cardinality) || null;
+};
+
+/**
+ * Sort tables so every table comes after the tables it references
+ * @param {Array} tables - Table definitions
+ * @returns {Array} Tables in dependency order
+ * @throws {Error} If the references form a cycle
+ */
+const orderTables = (tables) => {
+    const ordered = [];
+    const state = new Map(); // name -> 'visiting' | 'done'
+
+    const visit = (table, path) => {
+        if (state.get(table.name) === 'done') return;
+        if (state.get(table.name) === 'visiting') {
+            throw new Error(`Foreign keys form a cycle: ${[...path, table.name].join(' -> ')}`);
+        }
+
+        state.set(table.name, 'visiting');
+        (table.foreignKeys || []).forEach(fk => {
+            const parent = findTable(tables, fk.references.table);
+            if (parent && parent.name !== table.name) visit(parent, [...path, table.name]);
+        });
+        state.set(table.name, 'done');
+        ordered.push(table);
+    };
+
+    tables.forEach(table => visit(table, []));
+    return ordered;
+};
+
+/**
+ * Estimate the row count of every table from root row counts and cardinality rules
+ * @param {Array} tables - Table definitions (valid)
+ * @param {string} mode - 'max' for the upper bound, 'mean' for the expected count
+ * @returns {Object} Row counts keyed by table name
+ */
+const estimateRowCounts = (tables, mode = 'mean') => {
+    const counts = {};
+
+    orderTables(tables).forEach(table => {
+        const driving = getDrivingForeignKey(table);
+
+        if (!driving) {
+            counts[table.name] = table.rowCount;
+            return;
+        }
+
+        const { min, max } = driving.cardinality;
+        const perParent = mode === 'max' ? max : (min + max) / 2;
+        counts[table.name] = Math.round(counts[driving.references.table] * perParent);
+    });
+
+    return counts;
+};
+
+/**
+ * Validate one foreign key of a table
+ * @param {Object} table - Table that owns the key
+ * @param {Object} fk - Foreign key ({ column, references: { table, column }, cardinality })
+ * @param {Array} tables - All table definitions
+ * @returns {Array<string>} Error messages
+ */
+const validateForeignKey = (table, fk, tables) => {
+    const errors = [];
+
+    if (!fk || typeof fk.column !== 'string' || !fk.references || typeof fk.references.table !== 'string') {
+        return ['foreign keys need a column and references: { table, column }'];
+    }
+
+    const column = (table.columns || []).find(col => col.name === fk.column);
+    const parent = findTable(tables, fk.references.table);
+
+    if (!column) {
+        errors.push(`foreign key column ${fk.column} is not one of the table's columns`);
+    }
+
+    if (!parent) {
+        errors.push(`foreign key ${fk.column} references unknown table ${fk.references.table}`);
+    } else if (parent.name === table.name) {
+        errors.push(`foreign key ${fk.column} cannot reference its own table`);
+    } else if (!parent.primaryKey || (fk.references.column && fk.references.column !== parent.primaryKey)) {
+        errors.push(`foreign key ${fk.column} must reference the primary key of ${parent.name}`);
+    } else if (column) {
+        const parentKey = (parent.columns || []).find(col => col.name === parent.primaryKey);
+        if (parentKey && String(parentKey.datatype).toLowerCase() !== String(column.datatype).toLowerCase()) {
+            errors.push(`foreign key ${fk.column} must have the same datatype as ${parent.name}.${parent.primaryKey}`);
+        }
+    }
+
+    if (fk.cardinality !== undefined) {
+        const { min, max } = fk.cardinality || {};
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min > max) {
+            errors.push(`cardinality of ${fk.column} needs integers 0 <= min <= max`);
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validate the tables of a relational dataset bundle
+ * @param {Array} tables - Table definitions
+ * @returns {Object} Validation result
+ */
+const validateTables = (tables) => {
+    if (!Array.isArray(tables) || tables.length === 0) {
+        return { isValid: false, errors: ['Tables must be a non-empty array'] };
+    }
+
+    if (tables.length > MAX_TABLES) {
+        return { isValid: false, errors: [`Maximum ${MAX_TABLES} tables allowed`] };
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    tables.forEach((table, index) => {
+        const label = table && typeof table.name === 'string' ? `Table ${table.name}` : `Table ${index + 1}`;
+        const tableErrors = [];
+
+        if (!table || typeof table.name !== 'string' || !/^[A-Za-z_][\w]{0,63}$/.test(table.name)) {
+            errors.push(`${label}: name is required and must be an identifier`);
+            return;
+        }
+
+        if (names.has(table.name)) {
+            tableErrors.push('name must be unique');
+        }
+        names.add(table.name);
+
+        const columnValidation = validateColumns(table.columns);
+        tableErrors.push(...columnValidation.errors);
+
+        if (table.primaryKey !== undefined && !(table.columns || []).some(col => col.name === table.primaryKey)) {
+            tableErrors.push(`primary key ${table.primaryKey} is not one of the table's columns`);
+        }
+
+        if (table.foreignKeys !== undefined && !Array.isArray(table.foreignKeys)) {
+            tableErrors.push('foreignKeys must be an array');
+        } else {
+            (table.foreignKeys || []).forEach(fk => tableErrors.push(...validateForeignKey(table, fk, tables)));
+        }
+
+        if (getDrivingForeignKey(table)) {
+            if (table.rowCount !== undefined) {
+                tableErrors.push('rowCount is derived from the foreign key cardinality and must be omitted');
+            }
+        } else {
+            tableErrors.push(...validateRowCount(table.rowCount).errors);
+        }
+
+        // Keys and derived columns are filled in after rules, correlations and classes are applied, so they can't use them
+        if (columnValidation.isValid) {
+            const keyColumns = new Set((Array.isArray(table.foreignKeys) ? table.foreignKeys : []).map(fk => fk.column));
+            const modelColumns = table.columns.filter(col => !isDerived(col) && !keyColumns.has(col.name) &&
+                !(col.name === table.primaryKey && String(col.datatype).toLowerCase() === 'integer'));
+            const labelColumn = findLabelColumn(table.columns);
+
+            if (table.rules !== undefined) tableErrors.push(...validateRules(table.rules, modelColumns));
+            if (table.correlations !== undefined) tableErrors.push(...validateCorrelations(table.correlations, modelColumns));
+            if (labelColumn && !modelColumns.includes(labelColumn)) tableErrors.push(`key column ${labelColumn.name} cannot be the label`);
+            if (table.columns.some(isSeriesColumn)) tableErrors.push('series columns are only supported for time series, not in bundles');
+        }
+
+        tableErrors.forEach(message => errors.push(`${label}: ${message}`));
+    });
+
+    if (errors.length > 0) {
+        return { isValid: false, errors };
+    }
+
+    try {
+        orderTables(tables);
+    } catch (error) {
+        return { isValid: false, errors: [error.message] };
+    }
+
+    const maxCounts = estimateRowCounts(tables, 'max');
+    const totalRows = Object.values(maxCounts).reduce((sum, count) => sum + count, 0);
+
+    if (totalRows > MAX_ROW_COUNT) {
+        errors.push(`Tables can produce up to ${totalRows} rows in total; the limit is ${MAX_ROW_COUNT}`);
+    }
+
+    tables.forEach(table => {
+        validateFeasibility(table.columns, maxCounts[table.name])
+            .forEach(message => errors.push(`Table ${table.name}: ${message}`));
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+module.exports = {
+    MAX_TABLES,
+    findTable,
+    getDrivingForeignKey,
+    orderTables,
+    estimateRowCounts,
+    validateTables
+};
@@ -0,0 +1,371 @@
+const { NUMERIC_DATATYPES, validateFeasibility } = require('./columnConstraints');
+const { isDerived } = require('./derivedColumns');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Timestamp frequencies: fixed steps in milliseconds, or calendar steps in months
+ */
+const FREQUENCIES = {
+    minute: { ms: 60 * 1000 },
+    hour: { ms: 60 * 60 * 1000 },
+    day: { ms: DAY_MS },
+    week: { ms: 7 * DAY_MS },
+    month: { months: 1 },
+    quarter: { months: 3 },
+    year: { months: 12 }
+};
+
+/**
+ * Cycles a series can repeat over
+ */
+const SEASONAL_PERIODS = ['day', 'week', 'year'];
+
+// Default cycle per frequency: the longest one a few readings still resolve
+const DEFAULT_PERIODS = {
+    minute: 'day',
+    hour: 'day',
+    day: 'week',
+    week: 'year',
+    month: 'year',
+    quarter: 'year',
+    year: null
+};
+
+// Limits that keep the entity prompt and the series short enough to generate in one request
+const MAX_ENTITIES = 1000;
+const MAX_ENTITY_COLUMNS = 5;
+const MAX_INTERVAL = 1000;
+const MAX_GAP_RATE = 0.5;
+const MAX_GAP_LENGTH = 1000;
+
+/**
+ * Whether a column holds the values of a series
+ * @param {Object} column - Column definition
+ * @returns {boolean} True for series columns
+ */
+const isSeriesColumn = (column) => column.series !== undefined && column.series !== null;
+
+/**
+ * Find the series columns
+ * @param {Array} columns - Column definitions
+ * @returns {Array} Series columns
+ */
+const getSeriesColumns = (columns) => columns.filter(isSeriesColumn);
+
+/**
+ * Seasonal cycle of a series column, from its definition or the frequency
+ * @param {Object} column - Series column
+ * @param {string} frequency - Timestamp frequency
+ * @returns {string|null} One of SEASONAL_PERIODS, or null when the series has no cycle
+ */
+const getSeasonalPeriod = (column, frequency) => {
+    const seasonality = column.series.seasonality;
+    if (seasonality && seasonality.period) return seasonality.period;
+    return DEFAULT_PERIODS[frequency] || null;
+};
+
+/**
+ * Time of the k-th timestamp of a series
+ * Calendar steps keep the day of the month, clamped to shorter months (31 Jan, 29 Feb, 31 Mar).
+ * @param {number} start - Start time in milliseconds
+ * @param {Object} timestamp - { frequency, interval }
+ * @param {number} k - Step index
+ * @returns {number} Time in milliseconds
+ */
+const timestampAt = (start, timestamp, k) => {
+    const step = FREQUENCIES[timestamp.frequency];
+    const interval = timestamp.interval || 1;
+
+    if (step.ms) {
+        return start + k * interval * step.ms;
+    }
+
+    const date = new Date(start);
+    const month = date.getUTCMonth() + k * interval * step.months;
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+
+    return Date.UTC(
+        date.getUTCFullYear(), month, Math.min(date.getUTCDate(), daysInMonth),
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+    );
+};
+
+/**
+ * Number of timestamps from start to end (both included)
+ * @param {Object} timestamp - Valid timestamp definition ({ start, end, frequency, interval })
+ * @returns {number} Timestamps per series
+ */
+const countTimestamps = (timestamp) => {
+    const start = Date.parse(timestamp.start);
+    const end = Date.parse(timestamp.end);
+    const step = FREQUENCIES[timestamp.frequency];
+    const interval = timestamp.interval || 1;
+
+    if (step.ms) {
+        return Math.floor((end - start) / (step.ms * interval)) + 1;
+    }
+
+    const from = new Date(start);
+    const to = new Date(end);
+    const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+    let k = Math.floor(months / (step.months * interval));
+
+    // The last whole month may still end after `end` (e.g. 15 Jan -> 10 Mar)
+    while (k > 0 && timestampAt(start, timestamp, k) > end) k--;
+    return k + 1;
+};
+
+/**
+ * Build every timestamp of a series
+ * @param {Object} timestamp - Valid timestamp definition
+ * @returns {Array<number>} Times in milliseconds
+ */
+const buildTimestamps = (timestamp) => {
+    const start = Date.parse(timestamp.start);
+    return Array.from({ length: countTimestamps(timestamp) }, (_, k) => timestampAt(start, timestamp, k));
+};
+
+/**
+ * Position of a time within a seasonal cycle (UTC)
+ * 0 is midnight, Monday 00:00 or 1 January; 0.5 is halfway through the cycle.
+ * @param {number} time - Time in milliseconds
+ * @param {string} period - One of SEASONAL_PERIODS
+ * @returns {number} Phase in [0, 1)
+ */
+const seasonalPhase = (time, period) => {
+    if (period === 'day') {
+        return (((time % DAY_MS) + DAY_MS) % DAY_MS) / DAY_MS;
+    }
+
+    if (period === 'week') {
+        // 1 January 1970 was a Thursday
+        const days = time / DAY_MS + 3;
+        return (((days % 7) + 7) % 7) / 7;
+    }
+
+    const year = new Date(time).getUTCFullYear();
+    const yearStart = Date.UTC(year, 0, 1);
+    return (time - yearStart) / (Date.UTC(year + 1, 0, 1) - yearStart);
+};
+
+/**
+ * Format a timestamp for the timestamp column
+ * Midnight timestamps of daily or coarser series are written as plain dates.
+ * @param {number} time - Time in milliseconds
+ * @param {string} frequency - Timestamp frequency
+ * @returns {string} ISO 8601 date or date-time
+ */
+const formatTimestamp = (time, frequency) => {
+    const iso = new Date(time).toISOString();
+
+    if (frequency !== 'minute' && frequency !== 'hour' && iso.endsWith('T00:00:00.000Z')) {
+        return iso.slice(0, 10);
+    }
+    return iso.replace('.000Z', 'Z');
+};
+
+/**
+ * Whether a value is a finite number
+ * @param {*} value - Value
+ * @returns {boolean} True for finite numbers
+ */
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validate the series definition of one column
+ * @param {Object} column - Column definition
+ * @returns {Array<string>} Error messages
+ */
+const validateSeriesColumn = (column) => {
+    if (!isSeriesColumn(column)) return [];
+
+    const { series } = column;
+    if (typeof series !== 'object' || Array.isArray(series)) {
+        return ['series must be an object, e.g. { "trend": 0.5, "seasonality": { "period": "day" } }'];
+    }
+
+    const errors = [];
+    const datatype = String(column.datatype).toLowerCase();
+
+    if (!NUMERIC_DATATYPES.includes(datatype)) errors.push('series only applies to numeric datatypes');
+    if (isDerived(column)) errors.push('a derived column cannot be a series');
+    if (column.unique) errors.push('a series column cannot be unique');
+    if (column.distribution) errors.push('a series column cannot have a distribution');
+    if (column.label) errors.push('a series column cannot be the label');
+
+    ['level', 'trend'].forEach(key => {
+        if (series[key] !== undefined && !isFiniteNumber(series[key])) {
+            errors.push(`series ${key} must be a number`);
+        }
+    });
+
+    if (series.noise !== undefined && (!isFiniteNumber(series.noise) || series.noise < 0)) {
+        errors.push('series noise must be a non-negative number');
+    }
+
+    if (series.seasonality !== undefined) {
+        const { period, amplitude } = series.seasonality || {};
+
+        if (!series.seasonality || typeof series.seasonality !== 'object') {
+            errors.push('series seasonality must be an object ({ period, amplitude })');
+        } else {
+            if (period !== undefined && !SEASONAL_PERIODS.includes(period)) {
+                errors.push(`series seasonality period must be one of: ${SEASONAL_PERIODS.join(', ')}`);
+            }
+            if (amplitude !== undefined && (!isFiniteNumber(amplitude) || amplitude < 0)) {
+                errors.push('series seasonality amplitude must be a non-negative number');
+            }
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Validate the timestamp definition of a time series
+ * @param {Object} timestamp - { column, start, end, frequency, interval }
+ * @param {Array} columns - Column definitions
+ * @returns {Array<string>} Error messages
+ */
+const validateTimestamp = (timestamp, columns) => {
+    if (!timestamp || typeof timestamp !== 'object') {
+        return ['timestamp needs column, start, end and frequency'];
+    }
+
+    const errors = [];
+    const column = columns.find(col => col.name === timestamp.column);
+
+    if (!column) {
+        errors.push(`timestamp column ${timestamp.column} is not one of the columns`);
+    } else if (!['date', 'string'].includes(String(column.datatype).toLowerCase())) {
+        errors.push(`timestamp column ${column.name} must be a date or string column`);
+    } else if (isDerived(column) || isSeriesColumn(column) || column.label) {
+        errors.push(`timestamp column ${column.name} must be a plain generated column`);
+    }
+
+    const start = Date.parse(timestamp.start);
+    const end = Date.parse(timestamp.end);
+    if (typeof timestamp.start !== 'string' || typeof timestamp.end !== 'string' || isNaN(start) || isNaN(end)) {
+        errors.push('timestamp start and end must be valid dates');
+    } else if (start > end) {
+        errors.push('timestamp start cannot be after end');
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(FREQUENCIES, timestamp.frequency)) {
+        errors.push(`timestamp frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+    }
+
+    if (timestamp.interval !== undefined && (!Number.isInteger(timestamp.interval) || timestamp.interval < 1 || timestamp.interval > MAX_INTERVAL)) {
+        errors.push(`timestamp interval must be an integer between 1 and ${MAX_INTERVAL}`);
+    }
+
+    return errors;
+};
+
+/**
+ * Validate the entity keys of a time series (the columns telling the series apart)
+ * @param {Object} entities - { columns, count }
+ * @param {Array} columns - Column definitions
+ * @param {string} timestampColumn - Name of the timestamp column
+ * @returns {Array<string>} Error messages
+ */
+const validateEntities = (entities, columns, timestampColumn) => {
+    if (!entities || typeof entities !== 'object' || !Array.isArray(entities.columns) ||
+        entities.columns.length === 0 || entities.columns.length > MAX_ENTITY_COLUMNS) {
+        return [`entities needs 1 to ${MAX_ENTITY_COLUMNS} key columns and a count`];
+    }
+
+    const errors = [];
+
+    entities.columns.forEach(name => {
+        const column = columns.find(col => col.name === name);
+
+        if (!column) {
+            errors.push(`entity column ${name} is not one of the columns`);
+        } else if (name === timestampColumn || isDerived(column) || isSeriesColumn(column) || column.label) {
+            errors.push(`entity column ${name} must be a plain generated column`);
+        }
+    });
+
+    if (!Number.isInteger(entities.count) || entities.count < 1 || entities.count > MAX_ENTITIES) {
+        errors.push(`entities count must be an integer between 1 and ${MAX_ENTITIES}`);
+    } else if (entities.columns.length === 1 && errors.length === 0) {
+        // A single key column needs a distinct value per series
+        const key = columns.find(col => col.name === entities.columns[0]);
+        errors.push(...validateFeasibility([{ ...key, unique: true, nullPercentage: undefined }], entities.count));
+    }
+
+    return errors;
+};
+
+/**
+ * Validate a time-series definition against (already valid) columns
+ * @param {Object} timeSeries - { timestamp, entities, gaps }
+ * @param {Array} columns - Column definitions
+ * @returns {Array<string>} Error messages
+ */
+const validateTimeSeries = (timeSeries, columns) => {
+    if (!timeSeries || typeof timeSeries !== 'object' || Array.isArray(timeSeries)) {
+        return ['timeSeries must be an object with a timestamp definition'];
+    }
+
+    const { timestamp, entities, gaps } = timeSeries;
+    const errors = validateTimestamp(timestamp, columns);
+
+    if (entities !== undefined) {
+        errors.push(...validateEntities(entities, columns, timestamp && timestamp.column));
+    }
+
+    if (gaps !== undefined) {
+        const { rate, maxLength } = gaps || {};
+
+        if (!isFiniteNumber(rate) || rate < 0 || rate > MAX_GAP_RATE) {
+            errors.push(`gaps rate must be a number between 0 and ${MAX_GAP_RATE}`);
+        }
+        if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_GAP_LENGTH)) {
+            errors.push(`gaps maxLength must be an integer between 1 and ${MAX_GAP_LENGTH}`);
+        }
+    }
+
+    if (getSeriesColumns(columns).length === 0) {
+        errors.push('at least one numeric column needs a series definition');
+    }
+
+    // Every other column repeats once per timestamp, so it can't be unique or a class label
+    columns.filter(col => col.unique && !isSeriesColumn(col)).forEach(col => {
+        errors.push(`column ${col.name} cannot be unique: its value repeats on every timestamp of a series`);
+    });
+    if (columns.some(col => col.label)) {
+        errors.push('time series cannot have a label column');
+    }
+
+    return errors;
+};
+
+/**
+ * Number of rows a time series produces before gaps are cut out
+ * @param {Object} timeSeries - Valid time-series definition
+ * @returns {number} Series count times timestamps per series
+ */
+const countTimeSeriesRows = (timeSeries) => {
+    const series = timeSeries.entities ? timeSeries.entities.count : 1;
+    return series * countTimestamps(timeSeries.timestamp);
+};
+
+module.exports = {
+    DAY_MS,
+    FREQUENCIES,
+    SEASONAL_PERIODS,
+    MAX_ENTITIES,
+    isSeriesColumn,
+    getSeriesColumns,
+    getSeasonalPeriod,
+    countTimestamps,
+    buildTimestamps,
+    seasonalPhase,
+    formatTimestamp,
+    validateSeriesColumn,
+    validateTimeSeries,
+    countTimeSeriesRows
+};
@@ -1,21 +1,37 @@
+const { validateConstraints } = require('./columnConstraints');
+const { validateDerivedColumn, validateDerivedReferences } = require('./derivedColumns');
+const { validateDistribution } = require('./distributions');
+const { isLabel, validateLabelColumn } = require('./labelColumns');
+const { validateSeriesColumn } = require('./timeSeries');
+const { validateColumnLocale } = require('./locales');
+const {
+    DATATYPES, isSupportedDatatype, getDatatype, validateDatatypeSettings,
+    isValidEmail, isValidUrl, isValidPhone, isValidInteger, isValidNumber, isValidBoolean,
+    isValidDate, isValidPercentage, isValidCurrency, isValidText
+} = require('./datatypes');
+
+/**
+ * Maximum rows per dataset (generated in chunks by batchGenerationService)
+ */
+const MAX_ROW_COUNT = 50000;
+
+/**
+ * Maximum rows streamed from a stored statistical synthesizer in one request (never stored)
+ */
+const MAX_SYNTHESIZED_ROWS = 10000000;
+
+/**
+ * Generation modes: topic generates rows from the topic and columns,
+ * augment grows an uploaded sample into new rows that follow its distributions,
+ * statistical samples rows locally from a model of the sample or the declared columns,
+ * hybrid samples them the same way with free text drawn from model-written value pools
+ */
+const GENERATION_MODES = ['topic', 'augment', 'statistical', 'hybrid'];
+
 /**
- * Supported data types for dataset columns
+ * Supported data types for dataset columns (array<T> is listed as array)
  */
-const SUPPORTED_DATATYPES = [
-    'string',
-    'number',
-    'integer',
-    'float',
-    'boolean',
-    'date',
-    'email',
-    'phone',
-    'url',
-    'address',
-    'name',
-    'percentage',
-    'currency'
-];
+const SUPPORTED_DATATYPES = Object.keys(DATATYPES);
 
 /**
  * Validate if datatype is supported
@@ -23,12 +39,12 @@ const SUPPORTED_DATATYPES = [
  * @returns {boolean} True if valid
  */
 const isValidDatatype = (datatype) => {
-    return SUPPORTED_DATATYPES.includes(datatype.toLowerCase());
+    return isSupportedDatatype(datatype);
 };
 
 /**
  * Validate column schema
- * @param {Object} column - Column object with name and datatype
+ * @param {Object} column - Column object with name, datatype and optional constraints
  * @returns {Object} Validation result
  */
 const validateColumn = (column) => {
@@ -41,9 +57,22 @@ const validateColumn = (column) => {
     if (!column.datatype || typeof column.datatype !== 'string') {
         errors.push('Column datatype is required and must be a string');
     } else if (!isValidDatatype(column.datatype)) {
-        errors.push(`Invalid datatype: ${column.datatype}. Supported types: ${SUPPORTED_DATATYPES.join(', ')}`);
+        errors.push(`Invalid datatype: ${column.datatype}. Supported types: ${SUPPORTED_DATATYPES.map(type => (type === 'array' ? 'array<type>' : type)).join(', ')}`);
+    } else {
+        errors.push(...validateDatatypeSettings(column));
+    }
+
+    if (column.required !== undefined && typeof column.required !== 'boolean') {
+        errors.push('Column required flag must be a boolean');
     }
 
+    errors.push(...validateConstraints(column));
+    errors.push(...validateDerivedColumn(column));
+    errors.push(...validateDistribution(column));
+    errors.push(...validateLabelColumn(column));
+    errors.push(...validateSeriesColumn(column));
+    errors.push(...validateColumnLocale(column));
+
     return {
         isValid: errors.length === 0,
         errors
@@ -85,6 +114,19 @@ const validateColumns = (columns) => {
         }
     });
 
+    // Expressions can only be checked against the other columns once each column is valid
+    if (allErrors.length === 0) {
+        allErrors.push(...validateDerivedReferences(columns));
+
+        if (columns.every(column => column.kind === 'derived')) {
+            allErrors.push('At least one column must be generated');
+        }
+
+        if (columns.filter(isLabel).length > 1) {
+            allErrors.push('Only one column can be the label');
+        }
+    }
+
     return {
         isValid: allErrors.length === 0,
         errors: allErrors
@@ -105,8 +147,8 @@ const validateRowCount = (rowCount) => {
         if (rowCount < 1) {
             errors.push('Row count must be at least 1');
         }
-        if (rowCount > 1000) {
-            errors.push('Row count cannot exceed 1000');
+        if (rowCount > MAX_ROW_COUNT) {
+            errors.push(`Row count cannot exceed ${MAX_ROW_COUNT}`);
         }
     }
 
@@ -117,35 +159,40 @@ const validateRowCount = (rowCount) => {
 };
 
 /**
- * Validate email format
- * @param {string} email - Email to validate
- * @returns {boolean} True if valid
+ * Type checkers keyed by datatype
  */
-const isValidEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-};
+const TYPE_CHECKERS = Object.fromEntries(Object.entries(DATATYPES).map(([type, { check }]) => [type, check]));
 
 /**
- * Validate URL format
- * @param {string} url - URL to validate
- * @returns {boolean} True if valid
+ * Check a value against a datatype
+ * @param {*} value - Value to check
+ * @param {string} datatype - Column datatype
+ * @returns {boolean} True if the value matches the datatype
  */
-const isValidUrl = (url) => {
-    try {
-        new URL(url);
-        return true;
-    } catch {
-        return false;
-    }
+const isValidValue = (value, datatype) => {
+    const entry = getDatatype(datatype);
+    return entry ? entry.check(value) : true;
 };
 
 module.exports = {
+    MAX_ROW_COUNT,
+    MAX_SYNTHESIZED_ROWS,
+    GENERATION_MODES,
     SUPPORTED_DATATYPES,
     isValidDatatype,
     validateColumn,
     validateColumns,
     validateRowCount,
     isValidEmail,
-    isValidUrl
+    isValidUrl,
+    isValidPhone,
+    isValidInteger,
+    isValidNumber,
+    isValidBoolean,
+    isValidDate,
+    isValidPercentage,
+    isValidCurrency,
+    isValidText,
+    TYPE_CHECKERS,
+    isValidValue
 };
@@ -1,87 +1,135 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     Upload, Plus, Trash2, Download, Table,
     FileJson, FileSpreadsheet, Database, Sparkles, Eye, Loader2, CheckCircle2, AlertCircle, ChevronDown, X, Edit3
 } from 'lucide-react';
 import clsx from 'clsx';
-import { generateDataset, uploadSample } from '../services/api';
+import {
+    cancelGenerationJob, createGenerationJob, getDatasetById, getDatatypes, inferSchema, resumeGenerationJob, subscribeToJobEvents
+} from '../services/api';
 
 const DOMAIN_SUGGESTIONS = {
     'Healthcare': [
-        { name: 'patient_id', type: 'Integer', required: true },
-        { name: 'patient_name', type: 'Name', required: true },
-        { name: 'date_of_birth', type: 'Date', required: true },
-        { name: 'email', type: 'Email', required: false },
-        { name: 'blood_type', type: 'String', required: false },
-        { name: 'diagnosis', type: 'String', required: true },
-        { name: 'doctor_id', type: 'Integer', required: true }
+        { name: 'patient_id', type: 'integer', required: true },
+        { name: 'patient_name', type: 'name', required: true },
+        { name: 'date_of_birth', type: 'date', required: true },
+        { name: 'email', type: 'email', required: false },
+        { name: 'blood_type', type: 'string', required: false },
+        { name: 'diagnosis', type: 'string', required: true },
+        { name: 'doctor_id', type: 'integer', required: true }
     ],
     'Finance': [
-        { name: 'transaction_id', type: 'Integer', required: true },
-        { name: 'account_number', type: 'String', required: true },
-        { name: 'amount', type: 'Currency', required: true },
-        { name: 'transaction_date', type: 'Date', required: true },
-        { name: 'transaction_type', type: 'String', required: true },
-        { name: 'status', type: 'String', required: false }
+        { name: 'transaction_id', type: 'integer', required: true },
+        { name: 'account_number', type: 'string', required: true },
+        { name: 'amount', type: 'currency', required: true },
+        { name: 'transaction_date', type: 'date', required: true },
+        { name: 'transaction_type', type: 'string', required: true },
+        { name: 'status', type: 'string', required: false }
     ],
     'E-commerce': [
-        { name: 'order_id', type: 'Integer', required: true },
-        { name: 'product_name', type: 'String', required: true },
-        { name: 'category', type: 'String', required: true },
-        { name: 'price', type: 'Currency', required: true },
-        { name: 'customer_email', type: 'Email', required: true },
-        { name: 'order_date', type: 'Date', required: true }
+        { name: 'order_id', type: 'integer', required: true },
+        { name: 'product_name', type: 'string', required: true },
+        { name: 'category', type: 'string', required: true },
+        { name: 'price', type: 'currency', required: true },
+        { name: 'customer_email', type: 'email', required: true },
+        { name: 'order_date', type: 'date', required: true }
     ],
     'Education': [
-        { name: 'student_id', type: 'Integer', required: true },
-        { name: 'student_name', type: 'Name', required: true },
-        { name: 'grade_level', type: 'Integer', required: true },
-        { name: 'subjects', type: 'String', required: false },
-        { name: 'enrollment_date', type: 'Date', required: true }
+        { name: 'student_id', type: 'integer', required: true },
+        { name: 'student_name', type: 'name', required: true },
+        { name: 'grade_level', type: 'integer', required: true },
+        { name: 'subjects', type: 'string', required: false },
+        { name: 'enrollment_date', type: 'date', required: true }
     ],
     'HR': [
-        { name: 'employee_id', type: 'Integer', required: true },
-        { name: 'full_name', type: 'Name', required: true },
-        { name: 'department', type: 'String', required: true },
-        { name: 'salary', type: 'Currency', required: true },
-        { name: 'joining_date', type: 'Date', required: true }
+        { name: 'employee_id', type: 'integer', required: true },
+        { name: 'full_name', type: 'name', required: true },
+        { name: 'department', type: 'string', required: true },
+        { name: 'salary', type: 'currency', required: true },
+        { name: 'joining_date', type: 'date', required: true }
     ],
     'CRM': [
-        { name: 'lead_id', type: 'Integer', required: true },
-        { name: 'contact_name', type: 'Name', required: true },
-        { name: 'company', type: 'String', required: true },
-        { name: 'lead_status', type: 'String', required: true },
-        { name: 'last_contact', type: 'Date', required: false }
+        { name: 'lead_id', type: 'integer', required: true },
+        { name: 'contact_name', type: 'name', required: true },
+        { name: 'company', type: 'string', required: true },
+        { name: 'lead_status', type: 'string', required: true },
+        { name: 'last_contact', type: 'date', required: false }
     ],
     'Logistics': [
-        { name: 'shipment_id', type: 'String', required: true },
-        { name: 'origin', type: 'Address', required: true },
-        { name: 'destination', type: 'Address', required: true },
-        { name: 'delivery_date', type: 'Date', required: true },
-        { name: 'weight_kg', type: 'Float', required: true }
+        { name: 'shipment_id', type: 'string', required: true },
+        { name: 'origin', type: 'address', required: true },
+        { name: 'destination', type: 'address', required: true },
+        { name: 'delivery_date', type: 'date', required: true },
+        { name: 'weight_kg', type: 'float', required: true }
     ],
     'Real Estate': [
-        { name: 'property_id', type: 'Integer', required: true },
-        { name: 'address', type: 'Address', required: true },
-        { name: 'property_type', type: 'String', required: true },
-        { name: 'price', type: 'Currency', required: true },
-        { name: 'sqft', type: 'Integer', required: true }
+        { name: 'property_id', type: 'integer', required: true },
+        { name: 'address', type: 'address', required: true },
+        { name: 'property_type', type: 'string', required: true },
+        { name: 'price', type: 'currency', required: true },
+        { name: 'sqft', type: 'integer', required: true }
     ],
     'Social Media': [
-        { name: 'user_id', type: 'Integer', required: true },
-        { name: 'username', type: 'String', required: true },
-        { name: 'post_content', type: 'String', required: true },
-        { name: 'likes_count', type: 'Integer', required: false },
-        { name: 'post_date', type: 'Date', required: true }
+        { name: 'user_id', type: 'integer', required: true },
+        { name: 'username', type: 'string', required: true },
+        { name: 'post_content', type: 'string', required: true },
+        { name: 'likes_count', type: 'integer', required: false },
+        { name: 'post_date', type: 'date', required: true }
     ]
 };
 
+// Column definition sent to the API for one schema row
+const toColumnDatatype = (row) => ({
+    datatype: row.type === 'array' ? `array<${row.itemType || 'string'}>` : row.type,
+    ...(row.type === 'enum' ? { allowedValues: (row.enumValues || '').split(',').map(value => value.trim()).filter(Boolean) } : {})
+});
+
+// Schema table row for a column proposed by /api/schema/infer; categorical text becomes an enum
+const toSchemaRow = (column) => {
+    const array = /^array<(\w+)>$/.exec(column.datatype);
+    const isEnum = Array.isArray(column.enumCandidates) && column.enumCandidates.length > 0;
+    return {
+        id: Math.random().toString(36).substr(2, 9),
+        name: column.name,
+        type: array ? 'array' : (isEnum ? 'enum' : column.datatype),
+        ...(array ? { itemType: array[1] } : {}),
+        ...(isEnum ? { enumValues: column.enumCandidates.join(', ') } : {}),
+        required: column.required,
+        isSuggested: false,
+        isConfirmed: true
+    };
+};
+
+// Objects and arrays are shown and exported as JSON text
+const formatCell = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value?.toString());
+
+// Most columns the schema table holds
+const MAX_COLUMNS = 30;
+
+const JOB_STATUS_LABELS = {
+    'queued': 'Waiting in queue...',
+    'building-context': 'Looking up reference datasets...',
+    'generating': 'Generating rows...',
+    'validating': 'Validating rows...',
+    'saved': 'Saving dataset...'
+};
+
 const domainsList = [
     "Healthcare", "Finance", "E-commerce", "Education", "HR", "CRM",
     "Logistics", "Real Estate", "Automotive", "Sports", "Travel",
     "Cybersecurity", "Social Media", "Retail", "Other"
 ];
 
+// "fraud: 5, legit: 95" -> { fraud: 5, legit: 95 }; empty means balanced classes
+const parseClassWeights = (text) => {
+    const entries = text.split(',')
+        .map(part => part.split(':').map(piece => piece.trim()))
+        .filter(([name]) => name);
+
+    if (entries.length === 0) return undefined;
+    return Object.fromEntries(entries.map(([name, weight]) => [name, parseFloat(weight)]));
+};
+
 const DatasetForm = () => {
     const [domain, setDomain] = useState('');
     const [customDomain, setCustomDomain] = useState('');
@@ -89,24 +137,47 @@ const DatasetForm = () => {
     const [rowCount, setRowCount] = useState(100);
     const [colCount, setColCount] = useState(0);
     const [schema, setSchema] = useState([]);
+    const [classWeightsText, setClassWeightsText] = useState('');
 
     // Status states
     const [isGenerating, setIsGenerating] = useState(false);
     const [isUploading, setIsUploading] = useState(false);
+    const [sample, setSample] = useState(null);
+    // topic: the model writes every row; augment: more like the sample; statistical: sampled offline;
+    // hybrid: sampled offline with text drawn from model-written value pools
+    const [mode, setMode] = useState('topic');
+    const [fillText, setFillText] = useState(false);
     const [status, setStatus] = useState({ type: '', message: '' });
     const [generatedData, setGeneratedData] = useState(null);
+    const [classHistogram, setClassHistogram] = useState(null);
+    const [fidelity, setFidelity] = useState(null);
+    const [progress, setProgress] = useState({ message: '', rowsCompleted: 0, rowCount: 0, warnings: [] });
+    const [jobId, setJobId] = useState(null);
+    const [canResume, setCanResume] = useState(false);
+    const unsubscribeRef = useRef(null);
+
+    // Close the progress stream when the form unmounts
+    useEffect(() => () => unsubscribeRef.current?.(), []);
+
+    // Datatypes offered in the schema table come from the backend registry
+    const [columnTypes, setColumnTypes] = useState([]);
+    const [arrayItemTypes, setArrayItemTypes] = useState([]);
+
+    useEffect(() => {
+        getDatatypes()
+            .then(result => {
+                const types = result.data.types.map(type => ({ value: type.name, label: type.label, hint: type.hint }));
+                setColumnTypes(types);
+                setArrayItemTypes(types.filter(type => result.data.arrayItemTypes.includes(type.value)));
+            })
+            .catch(error => setStatus({ type: 'error', message: error.message || 'Failed to load column datatypes.' }));
+    }, []);
 
     // Preview & Export states
     const [showPreview, setShowPreview] = useState(false);
     const [previewRows, setPreviewRows] = useState(25);
     const [exportFormat, setExportFormat] = useState('JSON');
 
-    const columnTypes = [
-        'String', 'Number', 'Integer', 'Float', 'Boolean',
-        'Date', 'Email', 'Phone', 'URL', 'Address', 'Name',
-        'Percentage', 'Currency'
-    ];
-
     // Synchronization logic between colCount and schema
     useEffect(() => {
         const currentLen = schema.length;
@@ -121,7 +192,7 @@ const DatasetForm = () => {
                 newRows.push({
                     id: Math.random().toString(36).substr(2, 9),
                     name: suggestion ? suggestion.name : '',
-                    type: suggestion ? suggestion.type : 'String',
+                    type: suggestion ? suggestion.type : 'string',
                     required: suggestion ? suggestion.required : false,
                     isSuggested: !!suggestion,
                     isConfirmed: false
@@ -136,7 +207,7 @@ const DatasetForm = () => {
 
     const handleColCountChange = (e) => {
         const val = parseInt(e.target.value) || 0;
-        const boundedVal = Math.min(30, Math.max(0, val));
+        const boundedVal = Math.min(MAX_COLUMNS, Math.max(0, val));
         setColCount(boundedVal);
 
         // When user manually sets a column count > 0, we treat the current rows as "dark" (confirmed)
@@ -197,8 +268,13 @@ const DatasetForm = () => {
         }));
     };
 
+    // Only one column can be the label
+    const handleLabelChange = (id, checked) => {
+        setSchema(schema.map(row => ({ ...row, label: row.id === id ? checked : false, isConfirmed: row.id === id || row.isConfirmed })));
+    };
+
     const handleAddField = () => {
-        if (colCount >= 30) return;
+        if (colCount >= MAX_COLUMNS) return;
         setColCount(colCount + 1);
         // New field added via button is Dark (confirmed)
         setSchema(prev => {
@@ -229,38 +305,132 @@ const DatasetForm = () => {
             return;
         }
 
-        if (colCount === 0) {
+        // With an uploaded sample and no schema, the columns are inferred from the sample
+        if (colCount === 0 && !sample) {
             setStatus({ type: 'error', message: 'Please specify the number of columns and define your schema.' });
             return;
         }
 
         setIsGenerating(true);
         setStatus({ type: '', message: '' });
+        setProgress({ message: JOB_STATUS_LABELS.queued, rowsCompleted: 0, rowCount: parseInt(rowCount), warnings: [] });
 
         try {
-            const columns = schema.map(({ name, type, required }) => ({
-                name: name || 'column_' + Math.random().toString(36).substr(2, 4),
-                datatype: type.toLowerCase(),
-                required
+            const columns = schema.map((row) => ({
+                name: row.name || 'column_' + Math.random().toString(36).substr(2, 4),
+                ...toColumnDatatype(row),
+                required: row.required,
+                ...(row.label ? { label: true, classWeights: parseClassWeights(classWeightsText) } : {})
             }));
 
             const payload = {
                 topic: actualDomain,
                 description,
                 rowCount: parseInt(rowCount),
-                columns
+                ...(columns.length > 0 ? { columns } : {}),
+                ...(sample ? { sampleId: sample.sampleId } : {}),
+                ...(mode !== 'topic' ? { mode } : {}),
+                ...(mode === 'statistical' && fillText ? { fillText: true } : {})
             };
 
-            const result = await generateDataset(payload);
-            setGeneratedData(result.generatedData);
-            setStatus({ type: 'success', message: 'Dataset generated successfully!' });
+            const job = await createGenerationJob(payload);
+            setJobId(job.data.id);
+            setCanResume(false);
+            watchJob(job.data.id);
         } catch (error) {
             setStatus({ type: 'error', message: error.message || 'Failed to generate dataset.' });
-        } finally {
             setIsGenerating(false);
         }
     };
 
+    const watchJob = (id) => {
+        unsubscribeRef.current?.();
+        unsubscribeRef.current = subscribeToJobEvents(id, {
+            onEvent: handleJobEvent,
+            onError: (error) => {
+                setStatus({ type: 'error', message: error.message });
+                setIsGenerating(false);
+            }
+        });
+    };
+
+    const handleCancel = async () => {
+        if (!jobId) return;
+
+        try {
+            await cancelGenerationJob(jobId);
+            setProgress(prev => ({ ...prev, message: 'Cancelling...' }));
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message || 'Failed to cancel generation.' });
+        }
+    };
+
+    const handleResume = async () => {
+        if (!jobId) return;
+
+        setIsGenerating(true);
+        setCanResume(false);
+        setStatus({ type: '', message: '' });
+        setProgress(prev => ({ ...prev, message: JOB_STATUS_LABELS.queued, warnings: [] }));
+
+        try {
+            await resumeGenerationJob(jobId);
+            watchJob(jobId);
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message || 'Failed to resume generation.' });
+            setIsGenerating(false);
+        }
+    };
+
+    const handleJobEvent = async (type, data) => {
+        switch (type) {
+            case 'snapshot':
+                setProgress(prev => ({ ...prev, message: JOB_STATUS_LABELS[data.status] || prev.message, rowsCompleted: data.rowsCompleted }));
+                break;
+            case 'status':
+                setProgress(prev => ({ ...prev, message: JOB_STATUS_LABELS[data.status] || prev.message }));
+                break;
+            case 'reference':
+                setProgress(prev => ({ ...prev, message: data.message }));
+                break;
+            case 'chunk':
+                setProgress(prev => ({
+                    ...prev,
+                    message: `Chunk ${data.chunkIndex + 1} of ${data.chunkCount} done (${data.rows} rows)`,
+                    rowsCompleted: data.rowsCompleted ?? prev.rowsCompleted + data.rows
+                }));
+                break;
+            case 'warning':
+                setProgress(prev => ({ ...prev, warnings: [...prev.warnings, data.message] }));
+                break;
+            case 'saved':
+                try {
+                    const result = await getDatasetById(data.datasetId);
+                    setGeneratedData(result.data.generatedData);
+                    setClassHistogram(result.data.validationReport?.classes || null);
+                    setFidelity(result.data.validationReport?.fidelity || null);
+                    setStatus({ type: 'success', message: 'Dataset generated successfully!' });
+                } catch (error) {
+                    setStatus({ type: 'error', message: error.message || 'Failed to load generated dataset.' });
+                } finally {
+                    setIsGenerating(false);
+                }
+                break;
+            case 'failed':
+                setStatus({ type: 'error', message: data.error || 'Failed to generate dataset.' });
+                setCanResume(true);
+                setIsGenerating(false);
+                break;
+            case 'cancelled':
+                setStatus({ type: 'error', message: `Generation cancelled after ${data.rowsCompleted} rows. You can resume it.` });
+                setCanResume(true);
+                setIsGenerating(false);
+                break;
+            default:
+                break;
+        }
+    };
+
     const handleFileUpload = async (e) => {
         const file = e.target.files[0];
         if (!file) return;
@@ -269,8 +439,17 @@ const DatasetForm = () => {
         setStatus({ type: '', message: '' });
 
         try {
-            const result = await uploadSample(file);
-            setStatus({ type: 'success', message: `File "${result.data.filename}" uploaded and analyzed! Found ${result.data.totalRows} rows.` });
+            const result = await inferSchema(file);
+            const columns = result.data.columns.slice(0, MAX_COLUMNS);
+
+            // Pre-fill the schema table with the proposed columns
+            setSchema(columns.map(toSchemaRow));
+            setColCount(columns.length);
+            setSample(result.data);
+            setStatus({
+                type: 'success',
+                message: `File "${result.data.filename}" analyzed! Found ${result.data.totalRows} rows; ${columns.length} columns proposed${result.data.columns.length > MAX_COLUMNS ? ` (first ${MAX_COLUMNS} of ${result.data.columns.length})` : ''}.`
+            });
 
             if (description === '') {
                 setDescription(`Based on sample file: ${result.data.filename}`);
@@ -287,7 +466,7 @@ const DatasetForm = () => {
         const header = Object.keys(json[0]);
         const csv = [
             header.join(','),
-            ...json.map(row => header.map(field => JSON.stringify(row[field] ?? '')).join(','))
+            ...json.map(row => header.map(field => JSON.stringify(formatCell(row[field]) ?? '')).join(','))
         ].join('\r\n');
         return csv;
     };
@@ -387,18 +566,18 @@ const DatasetForm = () => {
                         <label className="text-sm font-semibold text-slate-600 ml-1">Number of Rows</label>
                         <input
                             type="number"
-                            min="1" max="1000"
+                            min="1" max="50000"
                             value={rowCount}
                             onChange={(e) => setRowCount(parseInt(e.target.value) || 0)}
                             className="w-full glass-input py-3 px-4 font-bold"
                         />
-                        <p className="text-xs text-slate-400 ml-1">Limit: 1,000</p>
+                        <p className="text-xs text-slate-400 ml-1">Limit: 50,000</p>
                     </div>
                     <div className="space-y-2">
                         <label className="text-sm font-semibold text-slate-600 ml-1">Number of Columns</label>
                         <input
                             type="number"
-                            min="0" max="30"
+                            min="0" max={MAX_COLUMNS}
                             value={colCount}
                             onChange={handleColCountChange}
                             className="w-full glass-input py-3 px-4 font-bold border-purple-200 ring-2 ring-purple-50"
@@ -430,6 +609,7 @@ const DatasetForm = () => {
                                     <th className="px-6 py-4">Field Name</th>
                                     <th className="px-6 py-4">Datatype</th>
                                     <th className="px-6 py-4 text-center">Required</th>
+                                    <th className="px-6 py-4 text-center">Label</th>
                                     <th className="px-2 py-4 w-12 text-center"></th>
                                 </tr>
                             </thead>
@@ -458,9 +638,30 @@ const DatasetForm = () => {
                                                 )}
                                             >
                                                 {columnTypes.map(type => (
-                                                    <option key={type} value={type}>{type}</option>
+                                                    <option key={type.value} value={type.value} title={type.hint || undefined}>{type.label}</option>
                                                 ))}
                                             </select>
+                                            {row.type === 'array' && (
+                                                <select
+                                                    value={row.itemType || 'string'}
+                                                    onChange={(e) => handleSchemaChange(row.id, 'itemType', e.target.value)}
+                                                    title="Type of the array items"
+                                                    className="w-full bg-transparent outline-none cursor-pointer text-xs py-1 text-slate-500"
+                                                >
+                                                    {arrayItemTypes.map(type => (
+                                                        <option key={type.value} value={type.value}>of {type.label}</option>
+                                                    ))}
+                                                </select>
+                                            )}
+                                            {row.type === 'enum' && (
+                                                <input
+                                                    type="text"
+                                                    value={row.enumValues || ''}
+                                                    onChange={(e) => handleSchemaChange(row.id, 'enumValues', e.target.value)}
+                                                    placeholder="Values, comma separated"
+                                                    className="w-full bg-transparent border-b border-slate-200 focus:border-purple-300 outline-none text-xs py-1 text-slate-500"
+                                                />
+                                            )}
                                         </td>
                                         <td className="px-6 py-3 text-center">
                                             <input
@@ -470,6 +671,15 @@ const DatasetForm = () => {
                                                 className="w-4 h-4 text-purple-600 rounded border-slate-300 focus:ring-purple-500 cursor-pointer"
                                             />
                                         </td>
+                                        <td className="px-6 py-3 text-center">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!row.label}
+                                                onChange={(e) => handleLabelChange(row.id, e.target.checked)}
+                                                title="Class label of a classification dataset"
+                                                className="w-4 h-4 text-purple-600 rounded border-slate-300 focus:ring-purple-500 cursor-pointer"
+                                            />
+                                        </td>
                                         <td className="px-4 py-3 text-center">
                                             <button
                                                 onClick={() => handleRemoveRow(row.id)}
@@ -482,7 +692,7 @@ const DatasetForm = () => {
                                 ))}
                                 {schema.length === 0 && (
                                     <tr>
-                                        <td colSpan="4" className="px-6 py-10 text-center text-slate-400 italic text-sm">
+                                        <td colSpan="5" className="px-6 py-10 text-center text-slate-400 italic text-sm">
                                             No fields defined. Select a domain or enter number of columns to begin.
                                         </td>
                                     </tr>
@@ -490,18 +700,70 @@ const DatasetForm = () => {
                             </tbody>
                         </table>
                     </div>
+
+                    {schema.some(row => row.label) && (
+                        <div className="mt-4 space-y-2 animate-fade-in">
+                            <label className="text-sm font-semibold text-slate-600 ml-1">Class Proportions</label>
+                            <input
+                                type="text"
+                                value={classWeightsText}
+                                onChange={(e) => setClassWeightsText(e.target.value)}
+                                placeholder="e.g. fraud: 5, legit: 95 (leave empty for balanced true/false)"
+                                className="w-full glass-input py-3 px-4"
+                            />
+                        </div>
+                    )}
                 </div>
 
                 {/* Upload Section */}
-                <div className="relative z-10 flex justify-center">
+                <div className="relative z-10 flex justify-center items-center">
                     <label className={clsx(
                         "flex items-center gap-2 px-6 py-2 rounded-xl border border-dashed transition-all group cursor-pointer",
                         isUploading ? "bg-slate-50 border-slate-200" : "border-slate-300 hover:border-purple-400 hover:bg-purple-50"
                     )}>
                         {isUploading ? <Loader2 className="w-4 h-4 text-purple-500 animate-spin" /> : <Upload className="w-4 h-4 text-slate-400 group-hover:text-purple-500" />}
                         <span className="text-sm font-medium text-slate-500 group-hover:text-purple-600">Upload Reference Sample</span>
-                        <input type="file" className="hidden" accept=".csv, .xlsx" onChange={handleFileUpload} disabled={isUploading} />
+                        <input type="file" className="hidden" accept=".csv,.json" onChange={handleFileUpload} disabled={isUploading} />
                     </label>
+                    {sample && (
+                        <div className="flex items-center gap-2 ml-3 text-xs text-slate-500">
+                            <span>Generating from <b>{sample.filename}</b>{colCount === 0 ? ' (columns inferred from the sample)' : ''}</span>
+                            <button
+                                onClick={() => {
+                                    setSample(null);
+                                    if (mode === 'augment') setMode('topic');
+                                }}
+                                title="Stop using this sample"
+                                className="text-slate-300 hover:text-red-400 p-1 rounded-md hover:bg-red-50"
+                            >
+                                <X className="w-3 h-3" />
+                            </button>
+                        </div>
+                    )}
+                    <div className="flex items-center gap-2 ml-3 text-xs text-slate-500">
+                        <select
+                            value={mode}
+                            onChange={(e) => setMode(e.target.value)}
+                            title="More like this grows the sample, dropping copies of real rows; statistical samples rows locally from the sample or the declared schema without the model; hybrid does the same with text drawn from value pools the model writes once per column"
+                            className="bg-transparent border border-slate-200 rounded-lg px-2 py-1 text-xs text-slate-600 outline-none cursor-pointer"
+                        >
+                            <option value="topic">Model writes every row</option>
+                            <option value="augment" disabled={!sample}>More like this (needs a sample)</option>
+                            <option value="statistical">Statistical (offline)</option>
+                            <option value="hybrid">Hybrid (value pools)</option>
+                        </select>
+                        {mode === 'statistical' && (
+                            <label className="flex items-center gap-1 cursor-pointer" title="Have Gemini write only the free-text columns of the sampled rows">
+                                <input
+                                    type="checkbox"
+                                    checked={fillText}
+                                    onChange={(e) => setFillText(e.target.checked)}
+                                    className="w-3 h-3 text-purple-600 rounded border-slate-300 focus:ring-purple-500 cursor-pointer"
+                                />
+                                Fill text with Gemini
+                            </label>
+                        )}
+                    </div>
                 </div>
 
                 {/* Main Generate Button */}
@@ -518,6 +780,44 @@ const DatasetForm = () => {
                         {isGenerating ? 'Generating...' : 'Generate Dataset'}
                     </button>
 
+                    {/* Generation Progress */}
+                    {isGenerating && (
+                        <div className="w-full max-w-md space-y-2 animate-fade-in">
+                            <div className="flex items-center justify-between text-xs font-medium text-slate-500">
+                                <span>{progress.message}</span>
+                                {progress.rowCount > 0 && (
+                                    <span>{progress.rowsCompleted} / {progress.rowCount} rows</span>
+                                )}
+                            </div>
+                            <div className="h-2 w-full rounded-full bg-purple-100 overflow-hidden">
+                                <div
+                                    className="h-full rounded-full bg-purple-500 transition-all duration-500"
+                                    style={{ width: `${progress.rowCount > 0 ? Math.min(100, (progress.rowsCompleted / progress.rowCount) * 100) : 0}%` }}
+                                />
+                            </div>
+                            {progress.warnings.map((warning, i) => (
+                                <p key={i} className="text-xs text-amber-600">{warning}</p>
+                            ))}
+                            <div className="flex justify-center">
+                                <button
+                                    onClick={handleCancel}
+                                    className="flex items-center gap-1 text-xs font-bold text-slate-500 hover:text-red-600 px-3 py-1 rounded-lg hover:bg-red-50 transition-all"
+                                >
+                                    <X className="w-3 h-3" /> Cancel
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {!isGenerating && canResume && (
+                        <button
+                            onClick={handleResume}
+                            className="flex items-center gap-2 text-sm font-bold text-purple-600 hover:text-purple-700 bg-purple-50 hover:bg-purple-100 px-6 py-2 rounded-xl transition-all shadow-sm border border-purple-100"
+                        >
+                            <Sparkles className="w-4 h-4" /> Resume Generation
+                        </button>
+                    )}
+
                     {/* Actions Area */}
                     {generatedData && (
                         <div className="w-full space-y-6 animate-slide-up">
@@ -544,6 +844,48 @@ const DatasetForm = () => {
                                 </button>
                             </div>
 
+                            {/* Class Histogram */}
+                            {classHistogram && (
+                                <div className="p-4 bg-slate-50/50 rounded-2xl border border-slate-100 space-y-2">
+                                    <span className="text-[10px] font-black text-slate-400 uppercase tracking-tighter">Classes of {classHistogram.column}</span>
+                                    {Object.entries(classHistogram.achieved).map(([name, count]) => (
+                                        <div key={name} className="flex items-center gap-3 text-sm">
+                                            <span className="w-24 truncate font-bold text-slate-700">{name}</span>
+                                            <div className="flex-1 h-2 rounded-full bg-purple-100 overflow-hidden">
+                                                <div
+                                                    className="h-full rounded-full bg-purple-500"
+                                                    style={{ width: `${generatedData.length > 0 ? (count / generatedData.length) * 100 : 0}%` }}
+                                                />
+                                            </div>
+                                            <span className="w-28 text-right text-slate-500">{count} / {classHistogram.target[name] ?? 0}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {/* Fidelity of an augmented sample: distance per column (KS or total variation, 0 = identical) */}
+                            {fidelity && (
+                                <div className="p-4 bg-slate-50/50 rounded-2xl border border-slate-100 space-y-2">
+                                    <span className="text-[10px] font-black text-slate-400 uppercase tracking-tighter">
+                                        Fidelity to {fidelity.realRows} real rows ({fidelity.novelty.exactDuplicates + fidelity.novelty.nearDuplicates} copies dropped)
+                                    </span>
+                                    {Object.entries(fidelity.columns).map(([name, stats]) => (
+                                        <div key={name} className="flex items-center gap-3 text-sm">
+                                            <span className="w-32 truncate font-bold text-slate-700">{name}</span>
+                                            <span className="w-24 text-slate-400">{stats.kind}</span>
+                                            <span className="flex-1 text-slate-500">
+                                                {stats.ks !== undefined && stats.ks !== null ? `KS ${stats.ks}` : ''}
+                                                {stats.totalVariation !== undefined ? `TV ${stats.totalVariation}` : ''}
+                                            </span>
+                                            <span className="w-40 text-right text-slate-500">nulls {stats.nullRate.real}% / {stats.nullRate.synthetic}%</span>
+                                        </div>
+                                    ))}
+                                    {fidelity.correlations.meanAbsoluteDifference !== null && (
+                                        <div className="text-xs text-slate-500">Mean correlation difference: {fidelity.correlations.meanAbsoluteDifference}</div>
+                                    )}
+                                </div>
+                            )}
+
                             {/* Preview & Viewport Row */}
                             <div className="flex flex-col md:flex-row items-center justify-between gap-4 p-4 bg-slate-50/50 rounded-2xl border border-slate-100">
                                 <button
@@ -584,7 +926,7 @@ const DatasetForm = () => {
                                             {generatedData.slice(0, previewRows).map((r, i) => (
                                                 <tr key={i} className="hover:bg-slate-50 transition-colors">
                                                     {Object.values(r).map((v, j) => (
-                                                        <td key={j} className="px-6 py-4 text-sm text-slate-600">{v?.toString()}</td>
+                                                        <td key={j} className="px-6 py-4 text-sm text-slate-600">{formatCell(v)}</td>
                                                     ))}
                                                 </tr>
                                             ))}
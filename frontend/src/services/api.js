@@ -23,7 +23,7 @@ export const generateDataset = async (payload) => {
 export const uploadSample = async (file) => {
     try {
         const formData = new FormData();
-        formData.append('sampleFile', file);
+        formData.append('file', file);
 
         const response = await fetch(`${API_BASE_URL}/uploadSample`, {
             method: 'POST',
@@ -43,6 +43,54 @@ export const uploadSample = async (file) => {
     }
 };
 
+/**
+ * Upload a sample file and get a proposed column list for it
+ * @param {File} file
+ * @returns {Promise<Object>} { data: { sampleId, filename, totalRows, columns: [{ name, datatype, required, nullRate, min, max, distinctCount, unique, enumCandidates, examples }] } }
+ */
+export const inferSchema = async (file) => {
+    try {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const response = await fetch(`${API_BASE_URL}/schema/infer`, {
+            method: 'POST',
+            body: formData,
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || result.message || 'Failed to infer schema');
+        }
+
+        return result;
+    } catch (error) {
+        console.error('API Error (inferSchema):', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the column datatype registry
+ * @returns {Promise<Object>} { data: { types: [{ name, label, hint, jsonSchema, export, arrayItem }], arrayItemTypes } }
+ */
+export const getDatatypes = async () => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/types`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to fetch datatypes');
+        }
+
+        return result;
+    } catch (error) {
+        console.error('API Error (getDatatypes):', error);
+        throw error;
+    }
+};
+
 /**
  * Get all datasets
  * @param {number} page 
@@ -83,3 +131,119 @@ export const getDatasetById = async (id) => {
         throw error;
     }
 };
+
+/**
+ * Queue an asynchronous generation job
+ * @param {Object} payload - { topic, description, columns, rowCount }
+ */
+export const createGenerationJob = async (payload) => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/jobs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to start dataset generation');
+        }
+
+        return result;
+    } catch (error) {
+        console.error('API Error (createGenerationJob):', error);
+        throw error;
+    }
+};
+
+/**
+ * Get generation job status
+ * @param {string} id
+ */
+export const getGenerationJob = async (id) => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/jobs/${id}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to fetch generation job');
+        }
+
+        return result;
+    } catch (error) {
+        console.error('API Error (getGenerationJob):', error);
+        throw error;
+    }
+};
+
+/**
+ * Subscribe to a generation job's progress events (Server-Sent Events)
+ * @param {string} id
+ * @param {Object} handlers - { onEvent(type, data), onError(error) }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJobEvents = (id, { onEvent, onError }) => {
+    const source = new EventSource(`${API_BASE_URL}/jobs/${id}/events`);
+    const eventTypes = ['snapshot', 'status', 'reference', 'chunk', 'warning', 'saved', 'failed', 'cancelled'];
+    const finalEvents = ['saved', 'failed', 'cancelled'];
+
+    eventTypes.forEach(type => {
+        source.addEventListener(type, (event) => {
+            onEvent(type, JSON.parse(event.data));
+
+            if (finalEvents.includes(type)) {
+                source.close();
+            }
+        });
+    });
+
+    source.onerror = () => {
+        // The server closes the stream after the final event
+        if (source.readyState === EventSource.CLOSED) return;
+        source.close();
+        if (onError) onError(new Error('Lost connection to generation progress stream'));
+    };
+
+    return () => source.close();
+};
+
+/**
+ * Cancel a queued or running generation job
+ * @param {string} id
+ */
+export const cancelGenerationJob = async (id) => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/jobs/${id}/cancel`, { method: 'POST' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to cancel generation');
+        }
+
+        return result;
+    } catch (error) {
+        console.error('API Error (cancelGenerationJob):', error);
+        throw error;
+    }
+};
+
+/**
+ * Resume a failed or cancelled generation job
+ * @param {string} id
+ */
+export const resumeGenerationJob = async (id) => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/jobs/${id}/resume`, { method: 'POST' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to resume generation');
+        }
+
+        return result;
+    } catch (error) {
+        console.error('API Error (resumeGenerationJob):', error);
+        throw error;
+    }
+};